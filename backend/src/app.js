@@ -5,8 +5,13 @@ import { fileURLToPath } from 'url';
 import corsMiddleware from './middlewares/corsMiddleware.js';
 import requestIdMiddleware from './middlewares/requestId.js';
 import securityMiddleware from './middlewares/securityMiddleware.js';
+import csvBody from './middlewares/csvBody.js';
+import multipartBody from './middlewares/multipartBody.js';
 import authRoutes from './routes/authRoutes.js';
 import walletRoutes from './routes/walletRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
+import kycRoutes from './routes/kycRoutes.js';
+import notificationRoutes from './routes/notificationRoutes.js';
 import morgan from 'morgan';
 import { env } from './config/env.js';
 import logger from './utils/logger.js';
@@ -44,6 +49,32 @@ app.use(
     })
 );
 
+// Bulk transfer batches are larger than other requests and may be uploaded as CSV
+app.use(
+    '/api/wallet/bulk-transfers',
+    express.json({ limit: '1mb' }),
+    express.text({ type: ['text/csv', 'application/csv'], limit: '1mb' }),
+    csvBody
+);
+
+// ID documents are uploaded as multipart form data: two images of up to 5 MB and their fields
+app.use(
+    '/api/kyc/documents',
+    express.raw({ type: 'multipart/form-data', limit: '11mb' }),
+    multipartBody
+);
+
+// Webhooks keep the exact bytes received so the inbox stores the raw event
+app.use(
+    '/api/wallet/webhook',
+    express.json({
+        limit: '100kb',
+        verify: (req, res, buffer) => {
+            req.rawBody = buffer.toString('utf8');
+        }
+    })
+);
+
 // Parse JSON and URL-encoded bodies
 app.use(express.json({ limit: '10kb' }));
 app.use(express.urlencoded({ extended: true, limit: '10kb' }));
@@ -59,6 +90,9 @@ app.get('/favicon.ico', (req, res) => {
 // Authentication routes
 app.use('/api/auth', authRoutes);
 app.use('/api/wallet', walletRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/kyc', kycRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -29,6 +29,7 @@ const requiredEnvVars = [
     'ENCRYPTION_IV',
     'FLUTTERWAVE_SECRET_KEY',
     'FLUTTERWAVE_PUBLIC_KEY',
+    'FLUTTERWAVE_SECRET_HASH',
     'EMAIL_SERVICE',
     'EMAIL_USER',
     'EMAIL_PASS',
@@ -44,9 +45,28 @@ const optionalEnvVars = [
     'CLOUDINARY_API_KEY',
     'CLOUDINARY_SECRET',
     'CLOUDINARY_CLOUD_NAME',
+    'DOCUMENT_STORAGE',
+    'DOCUMENT_STORAGE_DIR',
+    'DOCUMENT_URL_TTL_SECONDS',
     'NIMC_API_KEY',
+    'NIMC_BASE_URL',
     'YOUVERIFY_API_KEY',
-    'SMILE_IDENTITY_API_KEY'
+    'YOUVERIFY_BASE_URL',
+    'SMILE_IDENTITY_API_KEY',
+    'JOBS_ENABLED',
+    'FLUTTERWAVE_BASE_URL',
+    'FLUTTERWAVE_SIMULATOR',
+    'PAYSTACK_SECRET_KEY',
+    'PAYSTACK_BASE_URL',
+    'PAYMENT_ROUTE_FUNDING',
+    'PAYMENT_ROUTE_PAYOUT',
+    'PAYMENT_ROUTE_ACCOUNT_RESOLUTION',
+    'PAYMENT_ROUTE_VIRTUAL_ACCOUNT',
+    'NUBAN_INSTITUTION_CODE',
+    'FX_RATES_APP_ID',
+    'FX_RATES_BASE_URL',
+    'FX_SPREAD_BPS',
+    'FX_QUOTE_TTL_SECONDS'
 ];
 
 /**
@@ -84,6 +104,73 @@ if (!['development', 'production', 'test'].includes(process.env.NODE_ENV)) {
     console.error('NODE_ENV must be one of: development, production, test');
     process.exit(1);
 }
+if (process.env.NUBAN_INSTITUTION_CODE && !/^(\d{3}|\d{6})$/.test(process.env.NUBAN_INSTITUTION_CODE)) {
+    console.error('NUBAN_INSTITUTION_CODE must be a 3- or 6-digit CBN institution code');
+    process.exit(1);
+}
+if (process.env.FX_SPREAD_BPS && !/^\d+$/.test(process.env.FX_SPREAD_BPS)) {
+    console.error('FX_SPREAD_BPS must be a whole number of basis points');
+    process.exit(1);
+}
+if (parseInt(process.env.FX_SPREAD_BPS, 10) >= 10000) {
+    console.error('FX_SPREAD_BPS must be below 10000');
+    process.exit(1);
+}
+if (!process.env.FX_RATES_APP_ID && process.env.NODE_ENV === 'production') {
+    console.error('FX_RATES_APP_ID is required in production; the fixed FX rates are for development only');
+    process.exit(1);
+}
+if (!process.env.NIMC_API_KEY && process.env.NODE_ENV === 'production') {
+    console.error('NIMC_API_KEY is required in production; the fake identity source is for development only');
+    process.exit(1);
+}
+if (process.env.NIMC_API_KEY && !process.env.NIMC_BASE_URL) {
+    console.error('NIMC_BASE_URL is required when NIMC_API_KEY is set');
+    process.exit(1);
+}
+if (!process.env.YOUVERIFY_API_KEY && process.env.NODE_ENV === 'production') {
+    console.error('YOUVERIFY_API_KEY is required in production; the fake BVN source is for development only');
+    process.exit(1);
+}
+const cloudinaryConfigured = Boolean(
+    process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY && process.env.CLOUDINARY_SECRET
+);
+const documentStorage = process.env.DOCUMENT_STORAGE || (cloudinaryConfigured ? 'cloudinary' : 'local');
+if (!['cloudinary', 'local'].includes(documentStorage)) {
+    console.error('DOCUMENT_STORAGE must be cloudinary or local');
+    process.exit(1);
+}
+if (documentStorage === 'cloudinary' && !cloudinaryConfigured) {
+    console.error('DOCUMENT_STORAGE is cloudinary but CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY or CLOUDINARY_SECRET is not set');
+    process.exit(1);
+}
+if (documentStorage === 'local' && process.env.NODE_ENV === 'production') {
+    console.error('Local document storage is for development only; configure Cloudinary in production');
+    process.exit(1);
+}
+if (process.env.FLUTTERWAVE_SIMULATOR === 'true' && process.env.NODE_ENV === 'production') {
+    console.error('FLUTTERWAVE_SIMULATOR cannot be enabled in production');
+    process.exit(1);
+}
+
+/**
+ * Parses a payment routing rule: providers to try in order, comma-separated.
+ * @param {string} name - Environment variable name
+ * @returns {string[]} Provider names
+ */
+const parseRoute = (name) => {
+    const providers = (process.env[name] || 'flutterwave').split(',').map((value) => value.trim()).filter(Boolean);
+    const unknown = providers.filter((provider) => !['flutterwave', 'paystack'].includes(provider));
+    if (unknown.length) {
+        console.error(`${name} lists unknown payment providers: ${unknown.join(', ')}`);
+        process.exit(1);
+    }
+    if (providers.includes('paystack') && !process.env.PAYSTACK_SECRET_KEY) {
+        console.error(`${name} routes to Paystack but PAYSTACK_SECRET_KEY is not set`);
+        process.exit(1);
+    }
+    return providers;
+};
 
 /**
  * Configuration object for environment variables.
@@ -102,13 +189,33 @@ export const env = {
     ENCRYPTION_IV: process.env.ENCRYPTION_IV,
     FLUTTERWAVE_SECRET_KEY: process.env.FLUTTERWAVE_SECRET_KEY,
     FLUTTERWAVE_PUBLIC_KEY: process.env.FLUTTERWAVE_PUBLIC_KEY,
+    FLUTTERWAVE_SECRET_HASH: process.env.FLUTTERWAVE_SECRET_HASH,
+    FLUTTERWAVE_BASE_URL: process.env.FLUTTERWAVE_BASE_URL || 'https://api.flutterwave.com/v3',
+    FLUTTERWAVE_SIMULATOR: process.env.FLUTTERWAVE_SIMULATOR === 'true',
+    PAYSTACK_SECRET_KEY: process.env.PAYSTACK_SECRET_KEY || '',
+    PAYSTACK_BASE_URL: process.env.PAYSTACK_BASE_URL || 'https://api.paystack.co',
+    PAYMENT_ROUTE_FUNDING: parseRoute('PAYMENT_ROUTE_FUNDING'),
+    PAYMENT_ROUTE_PAYOUT: parseRoute('PAYMENT_ROUTE_PAYOUT'),
+    PAYMENT_ROUTE_ACCOUNT_RESOLUTION: parseRoute('PAYMENT_ROUTE_ACCOUNT_RESOLUTION'),
+    PAYMENT_ROUTE_VIRTUAL_ACCOUNT: parseRoute('PAYMENT_ROUTE_VIRTUAL_ACCOUNT'),
+    NUBAN_INSTITUTION_CODE: process.env.NUBAN_INSTITUTION_CODE || '999',
+    FX_RATES_APP_ID: process.env.FX_RATES_APP_ID || '',
+    FX_RATES_BASE_URL: process.env.FX_RATES_BASE_URL || 'https://openexchangerates.org/api',
+    FX_SPREAD_BPS: process.env.FX_SPREAD_BPS ? parseInt(process.env.FX_SPREAD_BPS, 10) : 150,
+    FX_QUOTE_TTL_SECONDS: parseInt(process.env.FX_QUOTE_TTL_SECONDS, 10) || 60,
     NIMC_API_KEY: process.env.NIMC_API_KEY || '',
+    NIMC_BASE_URL: process.env.NIMC_BASE_URL || '',
     YOUVERIFY_API_KEY: process.env.YOUVERIFY_API_KEY || '',
+    YOUVERIFY_BASE_URL: process.env.YOUVERIFY_BASE_URL || 'https://api.youverify.co',
     SMILE_IDENTITY_API_KEY: process.env.SMILE_IDENTITY_API_KEY || '',
     CLOUDINARY_API_KEY: process.env.CLOUDINARY_API_KEY || '',
     CLOUDINARY_SECRET: process.env.CLOUDINARY_SECRET || '',
     CLOUDINARY_CLOUD_NAME: process.env.CLOUDINARY_CLOUD_NAME || '',
+    DOCUMENT_STORAGE: documentStorage,
+    DOCUMENT_STORAGE_DIR: process.env.DOCUMENT_STORAGE_DIR || 'uploads/kyc',
+    DOCUMENT_URL_TTL_SECONDS: parseInt(process.env.DOCUMENT_URL_TTL_SECONDS, 10) || 300,
     EMAIL_SERVICE: process.env.EMAIL_SERVICE,
     EMAIL_USER: process.env.EMAIL_USER,
-    EMAIL_PASS: process.env.EMAIL_PASS
+    EMAIL_PASS: process.env.EMAIL_PASS,
+    JOBS_ENABLED: process.env.JOBS_ENABLED !== 'false'
 };
\ No newline at end of file
@@ -150,7 +150,7 @@ const createWalletWithRetry = async (user, requestId, maxRetries = 3) => {
                 return existingWallet;
             }
 
-            wallet = new Wallet({ userId: user._id, balance: 0, accountNumber: user.accountNumber });
+            wallet = new Wallet({ userId: user._id, accountNumber: user.accountNumber });
             await wallet.save({ session });
 
             await session.commitTransaction();
@@ -233,11 +233,11 @@ export const register = async (req, res) => {
             );
         }
 
-        const existingUser = await User.findOne({ $or: [{ email }, { phoneNumber }, { accountNumber: phoneNumber.slice(4) }] }).select('+nin');
+        const existingUser = await User.findOne({ $or: [{ email }, { phoneNumber }] }).select('+nin');
         if (existingUser) {
             logger.warn('User already exists', { requestId, email, phoneNumber });
             return res.status(409).json(
-                errorResponse('Email, phone number, or account number already registered', 409, null, requestId)
+                errorResponse('Email or phone number already registered', 409, null, requestId)
             );
         }
 
@@ -0,0 +1,147 @@
+import beneficiaryService from '../services/beneficiaryService.js';
+import logger from '../utils/logger.js';
+import { successResponse, sendError } from '../utils/response.js';
+
+/**
+ * Beneficiary controller for NEG AI Banking Platform.
+ * Lets users save, list, rename and delete transfer recipients.
+ */
+
+/**
+ * Saves a beneficiary after verifying the account.
+ */
+const createBeneficiary = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const beneficiary = await beneficiaryService.createBeneficiary({
+            ...req.validatedBody,
+            userId: req.user.id,
+            requestId
+        });
+
+        res.status(201).json(
+            successResponse('Beneficiary saved successfully', 201, { beneficiary }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error saving beneficiary', {
+            userId: req.user?.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while saving beneficiary', requestId);
+    }
+};
+
+/**
+ * Lists the user's beneficiaries, ranked by recent or frequent use.
+ */
+const listBeneficiaries = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const beneficiaries = await beneficiaryService.listBeneficiaries({
+            userId: req.user.id,
+            sort: req.validatedQuery?.sort,
+            requestId
+        });
+
+        res.status(200).json(
+            successResponse('Beneficiaries retrieved successfully', 200, { beneficiaries }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error retrieving beneficiaries', {
+            userId: req.user?.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while retrieving beneficiaries', requestId);
+    }
+};
+
+/**
+ * Returns one beneficiary.
+ */
+const getBeneficiary = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const beneficiary = await beneficiaryService.getBeneficiary({
+            userId: req.user.id,
+            id: req.validatedParams.id
+        });
+
+        res.status(200).json(
+            successResponse('Beneficiary retrieved successfully', 200, { beneficiary }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error retrieving beneficiary', {
+            userId: req.user?.id,
+            beneficiaryId: req.params.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while retrieving beneficiary', requestId);
+    }
+};
+
+/**
+ * Renames a beneficiary.
+ */
+const updateBeneficiary = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const beneficiary = await beneficiaryService.updateBeneficiary({
+            userId: req.user.id,
+            id: req.validatedParams.id,
+            nickname: req.validatedBody.nickname,
+            requestId
+        });
+
+        res.status(200).json(
+            successResponse('Beneficiary updated successfully', 200, { beneficiary }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error updating beneficiary', {
+            userId: req.user?.id,
+            beneficiaryId: req.params.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while updating beneficiary', requestId);
+    }
+};
+
+/**
+ * Deletes a beneficiary.
+ */
+const deleteBeneficiary = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        await beneficiaryService.deleteBeneficiary({
+            userId: req.user.id,
+            id: req.validatedParams.id,
+            requestId
+        });
+
+        res.status(200).json(successResponse('Beneficiary deleted successfully', 200, null, requestId));
+    } catch (error) {
+        logger.error('Error deleting beneficiary', {
+            userId: req.user?.id,
+            beneficiaryId: req.params.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while deleting beneficiary', requestId);
+    }
+};
+
+export default {
+    createBeneficiary,
+    listBeneficiaries,
+    getBeneficiary,
+    updateBeneficiary,
+    deleteBeneficiary
+};
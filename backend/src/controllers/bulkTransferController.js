@@ -0,0 +1,176 @@
+import bulkTransferService from '../services/bulkTransferService.js';
+import logger from '../utils/logger.js';
+import { successResponse, sendError } from '../utils/response.js';
+
+/**
+ * Bulk transfer controller for NEG AI Banking Platform.
+ * Accepts CSV or JSON batches, returns a preview with totals and fees, runs confirmed
+ * batches on the queue and serves per-row status and a CSV result file.
+ */
+
+/**
+ * Validates an uploaded batch and returns its preview.
+ */
+const createBulkTransfer = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const { rows, format, label } = req.validatedBody;
+        const result = await bulkTransferService.createBulkTransfer({
+            userId: req.user.id,
+            rows,
+            format,
+            label,
+            requestId
+        });
+
+        res.status(201).json(
+            successResponse('Bulk transfer preview created', 201, result, requestId)
+        );
+    } catch (error) {
+        logger.error('Error creating bulk transfer', {
+            userId: req.user?.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while creating bulk transfer', requestId);
+    }
+};
+
+/**
+ * Lists the user's bulk transfers.
+ */
+const listBulkTransfers = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const bulkTransfers = await bulkTransferService.listBulkTransfers({ userId: req.user.id, requestId });
+
+        res.status(200).json(
+            successResponse('Bulk transfers retrieved successfully', 200, { bulkTransfers }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error retrieving bulk transfers', {
+            userId: req.user?.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while retrieving bulk transfers', requestId);
+    }
+};
+
+/**
+ * Returns a bulk transfer with the status of every row.
+ */
+const getBulkTransfer = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const result = await bulkTransferService.getBulkTransfer({
+            userId: req.user.id,
+            id: req.validatedParams.id
+        });
+
+        res.status(200).json(
+            successResponse('Bulk transfer retrieved successfully', 200, result, requestId)
+        );
+    } catch (error) {
+        logger.error('Error retrieving bulk transfer', {
+            userId: req.user?.id,
+            bulkTransferId: req.params.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while retrieving bulk transfer', requestId);
+    }
+};
+
+/**
+ * Confirms a preview and queues its valid rows.
+ */
+const confirmBulkTransfer = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const bulkTransfer = await bulkTransferService.confirmBulkTransfer({
+            userId: req.user.id,
+            id: req.validatedParams.id,
+            requestId
+        });
+
+        res.status(202).json(
+            successResponse('Bulk transfer queued', 202, { bulkTransfer }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error confirming bulk transfer', {
+            userId: req.user?.id,
+            bulkTransferId: req.params.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while confirming bulk transfer', requestId);
+    }
+};
+
+/**
+ * Cancels a preview, or the rows of a running batch that have not started.
+ */
+const cancelBulkTransfer = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const bulkTransfer = await bulkTransferService.cancelBulkTransfer({
+            userId: req.user.id,
+            id: req.validatedParams.id,
+            requestId
+        });
+
+        res.status(200).json(
+            successResponse('Bulk transfer cancelled', 200, { bulkTransfer }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error cancelling bulk transfer', {
+            userId: req.user?.id,
+            bulkTransferId: req.params.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while cancelling bulk transfer', requestId);
+    }
+};
+
+/**
+ * Downloads the per-row result file as CSV.
+ */
+const downloadBulkTransferResult = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const { filename, csv } = await bulkTransferService.buildResultFile({
+            userId: req.user.id,
+            id: req.validatedParams.id
+        });
+
+        res.status(200)
+            .type('text/csv')
+            .attachment(filename)
+            .send(csv);
+    } catch (error) {
+        logger.error('Error building bulk transfer result file', {
+            userId: req.user?.id,
+            bulkTransferId: req.params.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while building bulk transfer result file', requestId);
+    }
+};
+
+export default {
+    createBulkTransfer,
+    listBulkTransfers,
+    getBulkTransfer,
+    confirmBulkTransfer,
+    cancelBulkTransfer,
+    downloadBulkTransferResult
+};
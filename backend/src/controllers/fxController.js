@@ -0,0 +1,75 @@
+import fxService from '../services/fxService.js';
+import logger from '../utils/logger.js';
+import { successResponse, sendError } from '../utils/response.js';
+import { toBalanceResponse, toMinor } from '../utils/money.js';
+
+/**
+ * FX controller for NEG AI Banking Platform.
+ * Lets customers quote and execute conversions between their currency sub-wallets.
+ */
+
+/**
+ * Quotes a conversion; the amount is in major units of the currency sold.
+ */
+const createQuote = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const { from, to, amount } = req.validatedBody;
+        const quote = await fxService.createQuote({
+            userId: req.user.id,
+            from,
+            to,
+            amount: toMinor(amount, from),
+            requestId
+        });
+
+        res.status(201).json(
+            successResponse('Conversion quote created', 201, { quote }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error creating FX quote', {
+            userId: req.user?.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while creating conversion quote', requestId);
+    }
+};
+
+/**
+ * Executes a quote before it expires.
+ */
+const executeQuote = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const { quote, debitTransaction, creditTransaction, balances } = await fxService.executeQuote({
+            userId: req.user.id,
+            quoteId: req.validatedBody.quoteId,
+            requestId
+        });
+
+        res.status(200).json(
+            successResponse('Conversion completed', 200, {
+                quote,
+                debitReference: debitTransaction.reference,
+                creditReference: creditTransaction.reference,
+                balances: Object.entries(balances).map(([currency, balance]) => toBalanceResponse(balance, currency))
+            }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error executing FX quote', {
+            userId: req.user?.id,
+            quoteId: req.validatedBody?.quoteId,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while converting funds', requestId);
+    }
+};
+
+export default {
+    createQuote,
+    executeQuote
+};
@@ -0,0 +1,117 @@
+import holdService from '../services/holdService.js';
+import logger from '../utils/logger.js';
+import { successResponse, sendError } from '../utils/response.js';
+import { toMinor } from '../utils/money.js';
+
+/**
+ * Hold controller for NEG AI Banking Platform.
+ * Lets admins place and release holds and liens on wallets, and lets customers see the
+ * holds on their own wallet.
+ */
+
+/**
+ * Places a hold on a wallet.
+ */
+const placeHold = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const hold = await holdService.placeHold({
+            ...req.validatedBody,
+            amount: toMinor(req.validatedBody.amount),
+            createdBy: req.user.id,
+            requestId
+        });
+
+        res.status(201).json(
+            successResponse('Hold placed successfully', 201, { hold }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error placing hold', {
+            adminId: req.user?.id,
+            accountNumber: req.validatedBody?.accountNumber,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while placing hold', requestId);
+    }
+};
+
+/**
+ * Lists holds, optionally by wallet account number or status.
+ */
+const listHolds = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const holds = await holdService.listHolds(req.validatedQuery);
+
+        res.status(200).json(
+            successResponse('Holds retrieved successfully', 200, { holds }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error retrieving holds', {
+            adminId: req.user?.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while retrieving holds', requestId);
+    }
+};
+
+/**
+ * Releases an active hold.
+ */
+const releaseHold = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const hold = await holdService.releaseHold({
+            id: req.validatedParams.id,
+            releasedBy: req.user.id,
+            reason: req.validatedBody?.reason,
+            requestId
+        });
+
+        res.status(200).json(
+            successResponse('Hold released successfully', 200, { hold }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error releasing hold', {
+            adminId: req.user?.id,
+            holdId: req.validatedParams?.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while releasing hold', requestId);
+    }
+};
+
+/**
+ * Lists the active holds on the user's own wallet.
+ */
+const listMyHolds = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const holds = await holdService.listActiveHoldsForUser(req.user.id);
+
+        res.status(200).json(
+            successResponse('Holds retrieved successfully', 200, { holds }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error retrieving wallet holds', {
+            userId: req.user?.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while retrieving holds', requestId);
+    }
+};
+
+export default {
+    placeHold,
+    listHolds,
+    releaseHold,
+    listMyHolds
+};
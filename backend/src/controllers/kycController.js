@@ -0,0 +1,188 @@
+import kycService from '../services/kycService.js';
+import logger from '../utils/logger.js';
+import { successResponse, sendError } from '../utils/response.js';
+
+/**
+ * KYC controller for NEG AI Banking Platform.
+ * Lets customers submit identity checks (NIN, BVN and ID documents) and follow their progress,
+ * and gives admins signed links to uploaded documents.
+ */
+
+/**
+ * Submits the customer's NIN, with their date of birth and address, and returns the
+ * outcome of the automatic check.
+ */
+const submitNin = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const { nin, dateOfBirth, address } = req.validatedBody;
+        const { submission, kycTier } = await kycService.submitNin({
+            userId: req.user.id,
+            nin,
+            dateOfBirth,
+            address,
+            requestId
+        });
+
+        const messages = {
+            approved: `NIN verified; you are now on Tier ${kycTier}`,
+            rejected: 'NIN could not be verified',
+            pending: 'NIN submitted for review'
+        };
+        res.status(201).json(
+            successResponse(messages[submission.status], 201, { submission, kycTier }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error submitting NIN', {
+            userId: req.user?.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while submitting NIN', requestId);
+    }
+};
+
+/**
+ * Submits the customer's BVN, with their date of birth, and returns the outcome of the
+ * automatic check.
+ */
+const submitBvn = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const { bvn, dateOfBirth } = req.validatedBody;
+        const result = await kycService.submitBvn({
+            userId: req.user.id,
+            bvn,
+            dateOfBirth,
+            requestId
+        });
+
+        const messages = {
+            approved: 'BVN verified',
+            rejected: 'BVN could not be verified',
+            pending: 'BVN submitted for review'
+        };
+        res.status(201).json(
+            successResponse(messages[result.submission.status], 201, result, requestId)
+        );
+    } catch (error) {
+        logger.error('Error submitting BVN', {
+            userId: req.user?.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while submitting BVN', requestId);
+    }
+};
+
+/**
+ * Submits a photo of an ID document (front, and optionally back) as a multipart upload,
+ * for review towards Tier 3.
+ */
+const submitDocument = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const { documentType, documentNumber } = req.validatedBody;
+        const { submission, kycTier } = await kycService.submitDocument({
+            userId: req.user.id,
+            documentType,
+            documentNumber,
+            files: req.files || {},
+            requestId
+        });
+
+        res.status(201).json(
+            successResponse('ID document submitted for review', 201, { submission, kycTier }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error submitting ID document', {
+            userId: req.user?.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while submitting ID document', requestId);
+    }
+};
+
+/**
+ * Serves a document from local document storage through a signed link. The link is the
+ * only credential, so no authentication is required.
+ */
+const openDocument = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const { key } = req.validatedParams;
+        const { expires, signature } = req.validatedQuery;
+        const { buffer, mimeType } = await kycService.openDocument({ key, expires, signature });
+
+        res.set({ 'Content-Type': mimeType, 'Cache-Control': 'private, no-store' });
+        res.status(200).send(buffer);
+    } catch (error) {
+        logger.warn('Error opening KYC document', {
+            requestId,
+            error: error.message
+        });
+        sendError(res, error, 'Internal server error while opening document', requestId);
+    }
+};
+
+/**
+ * Returns signed, short-lived links to a submission's document images (admin only).
+ */
+const getDocumentUrls = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const result = await kycService.getDocumentUrls({
+            submissionId: req.validatedParams.id,
+            adminId: req.user.id,
+            requestId
+        });
+
+        res.status(200).json(
+            successResponse('Document links issued', 200, result, requestId)
+        );
+    } catch (error) {
+        logger.error('Error issuing KYC document links', {
+            adminId: req.user?.id,
+            submissionId: req.params.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while issuing document links', requestId);
+    }
+};
+
+/**
+ * Returns the customer's KYC tier and the status of their submissions.
+ */
+const getStatus = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const status = await kycService.getStatus({ userId: req.user.id });
+
+        res.status(200).json(
+            successResponse('KYC status retrieved successfully', 200, status, requestId)
+        );
+    } catch (error) {
+        logger.error('Error retrieving KYC status', {
+            userId: req.user?.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while retrieving KYC status', requestId);
+    }
+};
+
+export default {
+    submitNin,
+    submitBvn,
+    submitDocument,
+    openDocument,
+    getDocumentUrls,
+    getStatus
+};
@@ -0,0 +1,205 @@
+import kycReviewService from '../services/kycReviewService.js';
+import logger from '../utils/logger.js';
+import { successResponse, sendError } from '../utils/response.js';
+
+/**
+ * KYC review controller for NEG AI Banking Platform.
+ * Lets admins work the KYC review queue: list submissions, claim one, and approve it,
+ * reject it or ask the customer for more information.
+ */
+
+/**
+ * Lists KYC submissions, pending by default and oldest first.
+ */
+const listSubmissions = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const submissions = await kycReviewService.listSubmissions({
+            ...req.validatedQuery,
+            adminId: req.user.id
+        });
+
+        res.status(200).json(
+            successResponse('KYC submissions retrieved successfully', 200, { submissions }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error retrieving KYC submissions', {
+            adminId: req.user?.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while retrieving KYC submissions', requestId);
+    }
+};
+
+/**
+ * Returns one KYC submission with its verification result and history.
+ */
+const getSubmission = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const submission = await kycReviewService.getSubmission(req.validatedParams.id);
+
+        res.status(200).json(
+            successResponse('KYC submission retrieved successfully', 200, { submission }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error retrieving KYC submission', {
+            adminId: req.user?.id,
+            submissionId: req.validatedParams?.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while retrieving KYC submission', requestId);
+    }
+};
+
+/**
+ * Claims a pending KYC submission for the admin.
+ */
+const claimSubmission = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const submission = await kycReviewService.claimSubmission({
+            id: req.validatedParams.id,
+            adminId: req.user.id,
+            requestId
+        });
+
+        res.status(200).json(
+            successResponse('KYC submission claimed', 200, { submission }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error claiming KYC submission', {
+            adminId: req.user?.id,
+            submissionId: req.validatedParams?.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while claiming KYC submission', requestId);
+    }
+};
+
+/**
+ * Releases the admin's claim on a KYC submission.
+ */
+const releaseSubmission = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const submission = await kycReviewService.releaseSubmission({
+            id: req.validatedParams.id,
+            adminId: req.user.id,
+            requestId
+        });
+
+        res.status(200).json(
+            successResponse('KYC submission released', 200, { submission }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error releasing KYC submission', {
+            adminId: req.user?.id,
+            submissionId: req.validatedParams?.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while releasing KYC submission', requestId);
+    }
+};
+
+/**
+ * Approves a claimed KYC submission and raises the customer's tier.
+ */
+const approveSubmission = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const result = await kycReviewService.approveSubmission({
+            id: req.validatedParams.id,
+            adminId: req.user.id,
+            note: req.validatedBody?.note,
+            requestId
+        });
+
+        res.status(200).json(
+            successResponse('KYC submission approved', 200, result, requestId)
+        );
+    } catch (error) {
+        logger.error('Error approving KYC submission', {
+            adminId: req.user?.id,
+            submissionId: req.validatedParams?.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while approving KYC submission', requestId);
+    }
+};
+
+/**
+ * Rejects a claimed KYC submission with a reason code.
+ */
+const rejectSubmission = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const submission = await kycReviewService.rejectSubmission({
+            ...req.validatedBody,
+            id: req.validatedParams.id,
+            adminId: req.user.id,
+            requestId
+        });
+
+        res.status(200).json(
+            successResponse('KYC submission rejected', 200, { submission }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error rejecting KYC submission', {
+            adminId: req.user?.id,
+            submissionId: req.validatedParams?.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while rejecting KYC submission', requestId);
+    }
+};
+
+/**
+ * Sends a claimed KYC submission back to the customer for more information.
+ */
+const requestMoreInfo = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const submission = await kycReviewService.requestMoreInfo({
+            ...req.validatedBody,
+            id: req.validatedParams.id,
+            adminId: req.user.id,
+            requestId
+        });
+
+        res.status(200).json(
+            successResponse('More information requested from the customer', 200, { submission }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error requesting more KYC information', {
+            adminId: req.user?.id,
+            submissionId: req.validatedParams?.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while requesting more information', requestId);
+    }
+};
+
+export default {
+    listSubmissions,
+    getSubmission,
+    claimSubmission,
+    releaseSubmission,
+    approveSubmission,
+    rejectSubmission,
+    requestMoreInfo
+};
@@ -0,0 +1,52 @@
+import ledgerService from '../services/ledgerService.js';
+import logger from '../utils/logger.js';
+import { successResponse, errorResponse } from '../utils/response.js';
+
+/**
+ * Ledger controller for NEG AI Banking Platform.
+ * Exposes double-entry ledger reports to finance and admin users.
+ */
+
+/**
+ * Returns the trial balance: per-account debits, credits and balances,
+ * whether total debits equal total credits, and any account whose cached
+ * balance disagrees with its postings.
+ */
+const getTrialBalance = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const trialBalance = await ledgerService.getTrialBalance(requestId);
+
+        logger.info('Trial balance retrieved', {
+            userId: req.user.id,
+            balanced: trialBalance.balanced,
+            mismatches: trialBalance.mismatches.length,
+            requestId
+        });
+
+        res.status(200).json(
+            successResponse(
+                trialBalance.balanced && !trialBalance.mismatches.length
+                    ? 'Ledger is balanced'
+                    : 'Ledger is out of balance',
+                200,
+                trialBalance,
+                requestId
+            )
+        );
+    } catch (error) {
+        logger.error('Error retrieving trial balance', {
+            userId: req.user?.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        res.status(500).json(
+            errorResponse('Internal server error during trial balance retrieval', 500, null, requestId)
+        );
+    }
+};
+
+export default {
+    getTrialBalance
+};
@@ -0,0 +1,42 @@
+import limitService from '../services/limitService.js';
+import logger from '../utils/logger.js';
+import { successResponse, errorResponse } from '../utils/response.js';
+
+/**
+ * Limit controller for NEG AI Banking Platform.
+ * Shows customers the limits of their KYC tier and what is left of them today.
+ */
+
+/**
+ * Returns the customer's KYC tier limits and remaining amounts.
+ */
+const getLimits = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const limits = await limitService.getLimits({ userId: req.user.id });
+
+        res.status(200).json(
+            successResponse('Limits retrieved successfully', 200, limits, requestId)
+        );
+    } catch (error) {
+        logger.error('Error retrieving limits', {
+            userId: req.user?.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        const statusCode = error.status || 500;
+        res.status(statusCode).json(
+            errorResponse(
+                statusCode === 500 ? 'Internal server error while retrieving limits' : error.message,
+                statusCode,
+                null,
+                requestId
+            )
+        );
+    }
+};
+
+export default {
+    getLimits
+};
@@ -0,0 +1,84 @@
+import notificationService from '../services/notificationService.js';
+import logger from '../utils/logger.js';
+import { successResponse, sendError } from '../utils/response.js';
+
+/**
+ * Notification controller for NEG AI Banking Platform.
+ * Lets customers read their in-app notifications.
+ */
+
+/**
+ * Lists the customer's notifications, optionally unread only.
+ */
+const listNotifications = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const result = await notificationService.listNotifications({
+            userId: req.user.id,
+            unreadOnly: req.validatedQuery.unread === 'true'
+        });
+
+        res.status(200).json(
+            successResponse('Notifications retrieved successfully', 200, result, requestId)
+        );
+    } catch (error) {
+        logger.error('Error retrieving notifications', {
+            userId: req.user?.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while retrieving notifications', requestId);
+    }
+};
+
+/**
+ * Marks one notification read.
+ */
+const markRead = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const notification = await notificationService.markRead({ userId: req.user.id, id: req.validatedParams.id });
+
+        res.status(200).json(
+            successResponse('Notification marked read', 200, { notification }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error marking notification read', {
+            userId: req.user?.id,
+            notificationId: req.params.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while updating notification', requestId);
+    }
+};
+
+/**
+ * Marks all the customer's notifications read.
+ */
+const markAllRead = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const result = await notificationService.markAllRead({ userId: req.user.id });
+
+        res.status(200).json(
+            successResponse('Notifications marked read', 200, result, requestId)
+        );
+    } catch (error) {
+        logger.error('Error marking notifications read', {
+            userId: req.user?.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while updating notifications', requestId);
+    }
+};
+
+export default {
+    listNotifications,
+    markRead,
+    markAllRead
+};
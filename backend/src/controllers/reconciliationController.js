@@ -0,0 +1,141 @@
+import reconciliationService from '../services/reconciliationService.js';
+import logger from '../utils/logger.js';
+import { successResponse, sendError } from '../utils/response.js';
+
+/**
+ * Reconciliation controller for NEG AI Banking Platform.
+ * Lets admins run reconciliations on demand, review the results and resolve exceptions.
+ */
+
+/**
+ * Runs a reconciliation for a provider and business day, for backfills and re-checks.
+ */
+const runReconciliation = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const run = await reconciliationService.runReconciliation({
+            provider: req.validatedBody.provider,
+            businessDate: req.validatedBody.date,
+            adminId: req.user.id,
+            requestId
+        });
+
+        res.status(201).json(
+            successResponse('Reconciliation completed', 201, { run }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error running reconciliation', {
+            adminId: req.user?.id,
+            provider: req.validatedBody?.provider,
+            businessDate: req.validatedBody?.date,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while running reconciliation', requestId);
+    }
+};
+
+/**
+ * Lists reconciliation runs, optionally by provider or status.
+ */
+const listRuns = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const runs = await reconciliationService.listRuns(req.validatedQuery);
+
+        res.status(200).json(
+            successResponse('Reconciliation runs retrieved successfully', 200, { runs }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error retrieving reconciliation runs', {
+            adminId: req.user?.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while retrieving reconciliation runs', requestId);
+    }
+};
+
+/**
+ * Gets one reconciliation run with its open exception count.
+ */
+const getRun = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const run = await reconciliationService.getRun(req.validatedParams.id);
+
+        res.status(200).json(
+            successResponse('Reconciliation run retrieved successfully', 200, { run }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error retrieving reconciliation run', {
+            adminId: req.user?.id,
+            runId: req.validatedParams?.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while retrieving reconciliation run', requestId);
+    }
+};
+
+/**
+ * Lists reconciliation items; open exceptions by default.
+ */
+const listItems = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const items = await reconciliationService.listItems(req.validatedQuery);
+
+        res.status(200).json(
+            successResponse('Reconciliation items retrieved successfully', 200, { items }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error retrieving reconciliation items', {
+            adminId: req.user?.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while retrieving reconciliation items', requestId);
+    }
+};
+
+/**
+ * Resolves an open reconciliation exception.
+ */
+const resolveItem = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const item = await reconciliationService.resolveItem({
+            id: req.validatedParams.id,
+            adminId: req.user.id,
+            resolution: req.validatedBody.resolution,
+            note: req.validatedBody.note,
+            requestId
+        });
+
+        res.status(200).json(
+            successResponse('Reconciliation item resolved', 200, { item }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error resolving reconciliation item', {
+            adminId: req.user?.id,
+            itemId: req.validatedParams?.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while resolving reconciliation item', requestId);
+    }
+};
+
+export default {
+    runReconciliation,
+    listRuns,
+    getRun,
+    listItems,
+    resolveItem
+};
@@ -0,0 +1,148 @@
+import reversalService from '../services/reversalService.js';
+import logger from '../utils/logger.js';
+import { successResponse, sendError } from '../utils/response.js';
+import { toMinor } from '../utils/money.js';
+
+/**
+ * Reversal controller for NEG AI Banking Platform.
+ * Lets admins request reversals of completed transactions and lets a second admin
+ * approve or reject them.
+ */
+
+/**
+ * Raises a reversal request for a completed transaction.
+ */
+const requestReversal = async (req, res) => {
+    const requestId = req.requestId;
+    const { amount, ...rest } = req.validatedBody;
+    try {
+        const reversal = await reversalService.requestReversal({
+            ...rest,
+            amount: amount === undefined ? undefined : toMinor(amount),
+            adminId: req.user.id,
+            requestId
+        });
+
+        res.status(201).json(
+            successResponse('Reversal requested and awaiting approval', 201, { reversal }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error requesting reversal', {
+            adminId: req.user?.id,
+            reference: rest.reference,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while requesting reversal', requestId);
+    }
+};
+
+/**
+ * Lists reversals, optionally by status or original reference.
+ */
+const listReversals = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const reversals = await reversalService.listReversals(req.validatedQuery);
+
+        res.status(200).json(
+            successResponse('Reversals retrieved successfully', 200, { reversals }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error retrieving reversals', {
+            adminId: req.user?.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while retrieving reversals', requestId);
+    }
+};
+
+/**
+ * Returns one reversal.
+ */
+const getReversal = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const reversal = await reversalService.getReversal(req.validatedParams.id);
+
+        res.status(200).json(
+            successResponse('Reversal retrieved successfully', 200, { reversal }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error retrieving reversal', {
+            adminId: req.user?.id,
+            reversalId: req.validatedParams?.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while retrieving reversal', requestId);
+    }
+};
+
+/**
+ * Approves and posts a reversal requested by another admin.
+ */
+const approveReversal = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const reversal = await reversalService.approveReversal({
+            id: req.validatedParams.id,
+            adminId: req.user.id,
+            note: req.validatedBody?.note,
+            requestId
+        });
+
+        res.status(200).json(
+            successResponse('Reversal approved and posted', 200, { reversal }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error approving reversal', {
+            adminId: req.user?.id,
+            reversalId: req.validatedParams?.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while approving reversal', requestId);
+    }
+};
+
+/**
+ * Rejects a reversal requested by another admin.
+ */
+const rejectReversal = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const reversal = await reversalService.rejectReversal({
+            id: req.validatedParams.id,
+            adminId: req.user.id,
+            note: req.validatedBody.note,
+            requestId
+        });
+
+        res.status(200).json(
+            successResponse('Reversal rejected', 200, { reversal }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error rejecting reversal', {
+            adminId: req.user?.id,
+            reversalId: req.validatedParams?.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while rejecting reversal', requestId);
+    }
+};
+
+export default {
+    requestReversal,
+    listReversals,
+    getReversal,
+    approveReversal,
+    rejectReversal
+};
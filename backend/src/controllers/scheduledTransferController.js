@@ -0,0 +1,108 @@
+import scheduledTransferService from '../services/scheduledTransferService.js';
+import beneficiaryService from '../services/beneficiaryService.js';
+import logger from '../utils/logger.js';
+import { successResponse, sendError } from '../utils/response.js';
+import { toMinor } from '../utils/money.js';
+
+/**
+ * Scheduled transfer controller for NEG AI Banking Platform.
+ * Lets users schedule a transfer for a future date, see their schedule, and cancel
+ * transfers that have not run yet. Amounts arrive in naira and are stored in kobo.
+ */
+
+/**
+ * Schedules a transfer to run at a future date.
+ */
+const createScheduledTransfer = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const { amount, description, runAt } = req.validatedBody;
+        const recipient = await beneficiaryService.resolveRecipient({ ...req.validatedBody, userId: req.user.id });
+
+        const scheduledTransfer = await scheduledTransferService.createScheduledTransfer({
+            ...recipient,
+            userId: req.user.id,
+            amount: toMinor(amount),
+            description,
+            runAt,
+            requestId
+        });
+
+        res.status(201).json(
+            successResponse('Transfer scheduled successfully', 201, { scheduledTransfer }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error scheduling transfer', {
+            userId: req.user?.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while scheduling transfer', requestId);
+    }
+};
+
+/**
+ * Lists the user's scheduled transfers.
+ */
+const listScheduledTransfers = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const scheduledTransfers = await scheduledTransferService.listScheduledTransfers({
+            userId: req.user.id,
+            status: req.validatedQuery?.status,
+            requestId
+        });
+
+        logger.info('Scheduled transfers retrieved', {
+            userId: req.user.id,
+            count: scheduledTransfers.length,
+            requestId
+        });
+
+        res.status(200).json(
+            successResponse('Scheduled transfers retrieved successfully', 200, { scheduledTransfers }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error retrieving scheduled transfers', {
+            userId: req.user?.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while retrieving scheduled transfers', requestId);
+    }
+};
+
+/**
+ * Cancels a scheduled transfer that has not run yet.
+ */
+const cancelScheduledTransfer = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const scheduledTransfer = await scheduledTransferService.cancelScheduledTransfer({
+            userId: req.user.id,
+            id: req.validatedParams.id,
+            requestId
+        });
+
+        res.status(200).json(
+            successResponse('Scheduled transfer cancelled', 200, { scheduledTransfer }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error cancelling scheduled transfer', {
+            userId: req.user?.id,
+            scheduledTransferId: req.params.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while cancelling scheduled transfer', requestId);
+    }
+};
+
+export default {
+    createScheduledTransfer,
+    listScheduledTransfers,
+    cancelScheduledTransfer
+};
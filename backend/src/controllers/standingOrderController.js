@@ -0,0 +1,152 @@
+import standingOrderService from '../services/standingOrderService.js';
+import beneficiaryService from '../services/beneficiaryService.js';
+import logger from '../utils/logger.js';
+import { successResponse, sendError } from '../utils/response.js';
+import { toMinor } from '../utils/money.js';
+
+/**
+ * Standing order controller for NEG AI Banking Platform.
+ * Lets users set up recurring transfers, pause, resume or cancel them, and see every
+ * run of an order. Amounts arrive in naira and are stored in kobo.
+ */
+
+/**
+ * Creates a standing order.
+ */
+const createStandingOrder = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const { amount, description, frequency, cronExpression, startDate, endDate, maxRuns, catchUpPolicy } = req.validatedBody;
+        const recipient = await beneficiaryService.resolveRecipient({ ...req.validatedBody, userId: req.user.id });
+
+        const standingOrder = await standingOrderService.createStandingOrder({
+            ...recipient,
+            userId: req.user.id,
+            description,
+            frequency,
+            cronExpression,
+            startDate,
+            endDate,
+            maxRuns,
+            catchUpPolicy,
+            amount: toMinor(amount),
+            requestId
+        });
+
+        res.status(201).json(
+            successResponse('Standing order created successfully', 201, { standingOrder }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error creating standing order', {
+            userId: req.user?.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while creating standing order', requestId);
+    }
+};
+
+/**
+ * Lists the user's standing orders.
+ */
+const listStandingOrders = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const standingOrders = await standingOrderService.listStandingOrders({
+            userId: req.user.id,
+            status: req.validatedQuery?.status,
+            requestId
+        });
+
+        logger.info('Standing orders retrieved', {
+            userId: req.user.id,
+            count: standingOrders.length,
+            requestId
+        });
+
+        res.status(200).json(
+            successResponse('Standing orders retrieved successfully', 200, { standingOrders }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error retrieving standing orders', {
+            userId: req.user?.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while retrieving standing orders', requestId);
+    }
+};
+
+/**
+ * Returns a standing order with its run history.
+ */
+const getStandingOrderExecutions = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const { before, limit } = req.validatedQuery || {};
+        const result = await standingOrderService.getStandingOrderExecutions({
+            userId: req.user.id,
+            id: req.validatedParams.id,
+            before,
+            limit,
+            requestId
+        });
+
+        res.status(200).json(
+            successResponse('Standing order history retrieved successfully', 200, result, requestId)
+        );
+    } catch (error) {
+        logger.error('Error retrieving standing order history', {
+            userId: req.user?.id,
+            standingOrderId: req.params.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while retrieving standing order history', requestId);
+    }
+};
+
+/**
+ * Builds a handler that applies a status change (pause, resume, cancel) to an order.
+ * @param {Function} change - Service function taking { userId, id, requestId }
+ * @param {string} successMessage - Message for the response
+ * @param {string} action - Verb used in logs and error messages
+ * @returns {Function} Express handler
+ */
+const changeStatus = (change, successMessage, action) => async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const standingOrder = await change({
+            userId: req.user.id,
+            id: req.validatedParams.id,
+            requestId
+        });
+
+        res.status(200).json(successResponse(successMessage, 200, { standingOrder }, requestId));
+    } catch (error) {
+        logger.error(`Error trying to ${action} standing order`, {
+            userId: req.user?.id,
+            standingOrderId: req.params.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, `Internal server error while trying to ${action} standing order`, requestId);
+    }
+};
+
+const pauseStandingOrder = changeStatus(standingOrderService.pauseStandingOrder, 'Standing order paused', 'pause');
+const resumeStandingOrder = changeStatus(standingOrderService.resumeStandingOrder, 'Standing order resumed', 'resume');
+const cancelStandingOrder = changeStatus(standingOrderService.cancelStandingOrder, 'Standing order cancelled', 'cancel');
+
+export default {
+    createStandingOrder,
+    listStandingOrders,
+    getStandingOrderExecutions,
+    pauseStandingOrder,
+    resumeStandingOrder,
+    cancelStandingOrder
+};
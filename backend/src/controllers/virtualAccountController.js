@@ -0,0 +1,60 @@
+import virtualAccountService from '../services/virtualAccountService.js';
+import logger from '../utils/logger.js';
+import { successResponse, sendError } from '../utils/response.js';
+
+/**
+ * Virtual account controller for NEG AI Banking Platform.
+ * Lets customers see and request the static bank account number that funds their wallet.
+ */
+
+/**
+ * Returns the customer's virtual account, if they have one, and whether they can request one.
+ */
+const getVirtualAccount = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const result = await virtualAccountService.getVirtualAccount({ userId: req.user.id });
+
+        res.status(200).json(
+            successResponse('Virtual account retrieved successfully', 200, result, requestId)
+        );
+    } catch (error) {
+        logger.error('Error retrieving virtual account', {
+            userId: req.user?.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while retrieving virtual account', requestId);
+    }
+};
+
+/**
+ * Creates the customer's virtual account, or returns the one they already have.
+ */
+const provisionVirtualAccount = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const virtualAccount = await virtualAccountService.provisionVirtualAccount({
+            userId: req.user.id,
+            requestId
+        });
+
+        res.status(200).json(
+            successResponse('Virtual account ready', 200, { virtualAccount }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error creating virtual account', {
+            userId: req.user?.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while creating virtual account', requestId);
+    }
+};
+
+export default {
+    getVirtualAccount,
+    provisionVirtualAccount
+};
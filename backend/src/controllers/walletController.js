@@ -1,14 +1,31 @@
 import { z } from 'zod';
 import { v4 as uuidv4 } from 'uuid';
 import walletService from '../services/walletService.js';
+import transactionService from '../services/transactionService.js';
+import beneficiaryService from '../services/beneficiaryService.js';
+import webhookService from '../services/webhookService.js';
+import limitService from '../services/limitService.js';
 import { User } from '../models/User.js';
 import { Wallet } from '../models/Wallet.js';
+import { Transaction } from '../models/Transaction.js';
 import logger from '../utils/logger.js';
 import { successResponse, errorResponse } from '../utils/response.js';
+import { referenceIdFromKey } from '../utils/idempotency.js';
+import { PROVIDERS, getProvider } from '../providers/index.js';
+import {
+    DEFAULT_CURRENCY,
+    majorAmountSchema,
+    toBalanceResponse,
+    toMajor,
+    toMinor,
+    toMoneyResponse
+} from '../utils/money.js';
 
 /**
  * Wallet controller for NEG AI Banking Platform.
- * Handles funding, verification, internal/external transfers, bank account verification, and balance checks with fraud detection.
+ * Handles funding, verification, internal/external transfers, bank account verification, balance checks, and transaction history with fraud detection.
+ * Request and response amounts are naira; they are converted to kobo before reaching the services.
+ * Funding and transfer amounts are capped by the user's KYC tier (see limitService).
  */
 
 /**
@@ -48,16 +65,23 @@ const verifyBankAccount = async (req, res) => {
             userId: req.user.id,
             accountNumber,
             bankCode,
-            accountName: verificationData.account_name,
-            bankName: verificationData.bank_name,
+            accountName: verificationData.accountName,
+            bankName: verificationData.bankName,
             requestId
         });
 
         res.status(200).json(
-            successResponse(`Bank account verified successfully at ${verificationData.bank_name}`, 200, {
-                accountName: verificationData.account_name,
-                bankName: verificationData.bank_name
-            }, requestId)
+            successResponse(
+                verificationData.bankName
+                    ? `Bank account verified successfully at ${verificationData.bankName}`
+                    : 'Bank account verified successfully',
+                200,
+                {
+                    accountName: verificationData.accountName,
+                    bankName: verificationData.bankName
+                },
+                requestId
+            )
         );
     } catch (error) {
         logger.error('Error verifying bank account', {
@@ -73,7 +97,7 @@ const verifyBankAccount = async (req, res) => {
 };
 
 /**
- * Funds wallet via Flutterwave.
+ * Funds wallet through the payment provider routed for funding.
  */
 const fundWallet = async (req, res) => {
     const requestId = req.requestId;
@@ -86,7 +110,7 @@ const fundWallet = async (req, res) => {
 
         const input = req.validatedBody || req.body || {};
         const fundSchema = z.object({
-            amount: z.number().positive('Amount must be positive').max(1000000, 'Amount cannot exceed NGN 1,000,000'),
+            amount: majorAmountSchema(),
             accountNumber: z.string().regex(/^\d{10}$/, 'Account number must be 10 digits')
         });
         const result = fundSchema.safeParse(input);
@@ -105,18 +129,6 @@ const fundWallet = async (req, res) => {
 
         const { amount, accountNumber } = result.data;
 
-        if (amount > 1000000) {
-            logger.warn('Funding amount exceeds limit', {
-                userId: req.user.id,
-                amount,
-                accountNumber,
-                requestId
-            });
-            return res.status(400).json(
-                errorResponse('Funding amount cannot exceed NGN 1,000,000', 400, null, requestId)
-            );
-        }
-
         const user = await User.findById(req.user.id);
         if (!user) {
             logger.warn('User not found for funding', { userId: req.user.id, requestId });
@@ -125,7 +137,7 @@ const fundWallet = async (req, res) => {
             );
         }
 
-        if (user.accountNumber !== accountNumber) {
+        if (!user.hasAccountNumber(accountNumber)) {
             logger.warn('Account number mismatch for funding', {
                 userId: user._id,
                 providedAccountNumber: accountNumber,
@@ -137,35 +149,42 @@ const fundWallet = async (req, res) => {
             );
         }
 
-        const wallet = await Wallet.findOne({ userId: req.user.id });
+        let wallet = await Wallet.findOne({ userId: req.user.id });
         if (!wallet) {
             logger.warn('Wallet not found for funding, creating new wallet', { userId: req.user.id, requestId });
-            const newWallet = new Wallet({ userId: req.user.id, balance: 0, accountNumber: user.accountNumber });
-            await newWallet.save();
+            wallet = new Wallet({ userId: req.user.id, accountNumber: user.accountNumber });
+            await wallet.save();
         }
 
-        const reference = `FUND-${uuidv4()}`;
-        const paymentData = await walletService.initiateFlutterwavePayment(
+        await limitService.checkFunding({ userId: req.user.id, amount: toMinor(amount), requestId });
+
+        // A retried request with the same Idempotency-Key reuses the same payment reference
+        const reference = req.idempotencyKey
+            ? `FUND-${referenceIdFromKey(req.user.id, req.idempotencyKey)}`
+            : `FUND-${uuidv4()}`;
+        const payment = await walletService.initiatePayment({
             user,
-            amount,
+            amount: toMinor(amount),
             reference,
-            requestId,
-            accountNumber
-        );
+            accountNumber,
+            requestId
+        });
 
         logger.info('Wallet funding initiated', {
             userId: req.user.id,
             accountNumber: user.accountNumber,
             amount,
+            provider: payment.provider,
             reference,
             requestId
         });
 
         res.status(200).json(
             successResponse('Payment initiated successfully', 200, {
-                paymentUrl: paymentData.data.link,
+                paymentUrl: payment.link,
+                provider: payment.provider,
                 reference,
-                walletId: wallet?._id || newWallet._id
+                walletId: wallet._id
             }, requestId)
         );
     } catch (error) {
@@ -175,21 +194,29 @@ const fundWallet = async (req, res) => {
             error: error.message,
             stack: error.stack
         });
-        res.status(500).json(
-            errorResponse('Internal server error during funding', 500, null, requestId)
+        // A KYC limit rejection is a 403 naming the limit
+        const statusCode = error.status || 500;
+        res.status(statusCode).json(
+            errorResponse(
+                statusCode === 500 ? 'Internal server error during funding' : error.message,
+                statusCode,
+                error.details || null,
+                requestId
+            )
         );
     }
 };
 
 /**
- * Verifies Flutterwave payment and credits wallet.
+ * Verifies a payment with the provider that took it and credits the wallet.
  */
 const verifyPayment = async (req, res) => {
     const requestId = req.requestId;
     try {
         const input = req.validatedBody || req.body || {};
         const verifySchema = z.object({
-            transactionId: z.string().min(1, 'Transaction ID is required'),
+            provider: z.enum(PROVIDERS).default('flutterwave'),
+            transactionId: z.string().min(1, 'Transaction ID is required').optional(),
             reference: z.string().min(1, 'Reference is required')
         });
         const result = verifySchema.safeParse(input);
@@ -206,10 +233,10 @@ const verifyPayment = async (req, res) => {
             );
         }
 
-        const { transactionId, reference } = result.data;
+        const { provider, transactionId, reference } = result.data;
         const userId = req.user.id;
 
-        const wallet = await Wallet.findOne({ userId }).select('+balance');
+        const wallet = await Wallet.findOne({ userId });
         if (!wallet) {
             logger.warn('Wallet not found for verification', { userId, requestId });
             return res.status(404).json(
@@ -217,9 +244,7 @@ const verifyPayment = async (req, res) => {
             );
         }
 
-        const existingTransaction = wallet.ledger.find(
-            (tx) => tx.reference === reference
-        );
+        const existingTransaction = await Transaction.exists({ reference });
         if (existingTransaction) {
             logger.warn('Duplicate transaction verification attempted', {
                 userId,
@@ -231,45 +256,61 @@ const verifyPayment = async (req, res) => {
             );
         }
 
-        const verificationData = await walletService.verifyFlutterwavePayment(
-            transactionId,
-            requestId
-        );
+        const payment = await walletService.verifyPayment({ provider, transactionId, reference, requestId });
 
-        if (verificationData.status !== 'success') {
+        if (payment.status !== 'successful') {
             logger.warn('Payment verification failed', {
                 userId,
+                provider,
                 transactionId,
                 reference,
                 requestId,
-                verificationStatus: verificationData.status
+                verificationStatus: payment.status
             });
             return res.status(400).json(
                 errorResponse('Payment verification failed', 400, null, requestId)
             );
         }
 
-        const amount = verificationData.data.amount;
-        if (amount > 1000000) {
-            logger.warn('Verified amount exceeds limit', {
+        // A transaction ID from someone else's payment must not credit this reference
+        if (payment.reference !== reference) {
+            logger.warn('Verified payment reference does not match', {
                 userId,
-                amount,
+                provider,
+                transactionId,
                 reference,
+                verifiedReference: payment.reference,
                 requestId
             });
             return res.status(400).json(
-                errorResponse('Verified amount exceeds NGN 1,000,000', 400, null, requestId)
+                errorResponse('Payment reference does not match', 400, null, requestId)
             );
         }
 
-        const { wallet: updatedWallet } = await walletService.creditWallet({
+        const currency = payment.currency || DEFAULT_CURRENCY;
+        if (currency !== DEFAULT_CURRENCY) {
+            logger.warn('Verified payment currency not supported', {
+                userId,
+                currency,
+                reference,
+                requestId
+            });
+            return res.status(400).json(
+                errorResponse(`Payments in ${currency} are not supported`, 400, null, requestId)
+            );
+        }
+
+        // KYC limits were checked when the payment was initiated; money received is credited
+        const amount = payment.amount;
+        const { balance } = await walletService.creditWallet({
             userId,
             amount,
             reference,
-            source: 'flutterwave',
-            description: 'Wallet funding via Flutterwave',
+            source: provider,
+            provider,
+            description: `Wallet funding via ${getProvider(provider).label}`,
             requestId,
-            flutterwaveTxId: transactionId
+            providerTxId: payment.id
         });
 
         logger.info('Payment verified and wallet credited', {
@@ -282,8 +323,9 @@ const verifyPayment = async (req, res) => {
 
         res.status(200).json(
             successResponse('Payment verified and wallet credited', 200, {
-                balance: updatedWallet.balance,
-                transactionId,
+                ...toBalanceResponse(balance),
+                provider,
+                transactionId: payment.id,
                 reference
             }, requestId)
         );
@@ -314,8 +356,9 @@ const transferFunds = async (req, res) => {
 
         const input = req.validatedBody || req.body || {};
         const transferSchema = z.object({
-            recipientAccountNumber: z.string().regex(/^\d{10}$/, 'Recipient account number must be 10 digits'),
-            amount: z.number().positive('Amount must be positive').max(500000, 'Amount cannot exceed NGN 500,000'),
+            beneficiaryId: z.string().regex(/^[a-f\d]{24}$/i, 'Invalid beneficiary ID').optional(),
+            recipientAccountNumber: z.string().regex(/^\d{10}$/, 'Recipient account number must be 10 digits').optional(),
+            amount: majorAmountSchema(),
             description: z.string().max(200, 'Description cannot exceed 200 characters').optional(),
             bankCode: z.string().regex(/^\d{3}$/, 'Bank code must be 3 digits').optional(),
             recipientAccountName: z.string().min(1, 'Recipient account name is required').optional(),
@@ -335,9 +378,17 @@ const transferFunds = async (req, res) => {
             );
         }
 
-        const { recipientAccountNumber, amount, description, bankCode, recipientAccountName, recipientBankName } = result.data;
+        const { amount, description } = result.data;
         const senderId = req.user.id;
 
+        // A saved beneficiary stands in for the recipient's account details
+        const {
+            recipientAccountNumber,
+            bankCode,
+            recipientAccountName,
+            recipientBankName
+        } = await beneficiaryService.resolveRecipient({ ...result.data, userId: senderId });
+
         const sender = await User.findById(senderId);
         if (!sender) {
             logger.warn('Sender not found for transfer', { userId: senderId, requestId });
@@ -346,7 +397,7 @@ const transferFunds = async (req, res) => {
             );
         }
 
-        if (recipientAccountNumber === sender.accountNumber) {
+        if (sender.hasAccountNumber(recipientAccountNumber)) {
             logger.warn('Attempt to transfer to self', {
                 userId: senderId,
                 accountNumber: sender.accountNumber,
@@ -358,7 +409,7 @@ const transferFunds = async (req, res) => {
             );
         }
 
-        const senderWallet = await Wallet.findOne({ userId: senderId }).select('+balance');
+        const senderWallet = await Wallet.findOne({ userId: senderId });
         if (!senderWallet) {
             logger.warn('Sender wallet not found', { userId: senderId, requestId });
             return res.status(404).json(
@@ -366,18 +417,21 @@ const transferFunds = async (req, res) => {
             );
         }
 
-        const recipient = await User.findOne({ accountNumber: recipientAccountNumber });
+        const recipient = await User.findByAccountNumber(recipientAccountNumber);
 
         if (recipient) {
             // Internal transfer
-            const { senderTransaction, recipientTransaction } = await walletService.transferFunds({
+            const { senderTransaction, recipientTransaction, balance } = await walletService.transferFunds({
                 senderId,
                 recipientAccountNumber,
-                amount,
+                amount: toMinor(amount),
                 description,
-                requestId
+                requestId,
+                idempotencyKey: req.idempotencyKey
             });
 
+            await beneficiaryService.recordUsage({ userId: senderId, accountNumber: recipientAccountNumber, requestId });
+
             logger.info('Internal transfer completed successfully', {
                 senderId,
                 senderAccountNumber: sender.accountNumber,
@@ -390,19 +444,19 @@ const transferFunds = async (req, res) => {
             res.status(200).json(
                 successResponse('Transfer successful', 200, {
                     senderTransaction: {
-                        amount: senderTransaction.amount,
+                        ...toMoneyResponse(senderTransaction.amount, senderTransaction.currency),
                         reference: senderTransaction.reference,
                         status: senderTransaction.status,
                         target: senderTransaction.target,
                         targetBank: senderTransaction.targetBank
                     },
                     recipientTransaction: {
-                        amount: recipientTransaction.amount,
+                        ...toMoneyResponse(recipientTransaction.amount, recipientTransaction.currency),
                         reference: recipientTransaction.reference,
                         status: recipientTransaction.status,
                         targetBank: recipientTransaction.targetBank
                     },
-                    balance: senderWallet.balance
+                    ...toBalanceResponse(balance)
                 }, requestId)
             );
         } else {
@@ -421,17 +475,20 @@ const transferFunds = async (req, res) => {
                 );
             }
 
-            const { transaction, flutterwaveResponse } = await walletService.initiateExternalTransfer({
+            const { transaction, providerTransfer, balance } = await walletService.initiateExternalTransfer({
                 userId: senderId,
-                amount,
+                amount: toMinor(amount),
                 recipientAccountNumber,
                 recipientBankCode: bankCode,
                 recipientAccountName,
                 recipientBankName,
                 description,
-                requestId
+                requestId,
+                idempotencyKey: req.idempotencyKey
             });
 
+            await beneficiaryService.recordUsage({ userId: senderId, accountNumber: recipientAccountNumber, requestId });
+
             logger.info('External transfer initiated successfully', {
                 senderId,
                 senderAccountNumber: sender.accountNumber,
@@ -446,15 +503,16 @@ const transferFunds = async (req, res) => {
             res.status(200).json(
                 successResponse('External transfer initiated successfully', 200, {
                     transaction: {
-                        amount: transaction.amount,
+                        ...toMoneyResponse(transaction.amount, transaction.currency),
                         reference: transaction.reference,
                         status: transaction.status,
                         target: transaction.target,
                         targetBank: transaction.targetBank,
-                        transferFee: transaction.metadata?.transferFee || 0
+                        transferFee: toMajor(transaction.metadata?.transferFee || 0, transaction.currency)
                     },
-                    flutterwaveTransferId: flutterwaveResponse.data.id,
-                    balance: senderWallet.balance
+                    provider: providerTransfer.provider,
+                    providerTransferId: providerTransfer.id,
+                    ...toBalanceResponse(balance)
                 }, requestId)
             );
         }
@@ -465,220 +523,128 @@ const transferFunds = async (req, res) => {
             error: error.message,
             stack: error.stack
         });
-        res.status(500).json(
-            errorResponse('Internal server error during transfer', 500, null, requestId)
+        // Insufficient balance and KYC limits are client errors; 503 means contention outlasted the retries
+        const statusCode = error.status || 500;
+        res.status(statusCode).json(
+            errorResponse(
+                statusCode === 500 ? 'Internal server error during transfer' : error.message,
+                statusCode,
+                error.details || null,
+                requestId
+            )
         );
     }
 };
 
 /**
- * Handles Flutterwave callback after payment.
+ * Handles the customer's return from a provider's hosted payment page. Nothing is credited
+ * here: the client verifies the payment next.
  */
-const handleFlutterwaveCallback = async (req, res) => {
+const handlePaymentCallback = async (req, res) => {
     const requestId = req.requestId;
+    const provider = req.validatedParams?.provider || 'flutterwave';
     try {
-        const { transaction_id, tx_ref, status } = req.validatedQuery || {};
+        const { transactionId, reference, status } = getProvider(provider).parseCallback(req.validatedQuery || {});
 
-        if (!transaction_id || !tx_ref || !status) {
+        if (!reference) {
             logger.warn('Invalid or missing callback parameters', {
                 requestId,
-                query: req.query,
-                validatedQuery: req.validatedQuery
+                provider,
+                query: req.query
             });
             return res.status(400).json(
                 errorResponse('Invalid or missing callback parameters', 400, null, requestId)
             );
         }
 
-        logger.info('Flutterwave callback received', {
+        logger.info('Payment callback received', {
             requestId,
-            transactionId: transaction_id,
-            reference: tx_ref,
+            provider,
+            transactionId,
+            reference,
             status
         });
 
-        if (status === 'successful') {
-            res.status(200).json(
-                successResponse('Payment callback received. Please verify payment.', 200, {
-                    transactionId: transaction_id,
-                    reference: tx_ref,
-                    nextStep: 'Use /api/wallet/verify-payment with the transactionId and reference'
-                }, requestId)
-            );
-        } else if (status === 'cancelled' || status === 'failed') {
+        if (status === 'cancelled' || status === 'failed') {
             logger.warn('Payment callback indicates failure or cancellation', {
                 requestId,
-                transactionId: transaction_id,
-                reference: tx_ref,
+                provider,
+                transactionId,
+                reference,
                 status
             });
             return res.status(400).json(
                 errorResponse(`Payment ${status}`, 400, null, requestId)
             );
-        } else {
-            logger.warn('Unknown callback status', {
-                requestId,
-                transactionId: transaction_id,
-                reference: tx_ref,
-                status
-            });
-            return res.status(400).json(
-                errorResponse('Unknown callback status', 400, null, requestId)
-            );
         }
+
+        res.status(200).json(
+            successResponse('Payment callback received. Please verify payment.', 200, {
+                provider,
+                transactionId,
+                reference,
+                nextStep: 'Use /api/wallet/verify-payment with the provider, reference and transactionId'
+            }, requestId)
+        );
     } catch (error) {
-        logger.error('Error handling Flutterwave callback', {
+        logger.error('Error handling payment callback', {
             requestId,
+            provider,
             error: error.message,
             stack: error.stack
         });
-        res.status(500).json(
-            errorResponse('Internal server error during callback handling', 500, null, requestId)
+        const statusCode = error.status || 500;
+        res.status(statusCode).json(
+            errorResponse(
+                statusCode === 500 ? 'Internal server error during callback handling' : error.message,
+                statusCode,
+                null,
+                requestId
+            )
         );
     }
 };
 
 /**
- * Handles Flutterwave webhook for payment and transfer events.
+ * Receives a payment provider webhook. The signature has already been checked; the event is
+ * stored in the webhook inbox and acknowledged straight away, then processed in the
+ * background. A retry of an event already received is acknowledged without being stored again.
  */
-const handleFlutterwaveWebhook = async (req, res) => {
+const handleProviderWebhook = async (req, res) => {
     const requestId = req.requestId;
+    const provider = req.validatedParams?.provider || 'flutterwave';
     try {
-        const input = req.validatedBody || req.body || {};
-        const { 'event.type': eventType, transfer } = input;
-
-        if (!eventType || !transfer) {
-            logger.warn('Invalid or missing webhook parameters', {
-                requestId,
-                body: req.body,
-                validatedBody: req.validatedBody
-            });
-            return res.status(400).json(
-                errorResponse('Invalid or missing webhook parameters', 400, null, requestId)
-            );
-        }
-
-        const { id: transactionId, reference, status, account_number, bank_name, amount } = transfer;
-
-        logger.info('Flutterwave webhook received', {
-            requestId,
-            transactionId,
-            reference,
-            status,
-            eventType
+        const { event, duplicate } = await webhookService.recordEvent({
+            provider,
+            rawBody: req.rawBody ?? JSON.stringify(req.body ?? {}),
+            body: req.body,
+            requestId
         });
 
-        if (status === 'SUCCESSFUL' && eventType === 'transfer.completed') {
-            const recipient = await User.findOne({ accountNumber: account_number });
-            if (!recipient) {
-                logger.warn('Recipient not found for webhook', {
-                    requestId,
-                    accountNumber: account_number,
-                    transactionId,
-                    reference
-                });
-                return res.status(404).json(
-                    errorResponse('Recipient not found', 404, null, requestId)
-                );
-            }
-
-            let wallet = await Wallet.findOne({ userId: recipient._id }).select('+balance');
-            if (!wallet) {
-                logger.warn('Wallet not found for webhook, creating new wallet', {
-                    userId: recipient._id,
-                    requestId
-                });
-                wallet = new Wallet({ userId: recipient._id, balance: 0, accountNumber: recipient.accountNumber });
-                await wallet.save();
-            }
-
-            const existingTransaction = wallet.ledger.find(
-                (tx) => tx.reference === reference
-            );
-            if (existingTransaction) {
-                logger.warn('Duplicate webhook transaction detected', {
-                    userId: recipient._id,
-                    reference,
-                    requestId
-                });
-                return res.status(409).json(
-                    errorResponse('Transaction already processed', 409, null, requestId)
-                );
-            }
-
-            const verificationData = await walletService.verifyFlutterwavePayment(
-                transactionId,
-                requestId
-            );
-
-            if (verificationData.status !== 'success') {
-                logger.warn('Webhook verification failed', {
-                    requestId,
-                    transactionId,
-                    reference,
-                    verificationStatus: verificationData.status
-                });
-                return res.status(400).json(
-                    errorResponse('Webhook verification failed', 400, null, requestId)
-                );
-            }
+        res.status(200).json(
+            successResponse(duplicate ? 'Webhook already received' : 'Webhook received', 200, {
+                eventId: event.eventId,
+                duplicate
+            }, requestId)
+        );
 
-            const verifiedAmount = verificationData.data.amount;
-            if (verifiedAmount !== amount) {
-                logger.warn('Amount mismatch in webhook verification', {
-                    requestId,
-                    transactionId,
-                    reference,
-                    webhookAmount: amount,
-                    verifiedAmount
+        if (!duplicate) {
+            setImmediate(() => {
+                webhookService.processEvent(event._id, { requestId }).catch((error) => {
+                    logger.error('Error processing provider webhook', {
+                        provider,
+                        webhookEventId: event._id,
+                        requestId,
+                        error: error.message,
+                        stack: error.stack
+                    });
                 });
-                return res.status(400).json(
-                    errorResponse('Amount mismatch in verification', 400, null, requestId)
-                );
-            }
-
-            const { wallet: updatedWallet } = await walletService.creditWallet({
-                userId: recipient._id,
-                amount: verifiedAmount,
-                reference,
-                source: 'external_transfer',
-                description: `Received transfer via Flutterwave`,
-                requestId,
-                flutterwaveTxId: transactionId,
-                senderAccountNumber: transfer.sender_account_number || null,
-                senderBankName: transfer.sender_bank_name || null
-            });
-
-            logger.info('Webhook processed and wallet credited', {
-                userId: recipient._id,
-                accountNumber: wallet.accountNumber,
-                amount: verifiedAmount,
-                reference,
-                requestId,
-                source: 'external_transfer'
-            });
-
-            res.status(200).json(
-                successResponse('Webhook processed successfully', 200, {
-                    balance: updatedWallet.balance,
-                    transactionId,
-                    reference
-                }, requestId)
-            );
-        } else {
-            logger.warn('Webhook indicates non-successful transfer or unsupported event', {
-                requestId,
-                transactionId,
-                reference,
-                status,
-                eventType
             });
-            res.status(200).json(
-                successResponse(`Webhook received for ${status} ${eventType}`, 200, null, requestId)
-            );
         }
     } catch (error) {
-        logger.error('Error handling Flutterwave webhook', {
+        // Not acknowledged, so the provider sends it again
+        logger.error('Error storing provider webhook', {
+            provider,
             requestId,
             error: error.message,
             stack: error.stack
@@ -695,7 +661,7 @@ const handleFlutterwaveWebhook = async (req, res) => {
 const getBalance = async (req, res) => {
     const requestId = req.requestId;
     try {
-        const wallet = await Wallet.findOne({ userId: req.user.id }).select('+balance');
+        const wallet = await Wallet.findOne({ userId: req.user.id });
         if (!wallet) {
             logger.warn('Wallet not found for balance check', { userId: req.user.id, requestId });
             return res.status(404).json(
@@ -703,16 +669,34 @@ const getBalance = async (req, res) => {
             );
         }
 
+        const subWallets = await wallet.getCurrencyBalances();
+        const { ledgerBalance, heldBalance, availableBalance } = subWallets.find(
+            (subWallet) => subWallet.currency === DEFAULT_CURRENCY
+        );
+
         logger.info('Balance retrieved successfully', {
             userId: req.user.id,
             accountNumber: wallet.accountNumber,
             requestId
         });
 
+        // balance is what can be spent; ledgerBalance also includes funds on hold.
+        // The top-level figures are NGN; subWallets lists every currency the wallet can hold.
         res.status(200).json(
             successResponse('Balance retrieved successfully', 200, {
-                balance: wallet.balance,
-                accountNumber: wallet.accountNumber
+                ...toBalanceResponse(availableBalance),
+                ledgerBalance: toMajor(ledgerBalance),
+                ledgerBalanceMinor: ledgerBalance,
+                heldBalance: toMajor(heldBalance),
+                heldBalanceMinor: heldBalance,
+                accountNumber: wallet.accountNumber,
+                subWallets: subWallets.map((subWallet) => ({
+                    ...toBalanceResponse(subWallet.availableBalance, subWallet.currency),
+                    ledgerBalance: toMajor(subWallet.ledgerBalance, subWallet.currency),
+                    ledgerBalanceMinor: subWallet.ledgerBalance,
+                    heldBalance: toMajor(subWallet.heldBalance, subWallet.currency),
+                    heldBalanceMinor: subWallet.heldBalance
+                }))
             }, requestId)
         );
     } catch (error) {
@@ -728,12 +712,74 @@ const getBalance = async (req, res) => {
     }
 };
 
+/**
+ * Lists wallet transactions with filtering, search, and cursor pagination.
+ */
+const getTransactions = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const wallet = await Wallet.findOne({ userId: req.user.id }).select('_id accountNumber');
+        if (!wallet) {
+            logger.warn('Wallet not found for transaction history', { userId: req.user.id, requestId });
+            return res.status(404).json(
+                errorResponse('Wallet not found', 404, null, requestId)
+            );
+        }
+
+        const { limit, cursor, minAmount, maxAmount, ...filters } = req.validatedQuery || {};
+
+        const { transactions, pageInfo } = await transactionService.listTransactions({
+            walletId: wallet._id,
+            filters: {
+                ...filters,
+                minAmount: minAmount === undefined ? undefined : toMinor(minAmount, filters.currency),
+                maxAmount: maxAmount === undefined ? undefined : toMinor(maxAmount, filters.currency)
+            },
+            limit,
+            cursor,
+            requestId
+        });
+
+        logger.info('Transaction history retrieved successfully', {
+            userId: req.user.id,
+            accountNumber: wallet.accountNumber,
+            count: transactions.length,
+            hasMore: pageInfo.hasMore,
+            requestId
+        });
+
+        res.status(200).json(
+            successResponse('Transactions retrieved successfully', 200, {
+                transactions,
+                pageInfo
+            }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error retrieving transaction history', {
+            userId: req.user.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        const statusCode = error.status || 500;
+        res.status(statusCode).json(
+            errorResponse(
+                statusCode === 500 ? 'Internal server error during transaction history retrieval' : error.message,
+                statusCode,
+                null,
+                requestId
+            )
+        );
+    }
+};
+
 export default {
     fundWallet,
     verifyPayment,
     transferFunds,
-    handleFlutterwaveCallback,
-    handleFlutterwaveWebhook,
+    handlePaymentCallback,
+    handleProviderWebhook,
     getBalance,
+    getTransactions,
     verifyBankAccount
 };
\ No newline at end of file
@@ -0,0 +1,86 @@
+import webhookService from '../services/webhookService.js';
+import logger from '../utils/logger.js';
+import { successResponse, sendError } from '../utils/response.js';
+
+/**
+ * Webhook controller for NEG AI Banking Platform.
+ * Lets admins inspect the webhook inbox and replay events that failed or were ignored.
+ */
+
+/**
+ * Lists inbox events, optionally by status or provider.
+ */
+const listEvents = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const events = await webhookService.listEvents(req.validatedQuery);
+
+        res.status(200).json(
+            successResponse('Webhook events retrieved successfully', 200, { events }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error retrieving webhook events', {
+            adminId: req.user?.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while retrieving webhook events', requestId);
+    }
+};
+
+/**
+ * Gets one inbox event with its raw payload.
+ */
+const getEvent = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const event = await webhookService.getEvent(req.validatedParams.id);
+
+        res.status(200).json(
+            successResponse('Webhook event retrieved successfully', 200, { event }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error retrieving webhook event', {
+            adminId: req.user?.id,
+            webhookEventId: req.validatedParams?.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while retrieving webhook event', requestId);
+    }
+};
+
+/**
+ * Replays a failed or ignored inbox event.
+ */
+const replayEvent = async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const event = await webhookService.replayEvent({
+            id: req.validatedParams.id,
+            adminId: req.user.id,
+            requestId
+        });
+
+        res.status(200).json(
+            successResponse('Webhook event replayed', 200, { event }, requestId)
+        );
+    } catch (error) {
+        logger.error('Error replaying webhook event', {
+            adminId: req.user?.id,
+            webhookEventId: req.validatedParams?.id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        sendError(res, error, 'Internal server error while replaying webhook event', requestId);
+    }
+};
+
+export default {
+    listEvents,
+    getEvent,
+    replayEvent
+};
@@ -0,0 +1,27 @@
+// src/jobs/expireHolds.js
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+import holdService from '../services/holdService.js';
+
+/**
+ * Releases holds whose expiry has passed. Scheduled every minute.
+ * @returns {Promise<void>}
+ */
+const runExpireHolds = async () => {
+    const requestId = `job-expire-holds-${uuidv4()}`;
+    try {
+        await holdService.expireHolds({ requestId });
+    } catch (error) {
+        logger.error('Hold expiry job failed', {
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+    }
+};
+
+export default {
+    name: 'expire-holds',
+    schedule: '* * * * *',
+    run: runExpireHolds
+};
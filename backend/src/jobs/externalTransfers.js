@@ -0,0 +1,28 @@
+// src/jobs/externalTransfers.js
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+import externalTransferService from '../services/externalTransferService.js';
+
+/**
+ * Polls Flutterwave for outgoing transfers still pending and escalates stale ones.
+ * Scheduled every five minutes.
+ * @returns {Promise<void>}
+ */
+const runExternalTransferPoll = async () => {
+    const requestId = `job-external-transfers-${uuidv4()}`;
+    try {
+        await externalTransferService.pollPendingTransfers({ requestId });
+    } catch (error) {
+        logger.error('External transfer poll job failed', {
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+    }
+};
+
+export default {
+    name: 'external-transfers',
+    schedule: '*/5 * * * *',
+    run: runExternalTransferPoll
+};
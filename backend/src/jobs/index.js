@@ -0,0 +1,56 @@
+// src/jobs/index.js
+import cron from 'node-cron';
+import { env } from '../config/env.js';
+import logger from '../utils/logger.js';
+import scheduledTransfers from './scheduledTransfers.js';
+import standingOrders from './standingOrders.js';
+import expireHolds from './expireHolds.js';
+import externalTransfers from './externalTransfers.js';
+import webhookInbox from './webhookInbox.js';
+import reconciliation from './reconciliation.js';
+import virtualAccounts from './virtualAccounts.js';
+import bulkTransferService from '../services/bulkTransferService.js';
+import { closeBulkTransferQueue, startBulkTransferWorker } from '../queues/bulkTransferQueue.js';
+
+/**
+ * Background jobs. Each job is { name, schedule, run }; run must handle its own errors.
+ * Jobs claim their work atomically in MongoDB, so running them on several instances is safe.
+ * Queue workers (bulk transfers) start and stop alongside the cron jobs.
+ */
+const jobs = [
+    scheduledTransfers,
+    standingOrders,
+    expireHolds,
+    externalTransfers,
+    webhookInbox,
+    reconciliation,
+    virtualAccounts
+];
+
+const tasks = [];
+
+/**
+ * Starts every background job unless JOBS_ENABLED is false.
+ */
+export const startJobs = () => {
+    if (!env.JOBS_ENABLED) {
+        logger.info('Background jobs disabled by JOBS_ENABLED');
+        return;
+    }
+
+    for (const job of jobs) {
+        tasks.push(cron.schedule(job.schedule, job.run, { name: job.name, noOverlap: true }));
+        logger.info('Background job scheduled', { job: job.name, schedule: job.schedule });
+    }
+
+    startBulkTransferWorker(bulkTransferService.processBulkTransferItem);
+};
+
+/**
+ * Stops every running background job and closes the queue connections.
+ */
+export const stopJobs = async () => {
+    await Promise.all(tasks.splice(0).map((task) => task.stop()));
+    await closeBulkTransferQueue();
+    logger.info('Background jobs stopped');
+};
@@ -0,0 +1,28 @@
+// src/jobs/reconciliation.js
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+import reconciliationService from '../services/reconciliationService.js';
+
+/**
+ * Reconciles the previous West Africa Time business day against each configured payment
+ * provider. Scheduled daily at 02:00, after the providers' reports for the day are complete.
+ * @returns {Promise<void>}
+ */
+const runReconciliation = async () => {
+    const requestId = `job-reconciliation-${uuidv4()}`;
+    try {
+        await reconciliationService.runDailyReconciliation({ requestId });
+    } catch (error) {
+        logger.error('Reconciliation job failed', {
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+    }
+};
+
+export default {
+    name: 'reconciliation',
+    schedule: '0 2 * * *',
+    run: runReconciliation
+};
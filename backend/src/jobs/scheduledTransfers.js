@@ -0,0 +1,27 @@
+// src/jobs/scheduledTransfers.js
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+import scheduledTransferService from '../services/scheduledTransferService.js';
+
+/**
+ * Runs scheduled transfers that have fallen due. Scheduled every minute.
+ * @returns {Promise<void>}
+ */
+const runScheduledTransfers = async () => {
+    const requestId = `job-scheduled-transfers-${uuidv4()}`;
+    try {
+        await scheduledTransferService.runDueTransfers({ requestId });
+    } catch (error) {
+        logger.error('Scheduled transfer job failed', {
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+    }
+};
+
+export default {
+    name: 'scheduled-transfers',
+    schedule: '* * * * *',
+    run: runScheduledTransfers
+};
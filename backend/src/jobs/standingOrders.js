@@ -0,0 +1,27 @@
+// src/jobs/standingOrders.js
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+import standingOrderService from '../services/standingOrderService.js';
+
+/**
+ * Runs standing order occurrences that have fallen due. Scheduled every minute.
+ * @returns {Promise<void>}
+ */
+const runStandingOrders = async () => {
+    const requestId = `job-standing-orders-${uuidv4()}`;
+    try {
+        await standingOrderService.runDueStandingOrders({ requestId });
+    } catch (error) {
+        logger.error('Standing order job failed', {
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+    }
+};
+
+export default {
+    name: 'standing-orders',
+    schedule: '* * * * *',
+    run: runStandingOrders
+};
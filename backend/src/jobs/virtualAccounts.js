@@ -0,0 +1,28 @@
+// src/jobs/virtualAccounts.js
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+import virtualAccountService from '../services/virtualAccountService.js';
+
+/**
+ * Creates virtual accounts for wallets whose owners have become eligible. Scheduled every
+ * 30 minutes.
+ * @returns {Promise<void>}
+ */
+const runVirtualAccounts = async () => {
+    const requestId = `job-virtual-accounts-${uuidv4()}`;
+    try {
+        await virtualAccountService.provisionPendingVirtualAccounts({ requestId });
+    } catch (error) {
+        logger.error('Virtual account job failed', {
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+    }
+};
+
+export default {
+    name: 'virtual-accounts',
+    schedule: '*/30 * * * *',
+    run: runVirtualAccounts
+};
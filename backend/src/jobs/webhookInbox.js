@@ -0,0 +1,28 @@
+// src/jobs/webhookInbox.js
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+import webhookService from '../services/webhookService.js';
+
+/**
+ * Processes webhook inbox events that are due: missed, retrying or left locked by a crash.
+ * Scheduled every minute.
+ * @returns {Promise<void>}
+ */
+const runWebhookInbox = async () => {
+    const requestId = `job-webhook-inbox-${uuidv4()}`;
+    try {
+        await webhookService.processDueEvents({ requestId });
+    } catch (error) {
+        logger.error('Webhook inbox job failed', {
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+    }
+};
+
+export default {
+    name: 'webhook-inbox',
+    schedule: '* * * * *',
+    run: runWebhookInbox
+};
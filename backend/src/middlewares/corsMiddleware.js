@@ -30,8 +30,10 @@ const corsMiddleware = () => {
             'Content-Type',
             'Authorization',
             'X-Requested-With',
-            'X-Request-ID'
+            'X-Request-ID',
+            'Idempotency-Key'
         ],
+        exposedHeaders: ['X-Request-ID', 'Idempotent-Replayed'],
         credentials: true, // Support cookies for authentication
         preflightContinue: false,
         optionsSuccessStatus: 204 // Return 204 for successful OPTIONS requests
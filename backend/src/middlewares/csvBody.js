@@ -0,0 +1,28 @@
+// src/middlewares/csvBody.js
+import logger from '../utils/logger.js';
+import { errorResponse } from '../utils/response.js';
+import { parseCsv } from '../utils/csv.js';
+
+/**
+ * Turns a text/csv request body into { rows, format: 'csv' } so CSV uploads pass through
+ * the same sanitization and validation as JSON batches. Must run after express.text().
+ * Other bodies are left untouched.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const csvBody = (req, res, next) => {
+    if (typeof req.body !== 'string' || !req.is(['text/csv', 'application/csv'])) {
+        return next();
+    }
+
+    try {
+        req.body = { rows: parseCsv(req.body), format: 'csv' };
+        next();
+    } catch (error) {
+        logger.warn('Invalid CSV body', { requestId: req.requestId, error: error.message });
+        res.status(400).json(errorResponse(`Invalid CSV: ${error.message}`, 400, null, req.requestId));
+    }
+};
+
+export default csvBody;
@@ -0,0 +1,143 @@
+// src/middlewares/idempotency.js
+import logger from '../utils/logger.js';
+import { errorResponse } from '../utils/response.js';
+import { hashRequest } from '../utils/idempotency.js';
+import { IdempotencyKey } from '../models/IdempotencyKey.js';
+
+const KEY_PATTERN = /^[A-Za-z0-9_-]{8,255}$/;
+const LOCK_MS = 2 * 60 * 1000; // A crashed request releases its key after 2 minutes
+
+/**
+ * Middleware that makes money-moving routes safe to retry.
+ * When the client sends an Idempotency-Key header, the first request with that key runs
+ * normally and its response is stored; a retry with the same key and body replays the
+ * stored response, and the same key with a different body is rejected with 409.
+ * Must run after authMiddleware so keys are scoped to the user.
+ * Sets req.idempotencyKey for services that derive deterministic references from it.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const idempotency = async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) {
+        return next();
+    }
+
+    const requestId = req.requestId;
+    try {
+        if (!KEY_PATTERN.test(key)) {
+            logger.warn('Invalid idempotency key', { requestId, userId: req.user.id });
+            return res.status(400).json(
+                errorResponse('Idempotency-Key must be 8-255 letters, digits, dashes or underscores', 400, null, requestId)
+            );
+        }
+
+        const userId = req.user.id;
+        const path = req.baseUrl + req.path;
+        const requestHash = hashRequest({ method: req.method, path, body: req.body || {} });
+        const now = new Date();
+
+        let record;
+        try {
+            record = await IdempotencyKey.create({
+                key,
+                userId,
+                method: req.method,
+                path,
+                requestHash,
+                lockedUntil: new Date(now.getTime() + LOCK_MS)
+            });
+        } catch (error) {
+            if (error.code !== 11000) {
+                throw error;
+            }
+            const existing = await IdempotencyKey.findOne({ userId, key }).lean();
+            if (!existing) {
+                throw error;
+            }
+
+            if (existing.requestHash !== requestHash || existing.path !== path) {
+                logger.warn('Idempotency key reused with a different request', {
+                    requestId,
+                    userId,
+                    path
+                });
+                return res.status(409).json(
+                    errorResponse('Idempotency-Key has already been used with a different request', 409, null, requestId)
+                );
+            }
+
+            if (existing.status === 'completed') {
+                logger.info('Replaying idempotent response', {
+                    requestId,
+                    userId,
+                    path,
+                    originalStatus: existing.responseStatus
+                });
+                res.set('Idempotent-Replayed', 'true');
+                return res.status(existing.responseStatus).json(existing.responseBody);
+            }
+
+            // Take over a key whose original request died without finishing
+            record = await IdempotencyKey.findOneAndUpdate(
+                { _id: existing._id, status: 'processing', lockedUntil: { $lt: now } },
+                { $set: { lockedUntil: new Date(now.getTime() + LOCK_MS) } },
+                { new: true }
+            );
+            if (!record) {
+                logger.warn('Idempotent request still in progress', { requestId, userId, path });
+                return res.status(409).json(
+                    errorResponse('A request with this Idempotency-Key is still being processed', 409, null, requestId)
+                );
+            }
+        }
+
+        req.idempotencyKey = key;
+
+        const originalJson = res.json.bind(res);
+        res.json = (body) => {
+            res.locals.idempotentResponseBody = body;
+            return originalJson(body);
+        };
+
+        res.on('finish', () => {
+            // Server errors are not cached so the client can retry; deterministic
+            // references derived from the key stop the retry from moving money twice.
+            const update = res.statusCode >= 500
+                ? IdempotencyKey.deleteOne({ _id: record._id })
+                : IdempotencyKey.updateOne(
+                    { _id: record._id },
+                    {
+                        $set: {
+                            status: 'completed',
+                            responseStatus: res.statusCode,
+                            responseBody: res.locals.idempotentResponseBody ?? null
+                        },
+                        $unset: { lockedUntil: '' }
+                    }
+                );
+            update.catch((error) => {
+                logger.error('Failed to store idempotent response', {
+                    requestId,
+                    userId,
+                    error: error.message,
+                    stack: error.stack
+                });
+            });
+        });
+
+        next();
+    } catch (error) {
+        logger.error('Idempotency middleware error', {
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        res.status(500).json(
+            errorResponse('Internal server error during idempotency check', 500, null, requestId)
+        );
+    }
+};
+
+export default idempotency;
@@ -0,0 +1,30 @@
+// src/middlewares/multipartBody.js
+import logger from '../utils/logger.js';
+import { errorResponse } from '../utils/response.js';
+import { parseMultipart } from '../utils/multipart.js';
+
+/**
+ * Turns a multipart/form-data request body into text fields on req.body and uploaded files
+ * on req.files, so the fields pass through the same sanitization and validation as JSON.
+ * Must run after express.raw() for multipart/form-data. Other bodies are left untouched.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const multipartBody = (req, res, next) => {
+    if (!Buffer.isBuffer(req.body) || !req.is('multipart/form-data')) {
+        return next();
+    }
+
+    try {
+        const { fields, files } = parseMultipart(req.body, req.headers['content-type']);
+        req.body = fields;
+        req.files = files;
+        next();
+    } catch (error) {
+        logger.warn('Invalid multipart body', { requestId: req.requestId, error: error.message });
+        res.status(400).json(errorResponse(`Invalid upload: ${error.message}`, 400, null, req.requestId));
+    }
+};
+
+export default multipartBody;
@@ -62,16 +62,22 @@ const sanitizeXSS = (req) => {
         stripIgnoreTagBody: ['script', 'iframe']
     };
 
-    // Sanitize req.body
+    // Sanitize req.body, keeping arrays (e.g. bulk transfer rows) as arrays
+    const sanitizeBodyValue = (value) => {
+        if (typeof value === 'string') {
+            return xss(value, xssOptions);
+        }
+        if (Array.isArray(value)) {
+            return value.map(sanitizeBodyValue);
+        }
+        if (typeof value === 'object' && value !== null) {
+            return sanitizeXSS({ body: value }).sanitizedBody;
+        }
+        return value;
+    };
     req.sanitizedBody = req.body && typeof req.body === 'object'
         ? Object.entries(req.body).reduce((acc, [key, value]) => {
-            if (typeof value === 'string') {
-                acc[key] = xss(value, xssOptions);
-            } else if (typeof value === 'object' && value !== null) {
-                acc[key] = sanitizeXSS({ body: value }).sanitizedBody;
-            } else {
-                acc[key] = value;
-            }
+            acc[key] = sanitizeBodyValue(value);
             return acc;
         }, {})
         : {};
@@ -107,7 +107,8 @@ const validateRequest = (schemas) => {
 
             // Validate params
             if (paramsSchema) {
-                const input = req.sanitizedParams || req.params || {};
+                // Route params only exist once a route matches, after the app-level sanitizer ran
+                const input = { ...req.params, ...req.sanitizedParams };
                 logger.debug('validateRequest: Validating params', {
                     requestId: req.requestId,
                     input,
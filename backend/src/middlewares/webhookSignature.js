@@ -0,0 +1,41 @@
+// src/middlewares/webhookSignature.js
+import logger from '../utils/logger.js';
+import { errorResponse } from '../utils/response.js';
+import { getProvider } from '../providers/index.js';
+
+/**
+ * Rejects payment provider webhooks whose signature does not check out. The provider comes
+ * from the validated route params, defaulting to Flutterwave, and its adapter decides how
+ * the signature is carried: Flutterwave's verif-hash header or Paystack's HMAC of the body.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const verifyWebhookSignature = (req, res, next) => {
+    const provider = req.validatedParams?.provider || 'flutterwave';
+
+    let adapter;
+    try {
+        adapter = getProvider(provider);
+    } catch (error) {
+        logger.warn('Rejected webhook for unavailable provider', {
+            requestId: req.requestId,
+            provider,
+            ip: req.ip
+        });
+        return res.status(404).json(errorResponse(error.message, 404, null, req.requestId));
+    }
+
+    if (!adapter.verifyWebhook(req)) {
+        logger.warn('Rejected webhook with invalid signature', {
+            requestId: req.requestId,
+            provider,
+            ip: req.ip
+        });
+        return res.status(401).json(errorResponse('Invalid webhook signature', 401, null, req.requestId));
+    }
+
+    next();
+};
+
+export default verifyWebhookSignature;
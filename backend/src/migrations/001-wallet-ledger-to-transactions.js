@@ -0,0 +1,91 @@
+// src/migrations/001-wallet-ledger-to-transactions.js
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import { Transaction } from '../models/Transaction.js';
+
+/**
+ * Moves embedded Wallet.ledger entries into the Transaction collection.
+ * Entries are upserted by reference so the migration can be re-run after a partial failure;
+ * a wallet's ledger is only unset once every one of its references is present in transactions.
+ */
+const up = async () => {
+    const wallets = mongoose.connection.collection('wallets');
+    const transactions = mongoose.connection.collection('transactions');
+
+    // Make sure the unique reference index exists before upserting into it
+    await Transaction.createIndexes();
+
+    // The old embedded unique index would reject new wallets once ledger is absent
+    const indexes = await wallets.indexes();
+    if (indexes.some((index) => index.name === 'ledger.reference_1')) {
+        await wallets.dropIndex('ledger.reference_1');
+        logger.info('Dropped embedded ledger reference index', { migration: 'wallet-ledger-to-transactions' });
+    }
+
+    let walletCount = 0;
+    let entryCount = 0;
+
+    const cursor = wallets.find(
+        { 'ledger.0': { $exists: true } },
+        { projection: { userId: 1, ledger: 1 } }
+    );
+
+    for await (const wallet of cursor) {
+        const references = wallet.ledger.map((entry) => entry.reference);
+
+        await transactions.bulkWrite(
+            wallet.ledger.map((entry) => ({
+                updateOne: {
+                    filter: { reference: entry.reference },
+                    update: {
+                        $setOnInsert: {
+                            walletId: wallet._id,
+                            userId: wallet.userId,
+                            type: entry.type,
+                            amount: entry.amount,
+                            reference: entry.reference,
+                            status: entry.status || 'pending',
+                            source: entry.source,
+                            target: entry.target ?? null,
+                            targetBank: entry.targetBank ?? null,
+                            description: entry.description,
+                            createdBy: entry.createdBy || wallet.userId,
+                            metadata: entry.metadata || {},
+                            createdAt: entry.createdAt || wallet._id.getTimestamp(),
+                            updatedAt: new Date()
+                        }
+                    },
+                    upsert: true
+                }
+            })),
+            { ordered: false }
+        );
+
+        const migrated = await transactions.countDocuments({
+            walletId: wallet._id,
+            reference: { $in: references }
+        });
+        if (migrated !== references.length) {
+            throw new Error(
+                `Wallet ${wallet._id}: expected ${references.length} migrated entries, found ${migrated}. ` +
+                'A reference may already belong to another wallet; ledger left in place.'
+            );
+        }
+
+        await wallets.updateOne({ _id: wallet._id }, { $unset: { ledger: '' } });
+
+        walletCount += 1;
+        entryCount += references.length;
+        logger.debug('Migrated wallet ledger', { walletId: wallet._id, entries: references.length });
+    }
+
+    // Wallets with an empty ledger array only need the field removed
+    const { modifiedCount } = await wallets.updateMany({ ledger: { $size: 0 } }, { $unset: { ledger: '' } });
+
+    return { walletCount, entryCount, emptyLedgersRemoved: modifiedCount };
+};
+
+export default {
+    name: '001-wallet-ledger-to-transactions',
+    up
+};
@@ -0,0 +1,96 @@
+// src/migrations/002-wallet-balances-to-journal.js
+import mongoose from 'mongoose';
+import mongooseEncryption from 'mongoose-encryption';
+import { env } from '../config/env.js';
+import logger from '../utils/logger.js';
+import ledgerService from '../services/ledgerService.js';
+
+/**
+ * Moves each wallet's encrypted balance into the double-entry ledger.
+ * Every non-zero balance becomes an opening journal entry (debit opening balance equity,
+ * credit the wallet's ledger account). The encrypted balance fields are removed only after
+ * the entry commits, and a wallet whose opening entry already exists is just cleaned up,
+ * so the migration is safe to re-run.
+ * Opening entries are posted in kobo and tagged with amountUnit so the later
+ * naira-to-kobo migration leaves them alone.
+ */
+const legacyWalletSchema = new mongoose.Schema(
+    {
+        userId: mongoose.Schema.Types.ObjectId,
+        accountNumber: String,
+        balance: Number
+    },
+    { strict: false }
+);
+
+legacyWalletSchema.plugin(mongooseEncryption, {
+    secret: env.ENCRYPTION_KEY,
+    additionalSecret: env.ENCRYPTION_IV,
+    encryptedFields: ['balance']
+});
+
+const LegacyWallet = mongoose.models.LegacyWallet ||
+    mongoose.model('LegacyWallet', legacyWalletSchema, 'wallets');
+
+const up = async () => {
+    const wallets = mongoose.connection.collection('wallets');
+    const journalEntries = mongoose.connection.collection('journalentries');
+
+    let walletCount = 0;
+    let openingTotal = 0;
+
+    const cursor = LegacyWallet.find({
+        $or: [{ _ct: { $exists: true } }, { balance: { $exists: true } }]
+    }).cursor();
+
+    for await (const wallet of cursor) {
+        const reference = `OPENING-${wallet._id}`;
+        const balance = Math.round(Number(wallet.balance || 0) * 100);
+
+        if (isNaN(balance) || balance < 0) {
+            throw new Error(`Wallet ${wallet._id}: cannot migrate invalid balance ${wallet.balance}`);
+        }
+
+        const alreadyPosted = await journalEntries.findOne({ reference });
+        if (!alreadyPosted && balance > 0) {
+            const session = await mongoose.startSession();
+            try {
+                session.startTransaction();
+                const walletAccount = await ledgerService.getWalletAccount(wallet, session);
+                const openingAccount = await ledgerService.getSystemAccount(
+                    ledgerService.SYSTEM_ACCOUNTS.OPENING_BALANCE,
+                    session
+                );
+                await ledgerService.postJournalEntry({
+                    reference,
+                    description: `Opening balance for wallet ${wallet.accountNumber}`,
+                    legs: [
+                        { account: openingAccount, direction: 'debit', amount: balance },
+                        { account: walletAccount, direction: 'credit', amount: balance }
+                    ],
+                    metadata: { migration: '002-wallet-balances-to-journal', amountUnit: 'kobo' },
+                    createdBy: wallet.userId,
+                    session
+                });
+                await session.commitTransaction();
+            } catch (error) {
+                await session.abortTransaction();
+                throw error;
+            } finally {
+                session.endSession();
+            }
+            openingTotal += balance;
+        }
+
+        await wallets.updateOne({ _id: wallet._id }, { $unset: { _ct: '', _ac: '', balance: '' } });
+        walletCount += 1;
+        logger.debug('Migrated wallet balance', { walletId: wallet._id, balance });
+    }
+
+    return { walletCount, openingTotal };
+};
+
+export default {
+    name: '002-wallet-balances-to-journal',
+    up
+};
@@ -0,0 +1,100 @@
+// src/migrations/003-amounts-to-kobo.js
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import { DEFAULT_CURRENCY } from '../utils/money.js';
+import { LedgerAccount } from '../models/LedgerAccount.js';
+import ledgerService from '../services/ledgerService.js';
+
+/**
+ * Converts stored naira amounts into integer kobo.
+ * Transactions without a currency and journal entries without amountUnit 'kobo' are the
+ * pre-kobo rows; both are converted in one MongoDB transaction and marked as they go, so
+ * a re-run skips them. Ledger account balances are then recomputed from the converted
+ * postings rather than scaled, which is idempotent on its own.
+ */
+
+/**
+ * Aggregation expression that scales a naira value to whole kobo.
+ * @param {string} field - Field path, e.g. '$amount'
+ * @returns {Object} Expression
+ */
+const toKobo = (field) => ({ $round: [{ $multiply: [field, 100] }, 0] });
+
+/**
+ * Aggregation expression that converts metadata.transferFee when present.
+ * @returns {Object} Expression
+ */
+const transferFeeToKobo = () => ({
+    $cond: [
+        { $eq: [{ $type: '$metadata.transferFee' }, 'missing'] },
+        '$$REMOVE',
+        toKobo('$metadata.transferFee')
+    ]
+});
+
+const up = async () => {
+    const transactions = mongoose.connection.collection('transactions');
+    const journalEntries = mongoose.connection.collection('journalentries');
+
+    let transactionCount = 0;
+    let journalEntryCount = 0;
+
+    const session = await mongoose.startSession();
+    try {
+        session.startTransaction();
+
+        const transactionResult = await transactions.updateMany(
+            { currency: { $exists: false } },
+            [{
+                $set: {
+                    amount: toKobo('$amount'),
+                    currency: DEFAULT_CURRENCY,
+                    'metadata.transferFee': transferFeeToKobo()
+                }
+            }],
+            { session }
+        );
+        transactionCount = transactionResult.modifiedCount;
+
+        const journalResult = await journalEntries.updateMany(
+            { 'metadata.amountUnit': { $ne: 'kobo' } },
+            [{
+                $set: {
+                    legs: {
+                        $map: {
+                            input: '$legs',
+                            as: 'leg',
+                            in: { $mergeObjects: ['$$leg', { amount: toKobo('$$leg.amount') }] }
+                        }
+                    },
+                    'metadata.transferFee': transferFeeToKobo(),
+                    'metadata.amountUnit': 'kobo'
+                }
+            }],
+            { session }
+        );
+        journalEntryCount = journalResult.modifiedCount;
+
+        await session.commitTransaction();
+    } catch (error) {
+        await session.abortTransaction();
+        throw error;
+    } finally {
+        session.endSession();
+    }
+
+    let accountCount = 0;
+    for await (const account of LedgerAccount.find().lean().cursor()) {
+        const balance = await ledgerService.computeBalanceFromPostings(account);
+        await LedgerAccount.updateOne({ _id: account._id }, { $set: { balance } });
+        accountCount += 1;
+        logger.debug('Recomputed ledger account balance in kobo', { accountCode: account.code, balance });
+    }
+
+    return { transactionCount, journalEntryCount, accountCount };
+};
+
+export default {
+    name: '003-amounts-to-kobo',
+    up
+};
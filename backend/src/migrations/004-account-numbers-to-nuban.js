@@ -0,0 +1,71 @@
+// src/migrations/004-account-numbers-to-nuban.js
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import { User } from '../models/User.js';
+
+/**
+ * Replaces phone-derived account numbers with NUBANs from the account number sequence.
+ * A user still on the old scheme (account number equal to the last ten digits of their
+ * phone number) gets a new number, and the old one is kept in accountNumberAliases so
+ * transfers, beneficiaries and schedules that use it keep working. Wallet account numbers
+ * are then brought in line with their users. Both steps skip what is already done, so a
+ * failed run can be resumed.
+ */
+const up = async () => {
+    const users = mongoose.connection.collection('users');
+    const wallets = mongoose.connection.collection('wallets');
+
+    // The alias index must exist before aliases are written, so no two users share one
+    await User.createIndexes();
+
+    let userCount = 0;
+    const cursor = users.find(
+        { $expr: { $eq: ['$accountNumber', { $substrCP: ['$phoneNumber', 4, 10] }] } },
+        { projection: { accountNumber: 1 } }
+    );
+
+    for await (const user of cursor) {
+        const accountNumber = await User.generateAccountNumber();
+        const { modifiedCount } = await users.updateOne(
+            { _id: user._id, accountNumber: user.accountNumber },
+            {
+                $set: { accountNumber, updatedAt: new Date() },
+                $addToSet: { accountNumberAliases: user.accountNumber }
+            }
+        );
+        if (modifiedCount) {
+            userCount += 1;
+            logger.debug('Assigned NUBAN account number', {
+                userId: user._id,
+                accountNumber,
+                alias: user.accountNumber
+            });
+        }
+    }
+
+    const outdated = await wallets.aggregate([
+        { $lookup: { from: 'users', localField: 'userId', foreignField: '_id', as: 'user' } },
+        { $unwind: '$user' },
+        { $match: { $expr: { $ne: ['$accountNumber', '$user.accountNumber'] } } },
+        { $project: { accountNumber: '$user.accountNumber' } }
+    ]).toArray();
+
+    for (const wallet of outdated) {
+        await wallets.updateOne(
+            { _id: wallet._id },
+            { $set: { accountNumber: wallet.accountNumber, updatedAt: new Date() } }
+        );
+    }
+
+    logger.info('Account numbers moved to NUBAN', {
+        migration: 'account-numbers-to-nuban',
+        userCount,
+        walletCount: outdated.length
+    });
+    return { userCount, walletCount: outdated.length };
+};
+
+export default {
+    name: '004-account-numbers-to-nuban',
+    up
+};
@@ -0,0 +1,42 @@
+// src/migrations/005-ledger-account-currencies.js
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import { DEFAULT_CURRENCY } from '../utils/money.js';
+import { LedgerAccount } from '../models/LedgerAccount.js';
+
+/**
+ * Prepares the ledger for currency sub-wallets.
+ * Ledger accounts created before currencies were stored get NGN, and the old unique index
+ * on walletId, which allowed one account per wallet, is replaced by the index on walletId
+ * and currency.
+ */
+
+const LEGACY_WALLET_INDEX = 'walletId_1';
+
+const up = async () => {
+    const ledgerAccounts = mongoose.connection.collection('ledgeraccounts');
+
+    const { modifiedCount: accountCount } = await ledgerAccounts.updateMany(
+        { currency: { $exists: false } },
+        { $set: { currency: DEFAULT_CURRENCY } }
+    );
+
+    const indexes = await ledgerAccounts.indexes();
+    const droppedIndex = indexes.some((index) => index.name === LEGACY_WALLET_INDEX);
+    if (droppedIndex) {
+        await ledgerAccounts.dropIndex(LEGACY_WALLET_INDEX);
+    }
+    await LedgerAccount.createIndexes();
+
+    logger.info('Ledger accounts prepared for currency sub-wallets', {
+        migration: 'ledger-account-currencies',
+        accountCount,
+        droppedIndex
+    });
+    return { accountCount, droppedIndex };
+};
+
+export default {
+    name: '005-ledger-account-currencies',
+    up
+};
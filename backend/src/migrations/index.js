@@ -0,0 +1,19 @@
+// src/migrations/index.js
+import walletLedgerToTransactions from './001-wallet-ledger-to-transactions.js';
+import walletBalancesToJournal from './002-wallet-balances-to-journal.js';
+import amountsToKobo from './003-amounts-to-kobo.js';
+import accountNumbersToNuban from './004-account-numbers-to-nuban.js';
+import ledgerAccountCurrencies from './005-ledger-account-currencies.js';
+
+/**
+ * Ordered list of data migrations. Append new migrations to the end; never reorder.
+ */
+const migrations = [
+    walletLedgerToTransactions,
+    walletBalancesToJournal,
+    amountsToKobo,
+    accountNumbersToNuban,
+    ledgerAccountCurrencies
+];
+
+export default migrations;
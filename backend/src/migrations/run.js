@@ -0,0 +1,39 @@
+// src/migrations/run.js
+import mongoose from 'mongoose';
+import { connectDB } from '../config/db.js';
+import logger from '../utils/logger.js';
+import migrations from './index.js';
+
+/**
+ * Runs every migration that has not yet been recorded in the migrations collection.
+ * Each migration is recorded only after its up() resolves, so a failed run can be resumed.
+ * @returns {Promise<void>}
+ */
+const runMigrations = async () => {
+    await connectDB();
+    const applied = mongoose.connection.collection('migrations');
+
+    try {
+        for (const migration of migrations) {
+            const alreadyApplied = await applied.findOne({ name: migration.name });
+            if (alreadyApplied) {
+                logger.info('Migration already applied, skipping', { migration: migration.name });
+                continue;
+            }
+
+            logger.info('Running migration', { migration: migration.name });
+            const result = await migration.up();
+            await applied.insertOne({ name: migration.name, appliedAt: new Date(), result: result || null });
+            logger.info('Migration applied', { migration: migration.name, result });
+        }
+    } finally {
+        await mongoose.connection.close();
+    }
+};
+
+runMigrations()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        logger.error('Migration run failed', { error: error.message, stack: error.stack });
+        process.exit(1);
+    });
@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+/**
+ * Beneficiary schema for the NEG AI Banking Platform.
+ * A recipient saved by a user so transfers can name it by ID instead of repeating bank
+ * details. accountName is the name resolved when the beneficiary was saved, not what the
+ * user typed. useCount and lastUsedAt drive the ranking of the user's list.
+ */
+const beneficiarySchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User ID is required']
+        },
+        type: {
+            type: String,
+            enum: ['internal', 'external'],
+            required: [true, 'Beneficiary type is required']
+        },
+        accountNumber: {
+            type: String,
+            required: [true, 'Account number is required'],
+            match: [/^\d{10}$/, 'Account number must be 10 digits']
+        },
+        // Only external beneficiaries have a bank code; internal ones are NEG AI Bank wallets
+        bankCode: {
+            type: String,
+            default: null,
+            match: [/^\d{3}$/, 'Bank code must be 3 digits']
+        },
+        bankName: {
+            type: String,
+            required: [true, 'Bank name is required'],
+            trim: true
+        },
+        accountName: {
+            type: String,
+            required: [true, 'Account name is required'],
+            trim: true
+        },
+        nickname: {
+            type: String,
+            trim: true,
+            maxlength: [50, 'Nickname cannot exceed 50 characters']
+        },
+        verifiedAt: {
+            type: Date,
+            required: [true, 'Verification date is required']
+        },
+        useCount: {
+            type: Number,
+            default: 0
+        },
+        lastUsedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// A recipient is saved once per user; lists are ranked by recent or frequent use
+beneficiarySchema.index({ userId: 1, accountNumber: 1, bankCode: 1 }, { unique: true });
+beneficiarySchema.index({ userId: 1, lastUsedAt: -1 });
+beneficiarySchema.index({ userId: 1, useCount: -1 });
+
+export const Beneficiary = mongoose.model('Beneficiary', beneficiarySchema);
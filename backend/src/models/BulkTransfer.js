@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+import { DEFAULT_CURRENCY, MINOR_UNITS, minorAmountValidator } from '../utils/money.js';
+
+/**
+ * Bulk transfer schema for the NEG AI Banking Platform.
+ * A batch of transfers uploaded together. It starts as a preview; once confirmed, each
+ * valid row becomes a BulkTransferItem job on the bulk transfer queue and the counters
+ * here track progress. Amounts are integer kobo.
+ */
+const bulkTransferSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User ID is required']
+        },
+        label: {
+            type: String,
+            trim: true,
+            maxlength: [100, 'Label cannot exceed 100 characters']
+        },
+        source: {
+            type: String,
+            enum: ['csv', 'json'],
+            required: [true, 'Source format is required']
+        },
+        status: {
+            type: String,
+            enum: ['preview', 'queued', 'processing', 'completed', 'completed_with_errors', 'cancelled'],
+            default: 'preview'
+        },
+        currency: {
+            type: String,
+            enum: Object.keys(MINOR_UNITS),
+            default: DEFAULT_CURRENCY
+        },
+        rowCount: {
+            type: Number,
+            required: [true, 'Row count is required']
+        },
+        validCount: {
+            type: Number,
+            default: 0
+        },
+        invalidCount: {
+            type: Number,
+            default: 0
+        },
+        // Totals of the valid rows, fixed at preview time
+        totalAmount: {
+            type: Number,
+            default: 0,
+            validate: minorAmountValidator
+        },
+        totalFees: {
+            type: Number,
+            default: 0,
+            validate: minorAmountValidator
+        },
+        completedCount: {
+            type: Number,
+            default: 0
+        },
+        failedCount: {
+            type: Number,
+            default: 0
+        },
+        previewExpiresAt: {
+            type: Date,
+            required: [true, 'Preview expiry is required']
+        },
+        confirmedAt: Date,
+        finishedAt: Date,
+        cancelledAt: Date
+    },
+    {
+        timestamps: true
+    }
+);
+
+bulkTransferSchema.index({ userId: 1, createdAt: -1 });
+
+export const BulkTransfer = mongoose.model('BulkTransfer', bulkTransferSchema);
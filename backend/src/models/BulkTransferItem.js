@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+import { DEFAULT_CURRENCY, MINOR_UNITS } from '../utils/money.js';
+
+/**
+ * Bulk transfer item schema for the NEG AI Banking Platform.
+ * One uploaded row of a BulkTransfer, with its validation result and, once run, the
+ * outcome and ledger reference. Invalid rows are kept so the result file lists every row.
+ */
+const bulkTransferItemSchema = new mongoose.Schema(
+    {
+        bulkTransferId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'BulkTransfer',
+            required: [true, 'Bulk transfer ID is required']
+        },
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User ID is required']
+        },
+        // 1-based position in the upload, as the user sees it in their file
+        rowNumber: {
+            type: Number,
+            required: [true, 'Row number is required']
+        },
+        transferType: {
+            type: String,
+            enum: ['internal', 'external']
+        },
+        recipientAccountNumber: String,
+        bankCode: String,
+        recipientAccountName: String,
+        recipientBankName: String,
+        // Kobo; unset when the row's amount was invalid
+        amount: Number,
+        fee: {
+            type: Number,
+            default: 0
+        },
+        currency: {
+            type: String,
+            enum: Object.keys(MINOR_UNITS),
+            default: DEFAULT_CURRENCY
+        },
+        description: String,
+        status: {
+            type: String,
+            enum: ['valid', 'invalid', 'queued', 'processing', 'completed', 'failed', 'cancelled'],
+            required: [true, 'Item status is required']
+        },
+        validationErrors: {
+            type: [String],
+            default: []
+        },
+        attempts: {
+            type: Number,
+            default: 0
+        },
+        transactionReference: String,
+        failureReason: String,
+        executedAt: Date
+    },
+    {
+        timestamps: true
+    }
+);
+
+bulkTransferItemSchema.index({ bulkTransferId: 1, rowNumber: 1 }, { unique: true });
+bulkTransferItemSchema.index({ bulkTransferId: 1, status: 1 });
+
+export const BulkTransferItem = mongoose.model('BulkTransferItem', bulkTransferItemSchema);
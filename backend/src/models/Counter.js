@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+/**
+ * Counter schema for the NEG AI Banking Platform.
+ * Named sequences, such as the serial numbers account numbers are generated from. Each
+ * value is handed out once: next() increments atomically.
+ */
+const counterSchema = new mongoose.Schema(
+    {
+        _id: {
+            type: String,
+            required: [true, 'Counter name is required']
+        },
+        value: {
+            type: Number,
+            required: true,
+            default: 0
+        }
+    },
+    {
+        timestamps: true,
+        versionKey: false
+    }
+);
+
+/**
+ * Returns the next value of a sequence, starting at 1.
+ * @param {string} name - Sequence name
+ * @param {mongoose.ClientSession} [session] - MongoDB session
+ * @returns {Promise<number>}
+ */
+counterSchema.statics.next = async function (name, session) {
+    const counter = await this.findOneAndUpdate(
+        { _id: name },
+        { $inc: { value: 1 } },
+        { new: true, upsert: true, session: session || null }
+    );
+    return counter.value;
+};
+
+export const Counter = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+import { minorAmountValidator } from '../utils/money.js';
+
+/**
+ * Daily transfer total schema for the NEG AI Banking Platform.
+ * What a wallet has sent on one day (West Africa Time), in kobo, fees excluded. Transfers add
+ * to it with a conditional increment inside the transaction that posts them, so concurrent
+ * transfers cannot take it over the daily limit; a failed external transfer takes its amount
+ * back off. Totals are removed a week after their day.
+ */
+const dailyTransferTotalSchema = new mongoose.Schema(
+    {
+        walletId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Wallet',
+            required: [true, 'Wallet ID is required']
+        },
+        // Start of the day in West Africa Time
+        day: {
+            type: Date,
+            required: [true, 'Day is required']
+        },
+        amount: {
+            type: Number,
+            required: true,
+            default: 0,
+            validate: minorAmountValidator
+        }
+    },
+    {
+        timestamps: true,
+        versionKey: false
+    }
+);
+
+dailyTransferTotalSchema.index({ walletId: 1, day: 1 }, { unique: true });
+dailyTransferTotalSchema.index({ day: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+export const DailyTransferTotal = mongoose.model('DailyTransferTotal', dailyTransferTotalSchema);
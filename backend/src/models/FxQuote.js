@@ -0,0 +1,100 @@
+import mongoose from 'mongoose';
+import { MINOR_UNITS, minorAmountValidator } from '../utils/money.js';
+
+/**
+ * FX quote schema for the NEG AI Banking Platform.
+ * A quote fixes the rate for converting an amount between two of a wallet's currency
+ * sub-wallets until it expires. It can be executed once. The source amount is in minor units
+ * of the currency sold; the target and spread amounts are in minor units of the currency
+ * bought. Rates are units of the currency bought per unit of the currency sold.
+ */
+const fxQuoteSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User ID is required']
+        },
+        walletId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Wallet',
+            required: [true, 'Wallet ID is required']
+        },
+        fromCurrency: {
+            type: String,
+            enum: Object.keys(MINOR_UNITS),
+            required: [true, 'Source currency is required']
+        },
+        toCurrency: {
+            type: String,
+            enum: Object.keys(MINOR_UNITS),
+            required: [true, 'Target currency is required']
+        },
+        sourceAmount: {
+            type: Number,
+            required: [true, 'Source amount is required'],
+            min: [1, 'Source amount must be positive'],
+            validate: minorAmountValidator
+        },
+        targetAmount: {
+            type: Number,
+            required: [true, 'Target amount is required'],
+            min: [1, 'Target amount must be positive'],
+            validate: minorAmountValidator
+        },
+        // Mid-market rate from the rate source, and the rate after the spread
+        midRate: {
+            type: String,
+            required: [true, 'Mid rate is required']
+        },
+        rate: {
+            type: String,
+            required: [true, 'Rate is required']
+        },
+        spreadBps: {
+            type: Number,
+            required: [true, 'Spread is required'],
+            min: [0, 'Spread cannot be negative']
+        },
+        // Target amount at the mid rate less the amount credited; kept as FX income
+        spreadAmount: {
+            type: Number,
+            default: 0,
+            min: [0, 'Spread amount cannot be negative'],
+            validate: minorAmountValidator
+        },
+        rateSource: {
+            type: String,
+            required: [true, 'Rate source is required']
+        },
+        expiresAt: {
+            type: Date,
+            required: [true, 'Expiry is required']
+        },
+        status: {
+            type: String,
+            enum: ['open', 'executed'],
+            default: 'open'
+        },
+        executedAt: {
+            type: Date,
+            default: null
+        },
+        // Set on execution; shared by the two Transaction rows and the journal entry
+        reference: {
+            type: String,
+            default: null
+        },
+        requestId: {
+            type: String
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+fxQuoteSchema.index({ userId: 1, createdAt: -1 });
+fxQuoteSchema.index({ reference: 1 }, { unique: true, partialFilterExpression: { reference: { $type: 'string' } } });
+
+export const FxQuote = mongoose.model('FxQuote', fxQuoteSchema);
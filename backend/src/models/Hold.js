@@ -0,0 +1,104 @@
+import mongoose from 'mongoose';
+import { DEFAULT_CURRENCY, MINOR_UNITS, minorAmountValidator } from '../utils/money.js';
+
+/**
+ * Hold schema for the NEG AI Banking Platform.
+ * A hold (or lien) reserves part of a wallet's balance without debiting it. While a hold is
+ * active its amount is added to the wallet ledger account's heldBalance, and debits can only
+ * spend the available balance (balance minus heldBalance). Holds live in their own
+ * collection so wallet documents stay small. Amounts are integer kobo.
+ * An external transfer reserves its amount and fee with a pending_transfer hold linked by
+ * transactionId; it is captured, its funds spent by the transfer's debit, when the transfer
+ * goes through, and released when it fails.
+ */
+const holdSchema = new mongoose.Schema(
+    {
+        walletId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Wallet',
+            required: [true, 'Wallet ID is required']
+        },
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User ID is required']
+        },
+        type: {
+            type: String,
+            enum: ['card_authorisation', 'dispute', 'lien', 'pending_transfer', 'other'],
+            required: [true, 'Hold type is required']
+        },
+        amount: {
+            type: Number,
+            required: [true, 'Amount is required'],
+            min: [1, 'Amount must be positive'],
+            validate: minorAmountValidator
+        },
+        currency: {
+            type: String,
+            enum: Object.keys(MINOR_UNITS),
+            default: DEFAULT_CURRENCY
+        },
+        reason: {
+            type: String,
+            required: [true, 'Reason is required'],
+            trim: true,
+            maxlength: [500, 'Reason cannot exceed 500 characters']
+        },
+        reference: {
+            type: String,
+            trim: true,
+            default: null
+        },
+        // External transfer the hold reserves funds for
+        transactionId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Transaction',
+            default: null
+        },
+        // Null means the hold stays until it is released
+        expiresAt: {
+            type: Date,
+            default: null
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'Creator is required']
+        },
+        status: {
+            type: String,
+            enum: ['active', 'released', 'expired', 'captured'],
+            default: 'active'
+        },
+        releasedAt: {
+            type: Date,
+            default: null
+        },
+        releasedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        releaseReason: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Release reason cannot exceed 500 characters']
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// A wallet's holds (admin and customer views), and the expiry job's due list
+holdSchema.index({ walletId: 1, status: 1, createdAt: -1 });
+holdSchema.index({ userId: 1, status: 1, createdAt: -1 });
+holdSchema.index({ status: 1, expiresAt: 1 });
+// One hold per external transfer
+holdSchema.index(
+    { transactionId: 1 },
+    { unique: true, partialFilterExpression: { transactionId: { $type: 'objectId' } } }
+);
+
+export const Hold = mongoose.model('Hold', holdSchema);
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+/**
+ * Idempotency key schema for the NEG AI Banking Platform.
+ * Records a client-supplied Idempotency-Key per user with a hash of the request and the
+ * original response, so a retried money-moving request is replayed instead of re-executed.
+ * Records expire automatically after 24 hours.
+ */
+const idempotencyKeySchema = new mongoose.Schema(
+    {
+        key: {
+            type: String,
+            required: [true, 'Idempotency key is required'],
+            trim: true
+        },
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User ID is required']
+        },
+        method: {
+            type: String,
+            required: true
+        },
+        path: {
+            type: String,
+            required: true
+        },
+        requestHash: {
+            type: String,
+            required: [true, 'Request hash is required']
+        },
+        status: {
+            type: String,
+            enum: ['processing', 'completed'],
+            default: 'processing'
+        },
+        lockedUntil: {
+            type: Date
+        },
+        responseStatus: {
+            type: Number
+        },
+        responseBody: {
+            type: mongoose.Schema.Types.Mixed
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+            default: () => new Date(Date.now() + 24 * 60 * 60 * 1000)
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
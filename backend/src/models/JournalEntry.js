@@ -0,0 +1,128 @@
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import { DEFAULT_CURRENCY, MINOR_UNITS, formatMoney, minorAmountValidator } from '../utils/money.js';
+
+/**
+ * Journal entry schema for the NEG AI Banking Platform.
+ * A journal entry is one balanced double-entry posting: in each currency, the sum of its
+ * debit legs always equals the sum of its credit legs. Entries are append-only; corrections
+ * are made with new compensating entries. Each leg carries the currency of its account and
+ * an amount in integer minor units of it. Most entries are in one currency, which is also
+ * the entry's currency; a currency conversion has legs in two and takes the currency sold.
+ */
+const legSchema = new mongoose.Schema(
+    {
+        accountId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'LedgerAccount',
+            required: [true, 'Ledger account is required']
+        },
+        accountCode: {
+            type: String,
+            required: [true, 'Ledger account code is required']
+        },
+        direction: {
+            type: String,
+            enum: ['debit', 'credit'],
+            required: [true, 'Leg direction is required']
+        },
+        amount: {
+            type: Number,
+            required: [true, 'Leg amount is required'],
+            min: [0, 'Leg amount must be positive'],
+            validate: minorAmountValidator
+        },
+        // Entries posted before multi-currency wallets have no leg currency; theirs is the entry's
+        currency: {
+            type: String,
+            enum: Object.keys(MINOR_UNITS)
+        }
+    },
+    { _id: false }
+);
+
+const journalEntrySchema = new mongoose.Schema(
+    {
+        reference: {
+            type: String,
+            required: [true, 'Journal reference is required'],
+            unique: true,
+            trim: true
+        },
+        description: {
+            type: String,
+            trim: true
+        },
+        legs: {
+            type: [legSchema],
+            required: true
+        },
+        currency: {
+            type: String,
+            enum: Object.keys(MINOR_UNITS),
+            default: DEFAULT_CURRENCY
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        metadata: {
+            type: mongoose.Schema.Types.Mixed,
+            default: {}
+        }
+    },
+    {
+        timestamps: true,
+        minimize: false
+    }
+);
+
+journalEntrySchema.index({ 'legs.accountId': 1, createdAt: -1 });
+
+/**
+ * Sums leg amounts for one direction and currency.
+ * @param {Object[]} legs - Journal legs
+ * @param {string} direction - 'debit' or 'credit'
+ * @param {string} currency - Currency code
+ * @returns {number} Total in minor units
+ */
+const sumLegs = (legs, direction, currency) =>
+    legs
+        .filter((leg) => leg.direction === direction && leg.currency === currency)
+        .reduce((total, leg) => total + leg.amount, 0);
+
+// Reject unbalanced or degenerate entries before they reach the database
+journalEntrySchema.pre('validate', function (next) {
+    try {
+        if (!this.isNew) {
+            throw new Error('Journal entries are immutable');
+        }
+        if (!this.legs || this.legs.length < 2) {
+            throw new Error('Journal entry must have at least two legs');
+        }
+        if (this.legs.some((leg) => !(leg.amount > 0))) {
+            throw new Error('Journal leg amounts must be positive');
+        }
+        for (const leg of this.legs) {
+            leg.currency = leg.currency || this.currency;
+        }
+        for (const currency of new Set(this.legs.map((leg) => leg.currency))) {
+            const debits = sumLegs(this.legs, 'debit', currency);
+            const credits = sumLegs(this.legs, 'credit', currency);
+            if (debits !== credits) {
+                throw new Error(
+                    `Unbalanced journal entry: debits ${formatMoney(debits, currency)} != credits ${formatMoney(credits, currency)}`
+                );
+            }
+        }
+        next();
+    } catch (error) {
+        logger.error('Journal entry validation error', {
+            reference: this.reference,
+            error: error.message
+        });
+        next(error);
+    }
+});
+
+export const JournalEntry = mongoose.model('JournalEntry', journalEntrySchema);
@@ -0,0 +1,251 @@
+import mongoose from 'mongoose';
+
+/**
+ * KYC submission schema for the NEG AI Banking Platform.
+ * One identity check a customer asked for, towards a higher KYC tier or a verified BVN.
+ * A submission is pending until it is decided: approved (the tier is granted, or the BVN
+ * marked verified), rejected, or sent back as needs_more_info, after which the customer
+ * resubmits the same submission and it is pending again. Identity numbers are never
+ * stored here in clear: only a keyed hash, to stop one number verifying two accounts, and
+ * the last four digits for display. A BVN waiting for a reviewer is also kept encrypted,
+ * since it is copied to the user only on approval, and cleared once decided. ID document
+ * images live in document storage; a submission records their storage keys, and images
+ * replaced on resubmission are kept with replacedAt set. A reviewer claims a pending submission before deciding it; the
+ * claim lapses at claimExpiresAt.
+ */
+
+// Reasons for a rejection or a request for more information; nin_not_found and
+// bvn_not_found are set by the automatic checks
+const KYC_REASON_CODES = [
+    'nin_not_found',
+    'bvn_not_found',
+    'name_mismatch',
+    'date_of_birth_mismatch',
+    'details_mismatch',
+    'document_unreadable',
+    'document_incomplete',
+    'document_expired',
+    'duplicate_identity',
+    'suspected_fraud',
+    'other'
+];
+
+const historySchema = new mongoose.Schema(
+    {
+        status: {
+            type: String,
+            required: true
+        },
+        note: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Note cannot exceed 500 characters']
+        },
+        // Who moved the submission; null for the customer's own submissions and automatic checks
+        actor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        at: {
+            type: Date,
+            default: Date.now
+        }
+    },
+    { _id: false }
+);
+
+const documentSchema = new mongoose.Schema({
+    side: {
+        type: String,
+        enum: ['front', 'back'],
+        required: true
+    },
+    // Document storage that holds the file, and its key there
+    storage: {
+        type: String,
+        required: true
+    },
+    key: {
+        type: String,
+        required: true
+    },
+    mimeType: {
+        type: String,
+        enum: ['image/jpeg', 'image/png'],
+        required: true
+    },
+    size: {
+        type: Number,
+        required: true
+    },
+    width: {
+        type: Number,
+        required: true
+    },
+    height: {
+        type: Number,
+        required: true
+    },
+    // SHA-256 of the stored (metadata-free) file
+    sha256: {
+        type: String,
+        required: true
+    },
+    uploadedAt: {
+        type: Date,
+        default: Date.now
+    },
+    replacedAt: {
+        type: Date,
+        default: null
+    }
+});
+
+const kycSubmissionSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User ID is required']
+        },
+        type: {
+            type: String,
+            enum: {
+                values: ['nin', 'bvn', 'id_document'],
+                message: 'Unknown KYC submission type'
+            },
+            required: [true, 'Submission type is required']
+        },
+        status: {
+            type: String,
+            enum: ['pending', 'approved', 'rejected', 'needs_more_info'],
+            default: 'pending'
+        },
+        // KYC tier granted on approval; 1 for a BVN, which does not raise the tier
+        requestedTier: {
+            type: Number,
+            enum: [1, 2, 3],
+            required: [true, 'Requested tier is required']
+        },
+        identifierHash: {
+            type: String,
+            required: [true, 'Identifier hash is required']
+        },
+        identifierLast4: {
+            type: String,
+            match: [/^[A-Z0-9]{4}$/, 'Identifier suffix must be 4 letters or digits']
+        },
+        // BVN submissions only, while undecided: the BVN encrypted with utils/encryption.js
+        encryptedBvn: {
+            type: String,
+            select: false,
+            default: null
+        },
+        // ID document submissions only
+        documentType: {
+            type: String,
+            enum: ['drivers_licence', 'passport', 'voters_card']
+        },
+        documents: {
+            type: [documentSchema],
+            default: undefined
+        },
+        // Details the customer gave with the submission
+        dateOfBirth: {
+            type: String,
+            match: [/^\d{4}-\d{2}-\d{2}$/, 'Date of birth must be YYYY-MM-DD']
+        },
+        address: {
+            line1: { type: String, trim: true },
+            city: { type: String, trim: true },
+            state: { type: String, trim: true }
+        },
+        // What the identity source returned, and how it compared with the customer
+        verification: {
+            provider: { type: String },
+            reference: { type: String },
+            found: { type: Boolean },
+            firstName: { type: String },
+            middleName: { type: String },
+            lastName: { type: String },
+            dateOfBirth: { type: String },
+            // Fuzzy name match score from 0 to 1, for BVNs
+            nameScore: { type: Number },
+            nameMatched: { type: Boolean },
+            dateOfBirthMatched: { type: Boolean },
+            phoneMatched: { type: Boolean },
+            error: { type: String },
+            checkedAt: { type: Date }
+        },
+        // Why an automatic check left the submission for a reviewer
+        reviewReason: {
+            type: String,
+            enum: ['name_mismatch', 'date_of_birth_mismatch', 'provider_unavailable', null],
+            default: null
+        },
+        // Machine-readable reason for a rejection or a request for more information
+        reasonCode: {
+            type: String,
+            enum: [...KYC_REASON_CODES, null],
+            default: null
+        },
+        // Shown to the customer
+        remarks: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Remarks cannot exceed 500 characters']
+        },
+        // Reviewer working on the submission, until the claim expires
+        claimedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        claimedAt: {
+            type: Date,
+            default: null
+        },
+        claimExpiresAt: {
+            type: Date,
+            default: null
+        },
+        // Reviewer's note for other admins; not shown to the customer
+        reviewNote: {
+            type: String,
+            trim: true,
+            maxlength: [1000, 'Review note cannot exceed 1000 characters']
+        },
+        decidedAt: {
+            type: Date,
+            default: null
+        },
+        // Reviewer who decided it; null when decided automatically
+        decidedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        history: {
+            type: [historySchema],
+            default: []
+        },
+        requestId: {
+            type: String
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+kycSubmissionSchema.index({ userId: 1, createdAt: -1 });
+kycSubmissionSchema.index({ identifierHash: 1, status: 1 });
+kycSubmissionSchema.index({ status: 1, createdAt: 1 });
+// One submission of each type under review per customer
+kycSubmissionSchema.index(
+    { userId: 1, type: 1 },
+    { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+export const KycSubmission = mongoose.model('KycSubmission', kycSubmissionSchema);
@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+import { DEFAULT_CURRENCY, MINOR_UNITS, minorAmountValidator } from '../utils/money.js';
+
+/**
+ * Ledger account schema for the NEG AI Banking Platform.
+ * Every customer wallet and every system account (fee income, provider settlement, suspense)
+ * is a ledger account. The balance is a cache maintained by journal postings only and can be
+ * recomputed from JournalEntry legs at any time. Wallet accounts also keep heldBalance, the
+ * total of the wallet's active holds, which debits cannot spend. Every account holds one
+ * currency and balances are integer minor units of it; a wallet has one account per
+ * currency it holds (its sub-wallets).
+ */
+const ledgerAccountSchema = new mongoose.Schema(
+    {
+        code: {
+            type: String,
+            required: [true, 'Account code is required'],
+            unique: true,
+            trim: true
+        },
+        name: {
+            type: String,
+            required: [true, 'Account name is required'],
+            trim: true
+        },
+        type: {
+            type: String,
+            enum: {
+                values: ['asset', 'liability', 'equity', 'income', 'expense'],
+                message: 'Account type must be asset, liability, equity, income, or expense'
+            },
+            required: [true, 'Account type is required']
+        },
+        walletId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Wallet'
+        },
+        isSystem: {
+            type: Boolean,
+            default: false
+        },
+        currency: {
+            type: String,
+            enum: Object.keys(MINOR_UNITS),
+            default: DEFAULT_CURRENCY
+        },
+        balance: {
+            type: Number,
+            default: 0,
+            validate: minorAmountValidator
+        },
+        heldBalance: {
+            type: Number,
+            default: 0,
+            validate: minorAmountValidator
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// One account per wallet and currency
+ledgerAccountSchema.index(
+    { walletId: 1, currency: 1 },
+    { unique: true, partialFilterExpression: { walletId: { $type: 'objectId' } } }
+);
+
+/**
+ * Whether debits increase this account's balance (assets and expenses) or decrease it.
+ * @returns {boolean}
+ */
+ledgerAccountSchema.virtual('isDebitNormal').get(function () {
+    return this.type === 'asset' || this.type === 'expense';
+});
+
+export const LedgerAccount = mongoose.model('LedgerAccount', ledgerAccountSchema);
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+/**
+ * Notification schema for the NEG AI Banking Platform.
+ * One in-app message to a customer, such as the outcome of a KYC review. A notification is
+ * unread until readAt is set.
+ */
+const notificationSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User ID is required']
+        },
+        type: {
+            type: String,
+            enum: ['kyc'],
+            required: [true, 'Notification type is required']
+        },
+        title: {
+            type: String,
+            required: [true, 'Title is required'],
+            trim: true,
+            maxlength: [120, 'Title cannot exceed 120 characters']
+        },
+        message: {
+            type: String,
+            required: [true, 'Message is required'],
+            trim: true,
+            maxlength: [1000, 'Message cannot exceed 1000 characters']
+        },
+        // What the notification is about, for the app to link to
+        data: {
+            type: mongoose.Schema.Types.Mixed,
+            default: {}
+        },
+        readAt: {
+            type: Date,
+            default: null
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+
+export const Notification = mongoose.model('Notification', notificationSchema);
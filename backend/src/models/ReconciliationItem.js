@@ -0,0 +1,116 @@
+import mongoose from 'mongoose';
+import { DEFAULT_CURRENCY, MINOR_UNITS, minorAmountValidator } from '../utils/money.js';
+
+// Either side of an item can be missing
+const optionalMinorAmountValidator = {
+    ...minorAmountValidator,
+    validator: (value) => value === null || minorAmountValidator.validator(value)
+};
+
+/**
+ * Reconciliation item schema for the NEG AI Banking Platform.
+ * One provider record or ledger row from a reconciliation run and how it compared: matched,
+ * missing from the ledger, missing at the provider, or matched with a different amount.
+ * Every result other than matched stays open until an admin resolves it. Amounts are kobo.
+ */
+const reconciliationItemSchema = new mongoose.Schema(
+    {
+        runId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ReconciliationRun',
+            required: [true, 'Reconciliation run is required']
+        },
+        provider: {
+            type: String,
+            enum: ['flutterwave', 'paystack'],
+            required: [true, 'Provider is required']
+        },
+        // Money in (payments and incoming transfers) or out (external transfers)
+        kind: {
+            type: String,
+            enum: ['payment', 'transfer'],
+            required: [true, 'Kind is required']
+        },
+        result: {
+            type: String,
+            enum: ['matched', 'missing_in_ledger', 'missing_at_provider', 'amount_mismatch'],
+            required: [true, 'Result is required']
+        },
+        reference: {
+            type: String,
+            required: [true, 'Reference is required'],
+            trim: true
+        },
+        providerId: {
+            type: String,
+            default: null
+        },
+        providerAmount: {
+            type: Number,
+            default: null,
+            validate: optionalMinorAmountValidator
+        },
+        providerStatus: {
+            type: String,
+            default: null
+        },
+        transactionId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Transaction',
+            default: null
+        },
+        ledgerAmount: {
+            type: Number,
+            default: null,
+            validate: optionalMinorAmountValidator
+        },
+        ledgerStatus: {
+            type: String,
+            default: null
+        },
+        currency: {
+            type: String,
+            enum: Object.keys(MINOR_UNITS),
+            default: DEFAULT_CURRENCY
+        },
+        occurredAt: {
+            type: Date,
+            required: [true, 'Occurrence time is required']
+        },
+        resolutionStatus: {
+            type: String,
+            enum: ['not_required', 'open', 'resolved'],
+            required: [true, 'Resolution status is required']
+        },
+        resolution: {
+            type: String,
+            enum: ['ledger_adjusted', 'provider_adjusted', 'no_action', null],
+            default: null
+        },
+        resolutionNote: {
+            type: String,
+            default: null,
+            trim: true,
+            maxlength: [500, 'Resolution note cannot exceed 500 characters']
+        },
+        resolvedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        resolvedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+reconciliationItemSchema.index({ runId: 1, result: 1 });
+// The admin queue of open exceptions
+reconciliationItemSchema.index({ resolutionStatus: 1, occurredAt: -1 });
+reconciliationItemSchema.index({ reference: 1 });
+
+export const ReconciliationItem = mongoose.model('ReconciliationItem', reconciliationItemSchema);
@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+
+/**
+ * Reconciliation run schema for the NEG AI Banking Platform.
+ * One comparison of a payment provider's reports with the ledger for a business day in West
+ * Africa Time. The counts summarise the run's ReconciliationItems by result. Only one run per
+ * provider and day can be running at a time.
+ */
+const reconciliationRunSchema = new mongoose.Schema(
+    {
+        provider: {
+            type: String,
+            enum: ['flutterwave', 'paystack'],
+            required: [true, 'Provider is required']
+        },
+        // YYYY-MM-DD in West Africa Time
+        businessDate: {
+            type: String,
+            required: [true, 'Business date is required'],
+            match: [/^\d{4}-\d{2}-\d{2}$/, 'Business date must be YYYY-MM-DD']
+        },
+        from: {
+            type: Date,
+            required: [true, 'Start of range is required']
+        },
+        to: {
+            type: Date,
+            required: [true, 'End of range is required']
+        },
+        status: {
+            type: String,
+            enum: ['running', 'completed', 'failed'],
+            default: 'running'
+        },
+        counts: {
+            matched: { type: Number, default: 0 },
+            missing_in_ledger: { type: Number, default: 0 },
+            missing_at_provider: { type: Number, default: 0 },
+            amount_mismatch: { type: Number, default: 0 }
+        },
+        // Null when the daily job started the run
+        triggeredBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        error: {
+            type: String,
+            default: null
+        },
+        completedAt: {
+            type: Date,
+            default: null
+        },
+        requestId: {
+            type: String,
+            default: null
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+reconciliationRunSchema.index(
+    { provider: 1, businessDate: 1 },
+    { unique: true, partialFilterExpression: { status: 'running' } }
+);
+reconciliationRunSchema.index({ businessDate: -1, createdAt: -1 });
+
+export const ReconciliationRun = mongoose.model('ReconciliationRun', reconciliationRunSchema);
@@ -0,0 +1,106 @@
+import mongoose from 'mongoose';
+import { DEFAULT_CURRENCY, MINOR_UNITS, minorAmountValidator } from '../utils/money.js';
+
+/**
+ * Reversal schema for the NEG AI Banking Platform.
+ * A request to undo all or part of a completed ledger entry. One admin raises it, a
+ * different admin approves or rejects it, and an approved reversal is posted as a new
+ * compensating journal entry; the original entry is never edited. Amounts are integer kobo.
+ */
+const reversalSchema = new mongoose.Schema(
+    {
+        transactionId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Transaction',
+            required: [true, 'Original transaction is required']
+        },
+        journalEntryId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'JournalEntry',
+            required: [true, 'Original journal entry is required']
+        },
+        originalReference: {
+            type: String,
+            required: [true, 'Original reference is required'],
+            trim: true
+        },
+        kind: {
+            type: String,
+            enum: ['transfer', 'chargeback', 'external_transfer'],
+            required: [true, 'Reversal kind is required']
+        },
+        amount: {
+            type: Number,
+            required: [true, 'Amount is required'],
+            min: [1, 'Amount must be positive'],
+            validate: minorAmountValidator
+        },
+        fee: {
+            type: Number,
+            default: 0,
+            min: [0, 'Fee cannot be negative'],
+            validate: minorAmountValidator
+        },
+        currency: {
+            type: String,
+            enum: Object.keys(MINOR_UNITS),
+            default: DEFAULT_CURRENCY
+        },
+        reason: {
+            type: String,
+            required: [true, 'Reason is required'],
+            trim: true,
+            maxlength: [500, 'Reason cannot exceed 500 characters']
+        },
+        status: {
+            type: String,
+            enum: ['pending_approval', 'approved', 'rejected', 'executed', 'failed'],
+            default: 'pending_approval'
+        },
+        requestedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'Requesting admin is required']
+        },
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        reviewedAt: {
+            type: Date,
+            default: null
+        },
+        reviewNote: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Review note cannot exceed 500 characters']
+        },
+        reference: {
+            type: String,
+            default: null
+        },
+        reversalJournalEntryId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'JournalEntry',
+            default: null
+        },
+        executedAt: {
+            type: Date,
+            default: null
+        },
+        failureReason: {
+            type: String,
+            default: null
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// Review queue, oldest first, and every reversal of one transaction
+reversalSchema.index({ status: 1, createdAt: 1 });
+reversalSchema.index({ transactionId: 1, createdAt: -1 });
+
+export const Reversal = mongoose.model('Reversal', reversalSchema);
@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+import { DEFAULT_CURRENCY, MINOR_UNITS, minorAmountValidator } from '../utils/money.js';
+
+/**
+ * Scheduled transfer schema for the NEG AI Banking Platform.
+ * A one-off transfer the user asked to run at a future date. The job runner claims due
+ * transfers, executes them through walletService and records the outcome here.
+ * Amounts are integer kobo.
+ */
+const scheduledTransferSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User ID is required'],
+            index: true
+        },
+        transferType: {
+            type: String,
+            enum: ['internal', 'external'],
+            required: [true, 'Transfer type is required']
+        },
+        recipientAccountNumber: {
+            type: String,
+            required: [true, 'Recipient account number is required'],
+            match: [/^\d{10}$/, 'Recipient account number must be 10 digits']
+        },
+        bankCode: {
+            type: String,
+            match: [/^\d{3}$/, 'Bank code must be 3 digits']
+        },
+        recipientAccountName: {
+            type: String,
+            trim: true
+        },
+        recipientBankName: {
+            type: String,
+            trim: true
+        },
+        amount: {
+            type: Number,
+            required: [true, 'Amount is required'],
+            min: [1, 'Amount must be positive'],
+            validate: minorAmountValidator
+        },
+        currency: {
+            type: String,
+            enum: Object.keys(MINOR_UNITS),
+            default: DEFAULT_CURRENCY
+        },
+        description: {
+            type: String,
+            trim: true,
+            maxlength: [200, 'Description cannot exceed 200 characters']
+        },
+        runAt: {
+            type: Date,
+            required: [true, 'Run date is required']
+        },
+        status: {
+            type: String,
+            // pending: an external transfer was sent and the provider has not confirmed it yet
+            enum: ['scheduled', 'processing', 'pending', 'completed', 'failed', 'cancelled'],
+            default: 'scheduled'
+        },
+        // Set while a runner owns the transfer; an expired lock can be reclaimed
+        lockedUntil: {
+            type: Date,
+            default: null
+        },
+        attempts: {
+            type: Number,
+            default: 0
+        },
+        executedAt: Date,
+        cancelledAt: Date,
+        transactionReference: String,
+        failureReason: String
+    },
+    {
+        timestamps: true
+    }
+);
+
+// The runner polls for due transfers; users list their own newest first
+scheduledTransferSchema.index({ status: 1, runAt: 1 });
+scheduledTransferSchema.index({ userId: 1, runAt: -1 });
+
+export const ScheduledTransfer = mongoose.model('ScheduledTransfer', scheduledTransferSchema);
@@ -0,0 +1,123 @@
+import mongoose from 'mongoose';
+import { DEFAULT_CURRENCY, MINOR_UNITS, minorAmountValidator } from '../utils/money.js';
+import { FREQUENCIES } from '../utils/recurrence.js';
+
+/**
+ * Standing order schema for the NEG AI Banking Platform.
+ * A recurring transfer to another wallet or an external bank account. The job runner
+ * claims orders whose nextRunAt has passed, executes the occurrence through walletService
+ * and records it as a StandingOrderExecution. Amounts are integer kobo.
+ */
+const standingOrderSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User ID is required'],
+            index: true
+        },
+        transferType: {
+            type: String,
+            enum: ['internal', 'external'],
+            required: [true, 'Transfer type is required']
+        },
+        recipientAccountNumber: {
+            type: String,
+            required: [true, 'Recipient account number is required'],
+            match: [/^\d{10}$/, 'Recipient account number must be 10 digits']
+        },
+        bankCode: {
+            type: String,
+            match: [/^\d{3}$/, 'Bank code must be 3 digits']
+        },
+        recipientAccountName: {
+            type: String,
+            trim: true
+        },
+        recipientBankName: {
+            type: String,
+            trim: true
+        },
+        amount: {
+            type: Number,
+            required: [true, 'Amount is required'],
+            min: [1, 'Amount must be positive'],
+            validate: minorAmountValidator
+        },
+        currency: {
+            type: String,
+            enum: Object.keys(MINOR_UNITS),
+            default: DEFAULT_CURRENCY
+        },
+        description: {
+            type: String,
+            trim: true,
+            maxlength: [200, 'Description cannot exceed 200 characters']
+        },
+        frequency: {
+            type: String,
+            enum: FREQUENCIES,
+            required: [true, 'Frequency is required']
+        },
+        // Five-field cron expression in West Africa Time, only for custom schedules
+        cronExpression: {
+            type: String,
+            trim: true
+        },
+        startDate: {
+            type: Date,
+            required: [true, 'Start date is required']
+        },
+        endDate: Date,
+        maxRuns: {
+            type: Number,
+            min: [1, 'Maximum runs must be at least 1']
+        },
+        // What to do with occurrences missed while the runner was down
+        catchUpPolicy: {
+            type: String,
+            enum: ['skip', 'run_once', 'run_all'],
+            default: 'run_once'
+        },
+        status: {
+            type: String,
+            enum: ['active', 'paused', 'completed', 'cancelled'],
+            default: 'active'
+        },
+        nextRunAt: {
+            type: Date,
+            default: null
+        },
+        // Set while a runner owns the order; an expired lock can be reclaimed
+        lockedUntil: {
+            type: Date,
+            default: null
+        },
+        attempts: {
+            type: Number,
+            default: 0
+        },
+        runCount: {
+            type: Number,
+            default: 0
+        },
+        consecutiveFailures: {
+            type: Number,
+            default: 0
+        },
+        lastRunAt: Date,
+        pausedAt: Date,
+        pauseReason: String,
+        completedAt: Date,
+        cancelledAt: Date
+    },
+    {
+        timestamps: true
+    }
+);
+
+// The runner polls for due orders; users list their own newest first
+standingOrderSchema.index({ status: 1, nextRunAt: 1 });
+standingOrderSchema.index({ userId: 1, createdAt: -1 });
+
+export const StandingOrder = mongoose.model('StandingOrder', standingOrderSchema);
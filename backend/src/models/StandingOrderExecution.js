@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+import { DEFAULT_CURRENCY, MINOR_UNITS, minorAmountValidator } from '../utils/money.js';
+
+/**
+ * Standing order execution schema for the NEG AI Banking Platform.
+ * One record per occurrence of a standing order, whether it paid, failed or was skipped
+ * under the order's catch-up policy. Completed executions carry the ledger reference of
+ * the transfer, whose Transaction and journal entry point back via metadata.standingOrderId.
+ */
+const standingOrderExecutionSchema = new mongoose.Schema(
+    {
+        standingOrderId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'StandingOrder',
+            required: [true, 'Standing order ID is required']
+        },
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User ID is required'],
+            index: true
+        },
+        scheduledFor: {
+            type: Date,
+            required: [true, 'Scheduled date is required']
+        },
+        status: {
+            type: String,
+            enum: ['completed', 'failed', 'skipped'],
+            required: [true, 'Execution status is required']
+        },
+        amount: {
+            type: Number,
+            required: [true, 'Amount is required'],
+            min: [1, 'Amount must be positive'],
+            validate: minorAmountValidator
+        },
+        currency: {
+            type: String,
+            enum: Object.keys(MINOR_UNITS),
+            default: DEFAULT_CURRENCY
+        },
+        transactionReference: String,
+        failureReason: String,
+        executedAt: {
+            type: Date,
+            default: Date.now
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// One record per occurrence, so a re-run after a crash cannot record it twice
+standingOrderExecutionSchema.index({ standingOrderId: 1, scheduledFor: -1 }, { unique: true });
+
+export const StandingOrderExecution = mongoose.model('StandingOrderExecution', standingOrderExecutionSchema);
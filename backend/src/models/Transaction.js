@@ -0,0 +1,139 @@
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import { DEFAULT_CURRENCY, MINOR_UNITS, minorAmountValidator } from '../utils/money.js';
+
+/**
+ * Transaction schema for the NEG AI Banking Platform.
+ * Stores wallet ledger entries in their own collection so wallet documents stay small.
+ * Amounts are integer minor units (kobo) in the entry's currency.
+ */
+const transactionSchema = new mongoose.Schema(
+    {
+        walletId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Wallet',
+            required: [true, 'Wallet ID is required'],
+            index: true
+        },
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User ID is required'],
+            index: true
+        },
+        journalEntryId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'JournalEntry',
+            index: true
+        },
+        type: {
+            type: String,
+            enum: ['credit', 'debit'],
+            required: [true, 'Transaction type is required']
+        },
+        amount: {
+            type: Number,
+            required: [true, 'Amount is required'],
+            min: [0, 'Amount must be positive'],
+            validate: minorAmountValidator
+        },
+        currency: {
+            type: String,
+            enum: Object.keys(MINOR_UNITS),
+            default: DEFAULT_CURRENCY,
+            required: [true, 'Currency is required']
+        },
+        reference: {
+            type: String,
+            required: [true, 'Transaction reference is required'],
+            unique: true,
+            trim: true
+        },
+        status: {
+            type: String,
+            enum: ['pending', 'completed', 'failed'],
+            default: 'pending',
+            index: true
+        },
+        source: {
+            type: String,
+            enum: ['flutterwave', 'paystack', 'transfer', 'external_transfer', 'reversal', 'fx_conversion'],
+            required: [true, 'Transaction source is required']
+        },
+        // Payment provider that moved the money, for funding and external transfers.
+        // Rows from before Paystack was added have none and went through Flutterwave.
+        provider: {
+            type: String,
+            enum: ['flutterwave', 'paystack', null],
+            default: null
+        },
+        target: {
+            type: String,
+            default: null
+        },
+        targetBank: {
+            type: String,
+            default: null
+        },
+        description: {
+            type: String,
+            trim: true
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        // Outgoing external transfers stay pending until the provider confirms them
+        settledAt: {
+            type: Date,
+            default: null
+        },
+        escalatedAt: {
+            type: Date,
+            default: null
+        },
+        // Running totals of executed reversals against this entry (see reversalService)
+        reversedAmount: {
+            type: Number,
+            default: 0,
+            min: [0, 'Reversed amount cannot be negative'],
+            validate: minorAmountValidator
+        },
+        reversedFee: {
+            type: Number,
+            default: 0,
+            min: [0, 'Reversed fee cannot be negative'],
+            validate: minorAmountValidator
+        },
+        metadata: {
+            type: mongoose.Schema.Types.Mixed,
+            default: {}
+        }
+    },
+    {
+        timestamps: true,
+        minimize: false
+    }
+);
+
+// Wallet history is always read newest first
+transactionSchema.index({ walletId: 1, createdAt: -1 });
+transactionSchema.index({ walletId: 1, target: 1, createdAt: -1 });
+transactionSchema.index({ createdAt: -1 });
+// Pending external transfers waiting for a status poll
+transactionSchema.index({ source: 1, status: 1, createdAt: 1 });
+
+// Pre-validate checks for ledger entries
+transactionSchema.pre('validate', function (next) {
+    if (this.isNew && !(this.amount > 0)) {
+        logger.error('Transaction validation error', {
+            error: 'Transaction amount must be positive',
+            walletId: this.walletId,
+            reference: this.reference
+        });
+        return next(new Error('Transaction amount must be positive'));
+    }
+    next();
+});
+
+export const Transaction = mongoose.model('Transaction', transactionSchema);
@@ -3,11 +3,18 @@ import bcrypt from 'bcrypt';
 import mongooseEncryption from 'mongoose-encryption';
 import { env } from '../config/env.js';
 import logger from '../utils/logger.js';
+import { toNuban } from '../utils/nuban.js';
+import { Counter } from './Counter.js';
+
+const ACCOUNT_NUMBER_SEQUENCE = 'accountNumber';
+const MAX_ACCOUNT_NUMBER_ATTEMPTS = 5;
 
 /**
  * User schema for the NEG AI Banking Platform.
- * Includes encrypted fields (NIN, password reset token), role-based access,
- * session tracking, account number generated from phone number, and bank name.
+ * Includes encrypted fields (NIN, BVN, password reset token), role-based access,
+ * session tracking, a NUBAN account number generated from a sequence, and bank name.
+ * The account number never changes; numbers a user had before (such as the old
+ * phone-derived ones) stay reachable as accountNumberAliases.
  * @type {mongoose.Schema}
  */
 const userSchema = new mongoose.Schema(
@@ -51,6 +58,11 @@ const userSchema = new mongoose.Schema(
             match: [/^\d{10}$/, 'Account number must be 10 digits'],
             index: true
         },
+        // Earlier account numbers that still receive transfers; absent for most users
+        accountNumberAliases: {
+            type: [{ type: String, match: [/^\d{10}$/, 'Account number must be 10 digits'] }],
+            default: undefined
+        },
         bankName: {
             type: String,
             default: 'NEG AI Bank',
@@ -70,6 +82,17 @@ const userSchema = new mongoose.Schema(
             select: false,
             set: (value) => (value ? value.replace(/\s/g, '') : value)
         },
+        // Last BVN the user submitted; it only counts once bvnVerifiedAt is set
+        bvn: {
+            type: String,
+            trim: true,
+            select: false,
+            set: (value) => (value ? value.replace(/\s/g, '') : value)
+        },
+        bvnVerifiedAt: {
+            type: Date,
+            default: null
+        },
         role: {
             type: String,
             enum: {
@@ -82,6 +105,16 @@ const userSchema = new mongoose.Schema(
             type: Boolean,
             default: false
         },
+        // CBN tiered KYC level, raised as identity checks are passed. Sets the funding,
+        // transfer and balance limits (see limitService) and gates virtual accounts.
+        kycTier: {
+            type: Number,
+            enum: {
+                values: [1, 2, 3],
+                message: 'KYC tier must be 1, 2 or 3'
+            },
+            default: 1
+        },
         sessions: [
             {
                 refreshToken: { type: String, select: false },
@@ -103,28 +136,62 @@ const userSchema = new mongoose.Schema(
     }
 );
 
-// Encrypt sensitive fields (NIN, passwordResetToken)
+// Encrypt sensitive fields (NIN, BVN, passwordResetToken)
 userSchema.plugin(mongooseEncryption, {
     secret: env.ENCRYPTION_KEY,
     additionalSecret: env.ENCRYPTION_IV,
-    encryptedFields: ['nin', 'passwordResetToken']
+    encryptedFields: ['nin', 'bvn', 'passwordResetToken']
 });
 
-// Generate account number from phone number before saving
+/**
+ * Generates an unused account number: a NUBAN with our institution code and the next serial
+ * number from the account number sequence. Serials that collide with an existing number or
+ * alias are skipped.
+ * @param {mongoose.ClientSession} [session] - MongoDB session
+ * @returns {Promise<string>} Account number
+ */
+userSchema.statics.generateAccountNumber = async function (session) {
+    for (let attempt = 1; attempt <= MAX_ACCOUNT_NUMBER_ATTEMPTS; attempt += 1) {
+        const sequence = await Counter.next(ACCOUNT_NUMBER_SEQUENCE, session);
+        const accountNumber = toNuban(env.NUBAN_INSTITUTION_CODE, sequence);
+        const taken = await this.exists({
+            $or: [{ accountNumber }, { accountNumberAliases: accountNumber }]
+        }).session(session || null);
+        if (!taken) {
+            return accountNumber;
+        }
+        logger.warn('Generated account number already in use, skipping', { accountNumber, sequence });
+    }
+    throw new Error('Could not generate an unused account number');
+};
+
+/**
+ * Finds a user by account number, including numbers they had before.
+ * @param {string} accountNumber - Account number or alias
+ * @returns {mongoose.Query} Query for the user
+ */
+userSchema.statics.findByAccountNumber = function (accountNumber) {
+    return this.findOne({ $or: [{ accountNumber }, { accountNumberAliases: accountNumber }] });
+};
+
+/**
+ * Whether an account number is the user's current one or one of their aliases.
+ * @param {string} accountNumber - Account number
+ * @returns {boolean}
+ */
+userSchema.methods.hasAccountNumber = function (accountNumber) {
+    return accountNumber === this.accountNumber || Boolean(this.accountNumberAliases?.includes(accountNumber));
+};
+
+// Assign an account number to new users before saving; it never changes afterwards
 userSchema.pre('save', async function (next) {
     try {
-        if (this.isModified('phoneNumber') && this.phoneNumber) {
-            const phoneNumber = this.phoneNumber.replace(/\s/g, '');
-            if (phoneNumber.startsWith('+234') && phoneNumber.length === 14) {
-                this.accountNumber = phoneNumber.slice(4); // Extract last 10 digits
-                logger.debug('Generated account number from phone number', {
-                    userId: this._id,
-                    phoneNumber,
-                    accountNumber: this.accountNumber
-                });
-            } else {
-                throw new Error('Invalid phone number format for account number generation');
-            }
+        if (this.isNew && !this.accountNumber) {
+            this.accountNumber = await this.constructor.generateAccountNumber(this.$session());
+            logger.debug('Generated account number', {
+                userId: this._id,
+                accountNumber: this.accountNumber
+            });
         }
         if (this.isModified('password')) {
             this.password = await bcrypt.hash(this.password, 12);
@@ -159,7 +226,7 @@ userSchema.post('save', async function (doc, next) {
             return next();
         }
 
-        const wallet = new Wallet({ userId: this._id, balance: 0, accountNumber: this.accountNumber });
+        const wallet = new Wallet({ userId: this._id, accountNumber: this.accountNumber });
         await wallet.save({ session });
 
         await session.commitTransaction();
@@ -200,8 +267,9 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
     }
 };
 
-// Create index for sessions.refreshToken and accountNumber
+// Create index for sessions.refreshToken and account number aliases
 userSchema.index({ 'sessions.refreshToken': 1 });
+userSchema.index({ accountNumberAliases: 1 }, { unique: true, sparse: true });
 
 /**
  * Removes expired sessions from user document.
@@ -1,11 +1,16 @@
 import mongoose from 'mongoose';
-import mongooseEncryption from 'mongoose-encryption';
-import { env } from '../config/env.js';
 import logger from '../utils/logger.js';
+import { LedgerAccount } from './LedgerAccount.js';
+import { CURRENCIES, DEFAULT_CURRENCY, formatMoney, isMinorAmount } from '../utils/money.js';
 
 /**
  * Wallet schema for the NEG AI Banking Platform.
- * Stores user wallet data with encrypted balance, transaction ledger, and account number.
+ * Stores the customer's wallet, its account number and the provider virtual account that
+ * bank transfers can fund it through. The balance is not stored here: it is derived from
+ * journal postings against the wallet's ledger account, and ledger entries live in the Transaction collection. Holds (see Hold.js) reserve part of
+ * that ledger balance; what is left is the available balance that debits may spend.
+ * A wallet holds NGN and may also hold USD and GBP: each currency is a sub-wallet with its
+ * own ledger account, and the balance methods take the currency (NGN by default).
  */
 const walletSchema = new mongoose.Schema(
     {
@@ -22,84 +27,49 @@ const walletSchema = new mongoose.Schema(
             match: [/^\d{10}$/, 'Account number must be 10 digits'],
             index: true
         },
-        balance: {
-            type: Number,
-            default: 0,
-            min: [0, 'Balance cannot be negative'],
-            select: false
-        },
-        ledger: [
-            {
-                type: {
-                    type: String,
-                    enum: ['credit', 'debit'],
-                    required: true
-                },
-                amount: {
-                    type: Number,
-                    required: true,
-                    min: [0, 'Amount must be positive']
-                },
-                reference: {
-                    type: String,
-                    required: true,
-                    unique: true
-                },
-                status: {
-                    type: String,
-                    enum: ['pending', 'completed', 'failed'],
-                    default: 'pending'
-                },
-                source: {
-                    type: String,
-                    enum: ['flutterwave', 'transfer'],
-                    required: true
+        // Static NUBAN at a payment provider; bank transfers into it fund this wallet
+        virtualAccount: {
+            type: new mongoose.Schema(
+                {
+                    provider: { type: String, enum: ['flutterwave', 'paystack'], required: true },
+                    accountNumber: {
+                        type: String,
+                        required: true,
+                        match: [/^\d{10}$/, 'Virtual account number must be 10 digits']
+                    },
+                    accountName: { type: String, trim: true },
+                    bankName: { type: String, trim: true },
+                    reference: { type: String, required: true },
+                    providerId: { type: String, default: null },
+                    createdAt: { type: Date, default: Date.now }
                 },
-                target: {
-                    type: String,
-                    default: null
-                },
-                description: {
-                    type: String,
-                    trim: true
-                },
-                createdAt: {
-                    type: Date,
-                    default: Date.now
-                }
-            }
-        ]
+                { _id: false }
+            ),
+            default: null
+        },
+        // Set while a virtual account is being requested, so only one request is made
+        virtualAccountLockedUntil: {
+            type: Date,
+            default: null
+        }
     },
     {
         timestamps: true
     }
 );
 
-// Encrypt balance field
-walletSchema.plugin(mongooseEncryption, {
-    secret: env.ENCRYPTION_KEY,
-    additionalSecret: env.ENCRYPTION_IV,
-    encryptedFields: ['balance']
-});
+walletSchema.index(
+    { 'virtualAccount.accountNumber': 1 },
+    { unique: true, partialFilterExpression: { 'virtualAccount.accountNumber': { $type: 'string' } } }
+);
+walletSchema.index({ 'virtualAccount.reference': 1 }, { sparse: true });
 
-// Pre-save validation for ledger
+// Pre-save validation logging
 walletSchema.pre('save', async function (next) {
     try {
-        if (this.isModified('ledger')) {
-            const newEntries = this.ledger.filter((entry) => entry.isNew);
-            for (const entry of newEntries) {
-                if (entry.amount <= 0) {
-                    throw new Error('Transaction amount must be positive');
-                }
-                if (!entry.reference) {
-                    throw new Error('Transaction reference is required');
-                }
-            }
-        }
         logger.debug('Wallet pre-save validation passed', {
             walletId: this._id,
             userId: this.userId,
-            balance: this.balance,
             accountNumber: this.accountNumber
         });
         next();
@@ -115,30 +85,85 @@ walletSchema.pre('save', async function (next) {
 });
 
 /**
- * Checks if the wallet has sufficient balance for a transaction.
- * @param {number} amount - Amount to check
+ * Returns the wallet's ledger balance derived from its ledger account postings, including
+ * held funds.
+ * @param {mongoose.ClientSession} [session] - MongoDB session
+ * @param {string} [currency] - Sub-wallet currency
+ * @returns {Promise<number>} Balance in minor units
+ */
+walletSchema.methods.getBalance = async function (session, currency = DEFAULT_CURRENCY) {
+    const account = await LedgerAccount.findOne({ walletId: this._id, currency })
+        .session(session || null)
+        .lean();
+    return account ? account.balance : 0;
+};
+
+/**
+ * Returns the ledger balance, the total of active holds and the available balance.
+ * @param {mongoose.ClientSession} [session] - MongoDB session
+ * @param {string} [currency] - Sub-wallet currency
+ * @returns {Promise<{ ledgerBalance: number, heldBalance: number, availableBalance: number }>} Balances in minor units
+ */
+walletSchema.methods.getBalances = async function (session, currency = DEFAULT_CURRENCY) {
+    const account = await LedgerAccount.findOne({ walletId: this._id, currency })
+        .session(session || null)
+        .lean();
+    const ledgerBalance = account ? account.balance : 0;
+    const heldBalance = account?.heldBalance || 0;
+    return { ledgerBalance, heldBalance, availableBalance: ledgerBalance - heldBalance };
+};
+
+/**
+ * Returns the balance that can be spent: the ledger balance less active holds.
+ * @param {mongoose.ClientSession} [session] - MongoDB session
+ * @param {string} [currency] - Sub-wallet currency
+ * @returns {Promise<number>} Available balance in minor units
+ */
+walletSchema.methods.getAvailableBalance = async function (session, currency = DEFAULT_CURRENCY) {
+    const { availableBalance } = await this.getBalances(session, currency);
+    return availableBalance;
+};
+
+/**
+ * Returns the balances of every supported currency, with zeros for sub-wallets that have
+ * never been used.
+ * @param {mongoose.ClientSession} [session] - MongoDB session
+ * @returns {Promise<Object[]>} [{ currency, ledgerBalance, heldBalance, availableBalance }]
+ */
+walletSchema.methods.getCurrencyBalances = async function (session) {
+    const accounts = await LedgerAccount.find({ walletId: this._id })
+        .session(session || null)
+        .lean();
+    return CURRENCIES.map((currency) => {
+        const account = accounts.find((item) => (item.currency || DEFAULT_CURRENCY) === currency);
+        const ledgerBalance = account ? account.balance : 0;
+        const heldBalance = account?.heldBalance || 0;
+        return { currency, ledgerBalance, heldBalance, availableBalance: ledgerBalance - heldBalance };
+    });
+};
+
+/**
+ * Checks if the wallet's available balance covers a transaction.
+ * @param {number} amount - Amount to check, in minor units
+ * @param {mongoose.ClientSession} [session] - MongoDB session
+ * @param {string} [currency] - Sub-wallet currency
  * @throws {Error} If balance is insufficient or invalid
  */
-walletSchema.methods.hasSufficientBalance = async function (amount) {
+walletSchema.methods.hasSufficientBalance = async function (amount, session, currency = DEFAULT_CURRENCY) {
     try {
-        logger.debug('Raw balance before conversion', {
-            walletId: this._id,
-            userId: this.userId,
-            rawBalance: this.balance,
-            balanceType: typeof this.balance,
-            amount
-        });
-
-        const balance = Number(this.balance);
-        if (isNaN(balance) || this.balance === null || this.balance === undefined) {
-            throw new Error(`Invalid balance: ${this.balance}. Possible decryption failure.`);
+        const balance = await this.getAvailableBalance(session, currency);
+        if (!isMinorAmount(balance) || !isMinorAmount(amount)) {
+            throw new Error(`Invalid balance or amount: ${balance}, ${amount}`);
         }
         if (balance < amount) {
-            throw new Error(`Insufficient balance: ${balance} is less than ${amount}`);
+            throw new Error(
+                `Insufficient balance: ${formatMoney(balance, currency)} available is less than ${formatMoney(amount, currency)}`
+            );
         }
         logger.debug('Sufficient balance verified', {
             walletId: this._id,
             userId: this.userId,
+            currency,
             balance,
             amount
         });
@@ -146,8 +171,7 @@ walletSchema.methods.hasSufficientBalance = async function (amount) {
         logger.error('Insufficient balance check failed', {
             walletId: this._id,
             userId: this.userId,
-            rawBalance: this.balance,
-            balanceType: typeof this.balance,
+            currency,
             amount,
             error: error.message,
             stack: error.stack
@@ -156,4 +180,4 @@ walletSchema.methods.hasSufficientBalance = async function (amount) {
     }
 };
 
-export const Wallet = mongoose.model('Wallet', walletSchema);
\ No newline at end of file
+export const Wallet = mongoose.model('Wallet', walletSchema);
@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+/**
+ * Webhook event schema for the NEG AI Banking Platform.
+ * The webhook inbox: every signed event a payment provider sends is stored here, raw, before
+ * it is acknowledged, then processed in the background. The unique (provider, eventId) index
+ * makes provider retries of an event no-ops. Failed events stay here for retry and replay.
+ */
+const webhookEventSchema = new mongoose.Schema(
+    {
+        provider: {
+            type: String,
+            enum: ['flutterwave', 'paystack'],
+            required: [true, 'Provider is required']
+        },
+        eventId: {
+            type: String,
+            required: [true, 'Event ID is required'],
+            trim: true
+        },
+        eventType: {
+            type: String,
+            default: null
+        },
+        // Exact request body as received, so the event can be re-read or re-verified later
+        payload: {
+            type: String,
+            required: [true, 'Payload is required']
+        },
+        status: {
+            type: String,
+            enum: ['received', 'processing', 'processed', 'ignored', 'failed'],
+            default: 'received'
+        },
+        attempts: {
+            type: Number,
+            default: 0
+        },
+        lockedUntil: {
+            type: Date,
+            default: null
+        },
+        nextAttemptAt: {
+            type: Date,
+            default: null
+        },
+        lastError: {
+            type: String,
+            default: null
+        },
+        result: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null
+        },
+        processedAt: {
+            type: Date,
+            default: null
+        },
+        requestId: {
+            type: String,
+            default: null
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+// The inbox job's work list, and the admin view by status
+webhookEventSchema.index({ status: 1, nextAttemptAt: 1 });
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+
+export const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
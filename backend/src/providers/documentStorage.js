@@ -0,0 +1,174 @@
+// src/providers/documentStorage.js
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { v2 as cloudinary } from 'cloudinary';
+import { env } from '../config/env.js';
+import logger from '../utils/logger.js';
+import { httpError } from '../utils/response.js';
+
+/**
+ * Storage for uploaded identity documents. Files are private: they are only ever read
+ * through signed URLs that expire.
+ *
+ *   name
+ *   save({ key, buffer, mimeType }) -> { key }
+ *   getSignedUrl(key, { expiresInSeconds }) -> { url, expiresAt }
+ *   remove(key)
+ *
+ * Keys are a random name and the file extension, such as 1b4e...c9.jpg. Cloudinary is used
+ * when DOCUMENT_STORAGE is cloudinary, or by default when its credentials are set;
+ * otherwise, outside production, files go to a local directory and are served by
+ * GET /api/kyc/files/:key, which checks the signature.
+ */
+
+const KEY_PATTERN = /^[a-f0-9-]{36}\.(jpg|png)$/;
+
+/**
+ * Throws unless a key has the shape this module generates, so it cannot name another path.
+ * @param {string} key - Storage key
+ */
+const assertKey = (key) => {
+    if (!KEY_PATTERN.test(key || '')) {
+        throw httpError('Invalid document key', 400);
+    }
+};
+
+/**
+ * Creates Cloudinary storage. Files are uploaded as authenticated images, so the only
+ * way to read one is a signed download URL.
+ * @param {Object} options - Options
+ * @param {string} options.cloudName - Cloudinary cloud name
+ * @param {string} options.apiKey - Cloudinary API key
+ * @param {string} options.apiSecret - Cloudinary API secret
+ * @param {string} [options.folder] - Folder for the files
+ * @returns {Object} Document storage
+ */
+export const createCloudinaryStorage = ({ cloudName, apiKey, apiSecret, folder = 'kyc' }) => {
+    const credentials = { cloud_name: cloudName, api_key: apiKey, api_secret: apiSecret };
+    const publicId = (key) => `${folder}/${key.replace(/\.\w+$/, '')}`;
+
+    return {
+        name: 'cloudinary',
+        save: async ({ key, buffer }) => {
+            assertKey(key);
+            try {
+                await new Promise((resolve, reject) => {
+                    cloudinary.uploader.upload_stream(
+                        { ...credentials, public_id: publicId(key), type: 'authenticated', resource_type: 'image', overwrite: false },
+                        (error, result) => (error ? reject(error) : resolve(result))
+                    ).end(buffer);
+                });
+                return { key };
+            } catch (error) {
+                logger.error('Error uploading document', { storage: 'cloudinary', key, error: error.message });
+                throw httpError('Document storage is unavailable, please try again later', 503);
+            }
+        },
+        getSignedUrl: async (key, { expiresInSeconds }) => {
+            assertKey(key);
+            const expiresAt = new Date(Date.now() + expiresInSeconds * 1000);
+            const url = cloudinary.utils.private_download_url(publicId(key), key.split('.').pop(), {
+                ...credentials,
+                type: 'authenticated',
+                resource_type: 'image',
+                expires_at: Math.floor(expiresAt.getTime() / 1000)
+            });
+            return { url, expiresAt };
+        },
+        remove: async (key) => {
+            assertKey(key);
+            await cloudinary.uploader.destroy(publicId(key), { ...credentials, type: 'authenticated', resource_type: 'image' });
+        }
+    };
+};
+
+/**
+ * Creates local filesystem storage for development. Signed URLs point at this API and
+ * carry an expiry and an HMAC of the key and expiry.
+ * @param {Object} options - Options
+ * @param {string} options.directory - Directory for the files
+ * @param {string} options.baseUrl - Public base URL of this API
+ * @param {string} options.secret - Key for signing URLs
+ * @returns {Object} Document storage with open({ key, expires, signature }) to read a file
+ * through a signed URL
+ */
+export const createLocalStorage = ({ directory, baseUrl, secret }) => {
+    const sign = (key, expires) => crypto.createHmac('sha256', secret).update(`kyc-file:${key}:${expires}`).digest('hex');
+
+    return {
+        name: 'local',
+        save: async ({ key, buffer }) => {
+            assertKey(key);
+            await fs.mkdir(directory, { recursive: true, mode: 0o700 });
+            await fs.writeFile(path.join(directory, key), buffer, { mode: 0o600, flag: 'wx' });
+            return { key };
+        },
+        getSignedUrl: async (key, { expiresInSeconds }) => {
+            assertKey(key);
+            const expiresAt = new Date(Date.now() + expiresInSeconds * 1000);
+            const expires = Math.floor(expiresAt.getTime() / 1000);
+            const query = new URLSearchParams({ expires: String(expires), signature: sign(key, expires) });
+            return { url: `${baseUrl}/api/kyc/files/${key}?${query}`, expiresAt };
+        },
+        remove: async (key) => {
+            assertKey(key);
+            await fs.rm(path.join(directory, key), { force: true });
+        },
+        open: async ({ key, expires, signature }) => {
+            assertKey(key);
+            const expected = Buffer.from(sign(key, expires));
+            const given = Buffer.from(String(signature || ''));
+            if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+                throw httpError('Invalid signature', 403);
+            }
+            if (!(Number(expires) * 1000 > Date.now())) {
+                throw httpError('This link has expired', 410);
+            }
+            try {
+                const buffer = await fs.readFile(path.join(directory, key));
+                return { buffer, mimeType: key.endsWith('.png') ? 'image/png' : 'image/jpeg' };
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    throw httpError('Document not found', 404);
+                }
+                throw error;
+            }
+        }
+    };
+};
+
+let configured = null;
+let override = null;
+
+/**
+ * Returns the configured document storage.
+ * @returns {Object} Document storage
+ */
+export const getDocumentStorage = () => {
+    if (override) {
+        return override;
+    }
+    if (!configured) {
+        configured = env.DOCUMENT_STORAGE === 'cloudinary'
+            ? createCloudinaryStorage({
+                cloudName: env.CLOUDINARY_CLOUD_NAME,
+                apiKey: env.CLOUDINARY_API_KEY,
+                apiSecret: env.CLOUDINARY_SECRET
+            })
+            : createLocalStorage({
+                directory: path.resolve(env.DOCUMENT_STORAGE_DIR),
+                baseUrl: env.BASE_URL,
+                secret: env.ENCRYPTION_KEY
+            });
+    }
+    return configured;
+};
+
+/**
+ * Replaces the document storage, for tests; pass null to restore it.
+ * @param {Object|null} storage - Document storage
+ */
+export const setDocumentStorage = (storage) => {
+    override = storage;
+};
@@ -0,0 +1,669 @@
+// src/providers/fakeFlutterwave.js
+import { createServer } from 'http';
+import express from 'express';
+import axios from 'axios';
+
+/**
+ * In-process Flutterwave simulator for tests and local development.
+ * Serves the v3 endpoints the platform calls (payments, transaction verify, transfers,
+ * account resolve, balances, virtual accounts) from memory, and sends webhooks signed with verif-hash the
+ * way Flutterwave does. Tests script what happens next: failed, delayed or pending
+ * transfers, duplicate webhook deliveries and API errors. Amounts are naira, as in the
+ * Flutterwave API.
+ *
+ *   const fake = createFakeFlutterwave({ secretKey, secretHash, webhookUrl });
+ *   await fake.start();
+ *   setPaymentProvider(createFlutterwaveProvider({ baseUrl: fake.url, secretKey }));
+ *   fake.scriptTransfer({ status: 'FAILED', delayMs: 50, duplicates: 1 });
+ */
+
+const FIRST_ID = 100001;
+const DEFAULT_BALANCE = 10000000; // NGN
+const TRANSFER_FEE = 10.75; // NGN, what Flutterwave charges us per NGN transfer
+const REPORT_PAGE_SIZE = 10;
+const VIRTUAL_ACCOUNT_BANK = 'WEMA BANK';
+const FIRST_VIRTUAL_ACCOUNT_NUMBER = 7820000001;
+
+const COMPLETE_MESSAGES = {
+    SUCCESSFUL: 'Transaction was successful',
+    FAILED: 'DISBURSE FAILED: Beneficiary bank unavailable'
+};
+
+/**
+ * Creates a Flutterwave simulator. Nothing listens until start() is called.
+ * @param {Object} options - Options
+ * @param {string} options.secretKey - Secret key API calls must send as a Bearer token
+ * @param {string} [options.secretHash] - verif-hash sent with webhooks
+ * @param {string} [options.webhookUrl] - Where webhooks are delivered; none are sent without it
+ * @param {boolean} [options.resolveAnyAccount] - Resolve unknown accounts to a made-up name
+ * @param {number} [options.port] - Port to listen on; 0 picks a free one
+ * @returns {Object} Simulator
+ */
+export const createFakeFlutterwave = ({
+    secretKey,
+    secretHash = null,
+    webhookUrl = null,
+    resolveAnyAccount = false,
+    port = 0
+}) => {
+    let state;
+    let server = null;
+    const timers = new Set();
+    const deliveries = new Set();
+
+    const reset = () => {
+        for (const timer of timers) clearTimeout(timer);
+        timers.clear();
+        state = {
+            nextId: FIRST_ID,
+            accounts: new Map(),
+            balances: new Map([['NGN', DEFAULT_BALANCE]]),
+            payments: new Map(),
+            transactions: new Map(),
+            transfers: new Map(),
+            virtualAccounts: new Map(),
+            nextVirtualAccountNumber: FIRST_VIRTUAL_ACCOUNT_NUMBER,
+            transferScripts: [],
+            failures: new Map(),
+            requests: [],
+            webhooks: []
+        };
+    };
+    reset();
+
+    const nextId = () => state.nextId++;
+
+    const later = (delayMs, work) => new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            timers.delete(timer);
+            Promise.resolve().then(work).then(resolve, reject);
+        }, delayMs);
+        timers.add(timer);
+    });
+
+    /**
+     * Delivers a webhook to webhookUrl, once plus `duplicates` more times, after `delayMs`.
+     * Each delivery is recorded in fake.webhooks with the response status.
+     * @param {Object} body - Webhook payload
+     * @param {Object} [options] - { delayMs, duplicates, signature }
+     * @returns {Promise<Object[]>} The recorded deliveries
+     */
+    const sendWebhook = (body, { delayMs = 0, duplicates = 0, signature = secretHash } = {}) => {
+        const deliver = async () => {
+            const delivery = { body, deliveredAt: new Date(), status: null, response: null, error: null };
+            state.webhooks.push(delivery);
+            if (!webhookUrl) {
+                return delivery;
+            }
+            try {
+                const response = await axios.post(webhookUrl, body, {
+                    headers: signature ? { 'verif-hash': signature } : {},
+                    timeout: 10000,
+                    validateStatus: () => true
+                });
+                delivery.status = response.status;
+                delivery.response = response.data;
+            } catch (error) {
+                delivery.error = error.message;
+            }
+            return delivery;
+        };
+
+        const sending = later(delayMs, async () => {
+            const results = [];
+            for (let i = 0; i <= duplicates; i++) {
+                results.push(await deliver());
+            }
+            return results;
+        });
+        deliveries.add(sending);
+        return sending.finally(() => deliveries.delete(sending));
+    };
+
+    const transferWebhookBody = (transfer) => ({
+        'event.type': 'transfer.completed',
+        transfer: {
+            id: transfer.id,
+            reference: transfer.reference,
+            status: transfer.status,
+            amount: transfer.amount,
+            account_number: transfer.account_number,
+            bank_name: transfer.bank_name,
+            complete_message: transfer.complete_message
+        }
+    });
+
+    /**
+     * Settles a NEW or PENDING transfer. A failed transfer's amount and fee go back to the
+     * balance. Sends the transfer webhook unless `webhook` is false.
+     * @param {number} id - Transfer ID
+     * @param {string} status - SUCCESSFUL or FAILED
+     * @param {Object} [options] - { completeMessage, webhook, delayMs, duplicates }
+     * @returns {Promise<Object>} The transfer
+     */
+    const resolveTransfer = async (id, status, { completeMessage, webhook = true, delayMs = 0, duplicates = 0 } = {}) => {
+        const transfer = state.transfers.get(Number(id));
+        if (!transfer) {
+            throw new Error(`Unknown transfer ${id}`);
+        }
+        if (!['NEW', 'PENDING'].includes(transfer.status)) {
+            throw new Error(`Transfer ${id} is already ${transfer.status}`);
+        }
+
+        transfer.status = status;
+        transfer.complete_message = completeMessage || COMPLETE_MESSAGES[status];
+        if (status === 'FAILED') {
+            const balance = state.balances.get(transfer.currency) || 0;
+            state.balances.set(transfer.currency, balance + transfer.amount + transfer.fee);
+        }
+
+        if (webhook) {
+            await sendWebhook(transferWebhookBody(transfer), { delayMs, duplicates });
+        }
+        return transfer;
+    };
+
+    /**
+     * Marks a hosted payment as paid (or failed) and makes it verifiable, as the customer
+     * finishing checkout would.
+     * @param {string} txRef - Payment reference
+     * @param {Object} [options] - { status, amount } where amount overrides what was paid
+     * @returns {Object} The Flutterwave transaction
+     */
+    const completePayment = (txRef, { status = 'successful', amount } = {}) => {
+        const payment = state.payments.get(txRef);
+        if (!payment) {
+            throw new Error(`Unknown payment ${txRef}`);
+        }
+
+        const id = nextId();
+        const transaction = {
+            id,
+            tx_ref: txRef,
+            flw_ref: `FLW-MOCK-${id}`,
+            amount: amount ?? payment.amount,
+            charged_amount: amount ?? payment.amount,
+            currency: payment.currency,
+            status,
+            payment_type: 'card',
+            customer: payment.customer,
+            created_at: new Date().toISOString()
+        };
+        state.transactions.set(id, transaction);
+        payment.status = status;
+        payment.transactionId = id;
+        return transaction;
+    };
+
+    /**
+     * Simulates money arriving from another bank: records a verifiable transaction and sends
+     * the transfer.completed webhook for the receiving account.
+     * @param {Object} params - { accountNumber, amount, reference, senderAccountNumber, senderBankName, delayMs, duplicates }
+     * @returns {Promise<Object>} The Flutterwave transaction
+     */
+    const sendIncomingTransfer = async ({
+        accountNumber,
+        amount,
+        reference = `FLW-INWARD-${state.nextId}`,
+        senderAccountNumber = '0690000031',
+        senderBankName = 'ACCESS BANK NIGERIA',
+        delayMs = 0,
+        duplicates = 0
+    }) => {
+        const id = nextId();
+        const transaction = {
+            id,
+            tx_ref: reference,
+            flw_ref: `FLW-MOCK-${id}`,
+            amount,
+            charged_amount: amount,
+            currency: 'NGN',
+            status: 'successful',
+            payment_type: 'bank_transfer',
+            created_at: new Date().toISOString()
+        };
+        state.transactions.set(id, transaction);
+
+        await sendWebhook({
+            'event.type': 'transfer.completed',
+            transfer: {
+                id,
+                reference,
+                status: 'SUCCESSFUL',
+                amount,
+                account_number: accountNumber,
+                sender_account_number: senderAccountNumber,
+                sender_bank_name: senderBankName
+            }
+        }, { delayMs, duplicates });
+        return transaction;
+    };
+
+    /**
+     * Simulates a bank transfer into a virtual account: records a verifiable transaction
+     * under the account's tx_ref and sends the charge.completed webhook with the sender's
+     * details.
+     * @param {Object} params - { accountNumber, amount, senderName, senderAccountNumber, senderBankName, delayMs, duplicates }
+     * @returns {Promise<Object>} The Flutterwave transaction
+     */
+    const sendVirtualAccountPayment = async ({
+        accountNumber,
+        amount,
+        senderName = 'CHIOMA EZE',
+        senderAccountNumber = '0690000031',
+        senderBankName = 'ACCESS BANK NIGERIA',
+        delayMs = 0,
+        duplicates = 0
+    }) => {
+        const account = state.virtualAccounts.get(accountNumber);
+        if (!account) {
+            throw new Error(`Unknown virtual account ${accountNumber}`);
+        }
+
+        const id = nextId();
+        const metaData = {
+            originatoraccountnumber: senderAccountNumber,
+            originatorname: senderName,
+            bankname: senderBankName
+        };
+        const transaction = {
+            id,
+            tx_ref: account.tx_ref,
+            flw_ref: `FLW-MOCK-${id}`,
+            amount,
+            charged_amount: amount,
+            currency: 'NGN',
+            status: 'successful',
+            payment_type: 'bank_transfer',
+            meta: metaData,
+            created_at: new Date().toISOString()
+        };
+        state.transactions.set(id, transaction);
+
+        await sendWebhook({
+            event: 'charge.completed',
+            data: {
+                id,
+                tx_ref: account.tx_ref,
+                flw_ref: transaction.flw_ref,
+                amount,
+                currency: 'NGN',
+                status: 'successful',
+                payment_type: 'bank_transfer',
+                created_at: transaction.created_at,
+                meta_data: metaData
+            }
+        }, { delayMs, duplicates });
+        return transaction;
+    };
+
+    const app = express();
+    app.use(express.json());
+
+    app.use((req, res, next) => {
+        state.requests.push({ method: req.method, path: req.path, body: req.body, at: new Date() });
+        next();
+    });
+
+    const api = express.Router();
+
+    api.use((req, res, next) => {
+        if (req.get('authorization') !== `Bearer ${secretKey}`) {
+            return res.status(401).json({ status: 'error', message: 'Invalid authorization key', data: null });
+        }
+        next();
+    });
+
+    // Scripted failures, matched on "METHOD /route" as registered below
+    const route = (method, path, handler) => {
+        api[method.toLowerCase()](path, (req, res) => {
+            const failures = state.failures.get(`${method} ${path}`);
+            if (failures?.length) {
+                const failure = failures[0];
+                failure.times -= 1;
+                if (failure.times <= 0) failures.shift();
+                return res.status(failure.status).json({ status: 'error', message: failure.message, data: null });
+            }
+            handler(req, res);
+        });
+    };
+
+    // Reports: newest first, filtered by calendar day (inclusive) and paged like Flutterwave
+    const sendReport = (req, res, records) => {
+        const { from, to } = req.query;
+        const page = Math.max(Number(req.query.page) || 1, 1);
+        const filtered = records
+            .filter((record) => (!from || record.created_at.slice(0, 10) >= from)
+                && (!to || record.created_at.slice(0, 10) <= to))
+            .sort((a, b) => b.id - a.id);
+        res.json({
+            status: 'success',
+            message: 'Records fetched',
+            meta: {
+                page_info: {
+                    total: filtered.length,
+                    current_page: page,
+                    total_pages: Math.max(Math.ceil(filtered.length / REPORT_PAGE_SIZE), 1)
+                }
+            },
+            data: filtered.slice((page - 1) * REPORT_PAGE_SIZE, page * REPORT_PAGE_SIZE)
+        });
+    };
+
+    route('POST', '/accounts/resolve', (req, res) => {
+        const { account_number: accountNumber, account_bank: bankCode } = req.body || {};
+        const account = state.accounts.get(`${bankCode}:${accountNumber}`)
+            || (resolveAnyAccount && /^\d{10}$/.test(accountNumber || '')
+                ? { account_number: accountNumber, account_name: 'SIMULATED ACCOUNT HOLDER' }
+                : null);
+        if (!account) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Sorry, recipient account could not be validated. Please try again',
+                data: null
+            });
+        }
+        res.json({ status: 'success', message: 'Account details fetched', data: account });
+    });
+
+    route('POST', '/payments', (req, res) => {
+        const { tx_ref: txRef, amount, currency = 'NGN', redirect_url: redirectUrl, customer } = req.body || {};
+        if (!txRef || !(amount > 0)) {
+            return res.status(400).json({ status: 'error', message: 'tx_ref and amount are required', data: null });
+        }
+        if (state.payments.has(txRef)) {
+            return res.status(400).json({ status: 'error', message: 'Duplicate tx_ref', data: null });
+        }
+
+        state.payments.set(txRef, { tx_ref: txRef, amount, currency, redirect_url: redirectUrl, customer, status: 'pending' });
+        res.json({
+            status: 'success',
+            message: 'Hosted Link',
+            data: { link: `${simulator.origin}/checkout/${encodeURIComponent(txRef)}`, tx_ref: txRef }
+        });
+    });
+
+    route('GET', '/transactions/:id/verify', (req, res) => {
+        const transaction = state.transactions.get(Number(req.params.id));
+        if (!transaction) {
+            return res.status(404).json({ status: 'error', message: 'No transaction was found for this id', data: null });
+        }
+        res.json({ status: 'success', message: 'Transaction fetched successfully', data: transaction });
+    });
+
+    route('GET', '/transactions', (req, res) => sendReport(req, res, [...state.transactions.values()]));
+
+    route('GET', '/transactions/verify_by_reference', (req, res) => {
+        const transaction = [...state.transactions.values()].find((item) => item.tx_ref === req.query.tx_ref);
+        if (!transaction) {
+            return res.status(404).json({ status: 'error', message: 'No transaction was found for this tx_ref', data: null });
+        }
+        res.json({ status: 'success', message: 'Transaction fetched successfully', data: transaction });
+    });
+
+    route('POST', '/transfers', (req, res) => {
+        const {
+            account_bank: bankCode,
+            account_number: accountNumber,
+            amount,
+            currency = 'NGN',
+            reference,
+            narration
+        } = req.body || {};
+        if (!bankCode || !accountNumber || !(amount > 0) || !reference) {
+            return res.status(400).json({ status: 'error', message: 'Invalid transfer request', data: null });
+        }
+        if ([...state.transfers.values()].some((transfer) => transfer.reference === reference)) {
+            return res.status(400).json({ status: 'error', message: 'Transfer with this reference already exists', data: null });
+        }
+        const balance = state.balances.get(currency) || 0;
+        if (balance < amount + TRANSFER_FEE) {
+            return res.status(400).json({ status: 'error', message: 'Insufficient balance', data: null });
+        }
+
+        const account = state.accounts.get(`${bankCode}:${accountNumber}`);
+        const transfer = {
+            id: nextId(),
+            account_number: accountNumber,
+            bank_code: bankCode,
+            bank_name: account?.bank_name || 'SIMULATED BANK',
+            full_name: account?.account_name || 'N/A',
+            amount,
+            fee: TRANSFER_FEE,
+            currency,
+            debit_currency: currency,
+            reference,
+            narration,
+            status: 'NEW',
+            complete_message: '',
+            is_approved: 1,
+            created_at: new Date().toISOString()
+        };
+        state.transfers.set(transfer.id, transfer);
+        state.balances.set(currency, balance - amount - TRANSFER_FEE);
+
+        const script = state.transferScripts.shift() || { status: 'SUCCESSFUL' };
+        if (script.status === 'PENDING') {
+            transfer.status = 'PENDING';
+        } else {
+            later(script.delayMs || 0, () => resolveTransfer(transfer.id, script.status, script))
+                .catch(() => {});
+        }
+
+        res.json({ status: 'success', message: 'Transfer Queued Successfully', data: { ...transfer } });
+    });
+
+    route('GET', '/transfers', (req, res) => sendReport(req, res, [...state.transfers.values()]));
+
+    route('GET', '/transfers/:id', (req, res) => {
+        const transfer = state.transfers.get(Number(req.params.id));
+        if (!transfer) {
+            return res.status(404).json({ status: 'error', message: 'Transfer not found', data: null });
+        }
+        res.json({ status: 'success', message: 'Transfer fetched', data: transfer });
+    });
+
+    route('POST', '/virtual-account-numbers', (req, res) => {
+        const { tx_ref: txRef, email, is_permanent: isPermanent, narration } = req.body || {};
+        if (!txRef || !email) {
+            return res.status(400).json({ status: 'error', message: 'tx_ref and email are required', data: null });
+        }
+        const existing = [...state.virtualAccounts.values()].find((account) => account.tx_ref === txRef);
+        if (existing) {
+            return res.status(400).json({ status: 'error', message: 'Duplicate tx_ref', data: null });
+        }
+
+        const account = {
+            response_code: '02',
+            response_message: 'Transaction in progress',
+            flw_ref: `FLW-VA-${state.nextId}`,
+            order_ref: `URF_${nextId()}`,
+            account_number: String(state.nextVirtualAccountNumber++),
+            frequency: isPermanent ? 'N/A' : 1,
+            bank_name: VIRTUAL_ACCOUNT_BANK,
+            created_at: new Date().toISOString(),
+            expiry_date: isPermanent ? 'N/A' : new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+            note: `Please make a bank transfer to ${narration || 'the account'}`,
+            amount: null,
+            tx_ref: txRef,
+            email
+        };
+        state.virtualAccounts.set(account.account_number, account);
+        res.json({ status: 'success', message: 'Virtual account created', data: account });
+    });
+
+    route('GET', '/balances/:currency', (req, res) => {
+        const currency = req.params.currency.toUpperCase();
+        const balance = state.balances.get(currency) || 0;
+        res.json({
+            status: 'success',
+            message: 'Wallet balance fetched',
+            data: { currency, available_balance: balance, ledger_balance: balance }
+        });
+    });
+
+    app.use('/v3', api);
+
+    // Hosted checkout: finishing it sends the customer back to redirect_url like Flutterwave
+    app.get('/checkout/:txRef', (req, res) => {
+        const payment = state.payments.get(req.params.txRef);
+        if (!payment) {
+            return res.status(404).send('Unknown payment');
+        }
+        const status = ['successful', 'cancelled', 'failed'].includes(req.query.status) ? req.query.status : 'successful';
+        const transaction = status === 'cancelled' ? null : completePayment(payment.tx_ref, { status });
+        if (!payment.redirect_url) {
+            return res.json({ status, tx_ref: payment.tx_ref, transaction_id: transaction?.id ?? null });
+        }
+
+        const redirect = new URL(payment.redirect_url);
+        redirect.searchParams.set('status', status);
+        redirect.searchParams.set('tx_ref', payment.tx_ref);
+        if (transaction) redirect.searchParams.set('transaction_id', String(transaction.id));
+        res.redirect(302, redirect.toString());
+    });
+
+    // Local development controls; tests call the methods directly
+    app.post('/_simulator/incoming-transfers', async (req, res) => {
+        const { accountNumber, amount } = req.body || {};
+        if (!/^\d{10}$/.test(accountNumber || '') || !(amount > 0)) {
+            return res.status(400).json({ message: 'accountNumber (10 digits) and a positive amount are required' });
+        }
+        const transaction = await sendIncomingTransfer(req.body);
+        res.status(201).json({ transaction, webhooks: state.webhooks.slice(-1) });
+    });
+
+    app.post('/_simulator/virtual-account-payments', async (req, res) => {
+        if (!(req.body?.amount > 0)) {
+            return res.status(400).json({ message: 'A positive amount is required' });
+        }
+        try {
+            const transaction = await sendVirtualAccountPayment(req.body);
+            res.status(201).json({ transaction, webhooks: state.webhooks.slice(-1) });
+        } catch (error) {
+            res.status(400).json({ message: error.message });
+        }
+    });
+
+    app.post('/_simulator/transfers/:id/resolve', async (req, res) => {
+        try {
+            const transfer = await resolveTransfer(req.params.id, req.body?.status === 'FAILED' ? 'FAILED' : 'SUCCESSFUL', {
+                completeMessage: req.body?.completeMessage
+            });
+            res.json({ transfer });
+        } catch (error) {
+            res.status(400).json({ message: error.message });
+        }
+    });
+
+    const simulator = {
+        app,
+        origin: null,
+        url: null,
+
+        /**
+         * Starts listening on 127.0.0.1.
+         * @returns {Promise<string>} API base URL, ending in /v3
+         */
+        start: () => new Promise((resolve, reject) => {
+            server = createServer(app);
+            server.once('error', reject);
+            server.listen(port, '127.0.0.1', () => {
+                simulator.origin = `http://127.0.0.1:${server.address().port}`;
+                simulator.url = `${simulator.origin}/v3`;
+                resolve(simulator.url);
+            });
+        }),
+
+        /**
+         * Cancels scheduled settlements and stops listening.
+         * @returns {Promise<void>}
+         */
+        stop: async () => {
+            for (const timer of timers) clearTimeout(timer);
+            timers.clear();
+            if (server) {
+                await new Promise((resolve) => server.close(resolve));
+                server = null;
+            }
+        },
+
+        /**
+         * Waits for every scheduled settlement and webhook delivery, including ones started
+         * while waiting.
+         * @returns {Promise<void>}
+         */
+        flush: async () => {
+            while (deliveries.size || timers.size) {
+                await Promise.allSettled([...deliveries]);
+                if (timers.size && !deliveries.size) {
+                    await new Promise((resolve) => setTimeout(resolve, 5));
+                }
+            }
+        },
+
+        reset,
+
+        /**
+         * Adds an account that /accounts/resolve will recognise.
+         * @param {Object} account - { accountNumber, bankCode, accountName, bankName }
+         */
+        addAccount: ({ accountNumber, bankCode, accountName, bankName }) => {
+            state.accounts.set(`${bankCode}:${accountNumber}`, {
+                account_number: accountNumber,
+                account_name: accountName,
+                bank_name: bankName
+            });
+        },
+
+        /**
+         * Sets the payout balance.
+         * @param {number} amount - Naira
+         * @param {string} [currency] - Currency code
+         */
+        setBalance: (amount, currency = 'NGN') => {
+            state.balances.set(currency, amount);
+        },
+
+        /**
+         * Scripts the outcome of the next transfer created; unscripted transfers succeed at once.
+         * PENDING transfers stay pending until resolveTransfer() is called.
+         * @param {Object} script - { status, delayMs, duplicates, webhook, completeMessage }
+         */
+        scriptTransfer: ({ status = 'SUCCESSFUL', delayMs = 0, duplicates = 0, webhook = true, completeMessage } = {}) => {
+            state.transferScripts.push({ status, delayMs, duplicates, webhook, completeMessage });
+        },
+
+        /**
+         * Makes the next `times` calls to an endpoint fail with the given HTTP status.
+         * @param {string} endpoint - e.g. 'POST /transfers' or 'GET /transactions/:id/verify'
+         * @param {Object} [options] - { status, message, times }
+         */
+        failNext: (endpoint, { status = 500, message = 'Simulated Flutterwave error', times = 1 } = {}) => {
+            const failures = state.failures.get(endpoint) || [];
+            failures.push({ status, message, times });
+            state.failures.set(endpoint, failures);
+        },
+
+        completePayment,
+        resolveTransfer,
+        sendIncomingTransfer,
+        sendVirtualAccountPayment,
+        sendWebhook,
+
+        getTransfer: (id) => state.transfers.get(Number(id)) || null,
+        getPayment: (txRef) => state.payments.get(txRef) || null,
+        getVirtualAccount: (accountNumber) => state.virtualAccounts.get(accountNumber) || null,
+        get balance() {
+            return state.balances.get('NGN') || 0;
+        },
+        get requests() {
+            return state.requests;
+        },
+        get webhooks() {
+            return state.webhooks;
+        }
+    };
+
+    return simulator;
+};
@@ -0,0 +1,282 @@
+// src/providers/flutterwaveProvider.js
+import axios from 'axios';
+import { z } from 'zod';
+import { DEFAULT_CURRENCY, toMajor, toMinor } from '../utils/money.js';
+import { safeEqual, sha256Hex } from '../utils/signature.js';
+
+export const FLUTTERWAVE_API_URL = 'https://api.flutterwave.com/v3';
+
+const PAYMENT_STATUSES = { successful: 'successful', failed: 'failed', cancelled: 'failed' };
+const TRANSFER_STATUSES = { SUCCESSFUL: 'successful', FAILED: 'failed' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_REPORT_PAGES = 1000;
+
+const transferEventSchema = z.object({
+    'event.type': z.string().min(1, 'Event type is required'),
+    transfer: z.object({
+        id: z.number().min(1, 'Transaction ID is required'),
+        reference: z.string().min(1, 'Reference is required'),
+        status: z.enum(['SUCCESSFUL', 'FAILED', 'PENDING']),
+        account_number: z.string().regex(/^\d{10}$/, 'Account number must be 10 digits').optional(),
+        bank_name: z.string().min(1, 'Bank name is required').optional(),
+        amount: z.number().positive('Amount must be positive').optional(),
+        sender_account_number: z.string().optional(),
+        sender_bank_name: z.string().optional()
+    })
+});
+
+const chargeEventSchema = z.object({
+    event: z.string().min(1, 'Event type is required'),
+    data: z.object({
+        id: z.number().min(1, 'Transaction ID is required'),
+        tx_ref: z.string().min(1, 'Reference is required'),
+        status: z.string().min(1, 'Status is required'),
+        amount: z.number().positive('Amount must be positive'),
+        currency: z.string().optional(),
+        meta_data: z.object({
+            originatoraccountnumber: z.string().optional(),
+            originatorname: z.string().optional(),
+            bankname: z.string().optional()
+        }).passthrough().nullish()
+    }).passthrough()
+});
+
+/**
+ * Throws unless Flutterwave reported success, using Flutterwave's message.
+ * @param {Object} body - Response body
+ * @returns {Object} body.data
+ */
+const dataOf = (body) => {
+    if (body?.status !== 'success' || !body.data) {
+        throw new Error(body?.message || 'Unknown error');
+    }
+    return body.data;
+};
+
+/**
+ * Creates the Flutterwave v3 adapter. It implements the payment provider interface
+ * described in providers/index.js: amounts in and out are kobo, statuses are normalised,
+ * and API errors propagate as axios errors so callers can read error.response.data.
+ * Point baseUrl at the Flutterwave simulator to run without the live API.
+ * @param {Object} options - Options
+ * @param {string} options.secretKey - Flutterwave secret key
+ * @param {string} [options.secretHash] - Secret hash Flutterwave sends as verif-hash on webhooks
+ * @param {string} [options.baseUrl] - API base URL, ending in /v3
+ * @param {number} [options.timeoutMs] - Request timeout
+ * @returns {Object} Provider adapter
+ */
+export const createFlutterwaveProvider = ({ secretKey, secretHash, baseUrl = FLUTTERWAVE_API_URL, timeoutMs = 30000 }) => {
+    const client = axios.create({
+        baseURL: baseUrl,
+        timeout: timeoutMs,
+        headers: {
+            Authorization: `Bearer ${secretKey}`,
+            'Content-Type': 'application/json'
+        }
+    });
+
+    const toPayment = (data) => ({
+        id: String(data.id),
+        reference: data.tx_ref,
+        amount: toMinor(data.amount),
+        currency: data.currency || DEFAULT_CURRENCY,
+        status: PAYMENT_STATUSES[data.status] || 'pending'
+    });
+
+    const toTransfer = (data) => ({
+        id: String(data.id),
+        reference: data.reference,
+        amount: toMinor(data.amount),
+        currency: data.currency || DEFAULT_CURRENCY,
+        status: TRANSFER_STATUSES[data.status] || 'pending',
+        message: data.complete_message || null
+    });
+
+    /**
+     * Reads every page of a report. Flutterwave filters reports by calendar day, so the days
+     * around the range are fetched and records are then kept by their exact creation time.
+     */
+    const listReport = async (path, { from, to }) => {
+        const params = {
+            from: new Date(from.getTime() - DAY_MS).toISOString().slice(0, 10),
+            to: new Date(to.getTime() + DAY_MS).toISOString().slice(0, 10)
+        };
+        const records = [];
+        for (let page = 1; page <= MAX_REPORT_PAGES; page += 1) {
+            const { data } = await client.get(path, { params: { ...params, page } });
+            records.push(...dataOf(data));
+            if (page >= (data.meta?.page_info?.total_pages || 1)) break;
+        }
+        return records.filter((record) => {
+            const createdAt = new Date(record.created_at);
+            return createdAt >= from && createdAt < to;
+        });
+    };
+
+    return {
+        name: 'flutterwave',
+        label: 'Flutterwave',
+        baseUrl,
+
+        resolveAccount: async ({ accountNumber, bankCode }) => {
+            const { data } = await client.post('/accounts/resolve', {
+                account_number: accountNumber,
+                account_bank: bankCode,
+                destination: 'NG'
+            });
+            const account = dataOf(data);
+            return {
+                accountNumber: account.account_number,
+                accountName: account.account_name,
+                bankName: account.bank_name || null
+            };
+        },
+
+        initiatePayment: async ({ reference, amount, currency = DEFAULT_CURRENCY, redirectUrl, customer, description, metadata }) => {
+            const { data } = await client.post('/payments', {
+                tx_ref: reference,
+                amount: toMajor(amount),
+                currency,
+                redirect_url: redirectUrl,
+                customer,
+                meta: metadata,
+                customizations: {
+                    title: 'NEG AI Banking Wallet Funding',
+                    description
+                }
+            });
+            return { link: dataOf(data).link, reference };
+        },
+
+        verifyPayment: async ({ transactionId, reference }) => {
+            const { data } = transactionId
+                ? await client.get(`/transactions/${encodeURIComponent(transactionId)}/verify`)
+                : await client.get('/transactions/verify_by_reference', { params: { tx_ref: reference } });
+            return toPayment(dataOf(data));
+        },
+
+        createTransfer: async ({ reference, amount, currency = DEFAULT_CURRENCY, accountNumber, bankCode, narration }) => {
+            const { data } = await client.post('/transfers', {
+                account_bank: bankCode,
+                account_number: accountNumber,
+                amount: toMajor(amount),
+                currency,
+                reference,
+                narration,
+                debit_currency: currency
+            });
+            const transfer = dataOf(data);
+            return { id: String(transfer.id), reference: transfer.reference, status: 'pending' };
+        },
+
+        getTransfer: async (transferId) => {
+            const { data } = await client.get(`/transfers/${encodeURIComponent(transferId)}`);
+            return toTransfer(dataOf(data));
+        },
+
+        listPayments: async ({ from, to }) => {
+            const transactions = await listReport('/transactions', { from, to });
+            return transactions.map((data) => ({ ...toPayment(data), createdAt: new Date(data.created_at) }));
+        },
+
+        listTransfers: async ({ from, to }) => {
+            const transfers = await listReport('/transfers', { from, to });
+            return transfers.map((data) => ({ ...toTransfer(data), createdAt: new Date(data.created_at) }));
+        },
+
+        getBalance: async (currency = DEFAULT_CURRENCY) => {
+            const { data } = await client.get(`/balances/${currency}`);
+            return toMinor(dataOf(data).available_balance);
+        },
+
+        // A static account keeps the reference it was created with, so payments into it carry it
+        createVirtualAccount: async ({ reference, email, firstName, lastName, phoneNumber, narration }) => {
+            const { data } = await client.post('/virtual-account-numbers', {
+                email,
+                is_permanent: true,
+                tx_ref: reference,
+                firstname: firstName,
+                lastname: lastName,
+                phonenumber: phoneNumber,
+                narration
+            });
+            const account = dataOf(data);
+            return {
+                accountNumber: account.account_number,
+                accountName: narration,
+                bankName: account.bank_name,
+                providerId: account.order_ref || null
+            };
+        },
+
+        /**
+         * Flutterwave sends the dashboard's secret hash as the verif-hash header.
+         */
+        verifyWebhook: (req) => safeEqual(req.get('verif-hash'), secretHash),
+
+        /**
+         * Flutterwave sends no event ID, so the object ID, event type and status together
+         * identify an event: retries repeat all three, while a later status change of the same
+         * transfer is a new event. Unrecognised payloads are identified by their hash.
+         * Flutterwave reports incoming bank transfers and the outcome of our own transfers
+         * with the same transfer.completed event, and payments, including transfers into
+         * virtual accounts, with charge.completed.
+         */
+        parseWebhook: (body, rawBody) => {
+            const charge = chargeEventSchema.safeParse(body);
+            if (charge.success) {
+                const { event: eventType, data } = charge.data;
+                return {
+                    eventId: `${eventType}:${data.id}:${data.status}`,
+                    eventType,
+                    event: eventType === 'charge.completed'
+                        ? {
+                            type: 'payment',
+                            id: String(data.id),
+                            reference: data.tx_ref,
+                            status: PAYMENT_STATUSES[data.status] || 'pending',
+                            amount: toMinor(data.amount),
+                            accountNumber: null,
+                            senderAccountNumber: data.meta_data?.originatoraccountnumber || null,
+                            senderName: data.meta_data?.originatorname || null,
+                            senderBankName: data.meta_data?.bankname || null
+                        }
+                        : null
+                };
+            }
+
+            const parsed = transferEventSchema.safeParse(body);
+            if (!parsed.success) {
+                return {
+                    eventId: `raw:${sha256Hex(rawBody)}`,
+                    eventType: typeof body?.['event.type'] === 'string' ? body['event.type'] : null,
+                    event: null
+                };
+            }
+
+            const { 'event.type': eventType, transfer } = parsed.data;
+            return {
+                eventId: `${eventType}:${transfer.id}:${transfer.status}`,
+                eventType,
+                event: eventType === 'transfer.completed'
+                    ? {
+                        type: 'transfer',
+                        id: String(transfer.id),
+                        reference: transfer.reference,
+                        status: TRANSFER_STATUSES[transfer.status] || 'pending',
+                        amount: transfer.amount === undefined ? undefined : toMinor(transfer.amount),
+                        accountNumber: transfer.account_number,
+                        senderAccountNumber: transfer.sender_account_number || null,
+                        senderBankName: transfer.sender_bank_name || null
+                    }
+                    : null
+            };
+        },
+
+        parseCallback: (query) => ({
+            transactionId: query.transaction_id || null,
+            reference: query.tx_ref || null,
+            status: ['successful', 'cancelled', 'failed'].includes(query.status) ? query.status : null
+        })
+    };
+};
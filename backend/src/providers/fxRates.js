@@ -0,0 +1,123 @@
+// src/providers/fxRates.js
+import axios from 'axios';
+import { env } from '../config/env.js';
+import logger from '../utils/logger.js';
+import { CURRENCIES } from '../utils/money.js';
+import { httpError } from '../utils/response.js';
+
+/**
+ * FX rate sources. A source returns mid-market rates and fxService applies the spread:
+ *
+ *   name
+ *   getRate(from, to) -> { rate, source, fetchedAt }
+ *
+ * where rate is units of `to` per unit of `from`. Open Exchange Rates is used when an app
+ * ID is configured; otherwise, outside production, a fixed source with development rates
+ * stands in, and tests can set its rates.
+ */
+
+export const OPEN_EXCHANGE_RATES_URL = 'https://openexchangerates.org/api';
+
+const CACHE_MS = 60 * 1000;
+
+// USD-based development rates for the fixed source
+const DEVELOPMENT_RATES = { USD: 1, NGN: 1500, GBP: 0.8 };
+
+/**
+ * Derives the rate between two currencies from rates against a common base.
+ * @param {Object} rates - Units of each currency per unit of the base
+ * @param {string} from - Currency sold
+ * @param {string} to - Currency bought
+ * @returns {number} Units of `to` per unit of `from`
+ */
+const crossRate = (rates, from, to) => {
+    if (!(rates[from] > 0) || !(rates[to] > 0)) {
+        throw httpError(`No exchange rate available for ${from} to ${to}`, 503);
+    }
+    return rates[to] / rates[from];
+};
+
+/**
+ * Creates the Open Exchange Rates source. The free plan only serves USD-based rates, so
+ * every pair is a cross rate through USD. Rates are cached for a minute.
+ * @param {Object} options - Options
+ * @param {string} options.appId - Open Exchange Rates app ID
+ * @param {string} [options.baseUrl] - API base URL
+ * @param {number} [options.timeoutMs] - Request timeout
+ * @returns {Object} FX rate source
+ */
+export const createOpenExchangeRatesProvider = ({ appId, baseUrl = OPEN_EXCHANGE_RATES_URL, timeoutMs = 10000 }) => {
+    const client = axios.create({ baseURL: baseUrl, timeout: timeoutMs });
+    let cached = null;
+
+    const latest = async () => {
+        if (cached && Date.now() - cached.fetchedAt.getTime() < CACHE_MS) {
+            return cached;
+        }
+        try {
+            const { data } = await client.get('/latest.json', {
+                params: { app_id: appId, symbols: CURRENCIES.join(',') }
+            });
+            cached = { rates: data.rates || {}, fetchedAt: new Date() };
+            return cached;
+        } catch (error) {
+            logger.error('Error fetching FX rates', {
+                source: 'openexchangerates',
+                error: error.response?.data?.description || error.message
+            });
+            throw httpError('Exchange rates are unavailable, please try again later', 503);
+        }
+    };
+
+    return {
+        name: 'openexchangerates',
+        getRate: async (from, to) => {
+            const { rates, fetchedAt } = await latest();
+            return { rate: crossRate(rates, from, to), source: 'openexchangerates', fetchedAt };
+        }
+    };
+};
+
+/**
+ * Creates a source that serves fixed rates, for development and tests.
+ * @param {Object} [options] - Options
+ * @param {Object} [options.rates] - USD-based rates; defaults to development rates
+ * @returns {Object} FX rate source with setRates(rates) to change them
+ */
+export const createFixedFxRateProvider = ({ rates = DEVELOPMENT_RATES } = {}) => {
+    let current = { ...rates };
+    return {
+        name: 'fixed',
+        getRate: async (from, to) => ({ rate: crossRate(current, from, to), source: 'fixed', fetchedAt: new Date() }),
+        setRates: (next) => {
+            current = { ...current, ...next };
+        }
+    };
+};
+
+let configured = null;
+let override = null;
+
+/**
+ * Returns the configured FX rate source.
+ * @returns {Object} FX rate source
+ */
+export const getFxRateProvider = () => {
+    if (override) {
+        return override;
+    }
+    if (!configured) {
+        configured = env.FX_RATES_APP_ID
+            ? createOpenExchangeRatesProvider({ appId: env.FX_RATES_APP_ID, baseUrl: env.FX_RATES_BASE_URL })
+            : createFixedFxRateProvider();
+    }
+    return configured;
+};
+
+/**
+ * Replaces the FX rate source, for tests; pass null to restore it.
+ * @param {Object|null} provider - FX rate source
+ */
+export const setFxRateProvider = (provider) => {
+    override = provider;
+};
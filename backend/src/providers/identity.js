@@ -0,0 +1,233 @@
+// src/providers/identity.js
+import axios from 'axios';
+import { env } from '../config/env.js';
+import logger from '../utils/logger.js';
+import { httpError } from '../utils/response.js';
+
+/**
+ * Identity verification sources. A source looks an identity number up and returns the
+ * record held against it; kycService decides whether it matches the customer:
+ *
+ *   name
+ *   verifyNin({ nin, firstName, lastName, dateOfBirth })
+ *     -> { found, firstName, middleName, lastName, dateOfBirth, phoneNumber, reference }
+ *   verifyBvn({ bvn, firstName, lastName, dateOfBirth }) -> the same
+ *
+ * Dates of birth are YYYY-MM-DD. The claimed names and date of birth are passed for
+ * sources that only confirm details; the NIMC and YouVerify lookups do not send them.
+ * NINs are looked up with NIMC and BVNs with YouVerify, each when its API key is
+ * configured; otherwise, outside production, a local fake stands in, and tests can add
+ * records to it.
+ */
+
+/**
+ * Converts a NIMC date of birth (DD-MM-YYYY) to YYYY-MM-DD.
+ * @param {string} value - NIMC date
+ * @returns {string|null}
+ */
+const parseNimcDate = (value) => {
+    const match = /^(\d{2})-(\d{2})-(\d{4})$/.exec(value || '');
+    return match ? `${match[3]}-${match[2]}-${match[1]}` : value || null;
+};
+
+/**
+ * Creates the NIMC verification source.
+ * @param {Object} options - Options
+ * @param {string} options.apiKey - NIMC API key
+ * @param {string} options.baseUrl - Verification service base URL
+ * @param {number} [options.timeoutMs] - Request timeout
+ * @returns {Object} Identity source
+ */
+export const createNimcProvider = ({ apiKey, baseUrl, timeoutMs = 15000 }) => {
+    const client = axios.create({
+        baseURL: baseUrl,
+        timeout: timeoutMs,
+        headers: { 'x-api-key': apiKey, 'Content-Type': 'application/json' }
+    });
+
+    return {
+        name: 'nimc',
+        verifyNin: async ({ nin }) => {
+            try {
+                const { data } = await client.post('/nin/verify', { nin });
+                const record = data?.data;
+                if (!record) {
+                    return { found: false };
+                }
+                return {
+                    found: true,
+                    firstName: record.firstname || '',
+                    middleName: record.middlename || '',
+                    lastName: record.surname || '',
+                    dateOfBirth: parseNimcDate(record.birthdate),
+                    phoneNumber: record.telephoneno || null,
+                    reference: record.trackingId || null
+                };
+            } catch (error) {
+                if (error.response?.status === 404) {
+                    return { found: false };
+                }
+                logger.error('Error verifying NIN', {
+                    source: 'nimc',
+                    status: error.response?.status,
+                    error: error.response?.data?.message || error.message
+                });
+                throw httpError('Identity verification is unavailable, please try again later', 503);
+            }
+        }
+    };
+};
+
+/**
+ * Creates the YouVerify BVN verification source.
+ * @param {Object} options - Options
+ * @param {string} options.apiKey - YouVerify API token
+ * @param {string} options.baseUrl - YouVerify base URL
+ * @param {number} [options.timeoutMs] - Request timeout
+ * @returns {Object} Identity source
+ */
+export const createYouverifyProvider = ({ apiKey, baseUrl, timeoutMs = 15000 }) => {
+    const client = axios.create({
+        baseURL: baseUrl,
+        timeout: timeoutMs,
+        headers: { token: apiKey, 'Content-Type': 'application/json' }
+    });
+
+    return {
+        name: 'youverify',
+        verifyBvn: async ({ bvn }) => {
+            try {
+                // The customer consents to the lookup by submitting their BVN
+                const { data } = await client.post('/v2/api/identity/ng/bvn', { id: bvn, isSubjectConsent: true });
+                const record = data?.data;
+                if (!record || record.status !== 'found') {
+                    return { found: false };
+                }
+                return {
+                    found: true,
+                    firstName: record.firstName || '',
+                    middleName: record.middleName || '',
+                    lastName: record.lastName || '',
+                    dateOfBirth: record.dateOfBirth || null,
+                    phoneNumber: record.mobile || null,
+                    reference: record.id || null
+                };
+            } catch (error) {
+                if (error.response?.status === 404) {
+                    return { found: false };
+                }
+                logger.error('Error verifying BVN', {
+                    source: 'youverify',
+                    status: error.response?.status,
+                    error: error.response?.data?.message || error.message
+                });
+                throw httpError('Identity verification is unavailable, please try again later', 503);
+            }
+        }
+    };
+};
+
+/**
+ * Creates a local identity source for development and tests, for both NINs and BVNs. It
+ * knows the records added to it; with echoUnknown, any other number is found with the
+ * claimed details, so sign-up flows can be tried out without real identity numbers.
+ * @param {Object} [options] - Options
+ * @param {Object} [options.records] - Records by NIN
+ * @param {Object} [options.bvnRecords] - Records by BVN
+ * @param {boolean} [options.echoUnknown] - Answer unknown numbers with the claimed details
+ * @returns {Object} Identity source with addRecord(nin, record), addBvnRecord(bvn, record)
+ * and setUnavailable(flag)
+ */
+export const createFakeIdentityProvider = ({ records = {}, bvnRecords = {}, echoUnknown = false } = {}) => {
+    const known = new Map(Object.entries(records));
+    const knownBvns = new Map(Object.entries(bvnRecords));
+    let unavailable = false;
+
+    const lookup = (source, number, { firstName, lastName, dateOfBirth }) => {
+        if (unavailable) {
+            throw httpError('Identity verification is unavailable, please try again later', 503);
+        }
+        const record = source.get(number)
+            || (echoUnknown ? { firstName, lastName, dateOfBirth } : null);
+        if (!record) {
+            return { found: false };
+        }
+        return {
+            found: true,
+            firstName: record.firstName,
+            middleName: record.middleName || '',
+            lastName: record.lastName,
+            dateOfBirth: record.dateOfBirth || null,
+            phoneNumber: record.phoneNumber || null,
+            reference: `FAKE-${number}`
+        };
+    };
+
+    return {
+        name: 'fake',
+        verifyNin: async ({ nin, ...claimed }) => lookup(known, nin, claimed),
+        verifyBvn: async ({ bvn, ...claimed }) => lookup(knownBvns, bvn, claimed),
+        addRecord: (nin, record) => {
+            known.set(nin, record);
+        },
+        addBvnRecord: (bvn, record) => {
+            knownBvns.set(bvn, record);
+        },
+        setUnavailable: (flag) => {
+            unavailable = flag;
+        }
+    };
+};
+
+let configured = null;
+let override = null;
+let configuredBvn = null;
+let bvnOverride = null;
+
+/**
+ * Returns the configured identity source.
+ * @returns {Object} Identity source
+ */
+export const getIdentityProvider = () => {
+    if (override) {
+        return override;
+    }
+    if (!configured) {
+        configured = env.NIMC_API_KEY
+            ? createNimcProvider({ apiKey: env.NIMC_API_KEY, baseUrl: env.NIMC_BASE_URL })
+            : createFakeIdentityProvider({ echoUnknown: true });
+    }
+    return configured;
+};
+
+/**
+ * Replaces the identity source, for tests; pass null to restore it.
+ * @param {Object|null} provider - Identity source
+ */
+export const setIdentityProvider = (provider) => {
+    override = provider;
+};
+
+/**
+ * Returns the configured BVN source.
+ * @returns {Object} Identity source with verifyBvn
+ */
+export const getBvnProvider = () => {
+    if (bvnOverride) {
+        return bvnOverride;
+    }
+    if (!configuredBvn) {
+        configuredBvn = env.YOUVERIFY_API_KEY
+            ? createYouverifyProvider({ apiKey: env.YOUVERIFY_API_KEY, baseUrl: env.YOUVERIFY_BASE_URL })
+            : createFakeIdentityProvider({ echoUnknown: true });
+    }
+    return configuredBvn;
+};
+
+/**
+ * Replaces the BVN source, for tests; pass null to restore it.
+ * @param {Object|null} provider - Identity source with verifyBvn
+ */
+export const setBvnProvider = (provider) => {
+    bvnOverride = provider;
+};
@@ -0,0 +1,200 @@
+// src/providers/index.js
+import { env } from '../config/env.js';
+import logger from '../utils/logger.js';
+import { httpError } from '../utils/response.js';
+import { createFlutterwaveProvider } from './flutterwaveProvider.js';
+import { createPaystackProvider } from './paystackProvider.js';
+
+/**
+ * Payment provider registry and routing. Services never call a provider API directly: they
+ * pick an adapter by name with getProvider(), or let routeOperation() choose one from the
+ * routing rules for the operation. Every adapter implements the same interface, with
+ * amounts in kobo:
+ *
+ *   name, label
+ *   resolveAccount({ accountNumber, bankCode }) -> { accountNumber, accountName, bankName }
+ *   initiatePayment({ reference, amount, currency, redirectUrl, customer, description, metadata }) -> { link, reference }
+ *   verifyPayment({ transactionId, reference }) -> { id, reference, amount, currency, status }
+ *   createTransfer({ reference, amount, currency, accountNumber, accountName, bankCode, narration }) -> { id, reference, status }
+ *   getTransfer(transferId) -> { id, reference, amount, currency, status, message }
+ *   getBalance(currency) -> amount
+ *   createVirtualAccount({ reference, email, firstName, lastName, phoneNumber, narration }) -> { accountNumber, accountName, bankName, providerId }
+ *   listPayments({ from, to }) -> [{ id, reference, amount, currency, status, createdAt }]
+ *   listTransfers({ from, to }) -> [{ id, reference, amount, currency, status, message, createdAt }]
+ *   verifyWebhook(req) -> boolean
+ *   parseWebhook(body, rawBody) -> { eventId, eventType, event }
+ *   parseCallback(query) -> { transactionId, reference, status }
+ *
+ * The list methods return every record created in [from, to), for reconciliation. Payment
+ * and transfer statuses are 'successful', 'failed' or 'pending'. A webhook event is
+ * { type: 'payment' | 'transfer', id, reference, status, amount, accountNumber, ... }, or
+ * null for events the platform does not act on. Payments into a virtual account also carry
+ * the sender's details and, where the provider reports it, virtualAccountNumber.
+ */
+
+export const PROVIDERS = ['flutterwave', 'paystack'];
+
+export const OPERATIONS = {
+    FUNDING: 'funding',
+    PAYOUT: 'payout',
+    ACCOUNT_RESOLUTION: 'accountResolution',
+    VIRTUAL_ACCOUNT: 'virtualAccount'
+};
+
+const ROUTES = {
+    [OPERATIONS.FUNDING]: env.PAYMENT_ROUTE_FUNDING,
+    [OPERATIONS.PAYOUT]: env.PAYMENT_ROUTE_PAYOUT,
+    [OPERATIONS.ACCOUNT_RESOLUTION]: env.PAYMENT_ROUTE_ACCOUNT_RESOLUTION,
+    [OPERATIONS.VIRTUAL_ACCOUNT]: env.PAYMENT_ROUTE_VIRTUAL_ACCOUNT
+};
+
+// Errors where the request never reached the provider, so nothing can have been sent
+const UNSENT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+const FACTORIES = {
+    flutterwave: () => createFlutterwaveProvider({
+        baseUrl: env.FLUTTERWAVE_BASE_URL,
+        secretKey: env.FLUTTERWAVE_SECRET_KEY,
+        secretHash: env.FLUTTERWAVE_SECRET_HASH
+    }),
+    paystack: () => createPaystackProvider({
+        baseUrl: env.PAYSTACK_BASE_URL,
+        secretKey: env.PAYSTACK_SECRET_KEY
+    })
+};
+
+const configured = new Map();
+const overrides = new Map();
+
+/**
+ * Whether a provider is configured and can be used.
+ * @param {string} name - Provider name
+ * @returns {boolean}
+ */
+export const isProviderEnabled = (name) =>
+    overrides.has(name) || (name === 'flutterwave' && Boolean(env.FLUTTERWAVE_SECRET_KEY))
+    || (name === 'paystack' && Boolean(env.PAYSTACK_SECRET_KEY));
+
+/**
+ * Returns a provider adapter by name, creating the configured one on first use.
+ * @param {string} name - Provider name
+ * @returns {Object} Provider adapter
+ * @throws {Error} 404 for unknown or unconfigured providers
+ */
+export const getProvider = (name) => {
+    if (overrides.has(name)) {
+        return overrides.get(name);
+    }
+    if (!FACTORIES[name] || !isProviderEnabled(name)) {
+        throw httpError(`Payment provider ${name} is not available`, 404);
+    }
+    if (!configured.has(name)) {
+        configured.set(name, FACTORIES[name]());
+    }
+    return configured.get(name);
+};
+
+/**
+ * Replaces a provider adapter, for tests and the simulator; pass null to restore it.
+ * @param {string} name - Provider name
+ * @param {Object|null} provider - Provider adapter
+ */
+export const setProvider = (name, provider) => {
+    if (provider) {
+        overrides.set(name, provider);
+    } else {
+        overrides.delete(name);
+    }
+};
+
+/**
+ * Whether an error shows the provider is down or overloaded rather than rejecting the request.
+ * @param {Error} error - Error from an adapter
+ * @returns {boolean}
+ */
+export const isProviderOutage = (error) => {
+    const status = error.response?.status;
+    return !error.response || status >= 500 || status === 429;
+};
+
+/**
+ * Whether an error shows the request never reached the provider. Only then is it safe to
+ * send money through another provider: a timeout may still have been acted on.
+ * @param {Error} error - Error from an adapter
+ * @returns {boolean}
+ */
+export const isUnsent = (error) => Boolean(error.unsent) || UNSENT_ERROR_CODES.includes(error.code);
+
+/**
+ * Whether an error shows a request was definitely not acted on: it never reached the
+ * provider, or the provider refused it outright. A timeout, a server error or a clash with
+ * an earlier request for the same reference may still hide one that went through.
+ * @param {Error} error - Error from an adapter
+ * @returns {boolean}
+ */
+export const isDeclined = (error) => {
+    const status = error.response?.status;
+    return isUnsent(error) || (status >= 400 && status < 500 && ![408, 409, 429].includes(status));
+};
+
+/**
+ * Runs an operation against the providers routed for it, in order, moving to the next one
+ * only when canFailOver says the error allows it.
+ * @param {string} operation - One of OPERATIONS
+ * @param {Function} work - async (provider) => result
+ * @param {Object} [options] - Options
+ * @param {Function} [options.canFailOver] - (error) => boolean; defaults to isProviderOutage
+ * @param {string} [options.requestId] - Request ID
+ * @returns {Promise<{ provider: string, result: * }>} Provider used and its result
+ */
+export const routeOperation = async (operation, work, { canFailOver = isProviderOutage, requestId } = {}) => {
+    const names = ROUTES[operation].filter(isProviderEnabled);
+    if (!names.length) {
+        const error = httpError(`No payment provider is available for ${operation}`, 503);
+        error.unsent = true;
+        throw error;
+    }
+
+    for (const [index, name] of names.entries()) {
+        try {
+            return { provider: name, result: await work(getProvider(name)) };
+        } catch (error) {
+            const next = names[index + 1];
+            if (!next || !canFailOver(error)) {
+                throw error;
+            }
+            logger.warn('Payment provider failed, trying the next one', {
+                operation,
+                provider: name,
+                next,
+                requestId,
+                error: error.response?.data?.message || error.message
+            });
+        }
+    }
+};
+
+/**
+ * Starts the in-process Flutterwave simulator and routes every Flutterwave call to it, for
+ * local development without the live API. The simulator is imported only when used.
+ * @param {Object} params - Parameters
+ * @param {string} params.webhookUrl - Where the simulator delivers webhooks
+ * @returns {Promise<Object>} The running simulator
+ */
+export const startFlutterwaveSimulator = async ({ webhookUrl }) => {
+    const { createFakeFlutterwave } = await import('./fakeFlutterwave.js');
+    const simulator = createFakeFlutterwave({
+        secretKey: env.FLUTTERWAVE_SECRET_KEY,
+        secretHash: env.FLUTTERWAVE_SECRET_HASH,
+        webhookUrl,
+        resolveAnyAccount: true
+    });
+    await simulator.start();
+
+    setProvider('flutterwave', createFlutterwaveProvider({
+        baseUrl: simulator.url,
+        secretKey: env.FLUTTERWAVE_SECRET_KEY,
+        secretHash: env.FLUTTERWAVE_SECRET_HASH
+    }));
+    return simulator;
+};
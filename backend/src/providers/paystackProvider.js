@@ -0,0 +1,243 @@
+// src/providers/paystackProvider.js
+import crypto from 'crypto';
+import axios from 'axios';
+import { DEFAULT_CURRENCY } from '../utils/money.js';
+import { safeEqual, sha256Hex } from '../utils/signature.js';
+
+export const PAYSTACK_API_URL = 'https://api.paystack.co';
+
+const PAYMENT_STATUSES = { success: 'successful', failed: 'failed', abandoned: 'failed', reversed: 'failed' };
+const TRANSFER_STATUSES = { success: 'successful', failed: 'failed', reversed: 'failed' };
+const TRANSFER_EVENTS = ['transfer.success', 'transfer.failed', 'transfer.reversed'];
+const REPORT_PAGE_SIZE = 100;
+const MAX_REPORT_PAGES = 1000;
+const DEDICATED_ACCOUNT_BANK = 'wema-bank';
+
+/**
+ * Throws unless Paystack reported success, using Paystack's message.
+ * @param {Object} body - Response body
+ * @returns {Object} body.data
+ */
+const dataOf = (body) => {
+    if (body?.status !== true || !body.data) {
+        throw new Error(body?.message || 'Unknown error');
+    }
+    return body.data;
+};
+
+/**
+ * Creates the Paystack adapter. It implements the payment provider interface described in
+ * providers/index.js. Paystack already works in kobo, and it identifies transfers by
+ * transfer recipients, so a recipient is created for each payout.
+ * @param {Object} options - Options
+ * @param {string} options.secretKey - Paystack secret key; also signs webhooks
+ * @param {string} [options.baseUrl] - API base URL
+ * @param {number} [options.timeoutMs] - Request timeout
+ * @returns {Object} Provider adapter
+ */
+export const createPaystackProvider = ({ secretKey, baseUrl = PAYSTACK_API_URL, timeoutMs = 30000 }) => {
+    const client = axios.create({
+        baseURL: baseUrl,
+        timeout: timeoutMs,
+        headers: {
+            Authorization: `Bearer ${secretKey}`,
+            'Content-Type': 'application/json'
+        }
+    });
+
+    const toPayment = (data) => ({
+        id: String(data.id),
+        reference: data.reference,
+        amount: data.amount,
+        currency: data.currency || DEFAULT_CURRENCY,
+        status: PAYMENT_STATUSES[data.status] || 'pending'
+    });
+
+    const toTransfer = (data) => ({
+        id: String(data.id),
+        reference: data.reference,
+        amount: data.amount,
+        currency: data.currency || DEFAULT_CURRENCY,
+        status: TRANSFER_STATUSES[data.status] || 'pending',
+        message: data.reason || null
+    });
+
+    // Reads every page of a report; Paystack filters by exact timestamps
+    const listReport = async (path, { from, to }) => {
+        const records = [];
+        for (let page = 1; page <= MAX_REPORT_PAGES; page += 1) {
+            const { data } = await client.get(path, {
+                params: { from: from.toISOString(), to: to.toISOString(), perPage: REPORT_PAGE_SIZE, page }
+            });
+            records.push(...dataOf(data));
+            if (page >= (data.meta?.pageCount || 1)) break;
+        }
+        return records
+            .map((record) => ({ record, createdAt: new Date(record.createdAt || record.created_at) }))
+            .filter(({ createdAt }) => createdAt >= from && createdAt < to);
+    };
+
+    return {
+        name: 'paystack',
+        label: 'Paystack',
+        baseUrl,
+
+        resolveAccount: async ({ accountNumber, bankCode }) => {
+            const { data } = await client.get('/bank/resolve', {
+                params: { account_number: accountNumber, bank_code: bankCode }
+            });
+            const account = dataOf(data);
+            return { accountNumber: account.account_number, accountName: account.account_name, bankName: null };
+        },
+
+        initiatePayment: async ({ reference, amount, currency = DEFAULT_CURRENCY, redirectUrl, customer, metadata }) => {
+            const { data } = await client.post('/transaction/initialize', {
+                reference,
+                amount,
+                currency,
+                email: customer.email,
+                callback_url: redirectUrl,
+                metadata
+            });
+            return { link: dataOf(data).authorization_url, reference };
+        },
+
+        verifyPayment: async ({ transactionId, reference }) => {
+            const { data } = reference
+                ? await client.get(`/transaction/verify/${encodeURIComponent(reference)}`)
+                : await client.get(`/transaction/${encodeURIComponent(transactionId)}`);
+            return toPayment(dataOf(data));
+        },
+
+        // Paystack keeps references lowercase, so the transfer comes back with ours lowercased
+        createTransfer: async ({ reference, amount, currency = DEFAULT_CURRENCY, accountNumber, accountName, bankCode, narration }) => {
+            const { data: recipientBody } = await client.post('/transferrecipient', {
+                type: 'nuban',
+                name: accountName,
+                account_number: accountNumber,
+                bank_code: bankCode,
+                currency
+            });
+            const { recipient_code: recipient } = dataOf(recipientBody);
+
+            const { data } = await client.post('/transfer', {
+                source: 'balance',
+                amount,
+                currency,
+                recipient,
+                reference: reference.toLowerCase(),
+                reason: narration
+            });
+            const transfer = dataOf(data);
+            return {
+                id: String(transfer.id),
+                reference: transfer.reference,
+                status: TRANSFER_STATUSES[transfer.status] || 'pending'
+            };
+        },
+
+        getTransfer: async (transferId) => {
+            const { data } = await client.get(`/transfer/${encodeURIComponent(transferId)}`);
+            return toTransfer(dataOf(data));
+        },
+
+        listPayments: async ({ from, to }) => {
+            const transactions = await listReport('/transaction', { from, to });
+            return transactions.map(({ record, createdAt }) => ({ ...toPayment(record), createdAt }));
+        },
+
+        listTransfers: async ({ from, to }) => {
+            const transfers = await listReport('/transfer', { from, to });
+            return transfers.map(({ record, createdAt }) => ({ ...toTransfer(record), createdAt }));
+        },
+
+        getBalance: async (currency = DEFAULT_CURRENCY) => {
+            const { data } = await client.get('/balance');
+            const balance = dataOf(data).find((item) => item.currency === currency);
+            return balance ? balance.balance : 0;
+        },
+
+        // Dedicated accounts belong to a Paystack customer, which is created (or found) by email
+        createVirtualAccount: async ({ email, firstName, lastName, phoneNumber }) => {
+            const { data: customerBody } = await client.post('/customer', {
+                email,
+                first_name: firstName,
+                last_name: lastName,
+                phone: phoneNumber
+            });
+            const { customer_code: customer } = dataOf(customerBody);
+
+            const { data } = await client.post('/dedicated_account', {
+                customer,
+                preferred_bank: DEDICATED_ACCOUNT_BANK
+            });
+            const account = dataOf(data);
+            return {
+                accountNumber: account.account_number,
+                accountName: account.account_name,
+                bankName: account.bank?.name || null,
+                providerId: String(account.id)
+            };
+        },
+
+        /**
+         * Paystack signs the raw body with HMAC-SHA512 keyed by the secret key.
+         */
+        verifyWebhook: (req) => {
+            if (typeof req.rawBody !== 'string') {
+                return false;
+            }
+            const expected = crypto.createHmac('sha512', secretKey).update(req.rawBody).digest('hex');
+            return safeEqual(req.get('x-paystack-signature'), expected);
+        },
+
+        /**
+         * Paystack events carry the object's ID, and each status change has its own event
+         * name, so the two identify an event. Successful charges carry the wallet account
+         * number we attached as metadata when the payment was initialised, or, for transfers
+         * into a dedicated account, the receiving account and the sender's details.
+         */
+        parseWebhook: (body, rawBody) => {
+            const eventType = typeof body?.event === 'string' ? body.event : null;
+            const data = body?.data;
+            if (!eventType || !data?.id || !data.reference) {
+                return { eventId: `raw:${sha256Hex(rawBody)}`, eventType, event: null };
+            }
+
+            let event = null;
+            if (eventType === 'charge.success') {
+                const authorization = data.authorization || {};
+                event = {
+                    type: 'payment',
+                    id: String(data.id),
+                    reference: data.reference,
+                    status: 'successful',
+                    amount: data.amount,
+                    accountNumber: data.metadata?.accountNumber,
+                    virtualAccountNumber: data.channel === 'dedicated_nuban'
+                        ? authorization.receiver_bank_account_number || null
+                        : null,
+                    senderAccountNumber: authorization.sender_bank_account_number || null,
+                    senderName: authorization.sender_name || null,
+                    senderBankName: authorization.sender_bank || null
+                };
+            } else if (TRANSFER_EVENTS.includes(eventType)) {
+                event = {
+                    type: 'transfer',
+                    id: String(data.id),
+                    reference: data.reference,
+                    status: TRANSFER_STATUSES[data.status] || 'pending',
+                    amount: data.amount
+                };
+            }
+            return { eventId: `${eventType}:${data.id}`, eventType, event };
+        },
+
+        // Paystack returns with the reference only; the payment still has to be verified
+        parseCallback: (query) => ({
+            transactionId: null,
+            reference: query.reference || query.trxref || null,
+            status: null
+        })
+    };
+};
@@ -0,0 +1,82 @@
+// src/queues/bulkTransferQueue.js
+import Queue from 'bull';
+import { env } from '../config/env.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Bull queue that runs bulk transfer rows one job per row.
+ * The queue connects to Redis on first use, so importing this module (for example from
+ * the API process or tests) opens no connection until a batch is confirmed.
+ */
+
+const QUEUE_NAME = 'bulk-transfers';
+const WORKER_CONCURRENCY = 2;
+const MAX_JOB_ATTEMPTS = 3;
+
+let queue = null;
+
+/**
+ * Returns the shared queue, creating it on first use.
+ * @returns {Queue}
+ */
+const getQueue = () => {
+    if (!queue) {
+        queue = new Queue(QUEUE_NAME, env.REDIS_URL, {
+            defaultJobOptions: {
+                attempts: MAX_JOB_ATTEMPTS,
+                backoff: { type: 'exponential', delay: 5000 },
+                removeOnComplete: true,
+                removeOnFail: 1000
+            }
+        });
+        queue.on('error', (error) => {
+            logger.error('Bulk transfer queue error', { error: error.message });
+        });
+        queue.on('failed', (job, error) => {
+            logger.warn('Bulk transfer job failed', {
+                jobId: job.id,
+                attemptsMade: job.attemptsMade,
+                error: error.message
+            });
+        });
+    }
+    return queue;
+};
+
+/**
+ * Queues one job per bulk transfer item. Job IDs are derived from the item ID, so queuing
+ * the same item twice does not run it twice.
+ * @param {string[]} itemIds - BulkTransferItem IDs
+ * @returns {Promise<void>}
+ */
+export const enqueueBulkTransferItems = async (itemIds) => {
+    await getQueue().addBulk(itemIds.map((itemId) => ({
+        data: { itemId: itemId.toString() },
+        opts: { jobId: `bulk-transfer-item-${itemId}` }
+    })));
+};
+
+/**
+ * Starts processing bulk transfer jobs in this process.
+ * @param {Function} handler - async (itemId, { attempt, finalAttempt }) => void; throw to retry
+ */
+export const startBulkTransferWorker = (handler) => {
+    getQueue().process(WORKER_CONCURRENCY, (job) => handler(job.data.itemId, {
+        attempt: job.attemptsMade + 1,
+        finalAttempt: job.attemptsMade + 1 >= (job.opts.attempts || 1)
+    })).catch((error) => {
+        logger.error('Bulk transfer worker stopped', { error: error.message, stack: error.stack });
+    });
+    logger.info('Bulk transfer worker started', { queue: QUEUE_NAME, concurrency: WORKER_CONCURRENCY });
+};
+
+/**
+ * Closes the queue's Redis connections if they were opened.
+ * @returns {Promise<void>}
+ */
+export const closeBulkTransferQueue = async () => {
+    if (queue) {
+        await queue.close();
+        queue = null;
+    }
+};
@@ -0,0 +1,198 @@
+import express from 'express';
+import { z } from 'zod';
+import validateRequest from '../middlewares/validateRequest.js';
+import authMiddleware from '../middlewares/authMiddleware.js';
+import roleMiddleware from '../middlewares/roleMiddleware.js';
+import ledgerController from '../controllers/ledgerController.js';
+import reversalController from '../controllers/reversalController.js';
+import holdController from '../controllers/holdController.js';
+import webhookController from '../controllers/webhookController.js';
+import reconciliationController from '../controllers/reconciliationController.js';
+import kycController from '../controllers/kycController.js';
+import kycReviewController from '../controllers/kycReviewController.js';
+import { majorAmountSchema } from '../utils/money.js';
+import { PROVIDERS } from '../providers/index.js';
+
+const router = express.Router();
+
+/**
+ * Admin routes for NEG AI Banking Platform.
+ * Every route requires an authenticated admin.
+ */
+
+/**
+ * Zod schemas for request validation.
+ */
+const objectIdParamsSchema = {
+    params: z.object({
+        id: z.string().regex(/^[a-f\d]{24}$/i, 'Invalid ID')
+    })
+};
+
+// Amount is naira and defaults to everything not yet reversed
+const reversalSchema = {
+    body: z.object({
+        reference: z.string().trim().min(1, 'Transaction reference is required').max(100, 'Reference cannot exceed 100 characters'),
+        amount: majorAmountSchema().optional(),
+        refundFee: z.boolean().default(false),
+        reason: z.string().trim().min(1, 'Reason is required').max(500, 'Reason cannot exceed 500 characters')
+    })
+};
+
+const reversalsQuerySchema = {
+    query: z.object({
+        status: z.enum(['pending_approval', 'approved', 'rejected', 'executed', 'failed']).optional(),
+        reference: z.string().trim().min(1, 'Reference cannot be empty').max(100, 'Reference cannot exceed 100 characters').optional()
+    })
+};
+
+const approveReversalSchema = {
+    params: objectIdParamsSchema.params,
+    body: z.object({
+        note: z.string().trim().min(1, 'Note cannot be empty').max(500, 'Note cannot exceed 500 characters').optional()
+    })
+};
+
+const rejectReversalSchema = {
+    params: objectIdParamsSchema.params,
+    body: z.object({
+        note: z.string().trim().min(1, 'A reason for rejecting is required').max(500, 'Note cannot exceed 500 characters')
+    })
+};
+
+const holdSchema = {
+    body: z.object({
+        accountNumber: z.string().regex(/^\d{10}$/, 'Account number must be 10 digits'),
+        amount: majorAmountSchema({ max: 100000000 }),
+        type: z.enum(['card_authorisation', 'dispute', 'lien', 'pending_transfer', 'other']),
+        reason: z.string().trim().min(1, 'Reason is required').max(500, 'Reason cannot exceed 500 characters'),
+        reference: z.string().trim().min(1, 'Reference cannot be empty').max(100, 'Reference cannot exceed 100 characters').optional(),
+        expiresAt: z.coerce.date({ invalid_type_error: 'Expiry must be a valid date' }).optional()
+    })
+};
+
+const holdsQuerySchema = {
+    query: z.object({
+        accountNumber: z.string().regex(/^\d{10}$/, 'Account number must be 10 digits').optional(),
+        status: z.enum(['active', 'released', 'expired', 'captured']).optional()
+    })
+};
+
+const releaseHoldSchema = {
+    params: objectIdParamsSchema.params,
+    body: z.object({
+        reason: z.string().trim().min(1, 'Reason cannot be empty').max(500, 'Reason cannot exceed 500 characters').optional()
+    })
+};
+
+const webhookEventsQuerySchema = {
+    query: z.object({
+        status: z.enum(['received', 'processing', 'processed', 'ignored', 'failed']).optional(),
+        provider: z.enum(PROVIDERS).optional()
+    })
+};
+
+// A West Africa Time business day
+const reconciliationRunSchema = {
+    body: z.object({
+        provider: z.enum(PROVIDERS).default('flutterwave'),
+        date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be YYYY-MM-DD')
+            .refine((value) => !Number.isNaN(Date.parse(`${value}T00:00:00Z`)), 'Date must be a valid date')
+    })
+};
+
+const reconciliationRunsQuerySchema = {
+    query: z.object({
+        provider: z.enum(PROVIDERS).optional(),
+        status: z.enum(['running', 'completed', 'failed']).optional()
+    })
+};
+
+const reconciliationItemsQuerySchema = {
+    query: z.object({
+        runId: z.string().regex(/^[a-f\d]{24}$/i, 'Invalid run ID').optional(),
+        provider: z.enum(PROVIDERS).optional(),
+        result: z.enum(['matched', 'missing_in_ledger', 'missing_at_provider', 'amount_mismatch']).optional(),
+        resolutionStatus: z.enum(['not_required', 'open', 'resolved']).optional()
+    })
+};
+
+const resolveReconciliationItemSchema = {
+    params: objectIdParamsSchema.params,
+    body: z.object({
+        resolution: z.enum(['ledger_adjusted', 'provider_adjusted', 'no_action']),
+        note: z.string().trim().min(1, 'A note on the resolution is required').max(500, 'Note cannot exceed 500 characters')
+    })
+};
+
+const kycSubmissionsQuerySchema = {
+    query: z.object({
+        status: z.enum(['pending', 'approved', 'rejected', 'needs_more_info']).optional(),
+        type: z.enum(['nin', 'bvn', 'id_document']).optional(),
+        reviewReason: z.enum(['name_mismatch', 'date_of_birth_mismatch', 'provider_unavailable']).optional(),
+        claim: z.enum(['unclaimed', 'mine', 'claimed']).optional(),
+        userId: z.string().regex(/^[a-f\d]{24}$/i, 'Invalid user ID').optional()
+    })
+};
+
+const approveKycSubmissionSchema = {
+    params: objectIdParamsSchema.params,
+    body: z.object({
+        note: z.string().trim().min(1, 'Note cannot be empty').max(500, 'Note cannot exceed 500 characters').optional()
+    })
+};
+
+// Message is shown to the customer and defaults to one for the reason code; note is for admins
+const kycDecisionSchema = {
+    params: objectIdParamsSchema.params,
+    body: z.object({
+        reasonCode: z.enum([
+            'name_mismatch',
+            'date_of_birth_mismatch',
+            'details_mismatch',
+            'document_unreadable',
+            'document_incomplete',
+            'document_expired',
+            'duplicate_identity',
+            'suspected_fraud',
+            'other'
+        ]),
+        message: z.string().trim().min(1, 'Message cannot be empty').max(500, 'Message cannot exceed 500 characters').optional(),
+        note: z.string().trim().min(1, 'Note cannot be empty').max(500, 'Note cannot exceed 500 characters').optional()
+    })
+};
+
+router.use(authMiddleware, roleMiddleware(['admin']));
+
+router.get('/ledger/trial-balance', ledgerController.getTrialBalance);
+
+router.post('/reversals', validateRequest(reversalSchema), reversalController.requestReversal);
+router.get('/reversals', validateRequest(reversalsQuerySchema), reversalController.listReversals);
+router.get('/reversals/:id', validateRequest(objectIdParamsSchema), reversalController.getReversal);
+router.post('/reversals/:id/approve', validateRequest(approveReversalSchema), reversalController.approveReversal);
+router.post('/reversals/:id/reject', validateRequest(rejectReversalSchema), reversalController.rejectReversal);
+
+router.post('/holds', validateRequest(holdSchema), holdController.placeHold);
+router.get('/holds', validateRequest(holdsQuerySchema), holdController.listHolds);
+router.post('/holds/:id/release', validateRequest(releaseHoldSchema), holdController.releaseHold);
+
+router.get('/webhooks', validateRequest(webhookEventsQuerySchema), webhookController.listEvents);
+router.get('/webhooks/:id', validateRequest(objectIdParamsSchema), webhookController.getEvent);
+router.post('/webhooks/:id/replay', validateRequest(objectIdParamsSchema), webhookController.replayEvent);
+
+router.post('/reconciliation/runs', validateRequest(reconciliationRunSchema), reconciliationController.runReconciliation);
+router.get('/reconciliation/runs', validateRequest(reconciliationRunsQuerySchema), reconciliationController.listRuns);
+router.get('/reconciliation/runs/:id', validateRequest(objectIdParamsSchema), reconciliationController.getRun);
+router.get('/reconciliation/items', validateRequest(reconciliationItemsQuerySchema), reconciliationController.listItems);
+router.post('/reconciliation/items/:id/resolve', validateRequest(resolveReconciliationItemSchema), reconciliationController.resolveItem);
+
+router.get('/kyc/submissions', validateRequest(kycSubmissionsQuerySchema), kycReviewController.listSubmissions);
+router.get('/kyc/submissions/:id', validateRequest(objectIdParamsSchema), kycReviewController.getSubmission);
+router.post('/kyc/submissions/:id/claim', validateRequest(objectIdParamsSchema), kycReviewController.claimSubmission);
+router.post('/kyc/submissions/:id/release', validateRequest(objectIdParamsSchema), kycReviewController.releaseSubmission);
+router.post('/kyc/submissions/:id/approve', validateRequest(approveKycSubmissionSchema), kycReviewController.approveSubmission);
+router.post('/kyc/submissions/:id/reject', validateRequest(kycDecisionSchema), kycReviewController.rejectSubmission);
+router.post('/kyc/submissions/:id/request-info', validateRequest(kycDecisionSchema), kycReviewController.requestMoreInfo);
+router.get('/kyc/submissions/:id/documents', validateRequest(objectIdParamsSchema), kycController.getDocumentUrls);
+
+export default router;
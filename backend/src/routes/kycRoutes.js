@@ -0,0 +1,87 @@
+import express from 'express';
+import { z } from 'zod';
+import validateRequest from '../middlewares/validateRequest.js';
+import authMiddleware from '../middlewares/authMiddleware.js';
+import rateLimiter from '../middlewares/rateLimiter.js';
+import kycController from '../controllers/kycController.js';
+
+const router = express.Router();
+
+/**
+ * KYC routes for NEG AI Banking Platform.
+ * Every route requires an authenticated customer, except the signed links to locally
+ * stored documents. Submissions are rate-limited, since each one is a paid lookup or
+ * upload. ID documents are multipart uploads with documentType and documentNumber
+ * fields and front and back image files.
+ */
+
+/**
+ * Zod schemas for request validation.
+ */
+const ninSchema = {
+    body: z.object({
+        nin: z.string().trim().regex(/^\d{11}$/, 'NIN must be 11 digits'),
+        dateOfBirth: z.string()
+            .regex(/^\d{4}-\d{2}-\d{2}$/, 'Date of birth must be YYYY-MM-DD')
+            .refine((value) => !Number.isNaN(Date.parse(value)) && new Date(value) < new Date(), {
+                message: 'Date of birth must be a valid date in the past'
+            }),
+        address: z.object({
+            line1: z.string().trim().min(3, 'Address is required').max(200, 'Address cannot exceed 200 characters'),
+            city: z.string().trim().min(2, 'City is required').max(100, 'City cannot exceed 100 characters'),
+            state: z.string().trim().min(2, 'State is required').max(100, 'State cannot exceed 100 characters')
+        })
+    })
+};
+
+const bvnSchema = {
+    body: z.object({
+        bvn: z.string().trim().regex(/^\d{11}$/, 'BVN must be 11 digits'),
+        dateOfBirth: z.string()
+            .regex(/^\d{4}-\d{2}-\d{2}$/, 'Date of birth must be YYYY-MM-DD')
+            .refine((value) => !Number.isNaN(Date.parse(value)) && new Date(value) < new Date(), {
+                message: 'Date of birth must be a valid date in the past'
+            })
+    })
+};
+
+const documentSchema = {
+    body: z.object({
+        documentType: z.enum(['drivers_licence', 'passport', 'voters_card']),
+        // Spaces and hyphens are allowed as printed and dropped by kycService
+        documentNumber: z.string().trim().regex(/^[A-Za-z0-9][A-Za-z0-9 -]{4,28}[A-Za-z0-9]$/, 'Document number must be 6 to 30 letters or digits')
+    })
+};
+
+const documentFileSchema = {
+    params: z.object({
+        key: z.string().regex(/^[a-f0-9-]{36}\.(jpg|png)$/, 'Invalid document key')
+    }),
+    query: z.object({
+        expires: z.string().regex(/^\d+$/, 'Invalid expiry'),
+        signature: z.string().regex(/^[a-f0-9]{64}$/, 'Invalid signature')
+    })
+};
+
+// Rate limiter for identity submissions
+const kycRateLimiter = rateLimiter({
+    windowMs: 60 * 60 * 1000,
+    max: 5,
+    message: async (req) => ({
+        status: 'error',
+        message: 'Too many KYC submissions. Please try again after an hour.',
+        requestId: req.requestId || 'N/A'
+    })
+});
+
+// Signed links to locally stored documents
+router.get('/files/:key', validateRequest(documentFileSchema), kycController.openDocument);
+
+router.use(authMiddleware);
+
+router.post('/nin', kycRateLimiter, validateRequest(ninSchema), kycController.submitNin);
+router.post('/bvn', kycRateLimiter, validateRequest(bvnSchema), kycController.submitBvn);
+router.post('/documents', kycRateLimiter, validateRequest(documentSchema), kycController.submitDocument);
+router.get('/status', kycController.getStatus);
+
+export default router;
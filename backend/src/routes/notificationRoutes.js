@@ -0,0 +1,35 @@
+import express from 'express';
+import { z } from 'zod';
+import validateRequest from '../middlewares/validateRequest.js';
+import authMiddleware from '../middlewares/authMiddleware.js';
+import notificationController from '../controllers/notificationController.js';
+
+const router = express.Router();
+
+/**
+ * Notification routes for NEG AI Banking Platform.
+ * Every route requires an authenticated customer and only reaches their own notifications.
+ */
+
+/**
+ * Zod schemas for request validation.
+ */
+const notificationsQuerySchema = {
+    query: z.object({
+        unread: z.enum(['true', 'false']).optional()
+    })
+};
+
+const notificationParamsSchema = {
+    params: z.object({
+        id: z.string().regex(/^[a-f\d]{24}$/i, 'Invalid ID')
+    })
+};
+
+router.use(authMiddleware);
+
+router.get('/', validateRequest(notificationsQuerySchema), notificationController.listNotifications);
+router.post('/read-all', notificationController.markAllRead);
+router.post('/:id/read', validateRequest(notificationParamsSchema), notificationController.markRead);
+
+export default router;
@@ -3,7 +3,20 @@ import { z } from 'zod';
 import validateRequest from '../middlewares/validateRequest.js';
 import authMiddleware from '../middlewares/authMiddleware.js';
 import rateLimiter from '../middlewares/rateLimiter.js';
+import idempotency from '../middlewares/idempotency.js';
+import verifyWebhookSignature from '../middlewares/webhookSignature.js';
 import walletController from '../controllers/walletController.js';
+import scheduledTransferController from '../controllers/scheduledTransferController.js';
+import standingOrderController from '../controllers/standingOrderController.js';
+import beneficiaryController from '../controllers/beneficiaryController.js';
+import bulkTransferController from '../controllers/bulkTransferController.js';
+import holdController from '../controllers/holdController.js';
+import virtualAccountController from '../controllers/virtualAccountController.js';
+import fxController from '../controllers/fxController.js';
+import limitController from '../controllers/limitController.js';
+import { CURRENCIES, majorAmountSchema } from '../utils/money.js';
+import { PROVIDERS } from '../providers/index.js';
+import { FREQUENCIES } from '../utils/recurrence.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
@@ -11,6 +24,10 @@ const router = express.Router();
 /**
  * Wallet routes for NEG AI Banking Platform.
  * Applies authentication, rate-limiting, and validation.
+ * Money-moving routes accept an optional Idempotency-Key header.
+ * Amounts are naira with at most two decimal places; controllers convert them to kobo.
+ * Funding and transfer caps depend on the user's KYC tier and are applied by limitService.
+ * Conversion quotes take an amount in the currency being sold.
  */
 
 /**
@@ -18,14 +35,15 @@ const router = express.Router();
  */
 const fundSchema = {
     body: z.object({
-        amount: z.number().positive('Amount must be positive').max(1000000, 'Amount cannot exceed NGN 1,000,000'),
+        amount: majorAmountSchema(),
         accountNumber: z.string().regex(/^\d{10}$/, 'Account number must be 10 digits')
     })
 };
 
 const verifyPaymentSchema = {
     body: z.object({
-        transactionId: z.string().min(1, 'Transaction ID is required'),
+        provider: z.enum(PROVIDERS).default('flutterwave'),
+        transactionId: z.string().min(1, 'Transaction ID cannot be empty').optional(),
         reference: z.string().min(1, 'Reference is required')
     })
 };
@@ -37,10 +55,12 @@ const verifyBankSchema = {
     })
 };
 
+// Recipient is either a saved beneficiary or account details; the controller checks which
 const transferSchema = {
     body: z.object({
-        recipientAccountNumber: z.string().regex(/^\d{10}$/, 'Recipient account number must be 10 digits'),
-        amount: z.number().positive('Amount must be positive').max(500000, 'Amount cannot exceed NGN 500,000'),
+        beneficiaryId: z.string().regex(/^[a-f\d]{24}$/i, 'Invalid beneficiary ID').optional(),
+        recipientAccountNumber: z.string().regex(/^\d{10}$/, 'Recipient account number must be 10 digits').optional(),
+        amount: majorAmountSchema(),
         description: z.string().max(200, 'Description cannot exceed 200 characters').optional(),
         bankCode: z.string().regex(/^\d{3}$/, 'Bank code must be 3 digits').optional(),
         recipientAccountName: z.string().min(1, 'Recipient account name is required').optional(),
@@ -48,28 +68,151 @@ const transferSchema = {
     })
 };
 
+const transactionsQuerySchema = {
+    query: z.object({
+        type: z.enum(['credit', 'debit']).optional(),
+        status: z.enum(['pending', 'completed', 'failed']).optional(),
+        source: z.enum(['flutterwave', 'paystack', 'transfer', 'external_transfer', 'reversal', 'fx_conversion']).optional(),
+        currency: z.enum(CURRENCIES).optional(),
+        startDate: z.coerce.date({ invalid_type_error: 'Start date must be a valid date' }).optional(),
+        endDate: z.coerce.date({ invalid_type_error: 'End date must be a valid date' }).optional(),
+        minAmount: z.coerce.number().nonnegative('Minimum amount cannot be negative').multipleOf(0.01, 'Minimum amount cannot have more than 2 decimal places').optional(),
+        maxAmount: z.coerce.number().positive('Maximum amount must be positive').multipleOf(0.01, 'Maximum amount cannot have more than 2 decimal places').optional(),
+        counterparty: z.string().regex(/^\d{10}$/, 'Counterparty account number must be 10 digits').optional(),
+        search: z.string().trim().min(1, 'Search term cannot be empty').max(100, 'Search term cannot exceed 100 characters').optional(),
+        limit: z.coerce.number().int('Limit must be a whole number').min(1, 'Limit must be at least 1').max(100, 'Limit cannot exceed 100').default(20),
+        cursor: z.string().min(1, 'Cursor cannot be empty').optional()
+    })
+        .refine((query) => !query.startDate || !query.endDate || query.startDate <= query.endDate, {
+            message: 'Start date must be before end date',
+            path: ['startDate']
+        })
+        .refine((query) => query.minAmount === undefined || query.maxAmount === undefined || query.minAmount <= query.maxAmount, {
+            message: 'Minimum amount cannot exceed maximum amount',
+            path: ['minAmount']
+        })
+};
+
+const fxQuoteSchema = {
+    body: z.object({
+        from: z.enum(CURRENCIES),
+        to: z.enum(CURRENCIES),
+        amount: majorAmountSchema({ max: 10000000, maxMessage: 'Amount cannot exceed 10,000,000.00 of the currency sold' })
+    })
+        .refine((body) => body.from !== body.to, {
+            message: 'Choose two different currencies to convert between',
+            path: ['to']
+        })
+};
+
+const fxConvertSchema = {
+    body: z.object({
+        quoteId: z.string().regex(/^[a-f\d]{24}$/i, 'Invalid quote ID')
+    })
+};
+
+const MAX_SCHEDULE_AHEAD_MS = 366 * 24 * 60 * 60 * 1000;
+
+const scheduledTransferSchema = {
+    body: transferSchema.body.extend({
+        runAt: z.coerce.date({ invalid_type_error: 'Run date must be a valid date' })
+            .refine((date) => date.getTime() > Date.now(), 'Run date must be in the future')
+            .refine((date) => date.getTime() <= Date.now() + MAX_SCHEDULE_AHEAD_MS, 'Run date cannot be more than a year ahead')
+    })
+};
+
+const scheduledTransfersQuerySchema = {
+    query: z.object({
+        status: z.enum(['scheduled', 'processing', 'pending', 'completed', 'failed', 'cancelled']).optional()
+    })
+};
+
+// Cross-field rules (cron only for custom, end after start) are checked by the service
+const standingOrderSchema = {
+    body: transferSchema.body.extend({
+        frequency: z.enum(FREQUENCIES),
+        cronExpression: z.string().trim().min(1, 'Cron expression cannot be empty').max(100, 'Cron expression cannot exceed 100 characters').optional(),
+        startDate: z.coerce.date({ invalid_type_error: 'Start date must be a valid date' })
+            .refine((date) => date.getTime() > Date.now(), 'Start date must be in the future')
+            .refine((date) => date.getTime() <= Date.now() + MAX_SCHEDULE_AHEAD_MS, 'Start date cannot be more than a year ahead'),
+        endDate: z.coerce.date({ invalid_type_error: 'End date must be a valid date' }).optional(),
+        maxRuns: z.number().int('Maximum runs must be a whole number').min(1, 'Maximum runs must be at least 1').max(1000, 'Maximum runs cannot exceed 1000').optional(),
+        catchUpPolicy: z.enum(['skip', 'run_once', 'run_all']).default('run_once')
+    })
+};
+
+const standingOrdersQuerySchema = {
+    query: z.object({
+        status: z.enum(['active', 'paused', 'completed', 'cancelled']).optional()
+    })
+};
+
+const objectIdParamsSchema = {
+    params: z.object({
+        id: z.string().regex(/^[a-f\d]{24}$/i, 'Invalid ID')
+    })
+};
+
+const standingOrderExecutionsSchema = {
+    params: objectIdParamsSchema.params,
+    query: z.object({
+        before: z.coerce.date({ invalid_type_error: 'Before must be a valid date' }).optional(),
+        limit: z.coerce.number().int('Limit must be a whole number').min(1, 'Limit must be at least 1').max(100, 'Limit cannot exceed 100').default(50)
+    })
+};
+
+const beneficiarySchema = {
+    body: z.object({
+        accountNumber: z.string().regex(/^\d{10}$/, 'Account number must be 10 digits'),
+        bankCode: z.string().regex(/^\d{3}$/, 'Bank code must be 3 digits').optional(),
+        bankName: z.string().trim().min(1, 'Bank name cannot be empty').max(100, 'Bank name cannot exceed 100 characters').optional(),
+        nickname: z.string().trim().min(1, 'Nickname cannot be empty').max(50, 'Nickname cannot exceed 50 characters').optional()
+    })
+};
+
+const beneficiariesQuerySchema = {
+    query: z.object({
+        sort: z.enum(['recent', 'frequent']).default('recent')
+    })
+};
+
+const updateBeneficiarySchema = {
+    params: objectIdParamsSchema.params,
+    body: z.object({
+        nickname: z.string().trim().min(1, 'Nickname cannot be empty').max(50, 'Nickname cannot exceed 50 characters')
+    })
+};
+
+// Rows are validated one by one by the service so the preview can report every bad row
+const bulkTransferSchema = {
+    body: z.object({
+        rows: z.array(z.record(z.string(), z.unknown()), { invalid_type_error: 'Rows must be a list of transfers' })
+            .min(1, 'Batch must have at least one row')
+            .max(500, 'Batch cannot exceed 500 rows'),
+        format: z.enum(['csv', 'json']).default('json'),
+        label: z.string().trim().min(1, 'Label cannot be empty').max(100, 'Label cannot exceed 100 characters').optional()
+    })
+};
+
+// Without a provider in the path, callbacks and webhooks are Flutterwave's
+const providerParamsSchema = z.object({
+    provider: z.enum(PROVIDERS).default('flutterwave')
+});
+
+// Flutterwave returns transaction_id, tx_ref and status; Paystack returns reference and trxref
 const callbackSchema = {
+    params: providerParamsSchema,
     query: z.object({
         transaction_id: z.string().min(1, 'Transaction ID is required').optional(),
         tx_ref: z.string().min(1, 'Reference is required').optional(),
-        status: z.enum(['successful', 'cancelled', 'failed']).optional()
+        status: z.string().optional(),
+        reference: z.string().min(1, 'Reference is required').optional(),
+        trxref: z.string().min(1, 'Reference is required').optional()
     })
 };
 
 const webhookSchema = {
-    body: z.object({
-        'event.type': z.string().min(1, 'Event type is required'),
-        transfer: z.object({
-            id: z.number().min(1, 'Transaction ID is required'),
-            reference: z.string().min(1, 'Reference is required'),
-            status: z.enum(['SUCCESSFUL', 'FAILED', 'PENDING']),
-            account_number: z.string().regex(/^\d{10}$/, 'Account number must be 10 digits').optional(),
-            bank_name: z.string().min(1, 'Bank name is required').optional(),
-            amount: z.number().positive('Amount must be positive').optional(),
-            sender_account_number: z.string().optional(),
-            sender_bank_name: z.string().optional()
-        })
-    })
+    params: providerParamsSchema
 };
 
 // Log schemas for debugging
@@ -78,6 +221,13 @@ logger.debug('walletRoutes: Schema definitions', {
     verifyPaymentSchema: Object.keys(verifyPaymentSchema),
     verifyBankSchema: Object.keys(verifyBankSchema),
     transferSchema: Object.keys(transferSchema),
+    transactionsQuerySchema: Object.keys(transactionsQuerySchema),
+    fxQuoteSchema: Object.keys(fxQuoteSchema),
+    fxConvertSchema: Object.keys(fxConvertSchema),
+    scheduledTransferSchema: Object.keys(scheduledTransferSchema),
+    standingOrderSchema: Object.keys(standingOrderSchema),
+    beneficiarySchema: Object.keys(beneficiarySchema),
+    bulkTransferSchema: Object.keys(bulkTransferSchema),
     callbackSchema: Object.keys(callbackSchema),
     webhookSchema: Object.keys(webhookSchema)
 });
@@ -93,12 +243,25 @@ const walletRateLimiter = rateLimiter({
     })
 });
 
+// Quotes, previews and saved details call providers too, but count against their own
+// allowance so that setting up a transfer does not use up the one for moving money
+const walletLookupRateLimiter = rateLimiter({
+    windowMs: 15 * 60 * 1000,
+    max: 60,
+    message: async (req) => ({
+        status: 'error',
+        message: 'Too many wallet lookups. Please try again after 15 minutes.',
+        requestId: req.requestId || 'N/A'
+    })
+});
+
 // Wallet routes (all protected except callback and webhook)
 router.post(
     '/fund',
     authMiddleware,
     walletRateLimiter,
     validateRequest(fundSchema),
+    idempotency,
     walletController.fundWallet
 );
 
@@ -123,6 +286,7 @@ router.post(
     authMiddleware,
     walletRateLimiter,
     validateRequest(transferSchema),
+    idempotency,
     walletController.transferFunds
 );
 
@@ -133,15 +297,214 @@ router.get(
 );
 
 router.get(
-    '/callback',
+    '/limits',
+    authMiddleware,
+    limitController.getLimits
+);
+
+router.get(
+    '/holds',
+    authMiddleware,
+    holdController.listMyHolds
+);
+
+router.get(
+    '/virtual-account',
+    authMiddleware,
+    virtualAccountController.getVirtualAccount
+);
+
+router.post(
+    '/virtual-account',
+    authMiddleware,
+    walletLookupRateLimiter,
+    virtualAccountController.provisionVirtualAccount
+);
+
+router.post(
+    '/fx/quote',
+    authMiddleware,
+    walletLookupRateLimiter,
+    validateRequest(fxQuoteSchema),
+    fxController.createQuote
+);
+
+router.post(
+    '/fx/convert',
+    authMiddleware,
+    walletRateLimiter,
+    validateRequest(fxConvertSchema),
+    idempotency,
+    fxController.executeQuote
+);
+
+router.get(
+    '/transactions',
+    authMiddleware,
+    validateRequest(transactionsQuerySchema),
+    walletController.getTransactions
+);
+
+router.post(
+    '/scheduled-transfers',
+    authMiddleware,
+    walletRateLimiter,
+    validateRequest(scheduledTransferSchema),
+    idempotency,
+    scheduledTransferController.createScheduledTransfer
+);
+
+router.get(
+    '/scheduled-transfers',
+    authMiddleware,
+    validateRequest(scheduledTransfersQuerySchema),
+    scheduledTransferController.listScheduledTransfers
+);
+
+router.post(
+    '/scheduled-transfers/:id/cancel',
+    authMiddleware,
+    validateRequest(objectIdParamsSchema),
+    scheduledTransferController.cancelScheduledTransfer
+);
+
+router.post(
+    '/standing-orders',
+    authMiddleware,
+    walletRateLimiter,
+    validateRequest(standingOrderSchema),
+    idempotency,
+    standingOrderController.createStandingOrder
+);
+
+router.get(
+    '/standing-orders',
+    authMiddleware,
+    validateRequest(standingOrdersQuerySchema),
+    standingOrderController.listStandingOrders
+);
+
+router.get(
+    '/standing-orders/:id/executions',
+    authMiddleware,
+    validateRequest(standingOrderExecutionsSchema),
+    standingOrderController.getStandingOrderExecutions
+);
+
+router.post(
+    '/standing-orders/:id/pause',
+    authMiddleware,
+    validateRequest(objectIdParamsSchema),
+    standingOrderController.pauseStandingOrder
+);
+
+router.post(
+    '/standing-orders/:id/resume',
+    authMiddleware,
+    validateRequest(objectIdParamsSchema),
+    standingOrderController.resumeStandingOrder
+);
+
+router.post(
+    '/standing-orders/:id/cancel',
+    authMiddleware,
+    validateRequest(objectIdParamsSchema),
+    standingOrderController.cancelStandingOrder
+);
+
+router.post(
+    '/beneficiaries',
+    authMiddleware,
+    walletLookupRateLimiter,
+    validateRequest(beneficiarySchema),
+    beneficiaryController.createBeneficiary
+);
+
+router.get(
+    '/beneficiaries',
+    authMiddleware,
+    validateRequest(beneficiariesQuerySchema),
+    beneficiaryController.listBeneficiaries
+);
+
+router.get(
+    '/beneficiaries/:id',
+    authMiddleware,
+    validateRequest(objectIdParamsSchema),
+    beneficiaryController.getBeneficiary
+);
+
+router.patch(
+    '/beneficiaries/:id',
+    authMiddleware,
+    validateRequest(updateBeneficiarySchema),
+    beneficiaryController.updateBeneficiary
+);
+
+router.delete(
+    '/beneficiaries/:id',
+    authMiddleware,
+    validateRequest(objectIdParamsSchema),
+    beneficiaryController.deleteBeneficiary
+);
+
+// CSV uploads are parsed into { rows } in app.js before they reach these routes
+router.post(
+    '/bulk-transfers',
+    authMiddleware,
+    walletLookupRateLimiter,
+    validateRequest(bulkTransferSchema),
+    idempotency,
+    bulkTransferController.createBulkTransfer
+);
+
+router.get(
+    '/bulk-transfers',
+    authMiddleware,
+    bulkTransferController.listBulkTransfers
+);
+
+router.get(
+    '/bulk-transfers/:id',
+    authMiddleware,
+    validateRequest(objectIdParamsSchema),
+    bulkTransferController.getBulkTransfer
+);
+
+router.post(
+    '/bulk-transfers/:id/confirm',
+    authMiddleware,
+    walletRateLimiter,
+    validateRequest(objectIdParamsSchema),
+    idempotency,
+    bulkTransferController.confirmBulkTransfer
+);
+
+router.post(
+    '/bulk-transfers/:id/cancel',
+    authMiddleware,
+    validateRequest(objectIdParamsSchema),
+    bulkTransferController.cancelBulkTransfer
+);
+
+router.get(
+    '/bulk-transfers/:id/result.csv',
+    authMiddleware,
+    validateRequest(objectIdParamsSchema),
+    bulkTransferController.downloadBulkTransferResult
+);
+
+router.get(
+    ['/callback', '/callback/:provider'],
     validateRequest(callbackSchema),
-    walletController.handleFlutterwaveCallback
+    walletController.handlePaymentCallback
 );
 
 router.post(
-    '/webhook',
+    ['/webhook', '/webhook/:provider'],
     validateRequest(webhookSchema),
-    walletController.handleFlutterwaveWebhook
+    verifyWebhookSignature,
+    walletController.handleProviderWebhook
 );
 
 export default router;
\ No newline at end of file
@@ -3,11 +3,13 @@ import { createServer } from 'http';
 import app from './app.js';
 import { connectDB } from './config/db.js';
 import { env } from './config/env.js';
+import { startJobs, stopJobs } from './jobs/index.js';
+import { startFlutterwaveSimulator } from './providers/index.js';
 import logger from './utils/logger.js';
 
 /**
  * Initializes the digital banking platform server with banking-grade reliability.
- * Connects to MongoDB and starts the HTTP server.
+ * Connects to MongoDB, starts background jobs and starts the HTTP server.
  * @returns {Promise<void>}
  */
 const startServer = async () => {
@@ -15,6 +17,18 @@ const startServer = async () => {
         // Connect to MongoDB
         await connectDB();
 
+        // Local development without the live Flutterwave API
+        let simulator = null;
+        if (env.FLUTTERWAVE_SIMULATOR) {
+            simulator = await startFlutterwaveSimulator({
+                webhookUrl: `http://127.0.0.1:${env.PORT}/api/wallet/webhook`
+            });
+            logger.warn('Flutterwave simulator in use; no live payments will be made', { url: simulator.url });
+        }
+
+        // Start background jobs (scheduled transfers, standing orders, bulk transfer worker)
+        startJobs();
+
         // Create HTTP server
         const server = createServer(app);
 
@@ -44,8 +58,15 @@ const startServer = async () => {
         });
 
         // Graceful shutdown
-        process.on('SIGTERM', () => {
+        process.on('SIGTERM', async () => {
             logger.info('SIGTERM received. Closing server...');
+            // Let running jobs and the bulk transfer queue finish before the process exits
+            try {
+                await stopJobs();
+            } catch (error) {
+                logger.error('Error stopping background jobs', { error: error.message, stack: error.stack });
+            }
+            simulator?.stop();
             server.close(() => {
                 logger.info('Server closed');
                 process.exit(0);
@@ -0,0 +1,269 @@
+import logger from '../utils/logger.js';
+import { httpError } from '../utils/response.js';
+import { User } from '../models/User.js';
+import { Beneficiary } from '../models/Beneficiary.js';
+import walletService from './walletService.js';
+
+/**
+ * Beneficiary service for NEG AI Banking Platform.
+ * Saves verified recipients and turns a beneficiary ID into the recipient details the
+ * transfer endpoints expect. External accounts are resolved with Flutterwave on save, so
+ * the stored account name is the bank's, not the user's.
+ */
+
+const MAX_BENEFICIARIES = 200;
+const DUPLICATE_KEY_CODE = 11000;
+
+const SORT_ORDERS = {
+    recent: { lastUsedAt: -1, createdAt: -1, _id: -1 },
+    frequent: { useCount: -1, lastUsedAt: -1, _id: -1 }
+};
+
+/**
+ * Shapes a beneficiary for API responses.
+ * @param {Object} beneficiary - Beneficiary document
+ * @returns {Object} Public fields
+ */
+const toBeneficiaryResponse = (beneficiary) => ({
+    id: beneficiary._id,
+    type: beneficiary.type,
+    accountNumber: beneficiary.accountNumber,
+    accountName: beneficiary.accountName,
+    bankCode: beneficiary.bankCode,
+    bankName: beneficiary.bankName,
+    nickname: beneficiary.nickname,
+    useCount: beneficiary.useCount,
+    lastUsedAt: beneficiary.lastUsedAt,
+    verifiedAt: beneficiary.verifiedAt,
+    createdAt: beneficiary.createdAt
+});
+
+/**
+ * Saves a beneficiary after resolving the account holder's name.
+ * NEG AI Bank account numbers resolve to the wallet owner; anything else needs a bank code
+ * and is verified with walletService.verifyBankAccount.
+ * @param {Object} params - Parameters
+ * @param {string} params.userId - Owner's user ID
+ * @param {string} params.accountNumber - 10-digit account number
+ * @param {string} [params.bankCode] - 3-digit bank code, required for external accounts
+ * @param {string} [params.bankName] - Bank name, used when the provider does not return one
+ * @param {string} [params.nickname] - Label shown to the user
+ * @param {string} [params.requestId] - Request ID
+ * @returns {Promise<Object>} Beneficiary response
+ * @throws {Error} 400 if the account cannot be verified, 409 if already saved
+ */
+const createBeneficiary = async ({ userId, accountNumber, bankCode, bankName, nickname, requestId }) => {
+    const owner = await User.findById(userId).select('accountNumber accountNumberAliases');
+    if (!owner) {
+        throw httpError('User not found', 404);
+    }
+    if (owner.hasAccountNumber(accountNumber)) {
+        throw httpError('Cannot save your own account as a beneficiary', 400);
+    }
+
+    const count = await Beneficiary.countDocuments({ userId });
+    if (count >= MAX_BENEFICIARIES) {
+        throw httpError(`You cannot save more than ${MAX_BENEFICIARIES} beneficiaries`, 400);
+    }
+
+    let details;
+    const recipient = await User.findByAccountNumber(accountNumber).select('firstName lastName bankName').lean();
+    if (recipient) {
+        details = {
+            type: 'internal',
+            bankCode: null,
+            bankName: recipient.bankName || 'NEG AI Bank',
+            accountName: `${recipient.firstName} ${recipient.lastName}`
+        };
+    } else {
+        if (!bankCode) {
+            throw httpError('Bank code is required for accounts at other banks', 400);
+        }
+
+        let resolved;
+        try {
+            resolved = await walletService.verifyBankAccount({ accountNumber, bankCode, requestId });
+        } catch (error) {
+            throw httpError(error.message, 400);
+        }
+        if (!resolved?.accountName) {
+            throw httpError('Bank account verification did not return an account name', 400);
+        }
+        if (!resolved.bankName && !bankName) {
+            throw httpError('Bank name is required for accounts at other banks', 400);
+        }
+
+        details = {
+            type: 'external',
+            bankCode,
+            bankName: resolved.bankName || bankName,
+            accountName: resolved.accountName
+        };
+    }
+
+    let beneficiary;
+    try {
+        beneficiary = await Beneficiary.create({
+            userId,
+            accountNumber,
+            ...details,
+            nickname,
+            verifiedAt: new Date()
+        });
+    } catch (error) {
+        if (error.code === DUPLICATE_KEY_CODE) {
+            throw httpError('Beneficiary is already saved', 409);
+        }
+        throw error;
+    }
+
+    logger.info('Beneficiary saved', {
+        userId,
+        beneficiaryId: beneficiary._id,
+        type: beneficiary.type,
+        accountNumber,
+        bankCode: beneficiary.bankCode,
+        requestId
+    });
+
+    return toBeneficiaryResponse(beneficiary);
+};
+
+/**
+ * Lists a user's beneficiaries ranked by recent or frequent use.
+ * Beneficiaries never used sort after used ones, newest saved first.
+ * @param {Object} params - Parameters
+ * @param {string} params.userId - User ID
+ * @param {string} [params.sort] - 'recent' (default) or 'frequent'
+ * @param {string} [params.requestId] - Request ID
+ * @returns {Promise<Object[]>} Beneficiary responses
+ */
+const listBeneficiaries = async ({ userId, sort = 'recent', requestId }) => {
+    const beneficiaries = await Beneficiary.find({ userId })
+        .sort(SORT_ORDERS[sort] || SORT_ORDERS.recent)
+        .limit(MAX_BENEFICIARIES)
+        .lean();
+
+    logger.debug('Beneficiaries listed', { userId, sort, count: beneficiaries.length, requestId });
+
+    return beneficiaries.map(toBeneficiaryResponse);
+};
+
+/**
+ * Loads one of the user's beneficiaries.
+ * @param {string} userId - Owner's user ID
+ * @param {string} id - Beneficiary ID
+ * @returns {Promise<Object>} Beneficiary document
+ * @throws {Error} 404 if not found
+ */
+const findOwnedBeneficiary = async (userId, id) => {
+    const beneficiary = await Beneficiary.findOne({ _id: id, userId });
+    if (!beneficiary) {
+        throw httpError('Beneficiary not found', 404);
+    }
+    return beneficiary;
+};
+
+/**
+ * Returns one beneficiary.
+ * @param {Object} params - { userId, id }
+ * @returns {Promise<Object>} Beneficiary response
+ */
+const getBeneficiary = async ({ userId, id }) => toBeneficiaryResponse(await findOwnedBeneficiary(userId, id));
+
+/**
+ * Renames a beneficiary. Account details cannot change; save a new beneficiary instead,
+ * so every stored name is one the bank confirmed.
+ * @param {Object} params - { userId, id, nickname, requestId }
+ * @returns {Promise<Object>} Updated beneficiary response
+ */
+const updateBeneficiary = async ({ userId, id, nickname, requestId }) => {
+    const beneficiary = await findOwnedBeneficiary(userId, id);
+    beneficiary.nickname = nickname;
+    await beneficiary.save();
+
+    logger.info('Beneficiary updated', { userId, beneficiaryId: beneficiary._id, requestId });
+
+    return toBeneficiaryResponse(beneficiary);
+};
+
+/**
+ * Deletes a beneficiary. Past transfers are unaffected.
+ * @param {Object} params - { userId, id, requestId }
+ */
+const deleteBeneficiary = async ({ userId, id, requestId }) => {
+    const { deletedCount } = await Beneficiary.deleteOne({ _id: id, userId });
+    if (!deletedCount) {
+        throw httpError('Beneficiary not found', 404);
+    }
+
+    logger.info('Beneficiary deleted', { userId, beneficiaryId: id, requestId });
+};
+
+/**
+ * Works out the recipient of a transfer request, which names either a beneficiary or the
+ * recipient's account details.
+ * @param {Object} params - Parameters
+ * @param {string} params.userId - Sender's user ID
+ * @param {string} [params.beneficiaryId] - Saved beneficiary to pay
+ * @returns {Promise<Object>} recipientAccountNumber, bankCode, recipientAccountName, recipientBankName
+ * @throws {Error} 400 if neither or both are given, 404 if the beneficiary does not exist
+ */
+const resolveRecipient = async ({
+    userId,
+    beneficiaryId,
+    recipientAccountNumber,
+    bankCode,
+    recipientAccountName,
+    recipientBankName
+}) => {
+    if (!beneficiaryId) {
+        if (!recipientAccountNumber) {
+            throw httpError('Recipient account number or beneficiary ID is required', 400);
+        }
+        return { recipientAccountNumber, bankCode, recipientAccountName, recipientBankName };
+    }
+
+    if (recipientAccountNumber || bankCode || recipientAccountName || recipientBankName) {
+        throw httpError('Provide either a beneficiary ID or recipient details, not both', 400);
+    }
+
+    const beneficiary = await findOwnedBeneficiary(userId, beneficiaryId);
+    return {
+        recipientAccountNumber: beneficiary.accountNumber,
+        bankCode: beneficiary.bankCode || undefined,
+        recipientAccountName: beneficiary.accountName,
+        recipientBankName: beneficiary.bankName
+    };
+};
+
+/**
+ * Counts a transfer towards the ranking of any beneficiary saved for that account.
+ * Failures are logged and swallowed: the transfer itself has already succeeded.
+ * @param {Object} params - { userId, accountNumber, requestId }
+ */
+const recordUsage = async ({ userId, accountNumber, requestId }) => {
+    try {
+        await Beneficiary.updateMany(
+            { userId, accountNumber },
+            { $inc: { useCount: 1 }, $set: { lastUsedAt: new Date() } }
+        );
+    } catch (error) {
+        logger.warn('Failed to record beneficiary usage', {
+            userId,
+            accountNumber,
+            requestId,
+            error: error.message
+        });
+    }
+};
+
+export default {
+    createBeneficiary,
+    listBeneficiaries,
+    getBeneficiary,
+    updateBeneficiary,
+    deleteBeneficiary,
+    resolveRecipient,
+    recordUsage
+};
@@ -0,0 +1,637 @@
+import { z } from 'zod';
+import logger from '../utils/logger.js';
+import { sendErrorAlert } from '../utils/email.js';
+import { toCsv } from '../utils/csv.js';
+import { formatMoney, majorAmountSchema, toMajor, toMinor, toMoneyResponse } from '../utils/money.js';
+import { httpError } from '../utils/response.js';
+import { User } from '../models/User.js';
+import { Wallet } from '../models/Wallet.js';
+import { BulkTransfer } from '../models/BulkTransfer.js';
+import { BulkTransferItem } from '../models/BulkTransferItem.js';
+import { enqueueBulkTransferItems } from '../queues/bulkTransferQueue.js';
+import walletService from './walletService.js';
+import beneficiaryService from './beneficiaryService.js';
+import limitService from './limitService.js';
+import scheduledTransferService from './scheduledTransferService.js';
+
+/**
+ * Bulk transfer service for NEG AI Banking Platform.
+ * Validates an uploaded batch into a preview, and once the user confirms it queues one job
+ * per valid row. Each job runs through the same execution path as scheduled transfers,
+ * with a stable idempotency key per row, and its ledger rows carry metadata.bulkTransferId.
+ */
+
+const MAX_ROWS = 500;
+const PREVIEW_TTL_MS = 30 * 60 * 1000; // Confirm within 30 minutes or upload again
+const VERIFY_CONCURRENCY = 5; // Parallel bank account lookups while building a preview
+
+// Same rules as transferSchema in walletRoutes, applied to each row; the KYC tier's single
+// transaction limit is checked after parsing
+const rowSchema = z.object({
+    beneficiaryId: z.string().regex(/^[a-f\d]{24}$/i, 'Invalid beneficiary ID').optional(),
+    recipientAccountNumber: z.string().regex(/^\d{10}$/, 'Recipient account number must be 10 digits').optional(),
+    amount: majorAmountSchema(),
+    description: z.string().max(200, 'Description cannot exceed 200 characters').optional(),
+    bankCode: z.string().regex(/^\d{3}$/, 'Bank code must be 3 digits').optional(),
+    recipientAccountName: z.string().min(1, 'Recipient account name is required').optional(),
+    recipientBankName: z.string().min(1, 'Recipient bank name is required').optional()
+});
+
+const RESULT_COLUMNS = [
+    'rowNumber',
+    'recipientAccountNumber',
+    'recipientAccountName',
+    'bankCode',
+    'recipientBankName',
+    'amount',
+    'fee',
+    'currency',
+    'description',
+    'status',
+    'transactionReference',
+    'error'
+];
+
+/**
+ * Shapes a bulk transfer for API responses.
+ * @param {Object} batch - BulkTransfer document
+ * @returns {Object} Public fields
+ */
+const toBulkTransferResponse = (batch) => ({
+    id: batch._id,
+    label: batch.label,
+    source: batch.source,
+    status: batch.status,
+    rowCount: batch.rowCount,
+    validCount: batch.validCount,
+    invalidCount: batch.invalidCount,
+    completedCount: batch.completedCount,
+    failedCount: batch.failedCount,
+    total: toMoneyResponse(batch.totalAmount, batch.currency),
+    fees: toMoneyResponse(batch.totalFees, batch.currency),
+    totalWithFees: toMoneyResponse(batch.totalAmount + batch.totalFees, batch.currency),
+    previewExpiresAt: batch.previewExpiresAt,
+    confirmedAt: batch.confirmedAt,
+    finishedAt: batch.finishedAt,
+    createdAt: batch.createdAt
+});
+
+/**
+ * Shapes a bulk transfer row for API responses.
+ * @param {Object} item - BulkTransferItem document
+ * @returns {Object} Public fields
+ */
+const toItemResponse = (item) => ({
+    id: item._id,
+    rowNumber: item.rowNumber,
+    transferType: item.transferType,
+    recipientAccountNumber: item.recipientAccountNumber,
+    recipientAccountName: item.recipientAccountName,
+    bankCode: item.bankCode,
+    recipientBankName: item.recipientBankName,
+    ...(item.amount ? toMoneyResponse(item.amount, item.currency) : { amount: null, amountMinor: null, currency: item.currency }),
+    fee: toMajor(item.fee || 0, item.currency),
+    description: item.description,
+    status: item.status,
+    errors: item.validationErrors,
+    transactionReference: item.transactionReference,
+    failureReason: item.failureReason,
+    executedAt: item.executedAt
+});
+
+/**
+ * CSV cells arrive as strings: trim them, drop empty cells and read amounts as numbers.
+ * @param {Object} row - Raw CSV record
+ * @returns {Object} Row ready for rowSchema
+ */
+const normalizeCsvRow = (row) => {
+    const normalized = {};
+    for (const [key, value] of Object.entries(row)) {
+        const text = typeof value === 'string' ? value.trim() : value;
+        if (text === '' || text === undefined || text === null) {
+            continue;
+        }
+        normalized[key] = key === 'amount' && /^\d+(\.\d+)?$/.test(text) ? Number(text) : text;
+    }
+    return normalized;
+};
+
+/**
+ * Maps over items with at most `limit` promises in flight, keeping order.
+ * @param {Array} items - Inputs
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+const mapWithConcurrency = async (items, limit, fn) => {
+    const results = new Array(items.length);
+    let next = 0;
+    const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next;
+            next += 1;
+            results[index] = await fn(items[index], index);
+        }
+    });
+    await Promise.all(workers);
+    return results;
+};
+
+/**
+ * Validates one uploaded row and resolves its recipient.
+ * Account lookups are cached per batch so repeated recipients are verified once.
+ * @param {Object} context - { userId, senderAccountNumbers, kycTier, cache, requestId }
+ * @param {Object} raw - Row as uploaded
+ * @param {number} rowNumber - 1-based row number
+ * @returns {Promise<Object>} BulkTransferItem fields
+ */
+const validateRow = async ({ userId, senderAccountNumbers, kycTier, cache, format, requestId }, raw, rowNumber) => {
+    const input = format === 'csv' ? normalizeCsvRow(raw) : raw;
+    const base = {
+        rowNumber,
+        recipientAccountNumber: typeof input.recipientAccountNumber === 'string' ? input.recipientAccountNumber : undefined,
+        description: typeof input.description === 'string' ? input.description : undefined
+    };
+    const invalid = (errors) => ({ ...base, status: 'invalid', validationErrors: errors });
+
+    const parsed = rowSchema.safeParse(input);
+    if (!parsed.success) {
+        return invalid(parsed.error.issues.map((issue) =>
+            issue.path.length ? `${issue.path.join('.')}: ${issue.message}` : issue.message
+        ));
+    }
+
+    const row = parsed.data;
+    const amount = toMinor(row.amount);
+    try {
+        limitService.checkSingleTransaction({ tier: kycTier, amount });
+    } catch (error) {
+        return invalid([error.message]);
+    }
+    let recipient;
+    try {
+        recipient = await beneficiaryService.resolveRecipient({ ...row, userId });
+    } catch (error) {
+        if (!error.status) {
+            throw error;
+        }
+        return invalid([error.message]);
+    }
+
+    const resolved = {
+        ...base,
+        recipientAccountNumber: recipient.recipientAccountNumber,
+        amount,
+        description: row.description
+    };
+    if (senderAccountNumbers.includes(recipient.recipientAccountNumber)) {
+        return { ...resolved, status: 'invalid', validationErrors: ['Cannot transfer to your own account'] };
+    }
+
+    const internalKey = `internal:${recipient.recipientAccountNumber}`;
+    if (!cache.has(internalKey)) {
+        cache.set(internalKey, User.findByAccountNumber(recipient.recipientAccountNumber)
+            .select('firstName lastName bankName')
+            .lean());
+    }
+    const internalRecipient = await cache.get(internalKey);
+    if (internalRecipient) {
+        return {
+            ...resolved,
+            status: 'valid',
+            transferType: 'internal',
+            recipientAccountName: `${internalRecipient.firstName} ${internalRecipient.lastName}`,
+            recipientBankName: internalRecipient.bankName || 'NEG AI Bank',
+            fee: 0
+        };
+    }
+
+    if (!recipient.bankCode || !recipient.recipientAccountName || !recipient.recipientBankName) {
+        return {
+            ...resolved,
+            status: 'invalid',
+            validationErrors: ['Bank code, account name, and bank name are required for external transfers']
+        };
+    }
+
+    const externalKey = `external:${recipient.recipientAccountNumber}:${recipient.bankCode}`;
+    if (!cache.has(externalKey)) {
+        cache.set(externalKey, walletService
+            .verifyBankAccount({ accountNumber: recipient.recipientAccountNumber, bankCode: recipient.bankCode, requestId })
+            .then((account) => ({ account }), (error) => ({ error })));
+    }
+    const verification = await cache.get(externalKey);
+    const external = {
+        ...resolved,
+        transferType: 'external',
+        bankCode: recipient.bankCode,
+        recipientBankName: recipient.recipientBankName
+    };
+    if (verification.error) {
+        return {
+            ...external,
+            recipientAccountName: recipient.recipientAccountName,
+            status: 'invalid',
+            validationErrors: [verification.error.message]
+        };
+    }
+
+    return {
+        ...external,
+        // Pay the name the bank returned, not the one typed into the file
+        recipientAccountName: verification.account.accountName || recipient.recipientAccountName,
+        status: 'valid',
+        fee: walletService.EXTERNAL_TRANSFER_FEE
+    };
+};
+
+/**
+ * Validates a batch and stores it as a preview awaiting confirmation.
+ * @param {Object} params - Parameters
+ * @param {string} params.userId - Sender's user ID
+ * @param {Object[]} params.rows - Uploaded rows (transfer fields, amounts in naira)
+ * @param {string} params.format - 'csv' or 'json'
+ * @param {string} [params.label] - Name for the batch
+ * @param {string} [params.requestId] - Request ID
+ * @returns {Promise<Object>} { bulkTransfer, items }
+ */
+const createBulkTransfer = async ({ userId, rows, format = 'json', label, requestId }) => {
+    if (!rows.length || rows.length > MAX_ROWS) {
+        throw httpError(`A batch must have between 1 and ${MAX_ROWS} rows`, 400);
+    }
+
+    const sender = await User.findById(userId).select('accountNumber accountNumberAliases kycTier').lean();
+    if (!sender) {
+        throw httpError('Sender not found', 404);
+    }
+    if (!(await Wallet.exists({ userId }))) {
+        throw httpError('Sender wallet not found', 404);
+    }
+
+    const context = {
+        userId,
+        senderAccountNumbers: [sender.accountNumber, ...(sender.accountNumberAliases || [])],
+        kycTier: sender.kycTier || 1,
+        cache: new Map(),
+        format,
+        requestId
+    };
+    const items = await mapWithConcurrency(rows, VERIFY_CONCURRENCY, (row, index) =>
+        validateRow(context, row, index + 1)
+    );
+
+    const valid = items.filter((item) => item.status === 'valid');
+    const batch = await BulkTransfer.create({
+        userId,
+        label,
+        source: format,
+        rowCount: items.length,
+        validCount: valid.length,
+        invalidCount: items.length - valid.length,
+        totalAmount: valid.reduce((total, item) => total + item.amount, 0),
+        totalFees: valid.reduce((total, item) => total + item.fee, 0),
+        previewExpiresAt: new Date(Date.now() + PREVIEW_TTL_MS)
+    });
+    const savedItems = await BulkTransferItem.insertMany(
+        items.map((item) => ({ ...item, bulkTransferId: batch._id, userId }))
+    );
+
+    logger.info('Bulk transfer preview created', {
+        userId,
+        bulkTransferId: batch._id,
+        rowCount: batch.rowCount,
+        validCount: batch.validCount,
+        totalAmount: batch.totalAmount,
+        totalFees: batch.totalFees,
+        requestId
+    });
+
+    return { bulkTransfer: toBulkTransferResponse(batch), items: savedItems.map(toItemResponse) };
+};
+
+/**
+ * Loads one of the user's batches.
+ * @param {string} userId - Owner's user ID
+ * @param {string} id - Bulk transfer ID
+ * @returns {Promise<Object>} BulkTransfer document
+ * @throws {Error} 404 if not found
+ */
+const findOwnedBatch = async (userId, id) => {
+    const batch = await BulkTransfer.findOne({ _id: id, userId });
+    if (!batch) {
+        throw httpError('Bulk transfer not found', 404);
+    }
+    return batch;
+};
+
+/**
+ * Returns a batch with the status of every row.
+ * @param {Object} params - { userId, id }
+ * @returns {Promise<Object>} { bulkTransfer, items }
+ */
+const getBulkTransfer = async ({ userId, id }) => {
+    const batch = await findOwnedBatch(userId, id);
+    const items = await BulkTransferItem.find({ bulkTransferId: batch._id }).sort({ rowNumber: 1 }).lean();
+    return { bulkTransfer: toBulkTransferResponse(batch), items: items.map(toItemResponse) };
+};
+
+/**
+ * Lists a user's batches, newest first.
+ * @param {Object} params - { userId, requestId }
+ * @returns {Promise<Object[]>} Bulk transfer responses
+ */
+const listBulkTransfers = async ({ userId, requestId }) => {
+    const batches = await BulkTransfer.find({ userId }).sort({ createdAt: -1, _id: -1 }).limit(50).lean();
+    logger.debug('Bulk transfers listed', { userId, count: batches.length, requestId });
+    return batches.map(toBulkTransferResponse);
+};
+
+/**
+ * Confirms a preview and queues its valid rows. Invalid rows are left out.
+ * The balance is checked against the whole batch up front; each row is checked again
+ * when it runs.
+ * @param {Object} params - { userId, id, requestId }
+ * @returns {Promise<Object>} Queued bulk transfer response
+ * @throws {Error} 400 for an empty batch or insufficient balance, 409 if not a live preview,
+ * 503 if the queue is unavailable
+ */
+const confirmBulkTransfer = async ({ userId, id, requestId }) => {
+    const batch = await findOwnedBatch(userId, id);
+    if (batch.status !== 'preview') {
+        throw httpError(`Bulk transfer is already ${batch.status}`, 409);
+    }
+    if (batch.previewExpiresAt <= new Date()) {
+        throw httpError('Bulk transfer preview has expired, please upload the batch again', 409);
+    }
+    if (!batch.validCount) {
+        throw httpError('Bulk transfer has no valid rows to run', 400);
+    }
+
+    const wallet = await Wallet.findOne({ userId });
+    const balance = await wallet.getAvailableBalance();
+    const required = batch.totalAmount + batch.totalFees;
+    if (balance < required) {
+        throw httpError(
+            `Insufficient balance: ${formatMoney(balance, batch.currency)} available, ${formatMoney(required, batch.currency)} required`,
+            400
+        );
+    }
+
+    const confirmed = await BulkTransfer.findOneAndUpdate(
+        { _id: batch._id, status: 'preview', previewExpiresAt: { $gt: new Date() } },
+        { $set: { status: 'queued', confirmedAt: new Date() } },
+        { new: true }
+    );
+    if (!confirmed) {
+        throw httpError('Bulk transfer was confirmed or expired in the meantime', 409);
+    }
+
+    await BulkTransferItem.updateMany({ bulkTransferId: batch._id, status: 'valid' }, { $set: { status: 'queued' } });
+    const itemIds = await BulkTransferItem.find({ bulkTransferId: batch._id, status: 'queued' }).distinct('_id');
+
+    try {
+        await enqueueBulkTransferItems(itemIds);
+    } catch (error) {
+        // Put the batch back so the user can confirm again once the queue is reachable
+        await BulkTransferItem.updateMany({ bulkTransferId: batch._id, status: 'queued' }, { $set: { status: 'valid' } });
+        await BulkTransfer.updateOne({ _id: batch._id }, { $set: { status: 'preview' }, $unset: { confirmedAt: 1 } });
+        logger.error('Failed to queue bulk transfer', {
+            userId,
+            bulkTransferId: batch._id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        throw httpError('Bulk transfer queue is unavailable, please try again shortly', 503);
+    }
+
+    logger.info('Bulk transfer confirmed', {
+        userId,
+        bulkTransferId: batch._id,
+        queued: itemIds.length,
+        requestId
+    });
+
+    return toBulkTransferResponse(confirmed);
+};
+
+/**
+ * Emails the sender a summary once every row of a batch has run.
+ * @param {Object} batch - Finished BulkTransfer document
+ * @param {string} requestId - Request ID
+ */
+const sendBulkTransferSummaryEmail = async (batch, requestId) => {
+    try {
+        const user = await User.findById(batch.userId);
+        if (!user?.email) {
+            logger.warn('User email is missing for bulk transfer email', {
+                userId: batch.userId,
+                bulkTransferId: batch._id,
+                requestId
+            });
+            return;
+        }
+
+        await sendErrorAlert(
+            { message: 'Bulk transfer finished', type: 'transaction' },
+            {
+                to: user.email,
+                subject: 'Bulk Transfer Finished - NEG AI Banking Platform',
+                text: `
+        Dear ${user.firstName} ${user.lastName},
+
+        Your bulk transfer${batch.label ? ` "${batch.label}"` : ''} has finished.
+        - Paid: ${batch.completedCount} of ${batch.validCount} rows
+        - Failed: ${batch.failedCount}
+        - Skipped as invalid: ${batch.invalidCount}
+
+        Download the result file from the app for reconciliation.
+        For support, contact support@negaibanking.com.
+        Request ID: ${requestId}
+      `,
+                requestId
+            }
+        );
+    } catch (error) {
+        logger.error('Failed to send bulk transfer email', {
+            userId: batch.userId,
+            bulkTransferId: batch._id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+    }
+};
+
+/**
+ * Marks a batch finished once none of its rows are waiting or running.
+ * @param {string} batchId - Bulk transfer ID
+ * @param {string} requestId - Request ID
+ */
+const finishBatchIfDone = async (batchId, requestId) => {
+    const pending = await BulkTransferItem.exists({ bulkTransferId: batchId, status: { $in: ['queued', 'processing'] } });
+    if (pending) {
+        return;
+    }
+
+    const finished = await BulkTransfer.findOneAndUpdate(
+        { _id: batchId, status: { $in: ['queued', 'processing'] } },
+        [{
+            $set: {
+                status: { $cond: [{ $gt: ['$failedCount', 0] }, 'completed_with_errors', 'completed'] },
+                finishedAt: '$$NOW'
+            }
+        }],
+        { new: true }
+    );
+    if (finished) {
+        logger.info('Bulk transfer finished', {
+            bulkTransferId: batchId,
+            completed: finished.completedCount,
+            failed: finished.failedCount,
+            requestId
+        });
+        await sendBulkTransferSummaryEmail(finished, requestId);
+    }
+};
+
+/**
+ * Runs one queued row. Called by the bulk transfer queue worker.
+ * Transient contention is rethrown so the queue retries the job; on the final attempt,
+ * and for any other error, the row is marked failed.
+ * @param {string} itemId - BulkTransferItem ID
+ * @param {Object} [options] - { finalAttempt }
+ * @returns {Promise<string>} 'completed', 'failed' or 'skipped'
+ */
+const processBulkTransferItem = async (itemId, { finalAttempt = true } = {}) => {
+    const requestId = `bulk-transfer-item-${itemId}`;
+    const item = await BulkTransferItem.findOneAndUpdate(
+        { _id: itemId, status: 'queued' },
+        { $set: { status: 'processing' }, $inc: { attempts: 1 } },
+        { new: true }
+    );
+    if (!item) {
+        // Cancelled, or already handled by an earlier delivery of the job
+        return 'skipped';
+    }
+
+    await BulkTransfer.updateOne({ _id: item.bulkTransferId, status: 'queued' }, { $set: { status: 'processing' } });
+    const idempotencyKey = `bulk-transfer-${item._id}`;
+
+    let outcome;
+    try {
+        const previous = await walletService.findTransferByIdempotencyKey(item.userId, idempotencyKey);
+        const reference = previous
+            ? previous.reference
+            : (await scheduledTransferService.executeTransfer({
+                userId: item.userId,
+                transferType: item.transferType,
+                recipientAccountNumber: item.recipientAccountNumber,
+                bankCode: item.bankCode,
+                recipientAccountName: item.recipientAccountName,
+                recipientBankName: item.recipientBankName,
+                amount: item.amount,
+                description: item.description || 'Bulk transfer',
+                idempotencyKey,
+                metadata: { bulkTransferId: item.bulkTransferId.toString() },
+                requestId
+            })).reference;
+
+        item.set({ status: 'completed', transactionReference: reference, executedAt: new Date() });
+        outcome = 'completed';
+    } catch (error) {
+        if (error.status === 503 && !finalAttempt) {
+            item.set({ status: 'queued' });
+            await item.save();
+            logger.warn('Bulk transfer row deferred after transient failure', {
+                bulkTransferId: item.bulkTransferId,
+                rowNumber: item.rowNumber,
+                attempts: item.attempts,
+                error: error.message
+            });
+            throw error;
+        }
+
+        item.set({ status: 'failed', failureReason: error.message, executedAt: new Date() });
+        outcome = 'failed';
+        logger.warn('Bulk transfer row failed', {
+            bulkTransferId: item.bulkTransferId,
+            rowNumber: item.rowNumber,
+            error: error.message
+        });
+    }
+
+    await item.save();
+    await BulkTransfer.updateOne(
+        { _id: item.bulkTransferId },
+        { $inc: outcome === 'completed' ? { completedCount: 1 } : { failedCount: 1 } }
+    );
+    await finishBatchIfDone(item.bulkTransferId, requestId);
+
+    return outcome;
+};
+
+/**
+ * Cancels a batch. A preview is discarded; a running batch stops after the rows already
+ * in progress, and rows that have not started are marked cancelled.
+ * @param {Object} params - { userId, id, requestId }
+ * @returns {Promise<Object>} Cancelled bulk transfer response
+ * @throws {Error} 404 if not found, 409 if it already finished
+ */
+const cancelBulkTransfer = async ({ userId, id, requestId }) => {
+    const batch = await BulkTransfer.findOneAndUpdate(
+        { _id: id, userId, status: { $in: ['preview', 'queued', 'processing'] } },
+        { $set: { status: 'cancelled', cancelledAt: new Date() } },
+        { new: true }
+    );
+    if (!batch) {
+        const existing = await findOwnedBatch(userId, id);
+        throw httpError(`Bulk transfer is already ${existing.status}`, 409);
+    }
+
+    const { modifiedCount } = await BulkTransferItem.updateMany(
+        { bulkTransferId: batch._id, status: { $in: ['valid', 'queued'] } },
+        { $set: { status: 'cancelled' } }
+    );
+
+    logger.info('Bulk transfer cancelled', { userId, bulkTransferId: batch._id, cancelledRows: modifiedCount, requestId });
+
+    return toBulkTransferResponse(batch);
+};
+
+/**
+ * Builds the downloadable result file: every uploaded row with its outcome.
+ * @param {Object} params - { userId, id }
+ * @returns {Promise<{ filename: string, csv: string }>}
+ */
+const buildResultFile = async ({ userId, id }) => {
+    const batch = await findOwnedBatch(userId, id);
+    const items = await BulkTransferItem.find({ bulkTransferId: batch._id }).sort({ rowNumber: 1 }).lean();
+
+    const records = items.map((item) => ({
+        rowNumber: item.rowNumber,
+        recipientAccountNumber: item.recipientAccountNumber,
+        recipientAccountName: item.recipientAccountName,
+        bankCode: item.bankCode,
+        recipientBankName: item.recipientBankName,
+        amount: item.amount ? toMajor(item.amount, item.currency).toFixed(2) : '',
+        fee: toMajor(item.fee || 0, item.currency).toFixed(2),
+        currency: item.currency,
+        description: item.description,
+        status: item.status,
+        transactionReference: item.transactionReference,
+        error: item.validationErrors?.length ? item.validationErrors.join('; ') : item.failureReason
+    }));
+
+    return { filename: `bulk-transfer-${batch._id}.csv`, csv: toCsv(RESULT_COLUMNS, records) };
+};
+
+export default {
+    createBulkTransfer,
+    getBulkTransfer,
+    listBulkTransfers,
+    confirmBulkTransfer,
+    cancelBulkTransfer,
+    processBulkTransferItem,
+    buildResultFile
+};
@@ -0,0 +1,282 @@
+import { env } from '../config/env.js';
+import logger from '../utils/logger.js';
+import { User } from '../models/User.js';
+import { Wallet } from '../models/Wallet.js';
+import { Transaction } from '../models/Transaction.js';
+import { sendErrorAlert } from '../utils/email.js';
+import ledgerService from './ledgerService.js';
+import holdService from './holdService.js';
+import walletService from './walletService.js';
+import { formatMoney } from '../utils/money.js';
+import { withTransaction } from '../utils/withTransaction.js';
+import { getProvider } from '../providers/index.js';
+
+/**
+ * External transfer service for NEG AI Banking Platform.
+ * Finalises outgoing provider transfers. initiateExternalTransfer writes the pending ledger
+ * row and holds amount plus fee on the wallet before sending; this service settles the row
+ * once the provider that sent it reports the outcome. A successful transfer captures the
+ * hold with the journal entry debiting the wallet; a failed one releases it, so nothing has
+ * to be refunded. The outcome is always read from the provider's API, so a webhook only
+ * tells us when to look. Transfers pending for too long are escalated to operations.
+ */
+
+const POLL_AFTER_MS = 2 * 60 * 1000; // Give the webhook a chance first
+const STALE_AFTER_MS = 60 * 60 * 1000;
+const POLL_BATCH_SIZE = 100;
+
+const TERMINAL_STATUSES = ['successful', 'failed'];
+
+/**
+ * Marks a pending external transfer as completed and posts its journal entry, spending the
+ * funds its hold reserved: the wallet is debited amount plus fee, the provider's settlement
+ * account credited with the amount and fee income with the fee. All in one MongoDB
+ * transaction.
+ * @param {Object} params - { reference, requestId }
+ * @returns {Promise<Object|null>} Updated transaction, or null if it was not pending
+ */
+const completeTransfer = async ({ reference, requestId }) => {
+    const transaction = await withTransaction(async (session) => {
+        const pending = await Transaction.findOneAndUpdate(
+            { reference, source: 'external_transfer', type: 'debit', status: 'pending' },
+            { $set: { status: 'completed', settledAt: new Date() } },
+            { new: true, session }
+        );
+        if (!pending) {
+            return null;
+        }
+
+        const transferFee = pending.metadata?.transferFee || 0;
+        const hold = await holdService.endTransferHold({
+            transactionId: pending._id,
+            status: 'captured',
+            reason: 'Transfer completed',
+            session
+        });
+        const wallet = await Wallet.findById(pending.walletId).session(session);
+        const walletAccount = await ledgerService.getWalletAccount(wallet, session);
+        // Rows from before Paystack have no provider and were sent through Flutterwave
+        const settlementAccount = await ledgerService.getSettlementAccount(pending.provider || 'flutterwave', session);
+        const feeAccount = await ledgerService.getSystemAccount(ledgerService.SYSTEM_ACCOUNTS.FEE_INCOME, session);
+
+        const legs = [
+            // Without an active hold (never expected) the debit needs available funds like any other
+            { account: walletAccount, direction: 'debit', amount: pending.amount + transferFee, fromHold: Boolean(hold) },
+            { account: settlementAccount, direction: 'credit', amount: pending.amount }
+        ];
+        if (transferFee > 0) {
+            legs.push({ account: feeAccount, direction: 'credit', amount: transferFee });
+        }
+        const { entry } = await ledgerService.postJournalEntry({
+            reference,
+            description: pending.description || `External transfer to ${pending.target} (${pending.targetBank})`,
+            legs,
+            metadata: { ...pending.metadata, provider: pending.provider || 'flutterwave' },
+            createdBy: pending.userId,
+            session,
+            requestId
+        });
+
+        pending.journalEntryId = entry._id;
+        await Transaction.updateOne({ _id: pending._id }, { $set: { journalEntryId: entry._id } }, { session });
+        return pending;
+    }, { operation: 'completeExternalTransfer', requestId });
+
+    if (transaction) {
+        logger.info('External transfer confirmed', {
+            userId: transaction.userId,
+            reference,
+            amount: transaction.amount,
+            journalEntryId: transaction.journalEntryId,
+            requestId
+        });
+    }
+    return transaction;
+};
+
+/**
+ * Marks a pending external transfer as failed, releases the hold on its amount and fee,
+ * and tells the customer.
+ * @param {Object} params - { reference, failureReason, requestId }
+ * @returns {Promise<Object|null>} Failed transaction and available balance, or null if it was not pending
+ */
+const failTransfer = async ({ reference, failureReason, requestId }) => {
+    const result = await walletService.releaseExternalTransfer({ reference, failureReason, requestId });
+    if (!result) {
+        return null;
+    }
+
+    const user = await User.findById(result.transaction.userId);
+    if (user) {
+        await walletService.sendTransactionEmail(user, result.transaction, requestId, result.balance);
+    }
+    return result;
+};
+
+/**
+ * Flags a transfer for operations once and emails the alert address.
+ * @param {Object} transaction - Pending transaction
+ * @param {string} reason - What needs looking at
+ * @param {string} [requestId] - Request ID
+ * @returns {Promise<boolean>} Whether this call escalated it
+ */
+const escalate = async (transaction, reason, requestId) => {
+    const { modifiedCount } = await Transaction.updateOne(
+        { _id: transaction._id, status: 'pending', escalatedAt: null },
+        { $set: { escalatedAt: new Date(), 'metadata.escalationReason': reason } }
+    );
+    if (!modifiedCount) {
+        return false;
+    }
+
+    logger.error('External transfer escalated', {
+        userId: transaction.userId,
+        reference: transaction.reference,
+        amount: transaction.amount,
+        createdAt: transaction.createdAt,
+        reason,
+        requestId
+    });
+
+    if (env.EMAIL_USER) {
+        await sendErrorAlert(
+            { message: 'External transfer needs attention', type: 'error' },
+            {
+                to: env.EMAIL_USER,
+                subject: 'External Transfer Escalated - NEG AI Banking Platform',
+                text: `External transfer ${transaction.reference} of ${formatMoney(transaction.amount, transaction.currency)} to ${transaction.target} (${transaction.targetBank}) needs attention: ${reason}. Initiated at ${transaction.createdAt.toISOString()}. Request ID: ${requestId}`,
+                requestId
+            }
+        );
+    }
+    return true;
+};
+
+/**
+ * Reads an outgoing transfer's status from the provider that sent it and applies it to the
+ * ledger row.
+ * Safe to call repeatedly: only a pending row changes, and only once.
+ * A row whose send timed out has no provider transfer ID; a webhook naming the transfer
+ * supplies it, and the status is then read from that provider like any other.
+ * @param {Object} params - Parameters
+ * @param {string} params.reference - Transfer reference (EXT-TRANSFER-...)
+ * @param {Object} [params.reported] - { provider, transferId } from a verified webhook
+ * @param {string} [params.requestId] - Request ID
+ * @returns {Promise<string>} Transaction status after the sync: pending, completed or failed
+ * @throws {Error} 404 if there is no such outgoing transfer
+ */
+const syncTransferStatus = async ({ reference, reported, requestId }) => {
+    const transaction = await Transaction.findOne({ reference, source: 'external_transfer', type: 'debit' }).lean();
+    if (!transaction) {
+        const notFound = new Error('External transfer not found');
+        notFound.status = 404;
+        throw notFound;
+    }
+    if (transaction.status !== 'pending') {
+        return transaction.status;
+    }
+
+    let provider = transaction.provider || 'flutterwave';
+    let transferId = transaction.metadata?.providerTransferId ?? transaction.metadata?.flutterwaveTransferId;
+    if (!transferId && reported?.transferId) {
+        await Transaction.updateOne(
+            { _id: transaction._id, status: 'pending' },
+            { $set: { provider: reported.provider, 'metadata.providerTransferId': reported.transferId } }
+        );
+        logger.info('Recorded provider transfer ID from webhook', { reference, ...reported, requestId });
+        ({ provider, transferId } = reported);
+    }
+    if (!transferId) {
+        logger.warn('Pending external transfer has no provider transfer ID', { reference, provider, requestId });
+        return transaction.status;
+    }
+
+    const transfer = await walletService.getProviderTransfer({ provider, transferId, requestId });
+    if (!TERMINAL_STATUSES.includes(transfer.status)) {
+        return transaction.status;
+    }
+
+    // Never settle on a transfer that does not match what we sent. Paystack lowercases references.
+    if (transfer.reference?.toLowerCase() !== reference.toLowerCase() || transfer.amount !== transaction.amount) {
+        logger.error('Provider transfer does not match ledger row', {
+            reference,
+            provider,
+            transferId,
+            providerReference: transfer.reference,
+            providerAmount: transfer.amount,
+            amount: transaction.amount,
+            requestId
+        });
+        await escalate(transaction, 'Provider transfer reference or amount does not match the ledger', requestId);
+        return transaction.status;
+    }
+
+    if (transfer.status === 'successful') {
+        await completeTransfer({ reference, requestId });
+        return 'completed';
+    }
+
+    await failTransfer({
+        reference,
+        failureReason: transfer.message || `Transfer failed at ${getProvider(provider).label}`,
+        requestId
+    });
+    return 'failed';
+};
+
+/**
+ * Polls the providers for external transfers still pending after a couple of minutes and
+ * escalates any pending for over an hour. Called by the external transfer job.
+ * @param {Object} [params] - Parameters
+ * @param {string} [params.requestId] - Request ID
+ * @returns {Promise<Object>} Counts of completed, failed, still pending and escalated transfers
+ */
+const pollPendingTransfers = async ({ requestId } = {}) => {
+    const now = Date.now();
+    const pending = await Transaction.find({
+        source: 'external_transfer',
+        status: 'pending',
+        createdAt: { $lte: new Date(now - POLL_AFTER_MS) }
+    })
+        .sort({ createdAt: 1 })
+        .limit(POLL_BATCH_SIZE)
+        .lean();
+
+    const summary = { completed: 0, failed: 0, pending: 0, escalated: 0 };
+    for (const transaction of pending) {
+        let status = 'pending';
+        try {
+            status = await syncTransferStatus({ reference: transaction.reference, requestId });
+        } catch (error) {
+            logger.error('Failed to poll external transfer', {
+                reference: transaction.reference,
+                requestId,
+                error: error.message
+            });
+        }
+        summary[status] = (summary[status] || 0) + 1;
+
+        if (status === 'pending' && transaction.createdAt.getTime() <= now - STALE_AFTER_MS) {
+            const escalated = await escalate(transaction, 'Still pending at the provider after an hour', requestId)
+                .catch((error) => {
+                    logger.error('Failed to escalate external transfer', {
+                        reference: transaction.reference,
+                        requestId,
+                        error: error.message
+                    });
+                    return false;
+                });
+            if (escalated) summary.escalated += 1;
+        }
+    }
+
+    if (pending.length) {
+        logger.info('Pending external transfers polled', { ...summary, requestId });
+    }
+    return summary;
+};
+
+export default {
+    syncTransferStatus,
+    pollPendingTransfers
+};
@@ -0,0 +1,291 @@
+import { v4 as uuidv4 } from 'uuid';
+import { env } from '../config/env.js';
+import logger from '../utils/logger.js';
+import { FxQuote } from '../models/FxQuote.js';
+import { Transaction } from '../models/Transaction.js';
+import { Wallet } from '../models/Wallet.js';
+import ledgerService from './ledgerService.js';
+import { getFxRateProvider } from '../providers/fxRates.js';
+import { MINOR_UNITS, formatMoney, toMoneyResponse } from '../utils/money.js';
+import { withTransaction } from '../utils/withTransaction.js';
+import { httpError } from '../utils/response.js';
+
+/**
+ * FX service for NEG AI Banking Platform.
+ * Converts money between a wallet's currency sub-wallets in two steps: a quote fixes the
+ * customer rate (the mid-market rate less the spread) for a short time, and executing it
+ * posts one journal entry that moves the source amount into the FX position, pays the
+ * customer out of the position in the target currency and books the spread as FX income.
+ * Amount arithmetic is done on BigInt with rates scaled to RATE_DECIMALS places, and
+ * amounts are always rounded down in the platform's favour.
+ */
+
+const RATE_DECIMALS = 10;
+const RATE_SCALE = 10n ** BigInt(RATE_DECIMALS);
+const BPS_SCALE = 10000n;
+
+/**
+ * Scales a rate to an integer with RATE_DECIMALS places.
+ * @param {number} rate - Rate
+ * @returns {bigint}
+ */
+const scaleRate = (rate) => BigInt(Math.round(rate * Number(RATE_SCALE)));
+
+/**
+ * Formats a scaled rate as a decimal string without trailing zeros.
+ * @param {bigint} scaled - Rate scaled by RATE_SCALE
+ * @returns {string}
+ */
+const formatRate = (scaled) => {
+    const whole = scaled / RATE_SCALE;
+    const fraction = (scaled % RATE_SCALE).toString().padStart(RATE_DECIMALS, '0').replace(/0+$/, '');
+    return fraction ? `${whole}.${fraction}` : `${whole}`;
+};
+
+/**
+ * Converts minor units of one currency into minor units of another at a scaled rate,
+ * rounding down.
+ * @param {number} amount - Minor units of `from`
+ * @param {bigint} scaledRate - Units of `to` per unit of `from`, scaled by RATE_SCALE
+ * @param {string} from - Currency sold
+ * @param {string} to - Currency bought
+ * @returns {number} Minor units of `to`
+ */
+const convert = (amount, scaledRate, from, to) => Number(
+    (BigInt(amount) * scaledRate * BigInt(MINOR_UNITS[to])) / (RATE_SCALE * BigInt(MINOR_UNITS[from]))
+);
+
+/**
+ * Prices a conversion: what the customer receives at the mid rate less the spread, and the
+ * spread the platform keeps.
+ * @param {Object} params - Parameters
+ * @param {number} params.amount - Minor units of the currency sold
+ * @param {number} params.midRate - Mid-market units of `to` per unit of `from`
+ * @param {number} params.spreadBps - Spread in basis points
+ * @param {string} params.from - Currency sold
+ * @param {string} params.to - Currency bought
+ * @returns {{ midRate: string, rate: string, midAmount: number, targetAmount: number, spreadAmount: number }}
+ */
+const priceConversion = ({ amount, midRate, spreadBps, from, to }) => {
+    const scaledMid = scaleRate(midRate);
+    const scaledRate = (scaledMid * (BPS_SCALE - BigInt(spreadBps))) / BPS_SCALE;
+    const midAmount = convert(amount, scaledMid, from, to);
+    const targetAmount = convert(amount, scaledRate, from, to);
+    return {
+        midRate: formatRate(scaledMid),
+        rate: formatRate(scaledRate),
+        midAmount,
+        targetAmount,
+        spreadAmount: midAmount - targetAmount
+    };
+};
+
+/**
+ * Shapes a quote for API responses.
+ * @param {Object} quote - FxQuote document
+ * @returns {Object} Public fields
+ */
+const toQuoteResponse = (quote) => ({
+    quoteId: quote._id,
+    from: toMoneyResponse(quote.sourceAmount, quote.fromCurrency),
+    to: toMoneyResponse(quote.targetAmount, quote.toCurrency),
+    rate: quote.rate,
+    midRate: quote.midRate,
+    spreadBps: quote.spreadBps,
+    fee: toMoneyResponse(quote.spreadAmount, quote.toCurrency),
+    expiresAt: quote.expiresAt,
+    status: quote.status,
+    reference: quote.reference,
+    executedAt: quote.executedAt
+});
+
+/**
+ * Quotes a conversion between two of the user's sub-wallets. The rate holds until the
+ * quote expires (FX_QUOTE_TTL_SECONDS).
+ * @param {Object} params - Parameters
+ * @param {string} params.userId - User ID
+ * @param {string} params.from - Currency sold
+ * @param {string} params.to - Currency bought
+ * @param {number} params.amount - Minor units of the currency sold
+ * @param {string} [params.requestId] - Request ID
+ * @returns {Promise<Object>} Quote response
+ * @throws {Error} 400 for a bad pair, too small an amount or insufficient balance, 404 if
+ * the wallet is missing, 503 if no rate is available
+ */
+const createQuote = async ({ userId, from, to, amount, requestId }) => {
+    if (from === to) {
+        throw httpError('Choose two different currencies to convert between', 400);
+    }
+    const wallet = await Wallet.findOne({ userId });
+    if (!wallet) {
+        throw httpError('Wallet not found', 404);
+    }
+    const available = await wallet.getAvailableBalance(null, from);
+    if (available < amount) {
+        throw httpError(
+            `Insufficient balance: ${formatMoney(available, from)} available is less than ${formatMoney(amount, from)}`,
+            400
+        );
+    }
+
+    const { rate: midRate, source } = await getFxRateProvider().getRate(from, to);
+    const spreadBps = env.FX_SPREAD_BPS;
+    const price = priceConversion({ amount, midRate, spreadBps, from, to });
+    if (price.targetAmount < 1) {
+        throw httpError(`${formatMoney(amount, from)} is too small to convert to ${to}`, 400);
+    }
+
+    const quote = await FxQuote.create({
+        userId,
+        walletId: wallet._id,
+        fromCurrency: from,
+        toCurrency: to,
+        sourceAmount: amount,
+        targetAmount: price.targetAmount,
+        midRate: price.midRate,
+        rate: price.rate,
+        spreadBps,
+        spreadAmount: price.spreadAmount,
+        rateSource: source,
+        expiresAt: new Date(Date.now() + env.FX_QUOTE_TTL_SECONDS * 1000),
+        requestId
+    });
+
+    logger.info('FX quote created', {
+        userId,
+        quoteId: quote._id,
+        from,
+        to,
+        sourceAmount: amount,
+        targetAmount: price.targetAmount,
+        rate: price.rate,
+        rateSource: source,
+        requestId
+    });
+    return toQuoteResponse(quote);
+};
+
+/**
+ * Executes a quote. The quote is claimed, the journal entry posted and both Transaction
+ * rows written in one MongoDB transaction, so a quote converts money at most once and a
+ * failed conversion leaves it open until it expires.
+ * @param {Object} params - Parameters
+ * @param {string} params.userId - User ID
+ * @param {string} params.quoteId - FxQuote ID
+ * @param {string} [params.requestId] - Request ID
+ * @returns {Promise<Object>} { quote, debitTransaction, creditTransaction, balances }
+ * @throws {Error} 404 if the quote is not the user's, 409 if already executed, 410 if
+ * expired, 400 if the balance no longer covers it
+ */
+const executeQuote = async ({ userId, quoteId, requestId }) => {
+    const result = await withTransaction(async (session) => {
+        const now = new Date();
+        const reference = `FX-${uuidv4()}`;
+        const quote = await FxQuote.findOneAndUpdate(
+            { _id: quoteId, userId, status: 'open', expiresAt: { $gt: now } },
+            { $set: { status: 'executed', executedAt: now, reference } },
+            { new: true, session }
+        );
+        if (!quote) {
+            const existing = await FxQuote.findOne({ _id: quoteId, userId }).session(session).lean();
+            if (!existing) {
+                throw httpError('Quote not found', 404);
+            }
+            if (existing.status === 'executed') {
+                throw httpError('This quote has already been used', 409);
+            }
+            throw httpError('This quote has expired, please request a new one', 410);
+        }
+
+        const wallet = await Wallet.findById(quote.walletId).session(session);
+        if (!wallet) {
+            throw httpError('Wallet not found', 404);
+        }
+        const { fromCurrency: from, toCurrency: to, sourceAmount, targetAmount, spreadAmount } = quote;
+        const sourceAccount = await ledgerService.getWalletAccount(wallet, session, from);
+        const targetAccount = await ledgerService.getWalletAccount(wallet, session, to);
+        const sourcePosition = await ledgerService.getFxAccount('position', from, session);
+        const targetPosition = await ledgerService.getFxAccount('position', to, session);
+
+        const legs = [
+            { account: sourceAccount, direction: 'debit', amount: sourceAmount },
+            { account: sourcePosition, direction: 'credit', amount: sourceAmount },
+            { account: targetPosition, direction: 'debit', amount: targetAmount + spreadAmount },
+            { account: targetAccount, direction: 'credit', amount: targetAmount }
+        ];
+        if (spreadAmount > 0) {
+            const income = await ledgerService.getFxAccount('income', to, session);
+            legs.push({ account: income, direction: 'credit', amount: spreadAmount });
+        }
+
+        const metadata = { quoteId: quote._id, rate: quote.rate, midRate: quote.midRate, spreadBps: quote.spreadBps };
+        const { entry, balances } = await ledgerService.postJournalEntry({
+            reference,
+            description: `Convert ${formatMoney(sourceAmount, from)} to ${formatMoney(targetAmount, to)}`,
+            legs,
+            metadata,
+            createdBy: userId,
+            session,
+            requestId
+        });
+
+        const [debitTransaction, creditTransaction] = await Transaction.create([
+            {
+                walletId: wallet._id,
+                userId,
+                journalEntryId: entry._id,
+                type: 'debit',
+                amount: sourceAmount,
+                currency: from,
+                reference: `${reference}-DEBIT`,
+                status: 'completed',
+                source: 'fx_conversion',
+                description: `Converted to ${to} at ${quote.rate}`,
+                createdBy: userId,
+                metadata
+            },
+            {
+                walletId: wallet._id,
+                userId,
+                journalEntryId: entry._id,
+                type: 'credit',
+                amount: targetAmount,
+                currency: to,
+                reference: `${reference}-CREDIT`,
+                status: 'completed',
+                source: 'fx_conversion',
+                description: `Converted from ${from} at ${quote.rate}`,
+                createdBy: userId,
+                metadata: { ...metadata, spreadAmount }
+            }
+        ], { session, ordered: true });
+
+        return {
+            quote,
+            debitTransaction,
+            creditTransaction,
+            balances: {
+                [from]: balances.get(sourceAccount._id.toString()),
+                [to]: balances.get(targetAccount._id.toString())
+            }
+        };
+    }, { operation: 'executeFxQuote', requestId });
+
+    logger.info('FX quote executed', {
+        userId,
+        quoteId,
+        reference: result.quote.reference,
+        sourceAmount: result.quote.sourceAmount,
+        targetAmount: result.quote.targetAmount,
+        spreadAmount: result.quote.spreadAmount,
+        requestId
+    });
+
+    return { ...result, quote: toQuoteResponse(result.quote) };
+};
+
+export default {
+    priceConversion,
+    createQuote,
+    executeQuote
+};
@@ -0,0 +1,306 @@
+import logger from '../utils/logger.js';
+import { Wallet } from '../models/Wallet.js';
+import { Hold } from '../models/Hold.js';
+import ledgerService from './ledgerService.js';
+import { toMoneyResponse } from '../utils/money.js';
+import { withTransaction } from '../utils/withTransaction.js';
+import { httpError } from '../utils/response.js';
+
+/**
+ * Hold service for NEG AI Banking Platform.
+ * Places, releases and expires holds on wallet balances. Each change writes the Hold and
+ * adjusts the wallet ledger account's heldBalance in one MongoDB transaction, so the
+ * available balance debits see is always the ledger balance less active holds. External
+ * transfers hold their amount and fee from before they are sent until they settle, inside
+ * the transfer's own transactions.
+ */
+
+const EXPIRY_BATCH_SIZE = 100;
+const MAX_LIST_SIZE = 100;
+
+/**
+ * Shapes a hold for API responses.
+ * @param {Object} hold - Hold document
+ * @returns {Object} Public fields
+ */
+const toHoldResponse = (hold) => ({
+    id: hold._id,
+    walletId: hold.walletId,
+    type: hold.type,
+    ...toMoneyResponse(hold.amount, hold.currency),
+    reason: hold.reason,
+    reference: hold.reference,
+    transactionId: hold.transactionId || null,
+    status: hold.status,
+    expiresAt: hold.expiresAt,
+    createdBy: hold.createdBy,
+    releasedAt: hold.releasedAt,
+    releasedBy: hold.releasedBy,
+    releaseReason: hold.releaseReason,
+    createdAt: hold.createdAt
+});
+
+/**
+ * Places a hold on a wallet.
+ * Liens may exceed the available balance, leaving it negative until enough money comes in;
+ * every other hold needs the funds to be available now.
+ * @param {Object} params - Parameters
+ * @param {string} params.accountNumber - Wallet account number
+ * @param {number} params.amount - Amount to hold, in kobo
+ * @param {string} params.type - card_authorisation, dispute, lien, pending_transfer or other
+ * @param {string} params.reason - Why the funds are held
+ * @param {string} [params.reference] - External reference (authorisation code, court order)
+ * @param {Date} [params.expiresAt] - When the hold lapses; omit to hold until released
+ * @param {string} params.createdBy - User placing the hold
+ * @param {string} [params.requestId] - Request ID
+ * @returns {Promise<Object>} Hold response
+ * @throws {Error} 404 if the wallet does not exist, 400 if the funds are not available
+ */
+const placeHold = async ({ accountNumber, amount, type, reason, reference, expiresAt, createdBy, requestId }) => {
+    if (expiresAt && expiresAt <= new Date()) {
+        throw httpError('Expiry must be in the future', 400);
+    }
+
+    const wallet = await Wallet.findOne({ accountNumber });
+    if (!wallet) {
+        throw httpError('Wallet not found', 404);
+    }
+
+    const { hold, account } = await withTransaction(async (session) => {
+        const account = await ledgerService.reserveWalletFunds({
+            wallet,
+            amount,
+            allowExceedAvailable: type === 'lien',
+            session
+        });
+        const [hold] = await Hold.create([{
+            walletId: wallet._id,
+            userId: wallet.userId,
+            type,
+            amount,
+            reason,
+            reference,
+            expiresAt: expiresAt || null,
+            createdBy
+        }], { session });
+        return { hold, account };
+    }, { operation: 'placeHold', requestId });
+
+    logger.info('Hold placed', {
+        holdId: hold._id,
+        walletId: wallet._id,
+        accountNumber,
+        type,
+        amount,
+        heldBalance: account.heldBalance,
+        expiresAt: hold.expiresAt,
+        createdBy,
+        requestId
+    });
+
+    return toHoldResponse(hold);
+};
+
+/**
+ * Reserves an external transfer's amount and fee with a pending_transfer hold. Must be
+ * called inside the caller's MongoDB transaction alongside the transfer's ledger row.
+ * @param {Object} params - Parameters
+ * @param {Object} params.wallet - Sender's wallet
+ * @param {number} params.amount - Amount plus fee, in kobo
+ * @param {Object} params.transaction - Pending Transaction for the transfer
+ * @param {mongoose.ClientSession} params.session - MongoDB session
+ * @returns {Promise<{ hold: Object, account: Object }>} Hold and the updated ledger account
+ * @throws {Error} 400 if the available balance cannot cover the transfer
+ */
+const holdForTransfer = async ({ wallet, amount, transaction, session }) => {
+    const account = await ledgerService.reserveWalletFunds({ wallet, amount, session });
+    const [hold] = await Hold.create([{
+        walletId: wallet._id,
+        userId: wallet.userId,
+        type: 'pending_transfer',
+        amount,
+        currency: transaction.currency,
+        reason: `External transfer ${transaction.reference}`,
+        reference: transaction.reference,
+        transactionId: transaction._id,
+        createdBy: transaction.createdBy
+    }], { session });
+    return { hold, account };
+};
+
+/**
+ * Moves an active hold to its final status. Released and expired holds return their funds
+ * to the available balance; a captured hold's funds are spent by the caller's journal entry.
+ * @param {Object} params - Parameters
+ * @param {Object} params.filter - Which hold; only an active one matches
+ * @param {string} params.status - 'released', 'expired' or 'captured'
+ * @param {string} [params.releasedBy] - User releasing the hold
+ * @param {string} [params.reason] - Why it ended
+ * @param {mongoose.ClientSession} params.session - MongoDB session
+ * @returns {Promise<Object|null>} Updated hold, or null if none was active
+ */
+const closeHold = async ({ filter, status, releasedBy, reason, session }) => {
+    const hold = await Hold.findOneAndUpdate(
+        { ...filter, status: 'active' },
+        {
+            $set: {
+                status,
+                releasedAt: new Date(),
+                releasedBy: releasedBy || null,
+                releaseReason: reason
+            }
+        },
+        { new: true, session }
+    );
+    if (!hold || status === 'captured') {
+        return hold;
+    }
+
+    const wallet = await Wallet.findById(hold.walletId).session(session);
+    const account = wallet && await ledgerService.releaseWalletFunds({ wallet, amount: hold.amount, session });
+    if (!account) {
+        throw new Error(`Held balance for wallet ${hold.walletId} is lower than hold ${hold._id}`);
+    }
+    return hold;
+};
+
+/**
+ * Ends an external transfer's hold inside the caller's MongoDB transaction: captured when
+ * the transfer went through, with the caller posting its debit from the held funds, or
+ * released when it failed.
+ * @param {Object} params - Parameters
+ * @param {string} params.transactionId - Transfer's Transaction ID
+ * @param {string} params.status - 'captured' or 'released'
+ * @param {string} params.reason - Why it ended
+ * @param {mongoose.ClientSession} params.session - MongoDB session
+ * @returns {Promise<Object|null>} Ended hold, or null if the transfer had no active hold
+ */
+const endTransferHold = ({ transactionId, status, reason, session }) =>
+    closeHold({ filter: { transactionId }, status, reason, session });
+
+/**
+ * Ends an active hold and returns its funds to the available balance. An external
+ * transfer's hold never ends this way: only the transfer's settlement can end it.
+ * @param {Object} params - Parameters
+ * @param {string} params.id - Hold ID
+ * @param {string} params.status - 'released' or 'expired'
+ * @param {string} [params.releasedBy] - User releasing the hold
+ * @param {string} [params.reason] - Why it was released
+ * @param {string} [params.requestId] - Request ID
+ * @returns {Promise<Object|null>} Updated hold, or null if it was no longer active
+ */
+const endHold = async ({ id, status, releasedBy, reason, requestId }) =>
+    withTransaction(async (session) => {
+        const filter = { _id: id, transactionId: null };
+        if (status === 'expired') {
+            filter.expiresAt = { $lte: new Date() };
+        }
+        return closeHold({ filter, status, releasedBy, reason, session });
+    }, { operation: 'endHold', requestId });
+
+/**
+ * Releases an active hold.
+ * @param {Object} params - { id, releasedBy, reason, requestId }
+ * @returns {Promise<Object>} Released hold response
+ * @throws {Error} 404 if not found, 409 if no longer active or held for an external transfer
+ */
+const releaseHold = async ({ id, releasedBy, reason, requestId }) => {
+    const hold = await endHold({ id, status: 'released', releasedBy, reason, requestId });
+    if (!hold) {
+        const existing = await Hold.findById(id).select('status transactionId').lean();
+        if (!existing) {
+            throw httpError('Hold not found', 404);
+        }
+        if (existing.transactionId && existing.status === 'active') {
+            throw httpError('Transfer holds are released when the transfer settles', 409);
+        }
+        throw httpError(`Hold is already ${existing.status}`, 409);
+    }
+
+    logger.info('Hold released', {
+        holdId: hold._id,
+        walletId: hold.walletId,
+        amount: hold.amount,
+        releasedBy,
+        requestId
+    });
+
+    return toHoldResponse(hold);
+};
+
+/**
+ * Expires holds whose expiry has passed. Called by the hold expiry job.
+ * @param {Object} [params] - Parameters
+ * @param {string} [params.requestId] - Request ID
+ * @returns {Promise<number>} Number of holds expired
+ */
+const expireHolds = async ({ requestId } = {}) => {
+    const due = await Hold.find({ status: 'active', expiresAt: { $ne: null, $lte: new Date() } })
+        .sort({ expiresAt: 1 })
+        .limit(EXPIRY_BATCH_SIZE)
+        .select('_id')
+        .lean();
+
+    let expired = 0;
+    for (const { _id } of due) {
+        try {
+            const hold = await endHold({ id: _id, status: 'expired', reason: 'Hold expired', requestId });
+            if (hold) {
+                expired += 1;
+                logger.info('Hold expired', { holdId: hold._id, walletId: hold.walletId, amount: hold.amount, requestId });
+            }
+        } catch (error) {
+            logger.error('Failed to expire hold', {
+                holdId: _id,
+                requestId,
+                error: error.message,
+                stack: error.stack
+            });
+        }
+    }
+
+    return expired;
+};
+
+/**
+ * Lists holds newest first.
+ * @param {Object} params - Parameters
+ * @param {string} [params.accountNumber] - Only holds on this wallet
+ * @param {string} [params.status] - Only holds in this status
+ * @returns {Promise<Object[]>} Hold responses
+ * @throws {Error} 404 if the account number is unknown
+ */
+const listHolds = async ({ accountNumber, status } = {}) => {
+    const filter = {};
+    if (accountNumber) {
+        const wallet = await Wallet.findOne({ accountNumber }).select('_id').lean();
+        if (!wallet) {
+            throw httpError('Wallet not found', 404);
+        }
+        filter.walletId = wallet._id;
+    }
+    if (status) filter.status = status;
+
+    const holds = await Hold.find(filter).sort({ createdAt: -1 }).limit(MAX_LIST_SIZE).lean();
+    return holds.map(toHoldResponse);
+};
+
+/**
+ * Lists the active holds on a user's wallet, for the customer's own view.
+ * @param {string} userId - User ID
+ * @returns {Promise<Object[]>} Hold responses
+ */
+const listActiveHoldsForUser = async (userId) => {
+    const holds = await Hold.find({ userId, status: 'active' }).sort({ createdAt: -1 }).limit(MAX_LIST_SIZE).lean();
+    return holds.map(toHoldResponse);
+};
+
+export default {
+    placeHold,
+    holdForTransfer,
+    endTransferHold,
+    releaseHold,
+    expireHolds,
+    listHolds,
+    listActiveHoldsForUser
+};
@@ -0,0 +1,420 @@
+import logger from '../utils/logger.js';
+import { User } from '../models/User.js';
+import { KycSubmission } from '../models/KycSubmission.js';
+import notificationService from './notificationService.js';
+import { withTransaction } from '../utils/withTransaction.js';
+import { decryptValue } from '../utils/encryption.js';
+import { httpError } from '../utils/response.js';
+
+/**
+ * KYC review service for NEG AI Banking Platform.
+ * The admin queue for KYC submissions the automatic checks could not decide. A reviewer
+ * claims a pending submission, which keeps other reviewers off it for CLAIM_MINUTES, and
+ * then approves it, rejects it or asks for more information, giving a reason code for the
+ * last two. Only the reviewer holding the claim can decide, and each decision records the
+ * reviewer in decidedBy and the submission history. Approval raises the customer's KYC
+ * tier, and with it their limits, or for a BVN stores it on the customer and marks it
+ * verified, in the same transaction. The customer is notified of every decision in-app
+ * and by email.
+ */
+
+const CLAIM_MINUTES = 30;
+const MAX_LIST_SIZE = 100;
+
+// What the customer is told for each reason, unless the reviewer writes a message
+const REASON_MESSAGES = {
+    nin_not_found: 'No identity record was found for this NIN.',
+    bvn_not_found: 'No record was found for this BVN.',
+    name_mismatch: 'The name on your identity record does not match the name on your account.',
+    date_of_birth_mismatch: 'The date of birth you gave does not match your identity record.',
+    details_mismatch: 'The details you gave do not match your identity record.',
+    document_unreadable: 'We could not read your document. Please upload a clear, well-lit photo of it.',
+    document_incomplete: 'Part of your document is missing. Please upload the whole document, front and back.',
+    document_expired: 'Your document has expired. Please upload one that is still valid.',
+    duplicate_identity: 'This identity is already linked to another account.',
+    suspected_fraud: 'We were unable to verify your identity.',
+    other: 'We were unable to verify your identity.'
+};
+
+/**
+ * Names what a submission verifies, for messages to the customer.
+ * @param {Object} submission - KycSubmission document
+ * @returns {string}
+ */
+const describe = (submission) => ({ nin: 'NIN', bvn: 'BVN' }[submission.type] || 'ID document');
+
+/**
+ * Whether a submission is claimed by someone at a given time.
+ * @param {Object} submission - KycSubmission document
+ * @param {Date} now - Time to check at
+ * @returns {boolean}
+ */
+const isClaimed = (submission, now) => Boolean(submission.claimedBy) && submission.claimExpiresAt > now;
+
+/**
+ * Shapes a submission for reviewers.
+ * @param {Object} submission - KycSubmission document, with userId populated or not
+ * @param {Object} [options] - { detail } to include the verification result, documents and history
+ * @returns {Object} Review fields
+ */
+const toReviewResponse = (submission, { detail = false } = {}) => {
+    const now = new Date();
+    const user = submission.userId?.email ? submission.userId : null;
+    return {
+        id: submission._id,
+        userId: user ? user._id : submission.userId,
+        user: user && {
+            firstName: user.firstName,
+            lastName: user.lastName,
+            email: user.email,
+            kycTier: user.kycTier
+        },
+        type: submission.type,
+        documentType: submission.documentType || null,
+        status: submission.status,
+        requestedTier: submission.requestedTier,
+        identifier: submission.identifierLast4 ? `*******${submission.identifierLast4}` : null,
+        reviewReason: submission.reviewReason,
+        reasonCode: submission.reasonCode,
+        remarks: submission.remarks || null,
+        claimedBy: isClaimed(submission, now) ? submission.claimedBy : null,
+        claimExpiresAt: isClaimed(submission, now) ? submission.claimExpiresAt : null,
+        decidedBy: submission.decidedBy,
+        decidedAt: submission.decidedAt,
+        createdAt: submission.createdAt,
+        updatedAt: submission.updatedAt,
+        ...(detail ? {
+            dateOfBirth: submission.dateOfBirth,
+            address: submission.address,
+            verification: submission.verification,
+            documents: (submission.documents || []).map((document) => ({
+                id: document._id,
+                side: document.side,
+                mimeType: document.mimeType,
+                width: document.width,
+                height: document.height,
+                uploadedAt: document.uploadedAt,
+                replacedAt: document.replacedAt
+            })),
+            reviewNote: submission.reviewNote || null,
+            history: submission.history
+        } : {})
+    };
+};
+
+/**
+ * Lists submissions for reviewers, oldest first so the queue is worked in order.
+ * @param {Object} params - Parameters
+ * @param {string} params.adminId - Admin asking, for the mine filter
+ * @param {string} [params.status] - Status; defaults to pending
+ * @param {string} [params.type] - nin or id_document
+ * @param {string} [params.reviewReason] - Why the automatic check left it for review
+ * @param {string} [params.claim] - unclaimed, mine or claimed
+ * @param {string} [params.userId] - Only this customer's submissions
+ * @returns {Promise<Object[]>} Review responses
+ */
+const listSubmissions = async ({ adminId, status = 'pending', type, reviewReason, claim, userId }) => {
+    const now = new Date();
+    const filter = { status };
+    if (type) filter.type = type;
+    if (reviewReason) filter.reviewReason = reviewReason;
+    if (userId) filter.userId = userId;
+    if (claim === 'unclaimed') {
+        filter.$or = [{ claimedBy: null }, { claimExpiresAt: { $lte: now } }];
+    } else if (claim === 'mine') {
+        Object.assign(filter, { claimedBy: adminId, claimExpiresAt: { $gt: now } });
+    } else if (claim === 'claimed') {
+        Object.assign(filter, { claimedBy: { $ne: null }, claimExpiresAt: { $gt: now } });
+    }
+
+    const submissions = await KycSubmission.find(filter)
+        .sort({ createdAt: 1 })
+        .limit(MAX_LIST_SIZE)
+        .populate('userId', 'firstName lastName email kycTier')
+        .lean();
+    return submissions.map((submission) => toReviewResponse(submission));
+};
+
+/**
+ * Returns one submission with its verification result, documents and history.
+ * @param {string} id - KycSubmission ID
+ * @returns {Promise<Object>} Review response
+ * @throws {Error} 404 if not found
+ */
+const getSubmission = async (id) => {
+    const submission = await KycSubmission.findById(id).populate('userId', 'firstName lastName email kycTier').lean();
+    if (!submission) {
+        throw httpError('KYC submission not found', 404);
+    }
+    return toReviewResponse(submission, { detail: true });
+};
+
+/**
+ * Explains why a claim, release or decision on a submission did not go through.
+ * @param {string} id - KycSubmission ID
+ * @param {string} adminId - Admin who tried
+ * @param {string} unclaimedMessage - Message when nobody else holds the claim
+ * @returns {Promise<Error>} 404, or 409 naming what is in the way
+ */
+const conflictFor = async (id, adminId, unclaimedMessage) => {
+    const existing = await KycSubmission.findById(id).select('status claimedBy claimExpiresAt').lean();
+    if (!existing) {
+        return httpError('KYC submission not found', 404);
+    }
+    if (existing.status !== 'pending') {
+        return httpError(`KYC submission is ${existing.status.replace(/_/g, ' ')}, not pending`, 409);
+    }
+    if (isClaimed(existing, new Date()) && existing.claimedBy.toString() !== adminId.toString()) {
+        return httpError(`KYC submission is claimed by another reviewer until ${existing.claimExpiresAt.toISOString()}`, 409);
+    }
+    return httpError(unclaimedMessage, 409);
+};
+
+/**
+ * Claims a pending submission for CLAIM_MINUTES. Claiming one already claimed by the same
+ * reviewer extends the claim.
+ * @param {Object} params - { id, adminId, requestId }
+ * @returns {Promise<Object>} Review response
+ * @throws {Error} 404 if not found, 409 if not pending or claimed by another reviewer
+ */
+const claimSubmission = async ({ id, adminId, requestId }) => {
+    const now = new Date();
+    const submission = await KycSubmission.findOneAndUpdate(
+        {
+            _id: id,
+            status: 'pending',
+            $or: [{ claimedBy: null }, { claimedBy: adminId }, { claimExpiresAt: { $lte: now } }]
+        },
+        { $set: { claimedBy: adminId, claimedAt: now, claimExpiresAt: new Date(now.getTime() + CLAIM_MINUTES * 60 * 1000) } },
+        { new: true }
+    ).lean();
+    if (!submission) {
+        throw await conflictFor(id, adminId, 'KYC submission could not be claimed, please try again');
+    }
+
+    logger.info('KYC submission claimed', { submissionId: id, adminId, claimExpiresAt: submission.claimExpiresAt, requestId });
+    return toReviewResponse(submission);
+};
+
+/**
+ * Gives up a reviewer's claim so someone else can pick the submission up.
+ * @param {Object} params - { id, adminId, requestId }
+ * @returns {Promise<Object>} Review response
+ * @throws {Error} 404 if not found, 409 if the reviewer does not hold the claim
+ */
+const releaseSubmission = async ({ id, adminId, requestId }) => {
+    const submission = await KycSubmission.findOneAndUpdate(
+        { _id: id, status: 'pending', claimedBy: adminId, claimExpiresAt: { $gt: new Date() } },
+        { $set: { claimedBy: null, claimedAt: null, claimExpiresAt: null } },
+        { new: true }
+    ).lean();
+    if (!submission) {
+        throw await conflictFor(id, adminId, 'You do not hold a claim on this KYC submission');
+    }
+
+    logger.info('KYC submission released', { submissionId: id, adminId, requestId });
+    return toReviewResponse(submission);
+};
+
+/**
+ * Moves a claimed submission to its outcome, recording the reviewer.
+ * @param {Object} params - Parameters
+ * @param {string} params.id - KycSubmission ID
+ * @param {string} params.adminId - Reviewer, who must hold the claim
+ * @param {Object} params.changes - Status, reason code, remarks and note to set
+ * @param {Object} [params.session] - MongoDB session
+ * @returns {Promise<Object>} Updated submission
+ * @throws {Error} 404 if not found, 409 unless pending and claimed by the reviewer
+ */
+const decide = async ({ id, adminId, changes, session }) => {
+    const now = new Date();
+    const submission = await KycSubmission.findOneAndUpdate(
+        { _id: id, status: 'pending', claimedBy: adminId, claimExpiresAt: { $gt: now } },
+        {
+            $set: {
+                ...changes,
+                // Cleared on every decision; approval has copied a BVN to the user by now
+                encryptedBvn: null,
+                decidedBy: adminId,
+                decidedAt: now,
+                claimedBy: null,
+                claimedAt: null,
+                claimExpiresAt: null
+            },
+            $push: { history: { status: changes.status, note: changes.reviewNote, actor: adminId, at: now } }
+        },
+        { new: true, session }
+    ).lean();
+    if (!submission) {
+        throw await conflictFor(id, adminId, `Claim this KYC submission before deciding it; claims last ${CLAIM_MINUTES} minutes`);
+    }
+    return submission;
+};
+
+/**
+ * Tells the customer about a decision. Failures are logged by notificationService.
+ * @param {Object} submission - Decided submission
+ * @param {string} title - Notification title
+ * @param {string} message - Notification message
+ * @param {string} [requestId] - Request ID
+ */
+const notifyCustomer = async (submission, title, message, requestId) => {
+    const user = await User.findById(submission.userId).select('firstName lastName email').lean();
+    if (!user) {
+        logger.warn('User not found for KYC notification', { submissionId: submission._id, requestId });
+        return;
+    }
+    await notificationService.notify({
+        user,
+        type: 'kyc',
+        title,
+        message,
+        data: { submissionId: submission._id, submissionType: submission.type, status: submission.status, reasonCode: submission.reasonCode },
+        requestId
+    });
+};
+
+/**
+ * Approves a claimed submission and raises the customer to its tier (a tier is never
+ * lowered), or for a BVN stores it, encrypted, on the customer and marks it verified.
+ * @param {Object} params - Parameters
+ * @param {string} params.id - KycSubmission ID
+ * @param {string} params.adminId - Reviewer
+ * @param {string} [params.note] - Note for other admins
+ * @param {string} [params.requestId] - Request ID
+ * @returns {Promise<{ submission: Object, kycTier: number }>}
+ * @throws {Error} 404 if not found, 409 unless pending and claimed by the reviewer, or if the
+ * identity already verified another account
+ */
+const approveSubmission = async ({ id, adminId, note, requestId }) => {
+    const pending = await KycSubmission.findById(id).select('userId type identifierHash +encryptedBvn').lean();
+    if (!pending) {
+        throw httpError('KYC submission not found', 404);
+    }
+    const duplicate = await KycSubmission.exists({
+        type: pending.type,
+        identifierHash: pending.identifierHash,
+        status: 'approved',
+        userId: { $ne: pending.userId }
+    });
+    if (duplicate) {
+        throw httpError('This identity is already verified for another account; reject it as duplicate_identity', 409);
+    }
+
+    const { submission, kycTier } = await withTransaction(async (session) => {
+        const decided = await decide({
+            id,
+            adminId,
+            changes: { status: 'approved', reasonCode: null, remarks: `Your ${describe(pending)} has been verified.`, reviewNote: note },
+            session
+        });
+        await User.updateOne(
+            { _id: decided.userId, kycTier: { $lt: decided.requestedTier } },
+            { $set: { kycTier: decided.requestedTier } },
+            { session }
+        );
+        if (decided.type === 'bvn') {
+            const verified = await User.findById(decided.userId).select('+bvn').session(session);
+            verified.bvn = decryptValue(pending.encryptedBvn);
+            verified.bvnVerifiedAt = decided.decidedAt;
+            await verified.save({ session });
+        }
+        const user = await User.findById(decided.userId).select('kycTier').session(session).lean();
+        return { submission: decided, kycTier: user?.kycTier };
+    }, { operation: 'approveKycSubmission', requestId });
+
+    logger.info('KYC submission approved', {
+        submissionId: id,
+        userId: submission.userId,
+        type: submission.type,
+        kycTier,
+        adminId,
+        requestId
+    });
+    await notifyCustomer(
+        submission,
+        'KYC approved',
+        submission.type === 'bvn'
+            ? 'Your BVN has been verified.'
+            : `Your ${describe(submission)} has been verified and your account is now on Tier ${kycTier}. The higher limits for your tier apply straight away.`,
+        requestId
+    );
+    return { submission: toReviewResponse(submission), kycTier };
+};
+
+/**
+ * Rejects a claimed submission with a reason code.
+ * @param {Object} params - Parameters
+ * @param {string} params.id - KycSubmission ID
+ * @param {string} params.adminId - Reviewer
+ * @param {string} params.reasonCode - Reason for rejecting
+ * @param {string} [params.message] - What the customer is told; defaults to the reason's message
+ * @param {string} [params.note] - Note for other admins
+ * @param {string} [params.requestId] - Request ID
+ * @returns {Promise<Object>} Review response
+ * @throws {Error} 404 if not found, 409 unless pending and claimed by the reviewer
+ */
+const rejectSubmission = async ({ id, adminId, reasonCode, message, note, requestId }) => {
+    const remarks = message || REASON_MESSAGES[reasonCode];
+    const submission = await decide({
+        id,
+        adminId,
+        changes: { status: 'rejected', reasonCode, remarks, reviewNote: note }
+    });
+
+    logger.info('KYC submission rejected', { submissionId: id, userId: submission.userId, reasonCode, adminId, requestId });
+    await notifyCustomer(
+        submission,
+        'KYC not approved',
+        `We could not approve your ${describe(submission)}. ${remarks}`,
+        requestId
+    );
+    return toReviewResponse(submission);
+};
+
+/**
+ * Sends a claimed submission back to the customer for more information. They resubmit the
+ * same submission, which puts it back in the queue.
+ * @param {Object} params - Parameters
+ * @param {string} params.id - KycSubmission ID
+ * @param {string} params.adminId - Reviewer
+ * @param {string} params.reasonCode - What is missing or wrong
+ * @param {string} [params.message] - What the customer is told; defaults to the reason's message
+ * @param {string} [params.note] - Note for other admins
+ * @param {string} [params.requestId] - Request ID
+ * @returns {Promise<Object>} Review response
+ * @throws {Error} 404 if not found, 409 unless pending and claimed by the reviewer
+ */
+const requestMoreInfo = async ({ id, adminId, reasonCode, message, note, requestId }) => {
+    const remarks = message || REASON_MESSAGES[reasonCode];
+    const submission = await decide({
+        id,
+        adminId,
+        changes: { status: 'needs_more_info', reasonCode, remarks, reviewNote: note }
+    });
+
+    logger.info('KYC submission sent back for more information', {
+        submissionId: id,
+        userId: submission.userId,
+        reasonCode,
+        adminId,
+        requestId
+    });
+    await notifyCustomer(
+        submission,
+        'More information needed for KYC',
+        `We need more information to verify your ${describe(submission)}. ${remarks} Please resubmit it from the KYC page.`,
+        requestId
+    );
+    return toReviewResponse(submission);
+};
+
+export default {
+    listSubmissions,
+    getSubmission,
+    claimSubmission,
+    releaseSubmission,
+    approveSubmission,
+    rejectSubmission,
+    requestMoreInfo
+};
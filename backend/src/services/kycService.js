@@ -0,0 +1,683 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { env } from '../config/env.js';
+import logger from '../utils/logger.js';
+import { User } from '../models/User.js';
+import { KycSubmission } from '../models/KycSubmission.js';
+import { getIdentityProvider, getBvnProvider } from '../providers/identity.js';
+import { getDocumentStorage } from '../providers/documentStorage.js';
+import { detectImageType, readImageDimensions, stripImageMetadata } from '../utils/image.js';
+import { nameWords, scoreNameMatch } from '../utils/nameMatch.js';
+import { encryptValue } from '../utils/encryption.js';
+import { withTransaction } from '../utils/withTransaction.js';
+import { httpError } from '../utils/response.js';
+
+/**
+ * KYC service for NEG AI Banking Platform.
+ * Takes identity submissions and checks them with the identity source. A NIN whose record
+ * matches the customer's name (in any order, middle names ignored) and date of birth is
+ * approved and raises the customer to Tier 2; a NIN with no record is rejected; anything
+ * else, including the identity source being down, stays pending for a reviewer. A BVN's
+ * record names are scored against the customer's with a fuzzy match: a close match with
+ * the right date of birth verifies it and stores it encrypted on the user, a partial one
+ * goes to a reviewer, and a BVN in someone else's name is rejected and never stored. ID
+ * documents, towards Tier 3, are checked to be real JPEG or PNG images of a usable size,
+ * stored without their metadata and left for a reviewer. Tiers are only ever raised here.
+ */
+
+const NIN_TIER = 2;
+const DOCUMENT_TIER = 3;
+// A BVN is verified without raising the tier
+const BVN_TIER = 1;
+
+// BVN name match scores (see utils/nameMatch.js). At or above match the names agree;
+// from review up they might (a shortened name, a spelling variant, a married name) and a
+// reviewer decides; below review the BVN is someone else's.
+const BVN_NAME_SCORES = { match: 0.9, review: 0.5 };
+
+const DOCUMENT_LABELS = {
+    drivers_licence: 'driver\'s licence',
+    passport: 'passport',
+    voters_card: 'voter\'s card'
+};
+
+// Limits for ID document images, and the extension each accepted type is stored with
+const IMAGE_RULES = {
+    maxBytes: 5 * 1024 * 1024,
+    minWidth: 600,
+    minHeight: 400,
+    maxWidth: 8000,
+    maxHeight: 8000
+};
+const IMAGE_EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png' };
+
+const REMARKS = {
+    approved: 'Your NIN has been verified.',
+    notFound: 'No identity record was found for this NIN. Check the number and try again.',
+    review: 'We could not confirm your details automatically. Our team will review your submission.',
+    documentReceived: 'Your ID document has been received and will be reviewed by our team.',
+    bvnApproved: 'Your BVN has been verified.',
+    bvnNotFound: 'No record was found for this BVN. Check the number and try again.',
+    bvnNameMismatch: 'This BVN is registered to a different name. Check the number, or contact support if your name has changed.'
+};
+
+/**
+ * Keyed hash of an identity number, so it can be compared without being stored.
+ * @param {string} value - Identity number
+ * @returns {string}
+ */
+const hashIdentifier = (value) => crypto.createHmac('sha256', env.ENCRYPTION_KEY).update(value).digest('hex');
+
+/**
+ * Compares a NIN record with the customer.
+ * @param {Object} params - Parameters
+ * @param {Object} params.user - User with firstName and lastName
+ * @param {Object} params.record - Identity source result
+ * @param {string} params.dateOfBirth - Date of birth the customer gave, YYYY-MM-DD
+ * @returns {{ outcome: string, nameMatched: boolean, dateOfBirthMatched: boolean, reviewReason: string|null }}
+ * outcome is approved, rejected or review
+ */
+const matchNinRecord = ({ user, record, dateOfBirth }) => {
+    if (!record.found) {
+        return { outcome: 'rejected', nameMatched: false, dateOfBirthMatched: false, reviewReason: null };
+    }
+    const recordWords = new Set(nameWords(record.firstName, record.middleName, record.lastName));
+    const nameMatched = nameWords(user.firstName, user.lastName).every((word) => recordWords.has(word));
+    const dateOfBirthMatched = Boolean(record.dateOfBirth) && record.dateOfBirth === dateOfBirth;
+
+    let reviewReason = null;
+    if (!nameMatched) {
+        reviewReason = 'name_mismatch';
+    } else if (!dateOfBirthMatched) {
+        reviewReason = 'date_of_birth_mismatch';
+    }
+    return { outcome: reviewReason ? 'review' : 'approved', nameMatched, dateOfBirthMatched, reviewReason };
+};
+
+/**
+ * Compares a BVN record with the customer, scoring the names with a fuzzy match.
+ * @param {Object} params - Parameters
+ * @param {Object} params.user - User with firstName, lastName and phoneNumber
+ * @param {Object} params.record - Identity source result
+ * @param {string} params.dateOfBirth - Date of birth the customer gave, YYYY-MM-DD
+ * @returns {{ outcome: string, nameScore: number, nameMatched: boolean, dateOfBirthMatched: boolean,
+ * phoneMatched: boolean, reviewReason: string|null, reasonCode: string|null }} outcome is
+ * approved, rejected or review; reasonCode says why a BVN was rejected
+ */
+const matchBvnRecord = ({ user, record, dateOfBirth }) => {
+    if (!record.found) {
+        return {
+            outcome: 'rejected',
+            nameScore: 0,
+            nameMatched: false,
+            dateOfBirthMatched: false,
+            phoneMatched: false,
+            reviewReason: null,
+            reasonCode: 'bvn_not_found'
+        };
+    }
+    const { score: nameScore } = scoreNameMatch(user, record);
+    const nameMatched = nameScore >= BVN_NAME_SCORES.match;
+    const dateOfBirthMatched = Boolean(record.dateOfBirth) && record.dateOfBirth === dateOfBirth;
+    // Records hold local (080...) or international (234...) numbers; compare the last ten digits
+    const lastTenDigits = (value) => String(value || '').replace(/\D/g, '').slice(-10);
+    const phoneMatched = Boolean(record.phoneNumber) && lastTenDigits(record.phoneNumber) === lastTenDigits(user.phoneNumber);
+
+    let outcome = 'approved';
+    let reviewReason = null;
+    let reasonCode = null;
+    if (nameScore < BVN_NAME_SCORES.review) {
+        outcome = 'rejected';
+        reasonCode = 'name_mismatch';
+    } else if (!nameMatched) {
+        outcome = 'review';
+        reviewReason = 'name_mismatch';
+    } else if (!dateOfBirthMatched) {
+        outcome = 'review';
+        reviewReason = 'date_of_birth_mismatch';
+    }
+    return { outcome, nameScore, nameMatched, dateOfBirthMatched, phoneMatched, reviewReason, reasonCode };
+};
+
+/**
+ * Shapes a submission for the customer.
+ * @param {Object} submission - KycSubmission document
+ * @returns {Object} Public fields
+ */
+const toSubmissionResponse = (submission) => ({
+    id: submission._id,
+    type: submission.type,
+    status: submission.status,
+    requestedTier: submission.requestedTier,
+    identifier: submission.identifierLast4 ? `*******${submission.identifierLast4}` : null,
+    documentType: submission.documentType || null,
+    remarks: submission.remarks || null,
+    reasonCode: submission.reasonCode,
+    decidedAt: submission.decidedAt,
+    createdAt: submission.createdAt,
+    updatedAt: submission.updatedAt
+});
+
+/**
+ * Submits a NIN for verification and checks it straight away.
+ * @param {Object} params - Parameters
+ * @param {string} params.userId - User ID
+ * @param {string} params.nin - 11-digit NIN
+ * @param {string} params.dateOfBirth - Date of birth, YYYY-MM-DD
+ * @param {Object} params.address - { line1, city, state }
+ * @param {string} [params.requestId] - Request ID
+ * @returns {Promise<{ submission: Object, kycTier: number }>}
+ * @throws {Error} 404 if the user is missing, 409 if already on Tier 2 or above, a NIN
+ * submission is under review or the NIN verified another account
+ */
+const submitNin = async ({ userId, nin, dateOfBirth, address, requestId }) => {
+    const user = await User.findById(userId).select('firstName lastName kycTier');
+    if (!user) {
+        throw httpError('User not found', 404);
+    }
+    if ((user.kycTier || 1) >= NIN_TIER) {
+        throw httpError(`You are already on Tier ${user.kycTier}`, 409);
+    }
+
+    const identifierHash = hashIdentifier(nin);
+    const [open, takenBy] = await Promise.all([
+        KycSubmission.findOne({ userId, type: 'nin', status: { $in: ['pending', 'needs_more_info'] } }),
+        KycSubmission.exists({ type: 'nin', identifierHash, status: 'approved', userId: { $ne: userId } })
+    ]);
+    if (open?.status === 'pending') {
+        throw httpError('Your NIN submission is already being reviewed', 409);
+    }
+    if (takenBy) {
+        logger.warn('NIN already verified for another account', { userId, requestId });
+        throw httpError('This NIN is linked to another account', 409);
+    }
+
+    // A submission sent back for more information is resubmitted rather than replaced
+    const submission = open || new KycSubmission({ userId, type: 'nin', requestedTier: NIN_TIER });
+    submission.set({
+        status: 'pending',
+        identifierHash,
+        identifierLast4: nin.slice(-4),
+        dateOfBirth,
+        address,
+        reviewReason: null,
+        reasonCode: null,
+        remarks: undefined,
+        decidedAt: null,
+        decidedBy: null,
+        requestId
+    });
+    submission.history.push({ status: 'pending', note: open ? 'Resubmitted' : 'Submitted' });
+    try {
+        await submission.save();
+    } catch (error) {
+        if (error.code === 11000) {
+            throw httpError('Your NIN submission is already being reviewed', 409);
+        }
+        throw error;
+    }
+
+    const provider = getIdentityProvider();
+    let record;
+    try {
+        record = await provider.verifyNin({ nin, firstName: user.firstName, lastName: user.lastName, dateOfBirth });
+    } catch (error) {
+        logger.warn('NIN check failed, leaving submission for review', {
+            userId,
+            submissionId: submission._id,
+            provider: provider.name,
+            error: error.message,
+            requestId
+        });
+        submission.set({
+            verification: { provider: provider.name, error: error.message, checkedAt: new Date() },
+            reviewReason: 'provider_unavailable',
+            remarks: REMARKS.review
+        });
+        await submission.save();
+        return { submission: toSubmissionResponse(submission), kycTier: user.kycTier };
+    }
+
+    const match = matchNinRecord({ user, record, dateOfBirth });
+    submission.verification = {
+        provider: provider.name,
+        reference: record.reference,
+        found: record.found,
+        firstName: record.firstName,
+        middleName: record.middleName,
+        lastName: record.lastName,
+        dateOfBirth: record.dateOfBirth,
+        nameMatched: match.nameMatched,
+        dateOfBirthMatched: match.dateOfBirthMatched,
+        checkedAt: new Date()
+    };
+
+    if (match.outcome === 'review') {
+        submission.set({ reviewReason: match.reviewReason, remarks: REMARKS.review });
+        await submission.save();
+    } else if (match.outcome === 'rejected') {
+        submission.set({ status: 'rejected', reasonCode: 'nin_not_found', remarks: REMARKS.notFound, decidedAt: new Date() });
+        submission.history.push({ status: 'rejected', note: 'No record for this NIN' });
+        await submission.save();
+    } else {
+        await withTransaction(async (session) => {
+            submission.set({ status: 'approved', remarks: REMARKS.approved, decidedAt: new Date() });
+            submission.history.push({ status: 'approved', note: 'Verified with the identity source' });
+            await submission.save({ session });
+
+            const verified = await User.findById(userId).select('+nin').session(session);
+            verified.nin = nin;
+            verified.kycTier = Math.max(verified.kycTier || 1, NIN_TIER);
+            await verified.save({ session });
+            user.kycTier = verified.kycTier;
+        }, { operation: 'approveNin', requestId });
+    }
+
+    logger.info('NIN submission checked', {
+        userId,
+        submissionId: submission._id,
+        status: submission.status,
+        reviewReason: submission.reviewReason,
+        provider: provider.name,
+        requestId
+    });
+    return { submission: toSubmissionResponse(submission), kycTier: user.kycTier };
+};
+
+/**
+ * Submits a BVN for verification and checks it straight away. The BVN is stored,
+ * encrypted, on the user only when it is verified, here or by a reviewer, in the same
+ * transaction that sets bvnVerifiedAt; until a reviewer decides, the submission keeps it
+ * encrypted.
+ * @param {Object} params - Parameters
+ * @param {string} params.userId - User ID
+ * @param {string} params.bvn - 11-digit BVN
+ * @param {string} params.dateOfBirth - Date of birth, YYYY-MM-DD
+ * @param {string} [params.requestId] - Request ID
+ * @returns {Promise<{ submission: Object, bvnVerified: boolean }>}
+ * @throws {Error} 404 if the user is missing, 409 if their BVN is already verified, a BVN
+ * submission is under review or the BVN verified another account
+ */
+const submitBvn = async ({ userId, bvn, dateOfBirth, requestId }) => {
+    const user = await User.findById(userId).select('firstName lastName phoneNumber bvnVerifiedAt').lean();
+    if (!user) {
+        throw httpError('User not found', 404);
+    }
+    if (user.bvnVerifiedAt) {
+        throw httpError('Your BVN is already verified', 409);
+    }
+
+    const identifierHash = hashIdentifier(bvn);
+    const [open, takenBy] = await Promise.all([
+        KycSubmission.findOne({ userId, type: 'bvn', status: { $in: ['pending', 'needs_more_info'] } }),
+        KycSubmission.exists({ type: 'bvn', identifierHash, status: 'approved', userId: { $ne: userId } })
+    ]);
+    if (open?.status === 'pending') {
+        throw httpError('Your BVN submission is already being reviewed', 409);
+    }
+    if (takenBy) {
+        logger.warn('BVN already verified for another account', { userId, requestId });
+        throw httpError('This BVN is linked to another account', 409);
+    }
+
+    // A submission sent back for more information is resubmitted rather than replaced
+    const submission = open || new KycSubmission({ userId, type: 'bvn', requestedTier: BVN_TIER });
+    submission.set({
+        status: 'pending',
+        identifierHash,
+        identifierLast4: bvn.slice(-4),
+        encryptedBvn: encryptValue(bvn),
+        dateOfBirth,
+        reviewReason: null,
+        reasonCode: null,
+        remarks: undefined,
+        decidedAt: null,
+        decidedBy: null,
+        requestId
+    });
+    submission.history.push({ status: 'pending', note: open ? 'Resubmitted' : 'Submitted' });
+    try {
+        await submission.save();
+    } catch (error) {
+        if (error.code === 11000) {
+            throw httpError('Your BVN submission is already being reviewed', 409);
+        }
+        throw error;
+    }
+
+    const provider = getBvnProvider();
+    let record;
+    try {
+        record = await provider.verifyBvn({ bvn, firstName: user.firstName, lastName: user.lastName, dateOfBirth });
+    } catch (error) {
+        logger.warn('BVN check failed, leaving submission for review', {
+            userId,
+            submissionId: submission._id,
+            provider: provider.name,
+            error: error.message,
+            requestId
+        });
+        submission.set({
+            verification: { provider: provider.name, error: error.message, checkedAt: new Date() },
+            reviewReason: 'provider_unavailable',
+            remarks: REMARKS.review
+        });
+        await submission.save();
+        return { submission: toSubmissionResponse(submission), bvnVerified: false };
+    }
+
+    const match = matchBvnRecord({ user, record, dateOfBirth });
+    submission.verification = {
+        provider: provider.name,
+        reference: record.reference,
+        found: record.found,
+        firstName: record.firstName,
+        middleName: record.middleName,
+        lastName: record.lastName,
+        dateOfBirth: record.dateOfBirth,
+        nameScore: match.nameScore,
+        nameMatched: match.nameMatched,
+        dateOfBirthMatched: match.dateOfBirthMatched,
+        phoneMatched: match.phoneMatched,
+        checkedAt: new Date()
+    };
+
+    if (match.outcome === 'review') {
+        submission.set({ reviewReason: match.reviewReason, remarks: REMARKS.review });
+        await submission.save();
+    } else if (match.outcome === 'rejected') {
+        const notFound = match.reasonCode === 'bvn_not_found';
+        submission.set({
+            status: 'rejected',
+            reasonCode: match.reasonCode,
+            remarks: notFound ? REMARKS.bvnNotFound : REMARKS.bvnNameMismatch,
+            encryptedBvn: null,
+            decidedAt: new Date()
+        });
+        submission.history.push({
+            status: 'rejected',
+            note: notFound ? 'No record for this BVN' : `Name match score ${match.nameScore}`
+        });
+        await submission.save();
+    } else {
+        await withTransaction(async (session) => {
+            submission.set({ status: 'approved', remarks: REMARKS.bvnApproved, encryptedBvn: null, decidedAt: new Date() });
+            submission.history.push({ status: 'approved', note: 'Verified with the identity source' });
+            await submission.save({ session });
+
+            const verified = await User.findById(userId).select('+bvn').session(session);
+            verified.bvn = bvn;
+            verified.bvnVerifiedAt = submission.decidedAt;
+            await verified.save({ session });
+        }, { operation: 'approveBvn', requestId });
+    }
+
+    logger.info('BVN submission checked', {
+        userId,
+        submissionId: submission._id,
+        status: submission.status,
+        nameScore: match.nameScore,
+        reviewReason: submission.reviewReason,
+        provider: provider.name,
+        requestId
+    });
+    return { submission: toSubmissionResponse(submission), bvnVerified: submission.status === 'approved' };
+};
+
+/**
+ * Checks an uploaded ID document image and returns it without its metadata.
+ * @param {Object} file - Upload with mimeType, buffer and size
+ * @param {string} side - front or back
+ * @returns {{ buffer: Buffer, mimeType: string, width: number, height: number, size: number, sha256: string }}
+ * @throws {Error} 400 naming what is wrong with the image
+ */
+const inspectDocumentImage = (file, side) => {
+    if (file.size > IMAGE_RULES.maxBytes) {
+        throw httpError(`The ${side} image cannot exceed ${IMAGE_RULES.maxBytes / (1024 * 1024)} MB`, 400);
+    }
+    if (!IMAGE_EXTENSIONS[file.mimeType]) {
+        throw httpError(`The ${side} image must be a JPEG or PNG`, 400);
+    }
+    const detected = detectImageType(file.buffer);
+    if (detected !== file.mimeType) {
+        throw httpError(`The ${side} image is not the ${file.mimeType} it claims to be`, 400);
+    }
+
+    let dimensions;
+    let buffer;
+    try {
+        dimensions = readImageDimensions(file.buffer, detected);
+        buffer = stripImageMetadata(file.buffer, detected);
+    } catch (error) {
+        throw httpError(`The ${side} image could not be read: ${error.message}`, 400);
+    }
+    const { width, height } = dimensions;
+    // Either orientation is fine, so compare the long and short edges
+    const [longEdge, shortEdge] = width >= height ? [width, height] : [height, width];
+    if (longEdge < IMAGE_RULES.minWidth || shortEdge < IMAGE_RULES.minHeight) {
+        throw httpError(`The ${side} image is ${width}x${height}; it must be at least ${IMAGE_RULES.minWidth}x${IMAGE_RULES.minHeight} pixels`, 400);
+    }
+    if (longEdge > IMAGE_RULES.maxWidth || shortEdge > IMAGE_RULES.maxHeight) {
+        throw httpError(`The ${side} image is ${width}x${height}; it cannot exceed ${IMAGE_RULES.maxWidth}x${IMAGE_RULES.maxHeight} pixels`, 400);
+    }
+
+    return {
+        buffer,
+        mimeType: detected,
+        width,
+        height,
+        size: buffer.length,
+        sha256: crypto.createHash('sha256').update(buffer).digest('hex')
+    };
+};
+
+/**
+ * Submits an ID document for review. The images are checked and stored before the
+ * submission is saved; if saving fails, the stored files are removed again.
+ * @param {Object} params - Parameters
+ * @param {string} params.userId - User ID
+ * @param {string} params.documentType - drivers_licence, passport or voters_card
+ * @param {string} params.documentNumber - Number on the document
+ * @param {Object} params.files - { front, back } uploads with mimeType, buffer and size; back
+ * is optional
+ * @param {string} [params.requestId] - Request ID
+ * @returns {Promise<{ submission: Object, kycTier: number }>}
+ * @throws {Error} 400 for a missing or unacceptable image, 404 if the user is missing, 409 if
+ * not yet on Tier 2, already on Tier 3, an ID document is under review or the document
+ * verified another account, 503 if document storage is down
+ */
+const submitDocument = async ({ userId, documentType, documentNumber, files, requestId }) => {
+    const user = await User.findById(userId).select('kycTier');
+    if (!user) {
+        throw httpError('User not found', 404);
+    }
+    const tier = user.kycTier || 1;
+    if (tier >= DOCUMENT_TIER) {
+        throw httpError(`You are already on Tier ${tier}`, 409);
+    }
+    if (tier < NIN_TIER) {
+        throw httpError('Verify your NIN to reach Tier 2 before submitting an ID document', 409);
+    }
+    if (!files.front) {
+        throw httpError(`Upload a photo of the front of your ${DOCUMENT_LABELS[documentType]}`, 400);
+    }
+    const unexpected = Object.keys(files).filter((name) => !['front', 'back'].includes(name));
+    if (unexpected.length) {
+        throw httpError(`Unexpected files: ${unexpected.join(', ')}; upload front and, optionally, back`, 400);
+    }
+
+    const number = documentNumber.replace(/[\s-]/g, '').toUpperCase();
+    const identifierHash = hashIdentifier(`${documentType}:${number}`);
+    const [open, takenBy] = await Promise.all([
+        KycSubmission.findOne({ userId, type: 'id_document', status: { $in: ['pending', 'needs_more_info'] } }),
+        KycSubmission.exists({ type: 'id_document', identifierHash, status: 'approved', userId: { $ne: userId } })
+    ]);
+    if (open?.status === 'pending') {
+        throw httpError('Your ID document is already being reviewed', 409);
+    }
+    if (takenBy) {
+        logger.warn('ID document already verified for another account', { userId, documentType, requestId });
+        throw httpError(`This ${DOCUMENT_LABELS[documentType]} is linked to another account`, 409);
+    }
+
+    const images = ['front', 'back']
+        .filter((side) => files[side])
+        .map((side) => ({ side, ...inspectDocumentImage(files[side], side) }));
+
+    const storage = getDocumentStorage();
+    const stored = [];
+    const removeStored = () => Promise.all(stored.map(({ key }) => storage.remove(key).catch((error) => {
+        logger.error('Error removing stored document', { userId, key, storage: storage.name, error: error.message, requestId });
+    })));
+    try {
+        for (const image of images) {
+            const { key } = await storage.save({
+                key: `${uuidv4()}.${IMAGE_EXTENSIONS[image.mimeType]}`,
+                buffer: image.buffer,
+                mimeType: image.mimeType
+            });
+            stored.push({ ...image, key });
+        }
+    } catch (error) {
+        await removeStored();
+        throw error;
+    }
+
+    // A submission sent back for more information is resubmitted rather than replaced
+    const submission = open || new KycSubmission({ userId, type: 'id_document', requestedTier: DOCUMENT_TIER });
+    const now = new Date();
+    submission.set({
+        status: 'pending',
+        documentType,
+        identifierHash,
+        identifierLast4: number.slice(-4),
+        reasonCode: null,
+        remarks: REMARKS.documentReceived,
+        decidedAt: null,
+        decidedBy: null,
+        requestId
+    });
+    submission.documents = submission.documents || [];
+    submission.documents.forEach((document) => {
+        document.replacedAt = document.replacedAt || now;
+    });
+    submission.documents.push(...stored.map(({ side, key, mimeType, size, width, height, sha256 }) => ({
+        side, storage: storage.name, key, mimeType, size, width, height, sha256, uploadedAt: now
+    })));
+    submission.history.push({ status: 'pending', note: open ? 'Resubmitted' : 'Submitted' });
+    try {
+        await submission.save();
+    } catch (error) {
+        await removeStored();
+        if (error.code === 11000) {
+            throw httpError('Your ID document is already being reviewed', 409);
+        }
+        throw error;
+    }
+
+    logger.info('ID document submitted', {
+        userId,
+        submissionId: submission._id,
+        documentType,
+        sides: stored.map(({ side }) => side),
+        storage: storage.name,
+        requestId
+    });
+    return { submission: toSubmissionResponse(submission), kycTier: tier };
+};
+
+/**
+ * Signs short-lived links to a submission's document images, for a reviewer. Each call is
+ * logged with the admin who asked.
+ * @param {Object} params - Parameters
+ * @param {string} params.submissionId - KycSubmission ID
+ * @param {string} params.adminId - Admin's user ID
+ * @param {string} [params.requestId] - Request ID
+ * @returns {Promise<{ submissionId: string, documents: Object[] }>} Documents, replaced ones
+ * included, with url and expiresAt
+ * @throws {Error} 404 if the submission is missing
+ */
+const getDocumentUrls = async ({ submissionId, adminId, requestId }) => {
+    const submission = await KycSubmission.findById(submissionId).select('userId documents').lean();
+    if (!submission) {
+        throw httpError('KYC submission not found', 404);
+    }
+    const storage = getDocumentStorage();
+    const documents = await Promise.all((submission.documents || []).map(async (document) => {
+        const link = document.storage === storage.name
+            ? await storage.getSignedUrl(document.key, { expiresInSeconds: env.DOCUMENT_URL_TTL_SECONDS })
+            : { url: null, expiresAt: null };
+        return {
+            id: document._id,
+            side: document.side,
+            mimeType: document.mimeType,
+            width: document.width,
+            height: document.height,
+            size: document.size,
+            uploadedAt: document.uploadedAt,
+            replacedAt: document.replacedAt,
+            url: link.url,
+            expiresAt: link.expiresAt
+        };
+    }));
+
+    logger.info('KYC document links issued', {
+        submissionId,
+        userId: submission.userId,
+        adminId,
+        count: documents.length,
+        requestId
+    });
+    return { submissionId, documents };
+};
+
+/**
+ * Reads a document through a signed link to the local document storage.
+ * @param {Object} params - { key, expires, signature } from the link
+ * @returns {Promise<{ buffer: Buffer, mimeType: string }>}
+ * @throws {Error} 404 unless local storage is in use or if the file is missing, 403 for a
+ * bad signature, 410 once the link has expired
+ */
+const openDocument = async ({ key, expires, signature }) => {
+    const storage = getDocumentStorage();
+    if (!storage.open) {
+        throw httpError('Not found', 404);
+    }
+    return storage.open({ key, expires, signature });
+};
+
+/**
+ * Returns the customer's KYC tier and submissions, newest first. The status is that of the
+ * latest submission, or not_submitted.
+ * @param {Object} params - { userId }
+ * @returns {Promise<{ kycTier: number, bvnVerified: boolean, status: string, remarks: string|null,
+ * submissions: Object[] }>}
+ * @throws {Error} 404 if the user is missing
+ */
+const getStatus = async ({ userId }) => {
+    const user = await User.findById(userId).select('kycTier bvnVerifiedAt').lean();
+    if (!user) {
+        throw httpError('User not found', 404);
+    }
+    const submissions = await KycSubmission.find({ userId }).sort({ createdAt: -1 }).limit(20).lean();
+    const latest = submissions[0];
+
+    return {
+        kycTier: user.kycTier || 1,
+        bvnVerified: Boolean(user.bvnVerifiedAt),
+        status: latest ? latest.status : 'not_submitted',
+        remarks: latest?.remarks || null,
+        submissions: submissions.map(toSubmissionResponse)
+    };
+};
+
+export default {
+    matchNinRecord,
+    matchBvnRecord,
+    submitNin,
+    submitBvn,
+    submitDocument,
+    getDocumentUrls,
+    openDocument,
+    getStatus
+};
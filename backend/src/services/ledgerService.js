@@ -0,0 +1,356 @@
+import logger from '../utils/logger.js';
+import { LedgerAccount } from '../models/LedgerAccount.js';
+import { JournalEntry } from '../models/JournalEntry.js';
+import { DEFAULT_CURRENCY, isMinorAmount } from '../utils/money.js';
+
+/**
+ * Ledger service for NEG AI Banking Platform.
+ * Posts balanced double-entry journal entries across customer wallets and system accounts,
+ * and derives wallet balances from those postings. Every ledger account holds one currency
+ * and amounts are integer minor units of it (kobo for NGN); an entry balances in each
+ * currency it touches.
+ */
+
+/**
+ * System ledger accounts. Created on first use.
+ */
+const SYSTEM_ACCOUNTS = {
+    FEE_INCOME: { code: 'SYS-FEE-INCOME', name: 'Transfer fee income', type: 'income' },
+    FLUTTERWAVE_SETTLEMENT: { code: 'SYS-FLUTTERWAVE-SETTLEMENT', name: 'Flutterwave settlement', type: 'asset' },
+    PAYSTACK_SETTLEMENT: { code: 'SYS-PAYSTACK-SETTLEMENT', name: 'Paystack settlement', type: 'asset' },
+    SUSPENSE: { code: 'SYS-SUSPENSE', name: 'Suspense', type: 'liability' },
+    OPENING_BALANCE: { code: 'SYS-OPENING-BALANCE', name: 'Opening balance equity', type: 'equity' }
+};
+
+/**
+ * Per-currency system accounts for currency conversion: the position holds the currency
+ * bought from and sold to customers, and income keeps the spread.
+ */
+const FX_ACCOUNTS = {
+    position: (currency) => ({ code: `SYS-FX-POSITION-${currency}`, name: `FX position ${currency}`, type: 'asset', currency }),
+    income: (currency) => ({ code: `SYS-FX-INCOME-${currency}`, name: `FX spread income ${currency}`, type: 'income', currency })
+};
+
+/**
+ * Whether debits increase the balance of an account of this type.
+ * @param {string} type - Ledger account type
+ * @returns {boolean}
+ */
+const isDebitNormal = (type) => type === 'asset' || type === 'expense';
+
+/**
+ * Converts a leg into the signed change it makes to its account's cached balance.
+ * @param {Object} account - Ledger account
+ * @param {string} direction - 'debit' or 'credit'
+ * @param {number} amount - Leg amount
+ * @returns {number} Balance delta
+ */
+const balanceDelta = (account, direction, amount) => {
+    const increases = isDebitNormal(account.type) ? direction === 'debit' : direction === 'credit';
+    return increases ? amount : -amount;
+};
+
+/**
+ * Finds or creates a system ledger account.
+ * @param {Object} definition - One of SYSTEM_ACCOUNTS
+ * @param {mongoose.ClientSession} [session] - MongoDB session
+ * @returns {Promise<Object>} Ledger account
+ */
+const getSystemAccount = async (definition, session) =>
+    LedgerAccount.findOneAndUpdate(
+        { code: definition.code },
+        { $setOnInsert: { ...definition, isSystem: true, balance: 0 } },
+        { upsert: true, new: true, session }
+    );
+
+/**
+ * Finds or creates the settlement account for money held at a payment provider.
+ * @param {string} provider - Provider name (flutterwave, paystack)
+ * @param {mongoose.ClientSession} [session] - MongoDB session
+ * @returns {Promise<Object>} Ledger account
+ */
+const getSettlementAccount = (provider, session) =>
+    getSystemAccount(
+        provider === 'paystack' ? SYSTEM_ACCOUNTS.PAYSTACK_SETTLEMENT : SYSTEM_ACCOUNTS.FLUTTERWAVE_SETTLEMENT,
+        session
+    );
+
+/**
+ * Finds or creates the FX position or spread income account for a currency.
+ * @param {string} kind - 'position' or 'income'
+ * @param {string} currency - Currency code
+ * @param {mongoose.ClientSession} [session] - MongoDB session
+ * @returns {Promise<Object>} Ledger account
+ */
+const getFxAccount = (kind, currency, session) => getSystemAccount(FX_ACCOUNTS[kind](currency), session);
+
+/**
+ * Finds or creates the liability ledger account that backs a customer wallet in a currency,
+ * that is, the wallet's sub-wallet. NGN accounts keep the original code without a suffix.
+ * @param {Object} wallet - Wallet document
+ * @param {mongoose.ClientSession} [session] - MongoDB session
+ * @param {string} [currency] - Currency code
+ * @returns {Promise<Object>} Ledger account
+ */
+const getWalletAccount = async (wallet, session, currency = DEFAULT_CURRENCY) => {
+    const suffix = currency === DEFAULT_CURRENCY ? '' : ` ${currency}`;
+    return LedgerAccount.findOneAndUpdate(
+        { walletId: wallet._id, currency },
+        {
+            $setOnInsert: {
+                code: `WALLET-${wallet.accountNumber}${suffix.replace(' ', '-')}`,
+                name: `Customer wallet ${wallet.accountNumber}${suffix}`,
+                type: 'liability',
+                walletId: wallet._id,
+                isSystem: false,
+                currency,
+                balance: 0
+            }
+        },
+        { upsert: true, new: true, session }
+    );
+};
+
+/**
+ * MongoDB $expr that holds when an account's available balance (balance less any held
+ * funds) is at least the given amount.
+ * @param {number} amount - Amount in kobo
+ * @returns {Object} Aggregation expression
+ */
+const availableAtLeast = (amount) => ({
+    $gte: [{ $subtract: ['$balance', { $ifNull: ['$heldBalance', 0] }] }, amount]
+});
+
+/**
+ * Posts a balanced journal entry and applies every leg to its account's balance.
+ * Customer wallet accounts can never spend held funds or go below zero: the debit is applied
+ * as one atomic conditional $inc (balance - heldBalance >= amount), so concurrent postings
+ * and holds cannot both pass a stale check, and the whole posting fails if the wallet's
+ * available balance cannot cover it. A wallet debit leg marked fromHold instead spends funds
+ * a hold reserved: heldBalance drops by the same amount, and only it has to cover the debit.
+ * Must be called inside the caller's MongoDB transaction so that balance updates,
+ * the journal entry and Transaction rows commit or abort together.
+ * @param {Object} params - Parameters
+ * @param {string} params.reference - Unique journal reference
+ * @param {string} [params.description] - Narrative
+ * @param {Object[]} params.legs - [{ account, direction, amount, fromHold }] with amounts in
+ * minor units of each account's currency
+ * @param {Object} [params.metadata] - Extra context
+ * @param {string} [params.createdBy] - User ID
+ * @param {mongoose.ClientSession} params.session - MongoDB session
+ * @param {string} [params.requestId] - Request ID
+ * @returns {Promise<{ entry: Object, balances: Map<string, number> }>} Entry and post-posting balances by account ID
+ */
+const postJournalEntry = async ({ reference, description, legs, metadata = {}, createdBy, session, requestId }) => {
+    const invalidLeg = legs.find(({ amount }) => !isMinorAmount(amount));
+    if (invalidLeg) {
+        throw new Error(`Journal leg amounts must be whole minor units, got ${invalidLeg.amount} for ${invalidLeg.account.code}`);
+    }
+
+    const currencyOf = (account) => account.currency || DEFAULT_CURRENCY;
+    const [entry] = await JournalEntry.create([{
+        reference,
+        description,
+        currency: currencyOf(legs[0].account),
+        legs: legs.map(({ account, direction, amount }) => ({
+            accountId: account._id,
+            accountCode: account.code,
+            direction,
+            amount,
+            currency: currencyOf(account)
+        })),
+        metadata,
+        createdBy
+    }], { session });
+
+    const balances = new Map();
+    for (const { account, direction, amount, fromHold = false } of legs) {
+        const delta = balanceDelta(account, direction, amount);
+        const filter = { _id: account._id };
+        const change = { balance: delta };
+        if (account.walletId && delta < 0 && fromHold) {
+            filter.heldBalance = { $gte: -delta };
+            change.heldBalance = delta;
+        } else if (account.walletId && delta < 0) {
+            filter.$expr = availableAtLeast(-delta);
+        }
+
+        const updated = await LedgerAccount.findOneAndUpdate(
+            filter,
+            { $inc: change },
+            { new: true, session }
+        );
+        if (!updated) {
+            logger.warn('Ledger posting rejected: insufficient balance', {
+                reference,
+                accountCode: account.code,
+                amount,
+                requestId
+            });
+            const insufficient = new Error('Insufficient balance');
+            insufficient.status = 400;
+            throw insufficient;
+        }
+        balances.set(account._id.toString(), updated.balance);
+    }
+
+    logger.info('Journal entry posted', {
+        reference,
+        journalEntryId: entry._id,
+        legs: legs.map(({ account, direction, amount }) => ({ account: account.code, direction, amount })),
+        requestId
+    });
+
+    return { entry, balances };
+};
+
+/**
+ * Reserves funds on a wallet's ledger account for a hold.
+ * Must be called inside the caller's MongoDB transaction alongside the Hold write.
+ * @param {Object} params - Parameters
+ * @param {Object} params.wallet - Wallet document
+ * @param {number} params.amount - Amount to hold, in kobo
+ * @param {boolean} [params.allowExceedAvailable] - Place the hold even if it takes the
+ * available balance below zero (court-ordered liens)
+ * @param {mongoose.ClientSession} params.session - MongoDB session
+ * @returns {Promise<Object>} Updated ledger account
+ * @throws {Error} 400 if the available balance cannot cover the hold
+ */
+const reserveWalletFunds = async ({ wallet, amount, allowExceedAvailable = false, session }) => {
+    if (!isMinorAmount(amount) || amount <= 0) {
+        throw new Error(`Hold amounts must be positive whole kobo, got ${amount}`);
+    }
+
+    const account = await getWalletAccount(wallet, session);
+    const filter = { _id: account._id };
+    if (!allowExceedAvailable) {
+        filter.$expr = availableAtLeast(amount);
+    }
+
+    const updated = await LedgerAccount.findOneAndUpdate(
+        filter,
+        { $inc: { heldBalance: amount } },
+        { new: true, session }
+    );
+    if (!updated) {
+        const insufficient = new Error('Insufficient available balance to place hold');
+        insufficient.status = 400;
+        throw insufficient;
+    }
+    return updated;
+};
+
+/**
+ * Returns held funds on a wallet's ledger account to its available balance.
+ * Must be called inside the caller's MongoDB transaction alongside the Hold write.
+ * @param {Object} params - { wallet, amount, session }
+ * @returns {Promise<Object>} Updated ledger account
+ */
+const releaseWalletFunds = async ({ wallet, amount, session }) => {
+    const account = await getWalletAccount(wallet, session);
+    return LedgerAccount.findOneAndUpdate(
+        { _id: account._id, heldBalance: { $gte: amount } },
+        { $inc: { heldBalance: -amount } },
+        { new: true, session }
+    );
+};
+
+/**
+ * Recomputes an account's balance from its journal legs.
+ * @param {Object} account - Ledger account
+ * @returns {Promise<number>} Balance derived from postings
+ */
+const computeBalanceFromPostings = async (account) => {
+    const [totals] = await JournalEntry.aggregate([
+        { $match: { 'legs.accountId': account._id } },
+        { $unwind: '$legs' },
+        { $match: { 'legs.accountId': account._id } },
+        {
+            $group: {
+                _id: null,
+                debits: { $sum: { $cond: [{ $eq: ['$legs.direction', 'debit'] }, '$legs.amount', 0] } },
+                credits: { $sum: { $cond: [{ $eq: ['$legs.direction', 'credit'] }, '$legs.amount', 0] } }
+            }
+        }
+    ]);
+    if (!totals) {
+        return 0;
+    }
+    return isDebitNormal(account.type) ? totals.debits - totals.credits : totals.credits - totals.debits;
+};
+
+/**
+ * Builds a trial balance over every ledger account.
+ * Proves that, in each currency, total debits equal total credits, and that each cached
+ * account balance matches the balance derived from its postings. Amounts are reported in
+ * minor units of each account's currency.
+ * @param {string} [requestId] - Request ID
+ * @returns {Promise<Object>} Trial balance report
+ */
+const getTrialBalance = async (requestId) => {
+    const totalsByAccount = await JournalEntry.aggregate([
+        { $unwind: '$legs' },
+        {
+            $group: {
+                _id: '$legs.accountId',
+                debits: { $sum: { $cond: [{ $eq: ['$legs.direction', 'debit'] }, '$legs.amount', 0] } },
+                credits: { $sum: { $cond: [{ $eq: ['$legs.direction', 'credit'] }, '$legs.amount', 0] } }
+            }
+        }
+    ]);
+    const totals = new Map(totalsByAccount.map((row) => [row._id.toString(), row]));
+    const accounts = await LedgerAccount.find().sort({ isSystem: -1, code: 1 }).lean();
+
+    const currencyTotals = {};
+    const mismatches = [];
+
+    const rows = accounts.map((account) => {
+        const { debits = 0, credits = 0 } = totals.get(account._id.toString()) || {};
+        const derivedBalance = isDebitNormal(account.type) ? debits - credits : credits - debits;
+        const currency = account.currency || DEFAULT_CURRENCY;
+        currencyTotals[currency] = currencyTotals[currency] || { totalDebits: 0, totalCredits: 0 };
+        currencyTotals[currency].totalDebits += debits;
+        currencyTotals[currency].totalCredits += credits;
+        if (derivedBalance !== account.balance) {
+            mismatches.push(account.code);
+        }
+        return {
+            code: account.code,
+            name: account.name,
+            type: account.type,
+            currency,
+            debits,
+            credits,
+            balance: account.balance,
+            derivedBalance
+        };
+    });
+
+    const currencies = Object.entries(currencyTotals).map(([currency, { totalDebits, totalCredits }]) => ({
+        currency,
+        totalDebits,
+        totalCredits,
+        balanced: totalDebits === totalCredits
+    }));
+    const balanced = currencies.every((row) => row.balanced);
+    if (!balanced || mismatches.length) {
+        logger.error('Trial balance check failed', { currencies, mismatches, requestId });
+    } else {
+        logger.info('Trial balance check passed', { currencies, accounts: rows.length, requestId });
+    }
+
+    return { balanced, currencies, mismatches, accounts: rows };
+};
+
+export default {
+    SYSTEM_ACCOUNTS,
+    getSystemAccount,
+    getSettlementAccount,
+    getFxAccount,
+    getWalletAccount,
+    postJournalEntry,
+    reserveWalletFunds,
+    releaseWalletFunds,
+    computeBalanceFromPostings,
+    getTrialBalance
+};
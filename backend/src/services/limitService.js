@@ -0,0 +1,313 @@
+import logger from '../utils/logger.js';
+import { User } from '../models/User.js';
+import { Wallet } from '../models/Wallet.js';
+import { DailyTransferTotal } from '../models/DailyTransferTotal.js';
+import { formatMoney, toMinor, toMoneyResponse } from '../utils/money.js';
+
+/**
+ * Limit service for NEG AI Banking Platform.
+ * Applies the CBN tiered KYC limits for the user's KYC tier before money moves: a cap on
+ * each funding or transfer, a cap on the total sent per day (West Africa Time), and a cap on
+ * the NGN wallet balance, which funding and incoming internal transfers may not take it
+ * over. The balance cap covers the NGN balance only; USD and GBP sub-wallets, and
+ * conversions between them and NGN, are outside it. Limits are checked when a funding is
+ * initiated; a payment that has already been made is always credited. checkTransfer turns a
+ * transfer away early, and reserveDailyTransfer enforces the daily cap inside the transaction
+ * that moves the money, so transfers racing each other cannot overshoot it. A rejection is a
+ * 403 naming the limit, with the details in error.details.
+ */
+
+// Tier 1: BVN or phone; Tier 2: NIN plus address; Tier 3: full ID plus proof of address
+const TIER_LIMITS = {
+    1: { singleTransaction: toMinor(50000), dailyTransfers: toMinor(50000), maxBalance: toMinor(300000) },
+    2: { singleTransaction: toMinor(100000), dailyTransfers: toMinor(200000), maxBalance: toMinor(500000) },
+    3: { singleTransaction: toMinor(5000000), dailyTransfers: toMinor(5000000), maxBalance: null }
+};
+
+const LIMIT_NAMES = {
+    singleTransaction: 'single transaction limit',
+    dailyTransfers: 'daily transfer limit',
+    maxBalance: 'maximum balance'
+};
+
+const MAX_TIER = 3;
+const WAT_OFFSET_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Returns the limits for a KYC tier, in kobo; a null cap is unlimited.
+ * @param {number} tier - KYC tier
+ * @returns {{ singleTransaction: number, dailyTransfers: number, maxBalance: number|null }}
+ */
+const getTierLimits = (tier) => TIER_LIMITS[tier] || TIER_LIMITS[1];
+
+/**
+ * Builds the 403 for a limit that was hit.
+ * @param {Object} params - Parameters
+ * @param {string} params.limit - Key of LIMIT_NAMES
+ * @param {number} params.tier - KYC tier whose limit applies
+ * @param {string} params.message - Error message
+ * @param {number} [params.remaining] - What is left of the limit, in kobo
+ * @returns {Error}
+ */
+const limitError = ({ limit, tier, message, remaining }) => {
+    const error = new Error(message);
+    error.status = 403;
+    error.code = 'LIMIT_EXCEEDED';
+    error.details = {
+        limit,
+        tier,
+        limitAmount: toMoneyResponse(getTierLimits(tier)[limit]),
+        ...(remaining === undefined ? {} : { remaining: toMoneyResponse(Math.max(remaining, 0)) })
+    };
+    return error;
+};
+
+/**
+ * Suggests a KYC upgrade unless the user is already on the top tier.
+ * @param {number} tier - KYC tier
+ * @returns {string}
+ */
+const upgradeHint = (tier) => (tier < MAX_TIER ? ' Upgrade your KYC tier to raise it.' : '');
+
+/**
+ * Start of the current day in West Africa Time.
+ * @param {Date} [now] - Current time
+ * @returns {Date}
+ */
+const startOfDay = (now = new Date()) =>
+    new Date(Math.floor((now.getTime() + WAT_OFFSET_MS) / DAY_MS) * DAY_MS - WAT_OFFSET_MS);
+
+/**
+ * Total sent from a wallet today, pending external transfers included, in kobo.
+ * @param {string} walletId - Wallet ID
+ * @returns {Promise<number>}
+ */
+const sentToday = async (walletId) => {
+    const total = await DailyTransferTotal.findOne({ walletId, day: startOfDay() }).select('amount').lean();
+    return total?.amount || 0;
+};
+
+/**
+ * Builds the 403 for a transfer over the daily limit.
+ * @param {Object} params - { tier, amount, sent } with amounts in kobo
+ * @returns {Error}
+ */
+const dailyLimitError = ({ tier, amount, sent }) => {
+    const { dailyTransfers } = getTierLimits(tier);
+    return limitError({
+        limit: 'dailyTransfers',
+        tier,
+        remaining: dailyTransfers - sent,
+        message: `${formatMoney(amount)} exceeds the Tier ${tier} ${LIMIT_NAMES.dailyTransfers} of ${formatMoney(dailyTransfers)}; ${formatMoney(Math.max(dailyTransfers - sent, 0))} is left today.${upgradeHint(tier)}`
+    });
+};
+
+/**
+ * Throws if an amount is over the tier's single transaction limit.
+ * @param {Object} params - { tier, amount } with amount in kobo
+ * @throws {Error} 403 naming the limit
+ */
+const checkSingleTransaction = ({ tier, amount }) => {
+    const { singleTransaction } = getTierLimits(tier);
+    if (amount > singleTransaction) {
+        throw limitError({
+            limit: 'singleTransaction',
+            tier,
+            message: `${formatMoney(amount)} exceeds the Tier ${tier} ${LIMIT_NAMES.singleTransaction} of ${formatMoney(singleTransaction)}.${upgradeHint(tier)}`
+        });
+    }
+};
+
+/**
+ * Room left under the tier's maximum balance for a wallet, in kobo. Only the NGN balance
+ * counts towards the cap.
+ * @param {Object} wallet - Wallet document
+ * @param {number} tier - Wallet owner's KYC tier
+ * @returns {Promise<number>} Headroom, or Infinity when the tier has no cap
+ */
+const balanceHeadroom = async (wallet, tier) => {
+    const { maxBalance } = getTierLimits(tier);
+    return maxBalance === null ? Infinity : maxBalance - await wallet.getBalance();
+};
+
+/**
+ * Checks a wallet funding against the user's limits.
+ * @param {Object} params - Parameters
+ * @param {string} params.userId - User ID
+ * @param {number} params.amount - Amount in kobo
+ * @param {string} [params.requestId] - Request ID
+ * @throws {Error} 403 naming the limit, 404 if the user or wallet is missing
+ */
+const checkFunding = async ({ userId, amount, requestId }) => {
+    const [user, wallet] = await Promise.all([
+        User.findById(userId).select('kycTier').lean(),
+        Wallet.findOne({ userId })
+    ]);
+    if (!user || !wallet) {
+        const error = new Error(user ? 'Wallet not found' : 'User not found');
+        error.status = 404;
+        throw error;
+    }
+    const tier = user.kycTier || 1;
+
+    try {
+        checkSingleTransaction({ tier, amount });
+        const headroom = await balanceHeadroom(wallet, tier);
+        if (amount > headroom) {
+            throw limitError({
+                limit: 'maxBalance',
+                tier,
+                remaining: headroom,
+                message: `Funding ${formatMoney(amount)} would take your balance over the Tier ${tier} ${LIMIT_NAMES.maxBalance} of ${formatMoney(getTierLimits(tier).maxBalance)}.${upgradeHint(tier)}`
+            });
+        }
+    } catch (error) {
+        if (error.code === 'LIMIT_EXCEEDED') {
+            logger.warn('Funding rejected by KYC limits', { userId, tier, amount, ...error.details, requestId });
+        }
+        throw error;
+    }
+};
+
+/**
+ * Checks a transfer against the sender's limits and, for a transfer to another wallet, the
+ * recipient's maximum balance.
+ * @param {Object} params - Parameters
+ * @param {string} params.userId - Sender's user ID
+ * @param {number} params.amount - Amount in kobo, fees excluded
+ * @param {string} [params.recipientAccountNumber] - Recipient's account number, for transfers
+ * to another wallet
+ * @param {string} [params.requestId] - Request ID
+ * @throws {Error} 403 naming the limit, 404 if the sender or a wallet is missing
+ */
+const checkTransfer = async ({ userId, amount, recipientAccountNumber, requestId }) => {
+    const [user, wallet] = await Promise.all([
+        User.findById(userId).select('kycTier').lean(),
+        Wallet.findOne({ userId })
+    ]);
+    if (!user || !wallet) {
+        const error = new Error(user ? 'Sender wallet not found' : 'Sender not found');
+        error.status = 404;
+        throw error;
+    }
+    const tier = user.kycTier || 1;
+
+    try {
+        checkSingleTransaction({ tier, amount });
+
+        const sent = await sentToday(wallet._id);
+        if (sent + amount > getTierLimits(tier).dailyTransfers) {
+            throw dailyLimitError({ tier, amount, sent });
+        }
+
+        // The recipient's tier and balance are theirs, so only the limit is named
+        const recipient = recipientAccountNumber
+            && await User.findByAccountNumber(recipientAccountNumber).select('kycTier').lean();
+        const recipientWallet = recipient && await Wallet.findOne({ userId: recipient._id });
+        if (recipientWallet && amount > await balanceHeadroom(recipientWallet, recipient.kycTier || 1)) {
+            const error = new Error('The recipient cannot receive this amount: it would take their balance over the maximum balance for their KYC tier');
+            error.status = 403;
+            error.code = 'LIMIT_EXCEEDED';
+            error.details = { limit: 'recipientMaxBalance' };
+            throw error;
+        }
+    } catch (error) {
+        if (error.code === 'LIMIT_EXCEEDED') {
+            logger.warn('Transfer rejected by KYC limits', { userId, tier, amount, ...error.details, requestId });
+        }
+        throw error;
+    }
+};
+
+/**
+ * Adds a transfer to the wallet's total for today, inside the caller's MongoDB transaction,
+ * unless that would take it over the sender's daily limit.
+ * @param {Object} params - Parameters
+ * @param {string} params.userId - Sender's user ID
+ * @param {string} params.walletId - Sender's wallet ID
+ * @param {number} params.amount - Amount in kobo, fees excluded
+ * @param {mongoose.ClientSession} params.session - MongoDB session
+ * @param {string} [params.requestId] - Request ID
+ * @throws {Error} 403 naming the daily limit
+ */
+const reserveDailyTransfer = async ({ userId, walletId, amount, session, requestId }) => {
+    const user = await User.findById(userId).select('kycTier').session(session).lean();
+    const tier = user?.kycTier || 1;
+    const { dailyTransfers } = getTierLimits(tier);
+    const day = startOfDay();
+
+    const current = await DailyTransferTotal.findOneAndUpdate(
+        { walletId, day },
+        { $setOnInsert: { amount: 0 } },
+        { upsert: true, new: true, session }
+    );
+    // Conditional on the total, so a concurrent transfer's increment cannot be overtaken
+    const total = await DailyTransferTotal.findOneAndUpdate(
+        { _id: current._id, amount: { $lte: dailyTransfers - amount } },
+        { $inc: { amount } },
+        { new: true, session }
+    );
+    if (!total) {
+        const error = dailyLimitError({ tier, amount, sent: current.amount });
+        logger.warn('Transfer rejected by KYC limits', { userId, tier, amount, ...error.details, requestId });
+        throw error;
+    }
+};
+
+/**
+ * Takes a transfer that did not go through back off its day's total, inside the caller's
+ * MongoDB transaction.
+ * @param {Object} params - Parameters
+ * @param {string} params.walletId - Sender's wallet ID
+ * @param {number} params.amount - Amount in kobo, fees excluded
+ * @param {Date} params.createdAt - When the transfer was made
+ * @param {mongoose.ClientSession} params.session - MongoDB session
+ */
+const releaseDailyTransfer = async ({ walletId, amount, createdAt, session }) => {
+    await DailyTransferTotal.updateOne(
+        { walletId, day: startOfDay(createdAt), amount: { $gte: amount } },
+        { $inc: { amount: -amount } },
+        { session }
+    );
+};
+
+/**
+ * Returns the user's KYC tier, its limits and what is left of them.
+ * @param {Object} params - { userId }
+ * @returns {Promise<Object>} Tier, limits and remaining amounts
+ * @throws {Error} 404 if the user or wallet is missing
+ */
+const getLimits = async ({ userId }) => {
+    const [user, wallet] = await Promise.all([
+        User.findById(userId).select('kycTier').lean(),
+        Wallet.findOne({ userId })
+    ]);
+    if (!user || !wallet) {
+        const error = new Error(user ? 'Wallet not found' : 'User not found');
+        error.status = 404;
+        throw error;
+    }
+    const tier = user.kycTier || 1;
+    const { singleTransaction, dailyTransfers, maxBalance } = getTierLimits(tier);
+    const [sent, headroom] = await Promise.all([sentToday(wallet._id), balanceHeadroom(wallet, tier)]);
+
+    return {
+        tier,
+        singleTransaction: toMoneyResponse(singleTransaction),
+        dailyTransfers: toMoneyResponse(dailyTransfers),
+        dailyTransfersRemaining: toMoneyResponse(Math.max(dailyTransfers - sent, 0)),
+        maxBalance: maxBalance === null ? null : toMoneyResponse(maxBalance),
+        balanceHeadroom: maxBalance === null ? null : toMoneyResponse(Math.max(headroom, 0))
+    };
+};
+
+export default {
+    getTierLimits,
+    checkSingleTransaction,
+    checkFunding,
+    checkTransfer,
+    reserveDailyTransfer,
+    releaseDailyTransfer,
+    getLimits
+};
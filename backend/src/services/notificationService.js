@@ -0,0 +1,120 @@
+import { env } from '../config/env.js';
+import logger from '../utils/logger.js';
+import { sendErrorAlert } from '../utils/email.js';
+import { httpError } from '../utils/response.js';
+import { Notification } from '../models/Notification.js';
+
+/**
+ * Notification service for NEG AI Banking Platform.
+ * Tells customers about things that happened to their account: an in-app notification they
+ * can list and mark read, and the same message by email. A notification that cannot be
+ * delivered is logged, never thrown, so it cannot undo the action it reports.
+ */
+
+const MAX_LIST_SIZE = 100;
+
+/**
+ * Shapes a notification for the customer.
+ * @param {Object} notification - Notification document
+ * @returns {Object} Public fields
+ */
+const toNotificationResponse = (notification) => ({
+    id: notification._id,
+    type: notification.type,
+    title: notification.title,
+    message: notification.message,
+    data: notification.data,
+    read: Boolean(notification.readAt),
+    readAt: notification.readAt,
+    createdAt: notification.createdAt
+});
+
+/**
+ * Notifies a customer in-app and by email.
+ * @param {Object} params - Parameters
+ * @param {Object} params.user - User with _id, email, firstName and lastName
+ * @param {string} params.type - Notification type
+ * @param {string} params.title - Short title, also the email subject
+ * @param {string} params.message - Message
+ * @param {Object} [params.data] - What it is about
+ * @param {string} [params.requestId] - Request ID
+ * @returns {Promise<void>}
+ */
+const notify = async ({ user, type, title, message, data = {}, requestId }) => {
+    try {
+        await Notification.create({ userId: user._id, type, title, message, data });
+    } catch (error) {
+        logger.error('Error saving notification', { userId: user._id, type, requestId, error: error.message });
+    }
+
+    if (!user.email || !env.EMAIL_USER) {
+        return;
+    }
+    await sendErrorAlert(
+        { message: `${type} notification`, type: 'notification' },
+        {
+            to: user.email,
+            subject: `${title} - NEG AI Banking Platform`,
+            text: `
+        Dear ${user.firstName} ${user.lastName},
+
+        ${message}
+
+        For support, contact support@negaibanking.com.
+        Request ID: ${requestId}
+      `,
+            requestId
+        }
+    );
+};
+
+/**
+ * Lists a customer's notifications, newest first, with the number unread.
+ * @param {Object} params - Parameters
+ * @param {string} params.userId - User ID
+ * @param {boolean} [params.unreadOnly] - Only unread notifications
+ * @returns {Promise<{ notifications: Object[], unreadCount: number }>}
+ */
+const listNotifications = async ({ userId, unreadOnly = false }) => {
+    const filter = { userId, ...(unreadOnly ? { readAt: null } : {}) };
+    const [notifications, unreadCount] = await Promise.all([
+        Notification.find(filter).sort({ createdAt: -1 }).limit(MAX_LIST_SIZE).lean(),
+        Notification.countDocuments({ userId, readAt: null })
+    ]);
+    return { notifications: notifications.map(toNotificationResponse), unreadCount };
+};
+
+/**
+ * Marks one of the customer's notifications read.
+ * @param {Object} params - { userId, id }
+ * @returns {Promise<Object>} Notification response
+ * @throws {Error} 404 if it is not the customer's
+ */
+const markRead = async ({ userId, id }) => {
+    const notification = await Notification.findOneAndUpdate(
+        { _id: id, userId, readAt: null },
+        { $set: { readAt: new Date() } },
+        { new: true }
+    ).lean() || await Notification.findOne({ _id: id, userId }).lean();
+    if (!notification) {
+        throw httpError('Notification not found', 404);
+    }
+    return toNotificationResponse(notification);
+};
+
+/**
+ * Marks all the customer's notifications read.
+ * @param {Object} params - { userId }
+ * @returns {Promise<{ updated: number }>}
+ */
+const markAllRead = async ({ userId }) => {
+    const result = await Notification.updateMany({ userId, readAt: null }, { $set: { readAt: new Date() } });
+    return { updated: result.modifiedCount };
+};
+
+export default {
+    notify,
+    listNotifications,
+    markRead,
+    markAllRead
+};
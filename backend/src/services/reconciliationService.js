@@ -0,0 +1,463 @@
+import { env } from '../config/env.js';
+import logger from '../utils/logger.js';
+import { Transaction } from '../models/Transaction.js';
+import { ReconciliationRun } from '../models/ReconciliationRun.js';
+import { ReconciliationItem } from '../models/ReconciliationItem.js';
+import { sendErrorAlert } from '../utils/email.js';
+import { PROVIDERS, getProvider, isProviderEnabled } from '../providers/index.js';
+import { DEFAULT_CURRENCY, toMajor } from '../utils/money.js';
+import { httpError } from '../utils/response.js';
+
+/**
+ * Reconciliation service for NEG AI Banking Platform.
+ * Compares what a payment provider settled with what the ledger recorded, one business day
+ * in West Africa Time at a time. Successful provider payments are paired with the wallet
+ * credits they funded, and successful provider transfers with external transfer debits,
+ * by the provider's ID and then by reference. Every record is stored with its result, and
+ * each exception stays open until an admin resolves it.
+ */
+
+const DUPLICATE_KEY_CODE = 11000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WAT_OFFSET_MS = 60 * 60 * 1000;
+const MAX_LIST_SIZE = 100;
+const RESULTS = ['matched', 'missing_in_ledger', 'missing_at_provider', 'amount_mismatch'];
+
+// Provider IDs kept on ledger rows; the flutterwave* keys are from before Paystack was added
+const PAYMENT_ID_KEYS = ['providerTxId', 'flutterwaveTxId'];
+const TRANSFER_ID_KEYS = ['providerTransferId', 'flutterwaveTransferId'];
+
+/**
+ * Start and end of a business day in West Africa Time.
+ * @param {string} businessDate - YYYY-MM-DD
+ * @returns {{ from: Date, to: Date }}
+ */
+const dayRange = (businessDate) => {
+    const from = new Date(Date.parse(`${businessDate}T00:00:00Z`) - WAT_OFFSET_MS);
+    return { from, to: new Date(from.getTime() + DAY_MS) };
+};
+
+/**
+ * The most recent business day that has ended.
+ * @param {Date} [now] - Current time
+ * @returns {string} YYYY-MM-DD
+ */
+const previousBusinessDate = (now = new Date()) =>
+    new Date(now.getTime() + WAT_OFFSET_MS - DAY_MS).toISOString().slice(0, 10);
+
+// Rows from before Paystack have no provider and went through Flutterwave
+const providerFilter = (provider) => (provider === 'flutterwave'
+    ? { provider: { $in: ['flutterwave', null] } }
+    : { provider });
+
+const ledgerKind = (row) => (row.type === 'credit' ? 'payment' : 'transfer');
+
+/**
+ * The provider's ID for the payment or transfer behind a ledger row, if recorded.
+ * @param {Object} row - Transaction
+ * @returns {string|null}
+ */
+const ledgerProviderId = (row) => {
+    const keys = row.type === 'credit' ? PAYMENT_ID_KEYS : TRANSFER_ID_KEYS;
+    const key = keys.find((name) => row.metadata?.[name] !== undefined && row.metadata[name] !== null);
+    return key ? String(row.metadata[key]) : null;
+};
+
+/**
+ * Shapes a run for API responses.
+ * @param {Object} run - ReconciliationRun document
+ * @param {number} [openItems] - Exceptions not yet resolved
+ * @returns {Object} Public fields
+ */
+const toRunResponse = (run, openItems) => ({
+    id: run._id,
+    provider: run.provider,
+    businessDate: run.businessDate,
+    from: run.from,
+    to: run.to,
+    status: run.status,
+    counts: run.counts,
+    ...(openItems === undefined ? {} : { openItems }),
+    triggeredBy: run.triggeredBy,
+    error: run.error,
+    createdAt: run.createdAt,
+    completedAt: run.completedAt
+});
+
+/**
+ * Shapes an item for API responses; amounts are naira with the kobo alongside.
+ * @param {Object} item - ReconciliationItem document
+ * @returns {Object} Public fields
+ */
+const toItemResponse = (item) => ({
+    id: item._id,
+    runId: item.runId,
+    provider: item.provider,
+    kind: item.kind,
+    result: item.result,
+    reference: item.reference,
+    providerId: item.providerId,
+    providerAmount: item.providerAmount === null ? null : toMajor(item.providerAmount, item.currency),
+    providerAmountMinor: item.providerAmount,
+    providerStatus: item.providerStatus,
+    transactionId: item.transactionId,
+    ledgerAmount: item.ledgerAmount === null ? null : toMajor(item.ledgerAmount, item.currency),
+    ledgerAmountMinor: item.ledgerAmount,
+    ledgerStatus: item.ledgerStatus,
+    currency: item.currency,
+    occurredAt: item.occurredAt,
+    resolutionStatus: item.resolutionStatus,
+    resolution: item.resolution,
+    resolutionNote: item.resolutionNote,
+    resolvedBy: item.resolvedBy,
+    resolvedAt: item.resolvedAt
+});
+
+/**
+ * Loads the ledger rows a provider's reports are compared with: completed wallet credits it
+ * funded and external transfers sent through it, pending ones included as they may have
+ * settled already. Rows are taken from the range, plus any outside it that carry one of the
+ * given provider IDs or references.
+ * @param {Object} params - { provider, from, to, providerIds, references }
+ * @returns {Promise<Object[]>} Transactions
+ */
+const loadLedgerRows = ({ provider, from, to, providerIds, references }) => {
+    // Older rows sometimes kept Flutterwave's numeric ID as a number
+    const legacyIds = [...providerIds, ...providerIds.map(Number).filter(Number.isSafeInteger)];
+
+    return Transaction.find({
+        ...providerFilter(provider),
+        $and: [
+            {
+                $or: [
+                    { type: 'credit', source: { $in: [provider, 'external_transfer'] }, status: 'completed' },
+                    { type: 'debit', source: 'external_transfer', status: { $in: ['completed', 'pending'] } }
+                ]
+            },
+            {
+                $or: [
+                    { createdAt: { $gte: from, $lt: to } },
+                    { reference: { $in: references } },
+                    { 'metadata.providerTxId': { $in: providerIds } },
+                    { 'metadata.providerTransferId': { $in: providerIds } },
+                    { 'metadata.flutterwaveTxId': { $in: legacyIds } },
+                    { 'metadata.flutterwaveTransferId': { $in: legacyIds } }
+                ]
+            }
+        ]
+    })
+        .select('type source status amount currency reference metadata createdAt')
+        .lean();
+};
+
+/**
+ * Pairs provider records with ledger rows and classifies each. A record pairs with the
+ * ledger row of the same kind that carries its provider ID, or else its reference, ignoring
+ * case because Paystack lowercases references. Only what falls in the range is reported;
+ * records and rows either side of it are there so entries recorded across midnight still
+ * pair up. An unpaired pending transfer is still in flight and is left to the transfer poller.
+ * @param {Object} params - Parameters
+ * @param {Object[]} params.records - Provider records with kind 'payment' or 'transfer'
+ * @param {Object[]} params.ledgerRows - Transactions from loadLedgerRows
+ * @param {Date} params.from - Start of range
+ * @param {Date} params.to - End of range, exclusive
+ * @returns {Object[]} { kind, result, record, row } where either side may be null
+ */
+const classifyRecords = ({ records, ledgerRows, from, to }) => {
+    const inRange = (date) => date >= from && date < to;
+    const byId = new Map();
+    const byReference = new Map();
+    for (const row of ledgerRows) {
+        const kind = ledgerKind(row);
+        const providerId = ledgerProviderId(row);
+        if (providerId) byId.set(`${kind}:${providerId}`, row);
+        byReference.set(`${kind}:${row.reference.toLowerCase()}`, row);
+    }
+
+    const paired = new Set();
+    const items = [];
+    for (const record of records) {
+        if (record.status !== 'successful') continue;
+
+        const row = [
+            byId.get(`${record.kind}:${record.id}`),
+            byReference.get(`${record.kind}:${String(record.reference).toLowerCase()}`)
+        ].find((candidate) => candidate && !paired.has(candidate));
+
+        if (row) {
+            paired.add(row);
+            if (inRange(record.createdAt) || inRange(row.createdAt)) {
+                const sameAmount = record.amount === row.amount
+                    && record.currency === (row.currency || DEFAULT_CURRENCY);
+                items.push({ kind: record.kind, result: sameAmount ? 'matched' : 'amount_mismatch', record, row });
+            }
+        } else if (inRange(record.createdAt)) {
+            items.push({ kind: record.kind, result: 'missing_in_ledger', record, row: null });
+        }
+    }
+
+    for (const row of ledgerRows) {
+        if (!paired.has(row) && row.status !== 'pending' && inRange(row.createdAt)) {
+            items.push({ kind: ledgerKind(row), result: 'missing_at_provider', record: null, row });
+        }
+    }
+    return items;
+};
+
+/**
+ * Reconciles one provider for one business day and stores the results.
+ * @param {Object} params - Parameters
+ * @param {string} params.provider - Provider name
+ * @param {string} params.businessDate - YYYY-MM-DD in West Africa Time
+ * @param {string} [params.adminId] - Admin who started it; null for the daily job
+ * @param {string} [params.requestId] - Request ID
+ * @returns {Promise<Object>} Run response
+ * @throws {Error} 400 for a day that has not ended, 404 for an unavailable provider,
+ *   409 if the same reconciliation is already running
+ */
+const runReconciliation = async ({ provider, businessDate, adminId = null, requestId }) => {
+    const adapter = getProvider(provider);
+    const { from, to } = dayRange(businessDate);
+    if (to > new Date()) {
+        throw httpError('Only business days that have ended can be reconciled', 400);
+    }
+
+    let run;
+    try {
+        run = await ReconciliationRun.create({ provider, businessDate, from, to, triggeredBy: adminId, requestId });
+    } catch (error) {
+        if (error.code === DUPLICATE_KEY_CODE) {
+            throw httpError(`Reconciliation of ${adapter.label} for ${businessDate} is already running`, 409);
+        }
+        throw error;
+    }
+
+    try {
+        // A day either side, so entries recorded across midnight still pair up
+        const window = { from: new Date(from.getTime() - DAY_MS), to: new Date(to.getTime() + DAY_MS) };
+        const payments = await adapter.listPayments(window);
+        const transfers = await adapter.listTransfers(window);
+        const records = [
+            ...payments.map((record) => ({ ...record, kind: 'payment' })),
+            ...transfers.map((record) => ({ ...record, kind: 'transfer' }))
+        ];
+
+        const current = records.filter((record) => record.status === 'successful'
+            && record.createdAt >= from && record.createdAt < to);
+        const ledgerRows = await loadLedgerRows({
+            provider,
+            from,
+            to,
+            providerIds: current.map((record) => record.id),
+            references: current.map((record) => record.reference)
+        });
+
+        const items = classifyRecords({ records, ledgerRows, from, to });
+        await ReconciliationItem.insertMany(items.map(({ kind, result, record, row }) => ({
+            runId: run._id,
+            provider,
+            kind,
+            result,
+            reference: row?.reference ?? record.reference,
+            providerId: record?.id ?? ledgerProviderId(row),
+            providerAmount: record?.amount ?? null,
+            providerStatus: record?.status ?? null,
+            transactionId: row?._id ?? null,
+            ledgerAmount: row?.amount ?? null,
+            ledgerStatus: row?.status ?? null,
+            currency: record?.currency ?? row.currency ?? DEFAULT_CURRENCY,
+            occurredAt: record?.createdAt ?? row.createdAt,
+            resolutionStatus: result === 'matched' ? 'not_required' : 'open'
+        })));
+
+        const counts = Object.fromEntries(RESULTS.map((result) => [
+            result,
+            items.filter((item) => item.result === result).length
+        ]));
+        run = await ReconciliationRun.findByIdAndUpdate(
+            run._id,
+            { $set: { status: 'completed', counts, completedAt: new Date() } },
+            { new: true }
+        );
+    } catch (error) {
+        logger.error('Reconciliation run failed', {
+            runId: run._id,
+            provider,
+            businessDate,
+            requestId,
+            error: error.response?.data?.message || error.message,
+            stack: error.stack
+        });
+        await ReconciliationItem.deleteMany({ runId: run._id });
+        await ReconciliationRun.updateOne(
+            { _id: run._id },
+            { $set: { status: 'failed', error: error.response?.data?.message || error.message, completedAt: new Date() } }
+        );
+        throw error;
+    }
+
+    const exceptions = run.counts.missing_in_ledger + run.counts.missing_at_provider + run.counts.amount_mismatch;
+    logger.info('Reconciliation run completed', {
+        runId: run._id,
+        provider,
+        businessDate,
+        ...run.counts,
+        requestId
+    });
+
+    if (exceptions && env.EMAIL_USER) {
+        await sendErrorAlert(
+            { message: 'Reconciliation found exceptions', type: 'error' },
+            {
+                to: env.EMAIL_USER,
+                subject: 'Reconciliation Exceptions - NEG AI Banking Platform',
+                text: `${adapter.label} reconciliation for ${businessDate} found ${exceptions} exception(s): ${run.counts.missing_in_ledger} missing in the ledger, ${run.counts.missing_at_provider} missing at ${adapter.label} and ${run.counts.amount_mismatch} amount mismatch(es). Run ID: ${run._id}. Request ID: ${requestId}`,
+                requestId
+            }
+        );
+    }
+
+    return toRunResponse(run, exceptions);
+};
+
+/**
+ * Reconciles the previous business day for every configured provider, skipping any already
+ * reconciled or being reconciled. Called by the reconciliation job.
+ * @param {Object} [params] - Parameters
+ * @param {string} [params.requestId] - Request ID
+ * @returns {Promise<Object[]>} Responses for the runs started
+ */
+const runDailyReconciliation = async ({ requestId } = {}) => {
+    const businessDate = previousBusinessDate();
+    const runs = [];
+
+    for (const provider of PROVIDERS.filter(isProviderEnabled)) {
+        const done = await ReconciliationRun.exists({
+            provider,
+            businessDate,
+            status: { $in: ['running', 'completed'] }
+        });
+        if (done) continue;
+
+        try {
+            runs.push(await runReconciliation({ provider, businessDate, requestId }));
+        } catch (error) {
+            // Already logged with the failed run, or another instance got there first
+            if (error.status !== 409) {
+                logger.error('Daily reconciliation failed', { provider, businessDate, requestId, error: error.message });
+            }
+        }
+    }
+    return runs;
+};
+
+/**
+ * Lists runs, latest business day first.
+ * @param {Object} params - { provider, status }
+ * @returns {Promise<Object[]>} Run responses
+ */
+const listRuns = async ({ provider, status } = {}) => {
+    const filter = {};
+    if (provider) filter.provider = provider;
+    if (status) filter.status = status;
+
+    const runs = await ReconciliationRun.find(filter)
+        .sort({ businessDate: -1, createdAt: -1 })
+        .limit(MAX_LIST_SIZE)
+        .lean();
+    return runs.map((run) => toRunResponse(run));
+};
+
+/**
+ * Returns one run with the number of its exceptions still open.
+ * @param {string} id - ReconciliationRun ID
+ * @returns {Promise<Object>} Run response
+ * @throws {Error} 404 if not found
+ */
+const getRun = async (id) => {
+    const run = await ReconciliationRun.findById(id).lean();
+    if (!run) {
+        throw httpError('Reconciliation run not found', 404);
+    }
+    const openItems = await ReconciliationItem.countDocuments({ runId: run._id, resolutionStatus: 'open' });
+    return toRunResponse(run, openItems);
+};
+
+/**
+ * Lists items, most recent first. Without filters, lists open exceptions across all runs.
+ * @param {Object} params - { runId, result, resolutionStatus, provider }
+ * @returns {Promise<Object[]>} Item responses
+ */
+const listItems = async ({ runId, result, resolutionStatus, provider } = {}) => {
+    const filter = {};
+    if (runId) filter.runId = runId;
+    if (result) filter.result = result;
+    if (provider) filter.provider = provider;
+    if (resolutionStatus) {
+        filter.resolutionStatus = resolutionStatus;
+    } else if (!runId && !result) {
+        filter.resolutionStatus = 'open';
+    }
+
+    const items = await ReconciliationItem.find(filter)
+        .sort({ occurredAt: -1 })
+        .limit(MAX_LIST_SIZE)
+        .lean();
+    return items.map(toItemResponse);
+};
+
+/**
+ * Records how an admin resolved an exception. Correcting the ledger itself goes through the
+ * usual routes, such as a reversal; this closes the item with what was done.
+ * @param {Object} params - { id, adminId, resolution, note, requestId }
+ * @returns {Promise<Object>} Item response
+ * @throws {Error} 404 if not found, 409 if matched or already resolved
+ */
+const resolveItem = async ({ id, adminId, resolution, note, requestId }) => {
+    const item = await ReconciliationItem.findOneAndUpdate(
+        { _id: id, resolutionStatus: 'open' },
+        {
+            $set: {
+                resolutionStatus: 'resolved',
+                resolution,
+                resolutionNote: note,
+                resolvedBy: adminId,
+                resolvedAt: new Date()
+            }
+        },
+        { new: true }
+    );
+    if (!item) {
+        const existing = await ReconciliationItem.findById(id).select('resolutionStatus').lean();
+        if (!existing) {
+            throw httpError('Reconciliation item not found', 404);
+        }
+        throw httpError(
+            existing.resolutionStatus === 'resolved'
+                ? 'Reconciliation item is already resolved'
+                : 'Matched items do not need resolving',
+            409
+        );
+    }
+
+    logger.info('Reconciliation item resolved', {
+        itemId: item._id,
+        runId: item.runId,
+        reference: item.reference,
+        result: item.result,
+        resolution,
+        adminId,
+        requestId
+    });
+    return toItemResponse(item);
+};
+
+export default {
+    classifyRecords,
+    runReconciliation,
+    runDailyReconciliation,
+    listRuns,
+    getRun,
+    listItems,
+    resolveItem
+};
@@ -0,0 +1,455 @@
+import logger from '../utils/logger.js';
+import { User } from '../models/User.js';
+import { Wallet } from '../models/Wallet.js';
+import { Transaction } from '../models/Transaction.js';
+import { JournalEntry } from '../models/JournalEntry.js';
+import { LedgerAccount } from '../models/LedgerAccount.js';
+import { Reversal } from '../models/Reversal.js';
+import ledgerService from './ledgerService.js';
+import walletService from './walletService.js';
+import { DEFAULT_CURRENCY, formatMoney, toMajor, toMoneyResponse } from '../utils/money.js';
+import { withTransaction } from '../utils/withTransaction.js';
+import { httpError } from '../utils/response.js';
+
+/**
+ * Reversal service for NEG AI Banking Platform.
+ * Undoes completed transfers and fundings with maker-checker control: one admin requests a
+ * reversal, another approves it, and the approval posts a compensating journal entry that
+ * mirrors the original legs. Nothing already posted is edited or deleted. Reversals may be
+ * partial; the running total is kept on the original transaction so the sum of executed
+ * reversals can never exceed what was paid. Amounts are integer kobo.
+ */
+
+const KIND_BY_SOURCE = {
+    transfer: 'transfer',
+    flutterwave: 'chargeback',
+    paystack: 'chargeback',
+    external_transfer: 'external_transfer'
+};
+
+const OPEN_STATUSES = ['pending_approval', 'approved'];
+const MAX_LIST_SIZE = 100;
+
+/**
+ * Shapes a reversal for API responses.
+ * @param {Object} reversal - Reversal document
+ * @returns {Object} Public fields
+ */
+const toReversalResponse = (reversal) => ({
+    id: reversal._id,
+    originalReference: reversal.originalReference,
+    kind: reversal.kind,
+    ...toMoneyResponse(reversal.amount, reversal.currency),
+    fee: toMajor(reversal.fee, reversal.currency),
+    reason: reversal.reason,
+    status: reversal.status,
+    requestedBy: reversal.requestedBy,
+    reviewedBy: reversal.reviewedBy,
+    reviewedAt: reversal.reviewedAt,
+    reviewNote: reversal.reviewNote,
+    reference: reversal.reference,
+    executedAt: reversal.executedAt,
+    failureReason: reversal.failureReason,
+    createdAt: reversal.createdAt
+});
+
+/**
+ * Splits a journal entry into its principal legs and optional fee leg.
+ * Only entries that move money between two accounts, plus at most one fee, have an
+ * unambiguous mirror image.
+ * @param {Object} entry - Journal entry
+ * @returns {Object} debitLeg, creditLeg, feeLeg, principal and fee
+ * @throws {Error} 422 if the entry has any other shape
+ */
+const splitLegs = (entry) => {
+    const feeCode = ledgerService.SYSTEM_ACCOUNTS.FEE_INCOME.code;
+    const feeLegs = entry.legs.filter((leg) => leg.accountCode === feeCode);
+    const principalLegs = entry.legs.filter((leg) => leg.accountCode !== feeCode);
+    const debitLeg = principalLegs.find((leg) => leg.direction === 'debit');
+    const creditLeg = principalLegs.find((leg) => leg.direction === 'credit');
+
+    if (principalLegs.length !== 2 || !debitLeg || !creditLeg || feeLegs.length > 1) {
+        throw httpError('This ledger entry cannot be reversed automatically', 422);
+    }
+
+    return {
+        debitLeg,
+        creditLeg,
+        feeLeg: feeLegs[0] || null,
+        principal: creditLeg.amount,
+        fee: feeLegs[0]?.amount || 0
+    };
+};
+
+/**
+ * Finds the transaction a reversal is tracked against, and its journal entry.
+ * Both rows of an internal transfer share one entry, so the sender's debit row is used
+ * whichever reference is given.
+ * @param {string} reference - Reference of either row of the original transaction
+ * @returns {Promise<{ original: Object, entry: Object }>}
+ * @throws {Error} 404 if unknown, 400 for a reversal or conversion row, 409 if not completed
+ */
+const findOriginal = async (reference) => {
+    const transaction = await Transaction.findOne({ reference });
+    if (!transaction) {
+        throw httpError('Transaction not found', 404);
+    }
+    if (transaction.source === 'reversal') {
+        throw httpError('A reversal cannot itself be reversed', 400);
+    }
+    if (transaction.source === 'fx_conversion') {
+        throw httpError('A currency conversion cannot be reversed; convert the funds back instead', 400);
+    }
+    if (transaction.status !== 'completed' || !transaction.journalEntryId) {
+        throw httpError('Only completed transactions can be reversed', 409);
+    }
+
+    const original = transaction.type === 'debit'
+        ? transaction
+        : (await Transaction.findOne({
+            journalEntryId: transaction.journalEntryId,
+            type: 'debit',
+            source: { $ne: 'reversal' }
+        })) || transaction;
+
+    const entry = await JournalEntry.findById(original.journalEntryId).lean();
+    if (!entry) {
+        throw httpError('Ledger entry for this transaction was not found', 409);
+    }
+
+    return { original, entry };
+};
+
+/**
+ * Raises a reversal request for a completed transaction. Nothing moves until a second
+ * admin approves it.
+ * @param {Object} params - Parameters
+ * @param {string} params.reference - Reference of the transaction to reverse
+ * @param {number} [params.amount] - Kobo to reverse; defaults to everything not yet reversed
+ * @param {boolean} [params.refundFee] - Also return the transfer fee
+ * @param {string} params.reason - Why the money is being returned
+ * @param {string} params.adminId - Requesting admin
+ * @param {string} [params.requestId] - Request ID
+ * @returns {Promise<Object>} Reversal response
+ * @throws {Error} 400 if the amount or fee cannot be reversed
+ */
+const requestReversal = async ({ reference, amount, refundFee = false, reason, adminId, requestId }) => {
+    const { original, entry } = await findOriginal(reference);
+    const { principal, fee } = splitLegs(entry);
+
+    // Open requests count against the balance too, so two cannot be approved for the same money
+    const open = await Reversal.find({ transactionId: original._id, status: { $in: OPEN_STATUSES } })
+        .select('amount fee')
+        .lean();
+    const committedAmount = original.reversedAmount + open.reduce((sum, item) => sum + item.amount, 0);
+    const committedFee = original.reversedFee + open.reduce((sum, item) => sum + item.fee, 0);
+    const remaining = principal - committedAmount;
+    const currency = original.currency || DEFAULT_CURRENCY;
+
+    if (remaining <= 0) {
+        throw httpError('Transaction has already been fully reversed or has reversals awaiting approval', 400);
+    }
+    const reversalAmount = amount ?? remaining;
+    if (reversalAmount > remaining) {
+        throw httpError(`Amount exceeds the reversible balance of ${formatMoney(remaining, currency)}`, 400);
+    }
+
+    const reversalFee = refundFee ? fee - committedFee : 0;
+    if (refundFee && reversalFee <= 0) {
+        throw httpError('Transaction has no fee left to refund', 400);
+    }
+
+    const reversal = await Reversal.create({
+        transactionId: original._id,
+        journalEntryId: entry._id,
+        originalReference: original.reference,
+        kind: KIND_BY_SOURCE[original.source],
+        amount: reversalAmount,
+        fee: reversalFee,
+        currency,
+        reason,
+        requestedBy: adminId
+    });
+
+    logger.info('Reversal requested', {
+        reversalId: reversal._id,
+        originalReference: original.reference,
+        amount: reversalAmount,
+        fee: reversalFee,
+        adminId,
+        requestId
+    });
+
+    return toReversalResponse(reversal);
+};
+
+/**
+ * Posts the compensating journal entry for an approved reversal and writes a reversal
+ * row for every wallet it touches.
+ * @param {Object} reversal - Approved reversal document
+ * @param {string} [requestId] - Request ID
+ * @returns {Promise<Object>} Entry, rows and post-posting balances by wallet row
+ */
+const postReversal = async (reversal, requestId) =>
+    withTransaction(async (session) => {
+        const original = await Transaction.findOneAndUpdate(
+            {
+                _id: reversal.transactionId,
+                status: 'completed'
+            },
+            { $inc: { reversedAmount: reversal.amount, reversedFee: reversal.fee } },
+            { new: true, session }
+        );
+        const entry = await JournalEntry.findById(reversal.journalEntryId).session(session).lean();
+        if (!original || !entry) {
+            throw httpError('Original transaction is no longer reversible', 409);
+        }
+
+        const { debitLeg, creditLeg, feeLeg, principal, fee } = splitLegs(entry);
+        if (original.reversedAmount > principal || original.reversedFee > fee) {
+            throw httpError('Reversal exceeds the amount left to reverse', 409);
+        }
+
+        const accountIds = entry.legs.map((leg) => leg.accountId);
+        const accounts = await LedgerAccount.find({ _id: { $in: accountIds } }).session(session);
+        const accountFor = (leg) => accounts.find((account) => account._id.equals(leg.accountId));
+
+        // Mirror image of the original: what was credited is debited back, and the payer
+        // gets the principal plus any refunded fee
+        const legs = [
+            { account: accountFor(creditLeg), direction: 'debit', amount: reversal.amount },
+            { account: accountFor(debitLeg), direction: 'credit', amount: reversal.amount + reversal.fee }
+        ];
+        if (reversal.fee > 0) {
+            legs.push({ account: accountFor(feeLeg), direction: 'debit', amount: reversal.fee });
+        }
+
+        const reference = `REVERSAL-${reversal._id}`;
+        const metadata = {
+            reversalId: reversal._id.toString(),
+            reversalOf: original.reference,
+            originalJournalReference: entry.reference
+        };
+
+        const { entry: reversalEntry, balances } = await ledgerService.postJournalEntry({
+            reference,
+            description: `Reversal of ${original.reference}: ${reversal.reason}`,
+            legs,
+            metadata,
+            createdBy: reversal.reviewedBy,
+            session,
+            requestId
+        });
+
+        const walletLegs = legs.filter(({ account }) => account.walletId);
+        const wallets = await Wallet.find({ _id: { $in: walletLegs.map(({ account }) => account.walletId) } })
+            .session(session);
+
+        const rows = walletLegs.map(({ account, direction, amount }) => {
+            const wallet = wallets.find((item) => item._id.equals(account.walletId));
+            const counterparty = walletLegs.find((leg) => leg.account !== account);
+            const counterpartyWallet = counterparty && wallets.find((item) => item._id.equals(counterparty.account.walletId));
+
+            return {
+                walletId: wallet._id,
+                userId: wallet.userId,
+                journalEntryId: reversalEntry._id,
+                type: direction,
+                amount,
+                currency: original.currency || DEFAULT_CURRENCY,
+                reference: `${reference}-${direction.toUpperCase()}`,
+                status: 'completed',
+                source: 'reversal',
+                target: counterpartyWallet ? counterpartyWallet.accountNumber : original.target,
+                targetBank: counterpartyWallet ? 'NEG AI Bank' : original.targetBank,
+                description: `Reversal of ${original.reference}`,
+                createdBy: reversal.reviewedBy,
+                metadata: direction === 'credit' && reversal.fee > 0
+                    ? { ...metadata, refundedFee: reversal.fee }
+                    : metadata
+            };
+        });
+        // Each row's wallet balance after the reversal, for the customer emails
+        const rowBalances = walletLegs.map(({ account }) => balances.get(account._id.toString()));
+
+        const transactions = await Transaction.create(rows, { session, ordered: true });
+
+        return {
+            reversalEntry,
+            notifications: transactions.map((transaction, index) => ({
+                transaction,
+                balance: rowBalances[index]
+            }))
+        };
+    }, { operation: 'postReversal', requestId });
+
+/**
+ * Atomically moves a pending reversal to its review outcome, enforcing maker-checker.
+ * @param {string} id - Reversal ID
+ * @param {string} adminId - Reviewing admin
+ * @param {Object} changes - Status and note to set
+ * @returns {Promise<Object>} Updated reversal document
+ */
+const claimForReview = async (id, adminId, changes) => {
+    const reversal = await Reversal.findOneAndUpdate(
+        { _id: id, status: 'pending_approval', requestedBy: { $ne: adminId } },
+        { $set: { ...changes, reviewedBy: adminId, reviewedAt: new Date() } },
+        { new: true }
+    );
+    if (reversal) {
+        return reversal;
+    }
+
+    const existing = await Reversal.findById(id).select('status requestedBy').lean();
+    if (!existing) {
+        throw httpError('Reversal not found', 404);
+    }
+    if (existing.requestedBy.toString() === adminId.toString()) {
+        throw httpError('A reversal must be reviewed by a different admin from the one who requested it', 403);
+    }
+    throw httpError(`Reversal is already ${existing.status.replace('_', ' ')}`, 409);
+};
+
+/**
+ * Approves a pending reversal and posts it. The approving admin must not be the one who
+ * requested it. If posting fails for a business reason (for example the recipient has
+ * already spent the money) the reversal is marked failed and a new request can be raised.
+ * @param {Object} params - Parameters
+ * @param {string} params.id - Reversal ID
+ * @param {string} params.adminId - Approving admin
+ * @param {string} [params.note] - Review note
+ * @param {string} [params.requestId] - Request ID
+ * @returns {Promise<Object>} Executed reversal response
+ * @throws {Error} 403 for self-approval, 404 if unknown, 409 if not pending or not postable
+ */
+const approveReversal = async ({ id, adminId, note, requestId }) => {
+    const reversal = await claimForReview(id, adminId, {
+        status: 'approved',
+        reviewNote: note
+    });
+
+    let result;
+    try {
+        result = await postReversal(reversal, requestId);
+    } catch (error) {
+        if (!error.status || error.status >= 500) {
+            // Unexpected or transient: put it back in the queue untouched
+            await Reversal.updateOne(
+                { _id: reversal._id, status: 'approved' },
+                {
+                    $set: { status: 'pending_approval', reviewedBy: null, reviewedAt: null },
+                    $unset: { reviewNote: 1 }
+                }
+            );
+            throw error;
+        }
+
+        await Reversal.updateOne(
+            { _id: reversal._id },
+            { $set: { status: 'failed', failureReason: error.message } }
+        );
+        logger.warn('Reversal could not be posted', {
+            reversalId: reversal._id,
+            originalReference: reversal.originalReference,
+            adminId,
+            requestId,
+            error: error.message
+        });
+        throw httpError(`Reversal could not be posted: ${error.message}`, 409);
+    }
+
+    const executed = await Reversal.findOneAndUpdate(
+        { _id: reversal._id },
+        {
+            $set: {
+                status: 'executed',
+                reference: result.reversalEntry.reference,
+                reversalJournalEntryId: result.reversalEntry._id,
+                executedAt: new Date()
+            }
+        },
+        { new: true }
+    );
+
+    for (const { transaction, balance } of result.notifications) {
+        const user = await User.findById(transaction.userId);
+        if (user) {
+            walletService.sendTransactionEmail(user, transaction, requestId, balance).catch(() => {
+                logger.error('Async reversal email failed', { userId: user._id, requestId });
+            });
+        }
+    }
+
+    logger.info('Reversal executed', {
+        reversalId: reversal._id,
+        originalReference: reversal.originalReference,
+        reference: executed.reference,
+        amount: reversal.amount,
+        fee: reversal.fee,
+        requestedBy: reversal.requestedBy,
+        approvedBy: adminId,
+        requestId
+    });
+
+    return toReversalResponse(executed);
+};
+
+/**
+ * Rejects a pending reversal. Like approval, it must come from a second admin.
+ * @param {Object} params - { id, adminId, note, requestId }
+ * @returns {Promise<Object>} Rejected reversal response
+ */
+const rejectReversal = async ({ id, adminId, note, requestId }) => {
+    const reversal = await claimForReview(id, adminId, {
+        status: 'rejected',
+        reviewNote: note
+    });
+
+    logger.info('Reversal rejected', {
+        reversalId: reversal._id,
+        originalReference: reversal.originalReference,
+        requestedBy: reversal.requestedBy,
+        rejectedBy: adminId,
+        requestId
+    });
+
+    return toReversalResponse(reversal);
+};
+
+/**
+ * Lists reversals newest first.
+ * @param {Object} params - Parameters
+ * @param {string} [params.status] - Only reversals in this status
+ * @param {string} [params.reference] - Only reversals of this transaction reference
+ * @returns {Promise<Object[]>} Reversal responses
+ */
+const listReversals = async ({ status, reference } = {}) => {
+    const filter = {};
+    if (status) filter.status = status;
+    if (reference) filter.originalReference = reference;
+
+    const reversals = await Reversal.find(filter).sort({ createdAt: -1 }).limit(MAX_LIST_SIZE).lean();
+    return reversals.map(toReversalResponse);
+};
+
+/**
+ * Returns one reversal.
+ * @param {string} id - Reversal ID
+ * @returns {Promise<Object>} Reversal response
+ * @throws {Error} 404 if not found
+ */
+const getReversal = async (id) => {
+    const reversal = await Reversal.findById(id).lean();
+    if (!reversal) {
+        throw httpError('Reversal not found', 404);
+    }
+    return toReversalResponse(reversal);
+};
+
+export default {
+    requestReversal,
+    approveReversal,
+    rejectReversal,
+    listReversals,
+    getReversal
+};
@@ -0,0 +1,560 @@
+import logger from '../utils/logger.js';
+import { sendErrorAlert } from '../utils/email.js';
+import { formatMoney, toMoneyResponse } from '../utils/money.js';
+import { httpError } from '../utils/response.js';
+import { User } from '../models/User.js';
+import { Wallet } from '../models/Wallet.js';
+import { ScheduledTransfer } from '../models/ScheduledTransfer.js';
+import walletService from './walletService.js';
+
+/**
+ * Scheduled transfer service for NEG AI Banking Platform.
+ * Stores future-dated transfers and executes them when due through walletService,
+ * so they get the same ledger postings, fees and notifications as live transfers.
+ */
+
+const LOCK_MS = 5 * 60 * 1000; // A runner that dies mid-transfer releases it after 5 minutes
+const MAX_ATTEMPTS = 3; // Runs retried after transient failures before giving up
+const RUN_BATCH_SIZE = 50;
+
+/**
+ * Shapes a scheduled transfer for API responses.
+ * @param {Object} transfer - ScheduledTransfer document
+ * @returns {Object} Public fields
+ */
+const toScheduledTransferResponse = (transfer) => ({
+    id: transfer._id,
+    transferType: transfer.transferType,
+    recipientAccountNumber: transfer.recipientAccountNumber,
+    recipientAccountName: transfer.recipientAccountName,
+    recipientBankName: transfer.recipientBankName,
+    ...toMoneyResponse(transfer.amount, transfer.currency),
+    description: transfer.description,
+    runAt: transfer.runAt,
+    status: transfer.status,
+    executedAt: transfer.executedAt,
+    cancelledAt: transfer.cancelledAt,
+    transactionReference: transfer.transactionReference,
+    failureReason: transfer.failureReason,
+    createdAt: transfer.createdAt
+});
+
+/**
+ * Works out whether a transfer target is another wallet or an external bank account,
+ * and verifies external accounts up front so bad details fail at creation, not at run time.
+ * @param {Object} params - Parameters
+ * @returns {Promise<{ transferType: string, recipientAccountName: string, recipientBankName: string }>}
+ * @throws {Error} With status 400/404 when the target is invalid
+ */
+const resolveTransferTarget = async ({
+    userId,
+    recipientAccountNumber,
+    bankCode,
+    recipientAccountName,
+    recipientBankName,
+    requestId
+}) => {
+    const sender = await User.findById(userId);
+    if (!sender) {
+        throw httpError('Sender not found', 404);
+    }
+    if (sender.hasAccountNumber(recipientAccountNumber)) {
+        throw httpError('Cannot transfer to your own account', 400);
+    }
+
+    const recipient = await User.findByAccountNumber(recipientAccountNumber);
+    if (recipient) {
+        return {
+            transferType: 'internal',
+            recipientAccountName: `${recipient.firstName} ${recipient.lastName}`,
+            recipientBankName: recipient.bankName || 'NEG AI Bank'
+        };
+    }
+
+    if (!bankCode || !recipientAccountName || !recipientBankName) {
+        throw httpError('Bank code, account name, and bank name are required for external transfers', 400);
+    }
+
+    try {
+        await walletService.verifyBankAccount({ accountNumber: recipientAccountNumber, bankCode, requestId });
+    } catch (error) {
+        throw httpError(error.message, 400);
+    }
+
+    return { transferType: 'external', recipientAccountName, recipientBankName };
+};
+
+/**
+ * Moves money for a scheduled or recurring transfer, checking the balance first so a
+ * shortfall is reported clearly instead of surfacing from the ledger posting.
+ * The idempotency key makes a re-run after a crash a duplicate rather than a second payment.
+ * An external transfer comes back pending: it is only completed once the provider confirms it.
+ * @param {Object} params - Parameters
+ * @param {string} params.userId - Sender's user ID
+ * @param {string} params.transferType - 'internal' or 'external'
+ * @param {number} params.amount - Amount in kobo
+ * @param {string} params.idempotencyKey - Stable key for this run
+ * @param {Object} [params.metadata] - Extra ledger metadata linking the transfer to its origin
+ * @returns {Promise<{ reference: string, status: string, balance: number }>}
+ */
+const executeTransfer = async ({
+    userId,
+    transferType,
+    recipientAccountNumber,
+    bankCode,
+    recipientAccountName,
+    recipientBankName,
+    amount,
+    description,
+    idempotencyKey,
+    metadata,
+    requestId
+}) => {
+    const wallet = await Wallet.findOne({ userId });
+    if (!wallet) {
+        throw new Error('Sender wallet not found');
+    }
+
+    const fee = transferType === 'external' ? walletService.EXTERNAL_TRANSFER_FEE : 0;
+    const balance = await wallet.getAvailableBalance();
+    if (balance < amount + fee) {
+        throw new Error(
+            `Insufficient balance: ${formatMoney(balance)} available, ${formatMoney(amount + fee)} required`
+        );
+    }
+
+    if (transferType === 'internal') {
+        const { senderTransaction, balance: newBalance } = await walletService.transferFunds({
+            senderId: userId,
+            recipientAccountNumber,
+            amount,
+            description,
+            requestId,
+            idempotencyKey,
+            metadata
+        });
+        return { reference: senderTransaction.reference, status: senderTransaction.status, balance: newBalance };
+    }
+
+    const { transaction, balance: newBalance } = await walletService.initiateExternalTransfer({
+        userId,
+        amount,
+        recipientAccountNumber,
+        recipientBankCode: bankCode,
+        recipientAccountName,
+        recipientBankName,
+        description,
+        requestId,
+        idempotencyKey,
+        metadata
+    });
+    return { reference: transaction.reference, status: transaction.status, balance: newBalance };
+};
+
+/**
+ * Emails the user the outcome of a scheduled transfer run.
+ * @param {Object} transfer - ScheduledTransfer document
+ * @param {Object} outcome - { succeeded, reason, balance }; the balance is looked up if omitted
+ * @param {string} requestId - Request ID
+ */
+const sendScheduledTransferEmail = async (transfer, { succeeded, reason, balance }, requestId) => {
+    try {
+        const user = await User.findById(transfer.userId);
+        if (!user?.email) {
+            logger.warn('User email is missing for scheduled transfer email', {
+                userId: transfer.userId,
+                scheduledTransferId: transfer._id,
+                requestId
+            });
+            return;
+        }
+
+        const amount = formatMoney(transfer.amount, transfer.currency);
+        const currentBalance = succeeded && balance === undefined
+            ? await Wallet.findOne({ userId: transfer.userId }).then((wallet) => wallet.getAvailableBalance(undefined, transfer.currency))
+            : balance;
+        await sendErrorAlert(
+            { message: `Scheduled transfer ${succeeded ? 'completed' : 'failed'}`, type: 'transaction' },
+            {
+                to: user.email,
+                subject: `Scheduled Transfer ${succeeded ? 'Completed' : 'Failed'} - NEG AI Banking Platform`,
+                text: succeeded
+                    ? `
+        Dear ${user.firstName} ${user.lastName},
+
+        Your scheduled transfer of ${amount} to ${transfer.recipientAccountNumber} (${transfer.recipientBankName || 'NEG AI Bank'}) has been completed.
+        - Reference: ${transfer.transactionReference}
+        - Current Balance: ${formatMoney(currentBalance, transfer.currency)}
+        - Scheduled For: ${transfer.runAt.toISOString()}
+
+        For support, contact support@negaibanking.com.
+        Request ID: ${requestId}
+      `
+                    : `
+        Dear ${user.firstName} ${user.lastName},
+
+        Your scheduled transfer of ${amount} to ${transfer.recipientAccountNumber} (${transfer.recipientBankName || 'NEG AI Bank'}) could not be completed.
+        - Reason: ${reason}
+        - Scheduled For: ${transfer.runAt.toISOString()}
+
+        No money has left your wallet. You can schedule the transfer again once the issue is resolved.
+        For support, contact support@negaibanking.com.
+        Request ID: ${requestId}
+      `,
+                requestId
+            }
+        );
+    } catch (error) {
+        logger.error('Failed to send scheduled transfer email', {
+            userId: transfer.userId,
+            scheduledTransferId: transfer._id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+    }
+};
+
+/**
+ * Schedules a transfer for a future date.
+ * @param {Object} params - Parameters
+ * @param {number} params.amount - Amount in kobo
+ * @param {Date} params.runAt - When to run the transfer
+ * @returns {Promise<Object>} Scheduled transfer response
+ */
+const createScheduledTransfer = async ({
+    userId,
+    recipientAccountNumber,
+    amount,
+    description,
+    bankCode,
+    recipientAccountName,
+    recipientBankName,
+    runAt,
+    requestId
+}) => {
+    if (!(runAt > new Date())) {
+        throw httpError('Run date must be in the future', 400);
+    }
+
+    const target = await resolveTransferTarget({
+        userId,
+        recipientAccountNumber,
+        bankCode,
+        recipientAccountName,
+        recipientBankName,
+        requestId
+    });
+
+    const transfer = await ScheduledTransfer.create({
+        userId,
+        transferType: target.transferType,
+        recipientAccountNumber,
+        bankCode: target.transferType === 'external' ? bankCode : undefined,
+        recipientAccountName: target.recipientAccountName,
+        recipientBankName: target.recipientBankName,
+        amount,
+        description,
+        runAt
+    });
+
+    logger.info('Scheduled transfer created', {
+        userId,
+        scheduledTransferId: transfer._id,
+        transferType: transfer.transferType,
+        recipientAccountNumber,
+        amount,
+        runAt,
+        requestId
+    });
+
+    return toScheduledTransferResponse(transfer);
+};
+
+/**
+ * Lists a user's scheduled transfers, soonest first.
+ * @param {Object} params - Parameters
+ * @param {string} params.userId - User ID
+ * @param {string} [params.status] - Filter by status
+ * @param {string} [params.requestId] - Request ID
+ * @returns {Promise<Object[]>} Scheduled transfer responses
+ */
+const listScheduledTransfers = async ({ userId, status, requestId }) => {
+    const query = { userId };
+    if (status) {
+        query.status = status;
+    }
+
+    const transfers = await ScheduledTransfer.find(query).sort({ runAt: 1, _id: 1 }).limit(100).lean();
+
+    logger.debug('Scheduled transfers listed', { userId, status, count: transfers.length, requestId });
+
+    return transfers.map(toScheduledTransferResponse);
+};
+
+/**
+ * Cancels a scheduled transfer that has not started running.
+ * @param {Object} params - Parameters
+ * @param {string} params.userId - Owner's user ID
+ * @param {string} params.id - Scheduled transfer ID
+ * @param {string} [params.requestId] - Request ID
+ * @returns {Promise<Object>} Cancelled scheduled transfer response
+ * @throws {Error} 404 if not found, 409 if it already ran or is running
+ */
+const cancelScheduledTransfer = async ({ userId, id, requestId }) => {
+    const transfer = await ScheduledTransfer.findOneAndUpdate(
+        { _id: id, userId, status: 'scheduled' },
+        { $set: { status: 'cancelled', cancelledAt: new Date() } },
+        { new: true }
+    );
+
+    if (!transfer) {
+        const existing = await ScheduledTransfer.findOne({ _id: id, userId }).select('status').lean();
+        if (!existing) {
+            throw httpError('Scheduled transfer not found', 404);
+        }
+        throw httpError(`Scheduled transfer is already ${existing.status}`, 409);
+    }
+
+    logger.info('Scheduled transfer cancelled', { userId, scheduledTransferId: transfer._id, requestId });
+
+    return toScheduledTransferResponse(transfer);
+};
+
+/**
+ * Atomically claims the next due transfer, or one whose previous runner died.
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} Claimed transfer
+ */
+const claimDueTransfer = async (now) =>
+    ScheduledTransfer.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'scheduled', runAt: { $lte: now } },
+                { status: 'processing', lockedUntil: { $lt: now } }
+            ]
+        },
+        {
+            $set: { status: 'processing', lockedUntil: new Date(now.getTime() + LOCK_MS) },
+            $inc: { attempts: 1 }
+        },
+        { new: true, sort: { runAt: 1 } }
+    );
+
+/**
+ * Idempotency key for a scheduled transfer's run, shared by every attempt at it.
+ * @param {Object} transfer - ScheduledTransfer document
+ * @returns {string}
+ */
+const idempotencyKeyFor = (transfer) => `scheduled-transfer-${transfer._id}`;
+
+/**
+ * Maps the status of the transaction a run produced to the run's own status.
+ * @param {Object} transaction - Sender-side Transaction
+ * @returns {string} 'completed', 'failed' or 'pending'
+ */
+const runStatusFor = (transaction) => (['pending', 'failed'].includes(transaction.status) ? transaction.status : 'completed');
+
+/**
+ * Records the transaction a run produced. An external transfer still waiting for the
+ * provider leaves the run pending, for settlePendingTransfers to finish.
+ * @param {Object} transfer - Claimed ScheduledTransfer document
+ * @param {Object} transaction - { reference, status, createdAt, metadata }
+ * @param {Object} options - { balance, requestId }
+ * @returns {Promise<string>} 'completed', 'failed' or 'pending'
+ */
+const recordTransaction = async (transfer, transaction, { balance, requestId }) => {
+    const status = runStatusFor(transaction);
+    const failureReason = status === 'failed' ? transaction.metadata?.failureReason || 'Transfer failed' : undefined;
+    transfer.set({
+        status,
+        executedAt: transaction.createdAt || new Date(),
+        transactionReference: transaction.reference,
+        lockedUntil: null,
+        failureReason
+    });
+    await transfer.save();
+
+    logger.info(`Scheduled transfer ${status}`, {
+        userId: transfer.userId,
+        scheduledTransferId: transfer._id,
+        reference: transaction.reference,
+        requestId
+    });
+    if (status !== 'pending') {
+        await sendScheduledTransferEmail(transfer, { succeeded: status === 'completed', reason: failureReason, balance }, requestId);
+    }
+    return status;
+};
+
+/**
+ * Executes one claimed transfer and records the outcome.
+ * @param {Object} transfer - Claimed ScheduledTransfer document
+ * @param {string} requestId - Request ID for this run
+ * @returns {Promise<string>} 'completed', 'pending', 'failed' or 'retry'
+ */
+const runScheduledTransfer = async (transfer, requestId) => {
+    const idempotencyKey = idempotencyKeyFor(transfer);
+
+    try {
+        // A runner that crashed after moving the money only needs its bookkeeping finished
+        const previous = await walletService.findTransferByIdempotencyKey(transfer.userId, idempotencyKey);
+        if (previous) {
+            logger.info('Recovered already-executed scheduled transfer', {
+                scheduledTransferId: transfer._id,
+                reference: previous.reference,
+                requestId
+            });
+            return await recordTransaction(transfer, previous, { requestId });
+        }
+
+        const { reference, status, balance } = await executeTransfer({
+            userId: transfer.userId,
+            transferType: transfer.transferType,
+            recipientAccountNumber: transfer.recipientAccountNumber,
+            bankCode: transfer.bankCode,
+            recipientAccountName: transfer.recipientAccountName,
+            recipientBankName: transfer.recipientBankName,
+            amount: transfer.amount,
+            description: transfer.description || 'Scheduled transfer',
+            idempotencyKey,
+            requestId
+        });
+
+        return await recordTransaction(transfer, { reference, status }, { balance, requestId });
+    } catch (error) {
+        // An external transfer can fail after its row and hold were committed, when the
+        // provider's answer never came: the money may still leave, so the run is not failed
+        let sent;
+        try {
+            sent = await walletService.findTransferByIdempotencyKey(transfer.userId, idempotencyKey);
+        } catch (lookupError) {
+            // The run stays processing; once its lock expires the retry finds what happened
+            logger.error('Could not check for a transfer after a scheduled transfer error', {
+                scheduledTransferId: transfer._id,
+                requestId,
+                error: error.message,
+                lookupError: lookupError.message
+            });
+            return 'retry';
+        }
+        if (sent) {
+            logger.warn('Scheduled transfer errored after its transaction was written', {
+                scheduledTransferId: transfer._id,
+                reference: sent.reference,
+                transactionStatus: sent.status,
+                requestId,
+                error: error.message
+            });
+            return recordTransaction(transfer, sent, { requestId });
+        }
+
+        // Contention is worth another go on the next tick; anything else is final
+        if (error.status === 503 && transfer.attempts < MAX_ATTEMPTS) {
+            transfer.set({ status: 'scheduled', lockedUntil: null, failureReason: error.message });
+            await transfer.save();
+            logger.warn('Scheduled transfer deferred after transient failure', {
+                scheduledTransferId: transfer._id,
+                attempts: transfer.attempts,
+                requestId,
+                error: error.message
+            });
+            return 'retry';
+        }
+
+        transfer.set({ status: 'failed', lockedUntil: null, failureReason: error.message });
+        await transfer.save();
+
+        logger.warn('Scheduled transfer failed', {
+            userId: transfer.userId,
+            scheduledTransferId: transfer._id,
+            requestId,
+            error: error.message
+        });
+        await sendScheduledTransferEmail(transfer, { succeeded: false, reason: error.message }, requestId);
+        return 'failed';
+    }
+};
+
+/**
+ * Finishes runs left pending on an external transfer once the provider has settled it
+ * (externalTransferService), and emails the user the outcome.
+ * @param {Object} params - Parameters
+ * @param {number} params.limit - Maximum runs to check
+ * @param {string} params.requestId - Request ID for logs
+ * @returns {Promise<number>} Runs settled
+ */
+const settlePendingTransfers = async ({ limit, requestId }) => {
+    const transfers = await ScheduledTransfer.find({ status: 'pending' }).sort({ executedAt: 1 }).limit(limit);
+    let settled = 0;
+
+    for (const transfer of transfers) {
+        const transaction = await walletService.findTransferByIdempotencyKey(transfer.userId, idempotencyKeyFor(transfer));
+        const status = transaction && runStatusFor(transaction);
+        if (!status || status === 'pending') {
+            continue;
+        }
+
+        const failureReason = status === 'failed' ? transaction.metadata?.failureReason || 'Transfer failed' : undefined;
+        // Only the runner that moves it out of pending emails the user
+        const updated = await ScheduledTransfer.findOneAndUpdate(
+            { _id: transfer._id, status: 'pending' },
+            { $set: { status, failureReason } },
+            { new: true }
+        );
+        if (!updated) {
+            continue;
+        }
+
+        settled += 1;
+        logger.info(`Pending scheduled transfer ${status}`, {
+            userId: updated.userId,
+            scheduledTransferId: updated._id,
+            reference: updated.transactionReference,
+            requestId
+        });
+        await sendScheduledTransferEmail(updated, { succeeded: status === 'completed', reason: failureReason }, requestId);
+    }
+
+    return settled;
+};
+
+/**
+ * Runs every scheduled transfer that is due, one at a time.
+ * Safe to call from several processes: each transfer is claimed atomically.
+ * @param {Object} [options] - Options
+ * @param {Date} [options.now] - Current time
+ * @param {number} [options.limit] - Maximum transfers to run in this call
+ * @param {string} [options.requestId] - Request ID for logs
+ * @returns {Promise<Object>} Counts of completed, pending, failed and deferred transfers, and of
+ * pending ones settled
+ */
+const runDueTransfers = async ({ now = new Date(), limit = RUN_BATCH_SIZE, requestId = 'scheduled-transfers' } = {}) => {
+    const summary = { completed: 0, pending: 0, failed: 0, retry: 0 };
+    summary.settled = await settlePendingTransfers({ limit, requestId });
+
+    for (let processed = 0; processed < limit; processed += 1) {
+        const transfer = await claimDueTransfer(now);
+        if (!transfer) {
+            break;
+        }
+        const outcome = await runScheduledTransfer(transfer, `${requestId}-${transfer._id}`);
+        summary[outcome] += 1;
+    }
+
+    if (Object.values(summary).some(Boolean)) {
+        logger.info('Scheduled transfer run finished', { ...summary, requestId });
+    }
+
+    return summary;
+};
+
+export default {
+    createScheduledTransfer,
+    listScheduledTransfers,
+    cancelScheduledTransfer,
+    runDueTransfers,
+    resolveTransferTarget,
+    executeTransfer,
+    toScheduledTransferResponse
+};
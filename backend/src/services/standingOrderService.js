@@ -0,0 +1,695 @@
+import logger from '../utils/logger.js';
+import { sendErrorAlert } from '../utils/email.js';
+import { formatMoney, toMoneyResponse } from '../utils/money.js';
+import { nextOccurrence, parseCronExpression } from '../utils/recurrence.js';
+import { httpError } from '../utils/response.js';
+import { User } from '../models/User.js';
+import { StandingOrder } from '../models/StandingOrder.js';
+import { StandingOrderExecution } from '../models/StandingOrderExecution.js';
+import walletService from './walletService.js';
+import scheduledTransferService from './scheduledTransferService.js';
+
+/**
+ * Standing order service for NEG AI Banking Platform.
+ * Stores recurring transfers and runs each occurrence through the same execution path as
+ * scheduled transfers. Every occurrence is recorded as a StandingOrderExecution, and the
+ * resulting ledger rows carry metadata.standingOrderId.
+ *
+ * Catch-up policies decide what happens to occurrences missed while the runner was down:
+ * - skip: missed occurrences are recorded as skipped; only an occurrence that is less than
+ *   CATCH_UP_GRACE_MS late still runs.
+ * - run_once: missed occurrences collapse into a single run; the rest are recorded as skipped.
+ * - run_all: every missed occurrence runs, oldest first.
+ * Occurrences that fall while an order is paused are never caught up.
+ */
+
+const LOCK_MS = 5 * 60 * 1000; // A runner that dies mid-run releases the order after 5 minutes
+const RETRY_DELAY_MS = 60 * 1000; // Transient failures wait a minute before the next attempt
+const MAX_ATTEMPTS = 3; // Attempts per occurrence before a transient failure counts as failed
+const MAX_CONSECUTIVE_FAILURES = 3; // Orders pause themselves after this many failed runs in a row
+const CATCH_UP_GRACE_MS = 60 * 60 * 1000; // Later than this, an occurrence counts as missed
+const MIN_CUSTOM_INTERVAL_MS = 60 * 60 * 1000; // Custom schedules may run at most hourly
+const MAX_OCCURRENCES_PER_RUN = 500; // Bounds how many missed occurrences one claim walks
+const RUN_BATCH_SIZE = 50;
+const DUPLICATE_KEY_CODE = 11000;
+
+/**
+ * Shapes a standing order for API responses.
+ * @param {Object} order - StandingOrder document
+ * @returns {Object} Public fields
+ */
+const toStandingOrderResponse = (order) => ({
+    id: order._id,
+    transferType: order.transferType,
+    recipientAccountNumber: order.recipientAccountNumber,
+    recipientAccountName: order.recipientAccountName,
+    recipientBankName: order.recipientBankName,
+    ...toMoneyResponse(order.amount, order.currency),
+    description: order.description,
+    frequency: order.frequency,
+    cronExpression: order.cronExpression,
+    startDate: order.startDate,
+    endDate: order.endDate,
+    maxRuns: order.maxRuns,
+    catchUpPolicy: order.catchUpPolicy,
+    status: order.status,
+    nextRunAt: order.nextRunAt,
+    lastRunAt: order.lastRunAt,
+    runCount: order.runCount,
+    consecutiveFailures: order.consecutiveFailures,
+    pausedAt: order.pausedAt,
+    pauseReason: order.pauseReason,
+    createdAt: order.createdAt
+});
+
+/**
+ * Shapes a standing order execution for API responses.
+ * @param {Object} execution - StandingOrderExecution document
+ * @returns {Object} Public fields
+ */
+const toExecutionResponse = (execution) => ({
+    id: execution._id,
+    scheduledFor: execution.scheduledFor,
+    status: execution.status,
+    ...toMoneyResponse(execution.amount, execution.currency),
+    transactionReference: execution.transactionReference,
+    failureReason: execution.failureReason,
+    executedAt: execution.executedAt
+});
+
+/**
+ * Checks a recurrence and works out its first run.
+ * @param {Object} recurrence - frequency, cronExpression, startDate, endDate
+ * @returns {Date} First occurrence
+ * @throws {Error} With status 400 when the schedule is invalid
+ */
+const resolveFirstRun = ({ frequency, cronExpression, startDate, endDate }) => {
+    if (frequency === 'custom') {
+        if (!cronExpression) {
+            throw httpError('Cron expression is required for custom schedules', 400);
+        }
+        try {
+            parseCronExpression(cronExpression);
+        } catch (error) {
+            throw httpError(error.message, 400);
+        }
+    } else if (cronExpression) {
+        throw httpError('Cron expression is only allowed for custom schedules', 400);
+    }
+
+    if (endDate && endDate <= startDate) {
+        throw httpError('End date must be after the start date', 400);
+    }
+
+    const recurrence = { frequency, cronExpression, startDate };
+    const firstRun = nextOccurrence(recurrence, new Date(startDate.getTime() - 1));
+    if (!firstRun) {
+        throw httpError('Cron expression never matches a date', 400);
+    }
+    if (endDate && firstRun > endDate) {
+        throw httpError('No run falls between the start and end dates', 400);
+    }
+
+    if (frequency === 'custom') {
+        // Sample upcoming runs so a schedule like '* * * * *' cannot drain a wallet every minute
+        let previous = firstRun;
+        for (let sample = 0; sample < 24; sample += 1) {
+            const next = nextOccurrence(recurrence, previous);
+            if (!next) {
+                break;
+            }
+            if (next.getTime() - previous.getTime() < MIN_CUSTOM_INTERVAL_MS) {
+                throw httpError('Custom schedules cannot run more than once an hour', 400);
+            }
+            previous = next;
+        }
+    }
+
+    return firstRun;
+};
+
+/**
+ * Emails the user that a standing order run failed, and whether the order was paused.
+ * @param {Object} order - StandingOrder document
+ * @param {Object} details - { scheduledFor, reason, paused }
+ * @param {string} requestId - Request ID
+ */
+const sendStandingOrderFailureEmail = async (order, { scheduledFor, reason, paused }, requestId) => {
+    try {
+        const user = await User.findById(order.userId);
+        if (!user?.email) {
+            logger.warn('User email is missing for standing order email', {
+                userId: order.userId,
+                standingOrderId: order._id,
+                requestId
+            });
+            return;
+        }
+
+        await sendErrorAlert(
+            { message: 'Standing order payment failed', type: 'transaction' },
+            {
+                to: user.email,
+                subject: 'Standing Order Payment Failed - NEG AI Banking Platform',
+                text: `
+        Dear ${user.firstName} ${user.lastName},
+
+        Your ${order.frequency} standing order of ${formatMoney(order.amount, order.currency)} to ${order.recipientAccountNumber} (${order.recipientBankName || 'NEG AI Bank'}) could not be paid.
+        - Reason: ${reason}
+        - Due: ${scheduledFor.toISOString()}
+
+        ${paused
+        ? `The standing order has been paused after ${MAX_CONSECUTIVE_FAILURES} failed payments in a row. Resume it once the issue is resolved.`
+        : 'We will try again at the next scheduled date.'}
+        For support, contact support@negaibanking.com.
+        Request ID: ${requestId}
+      `,
+                requestId
+            }
+        );
+    } catch (error) {
+        logger.error('Failed to send standing order email', {
+            userId: order.userId,
+            standingOrderId: order._id,
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+    }
+};
+
+/**
+ * Creates a standing order.
+ * @param {Object} params - Parameters
+ * @param {number} params.amount - Amount per run in kobo
+ * @param {string} params.frequency - 'daily', 'weekly', 'monthly' or 'custom'
+ * @param {string} [params.cronExpression] - Five-field cron expression (WAT) for custom schedules
+ * @param {Date} params.startDate - First possible run; daily, weekly and monthly orders repeat its time
+ * @param {Date} [params.endDate] - No runs after this date
+ * @param {number} [params.maxRuns] - Stop after this many successful payments
+ * @param {string} [params.catchUpPolicy] - 'skip', 'run_once' or 'run_all'
+ * @returns {Promise<Object>} Standing order response
+ */
+const createStandingOrder = async ({
+    userId,
+    recipientAccountNumber,
+    amount,
+    description,
+    bankCode,
+    recipientAccountName,
+    recipientBankName,
+    frequency,
+    cronExpression,
+    startDate,
+    endDate,
+    maxRuns,
+    catchUpPolicy,
+    requestId
+}) => {
+    if (!(startDate > new Date())) {
+        throw httpError('Start date must be in the future', 400);
+    }
+    const firstRun = resolveFirstRun({ frequency, cronExpression, startDate, endDate });
+
+    const target = await scheduledTransferService.resolveTransferTarget({
+        userId,
+        recipientAccountNumber,
+        bankCode,
+        recipientAccountName,
+        recipientBankName,
+        requestId
+    });
+
+    const order = await StandingOrder.create({
+        userId,
+        transferType: target.transferType,
+        recipientAccountNumber,
+        bankCode: target.transferType === 'external' ? bankCode : undefined,
+        recipientAccountName: target.recipientAccountName,
+        recipientBankName: target.recipientBankName,
+        amount,
+        description,
+        frequency,
+        cronExpression: frequency === 'custom' ? cronExpression : undefined,
+        startDate,
+        endDate,
+        maxRuns,
+        catchUpPolicy,
+        nextRunAt: firstRun
+    });
+
+    logger.info('Standing order created', {
+        userId,
+        standingOrderId: order._id,
+        transferType: order.transferType,
+        frequency,
+        amount,
+        nextRunAt: firstRun,
+        requestId
+    });
+
+    return toStandingOrderResponse(order);
+};
+
+/**
+ * Lists a user's standing orders, newest first.
+ * @param {Object} params - Parameters
+ * @param {string} params.userId - User ID
+ * @param {string} [params.status] - Filter by status
+ * @param {string} [params.requestId] - Request ID
+ * @returns {Promise<Object[]>} Standing order responses
+ */
+const listStandingOrders = async ({ userId, status, requestId }) => {
+    const query = { userId };
+    if (status) {
+        query.status = status;
+    }
+
+    const orders = await StandingOrder.find(query).sort({ createdAt: -1, _id: -1 }).limit(100).lean();
+
+    logger.debug('Standing orders listed', { userId, status, count: orders.length, requestId });
+
+    return orders.map(toStandingOrderResponse);
+};
+
+/**
+ * Returns a standing order with its executions, most recent occurrence first.
+ * @param {Object} params - Parameters
+ * @param {string} params.userId - Owner's user ID
+ * @param {string} params.id - Standing order ID
+ * @param {Date} [params.before] - Only occurrences scheduled before this date
+ * @param {number} [params.limit] - Maximum executions to return
+ * @param {string} [params.requestId] - Request ID
+ * @returns {Promise<Object>} { standingOrder, executions }
+ * @throws {Error} 404 if the order does not exist
+ */
+const getStandingOrderExecutions = async ({ userId, id, before, limit = 50, requestId }) => {
+    const order = await StandingOrder.findOne({ _id: id, userId }).lean();
+    if (!order) {
+        throw httpError('Standing order not found', 404);
+    }
+
+    const query = { standingOrderId: order._id };
+    if (before) {
+        query.scheduledFor = { $lt: before };
+    }
+    const executions = await StandingOrderExecution.find(query).sort({ scheduledFor: -1 }).limit(limit).lean();
+
+    logger.debug('Standing order executions listed', {
+        userId,
+        standingOrderId: order._id,
+        count: executions.length,
+        requestId
+    });
+
+    return {
+        standingOrder: toStandingOrderResponse(order),
+        executions: executions.map(toExecutionResponse)
+    };
+};
+
+/**
+ * Explains why a status change was refused.
+ * @param {string} userId - Owner's user ID
+ * @param {string} id - Standing order ID
+ * @returns {Promise<Error>} 404 or 409 error
+ */
+const statusConflict = async (userId, id) => {
+    const existing = await StandingOrder.findOne({ _id: id, userId }).select('status').lean();
+    if (!existing) {
+        return httpError('Standing order not found', 404);
+    }
+    return httpError(`Standing order is already ${existing.status}`, 409);
+};
+
+/**
+ * Pauses an active standing order. A run already in progress still finishes.
+ * @param {Object} params - { userId, id, requestId }
+ * @returns {Promise<Object>} Paused standing order response
+ * @throws {Error} 404 if not found, 409 if it is not active
+ */
+const pauseStandingOrder = async ({ userId, id, requestId }) => {
+    const order = await StandingOrder.findOneAndUpdate(
+        { _id: id, userId, status: 'active' },
+        { $set: { status: 'paused', pausedAt: new Date(), pauseReason: 'Paused by user' } },
+        { new: true }
+    );
+    if (!order) {
+        throw await statusConflict(userId, id);
+    }
+
+    logger.info('Standing order paused', { userId, standingOrderId: order._id, requestId });
+
+    return toStandingOrderResponse(order);
+};
+
+/**
+ * Resumes a paused standing order from its next occurrence after now; runs that fell
+ * while it was paused are not caught up.
+ * @param {Object} params - { userId, id, requestId }
+ * @returns {Promise<Object>} Resumed standing order response
+ * @throws {Error} 404 if not found, 409 if it is not paused or has no runs left
+ */
+const resumeStandingOrder = async ({ userId, id, requestId }) => {
+    const existing = await StandingOrder.findOne({ _id: id, userId, status: 'paused' }).lean();
+    if (!existing) {
+        throw await statusConflict(userId, id);
+    }
+
+    const nextRunAt = nextOccurrence(existing, new Date());
+    if (!nextRunAt || (existing.endDate && nextRunAt > existing.endDate)) {
+        throw httpError('Standing order has no runs left before its end date', 409);
+    }
+
+    const order = await StandingOrder.findOneAndUpdate(
+        { _id: id, userId, status: 'paused' },
+        {
+            $set: { status: 'active', nextRunAt, consecutiveFailures: 0, attempts: 0 },
+            $unset: { pausedAt: 1, pauseReason: 1 }
+        },
+        { new: true }
+    );
+    if (!order) {
+        throw await statusConflict(userId, id);
+    }
+
+    logger.info('Standing order resumed', { userId, standingOrderId: order._id, nextRunAt, requestId });
+
+    return toStandingOrderResponse(order);
+};
+
+/**
+ * Cancels an active or paused standing order for good.
+ * @param {Object} params - { userId, id, requestId }
+ * @returns {Promise<Object>} Cancelled standing order response
+ * @throws {Error} 404 if not found, 409 if it already ended
+ */
+const cancelStandingOrder = async ({ userId, id, requestId }) => {
+    const order = await StandingOrder.findOneAndUpdate(
+        { _id: id, userId, status: { $in: ['active', 'paused'] } },
+        { $set: { status: 'cancelled', cancelledAt: new Date(), nextRunAt: null } },
+        { new: true }
+    );
+    if (!order) {
+        throw await statusConflict(userId, id);
+    }
+
+    logger.info('Standing order cancelled', { userId, standingOrderId: order._id, requestId });
+
+    return toStandingOrderResponse(order);
+};
+
+/**
+ * Atomically claims the next active order with a due occurrence that no runner holds.
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} Claimed order
+ */
+const claimDueOrder = async (now) =>
+    StandingOrder.findOneAndUpdate(
+        {
+            status: 'active',
+            nextRunAt: { $lte: now },
+            $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+        },
+        {
+            $set: { lockedUntil: new Date(now.getTime() + LOCK_MS) },
+            $inc: { attempts: 1 }
+        },
+        { new: true, sort: { nextRunAt: 1 } }
+    );
+
+/**
+ * Lists the order's occurrences that are due, oldest first, stopping at its end date.
+ * @param {Object} order - StandingOrder document
+ * @param {Date} now - Current time
+ * @returns {Date[]}
+ */
+const dueOccurrences = (order, now) => {
+    const occurrences = [];
+    let occurrence = order.nextRunAt;
+    while (
+        occurrence &&
+        occurrence <= now &&
+        (!order.endDate || occurrence <= order.endDate) &&
+        occurrences.length < MAX_OCCURRENCES_PER_RUN
+    ) {
+        occurrences.push(occurrence);
+        occurrence = nextOccurrence(order, occurrence);
+    }
+    return occurrences;
+};
+
+/**
+ * Records executions, ignoring any a crashed runner already wrote.
+ * @param {Object[]} executions - StandingOrderExecution fields
+ */
+const recordExecutions = async (executions) => {
+    if (!executions.length) {
+        return;
+    }
+    try {
+        await StandingOrderExecution.insertMany(executions, { ordered: false });
+    } catch (error) {
+        const writeErrors = error.writeErrors || [];
+        if (!writeErrors.length || writeErrors.some((writeError) => writeError.code !== DUPLICATE_KEY_CODE)) {
+            throw error;
+        }
+    }
+};
+
+/**
+ * Pays one occurrence of a standing order and records the result.
+ * @param {Object} order - Claimed StandingOrder document
+ * @param {Date} scheduledFor - Occurrence being paid
+ * @param {string} requestId - Request ID
+ * @returns {Promise<Object>} { outcome: 'completed'|'failed'|'retry', reason }
+ */
+const runOccurrence = async (order, scheduledFor, requestId) => {
+    const recorded = await StandingOrderExecution.findOne({ standingOrderId: order._id, scheduledFor }).lean();
+    if (recorded) {
+        // A previous runner finished this occurrence but died before moving the order on
+        return { outcome: recorded.status, reason: recorded.failureReason };
+    }
+
+    const execution = {
+        standingOrderId: order._id,
+        userId: order.userId,
+        scheduledFor,
+        amount: order.amount,
+        currency: order.currency
+    };
+    const idempotencyKey = `standing-order-${order._id}-${scheduledFor.getTime()}`;
+
+    try {
+        const previous = await walletService.findTransferByIdempotencyKey(order.userId, idempotencyKey);
+        const reference = previous
+            ? previous.reference
+            : (await scheduledTransferService.executeTransfer({
+                userId: order.userId,
+                transferType: order.transferType,
+                recipientAccountNumber: order.recipientAccountNumber,
+                bankCode: order.bankCode,
+                recipientAccountName: order.recipientAccountName,
+                recipientBankName: order.recipientBankName,
+                amount: order.amount,
+                description: order.description || 'Standing order',
+                idempotencyKey,
+                metadata: { standingOrderId: order._id.toString(), scheduledFor },
+                requestId
+            })).reference;
+
+        await recordExecutions([{ ...execution, status: 'completed', transactionReference: reference }]);
+
+        logger.info('Standing order run completed', {
+            userId: order.userId,
+            standingOrderId: order._id,
+            scheduledFor,
+            reference,
+            recovered: Boolean(previous),
+            requestId
+        });
+        return { outcome: 'completed' };
+    } catch (error) {
+        // Contention is worth another go shortly; anything else fails this occurrence
+        if (error.status === 503 && order.attempts < MAX_ATTEMPTS) {
+            logger.warn('Standing order run deferred after transient failure', {
+                standingOrderId: order._id,
+                scheduledFor,
+                attempts: order.attempts,
+                requestId,
+                error: error.message
+            });
+            return { outcome: 'retry' };
+        }
+
+        await recordExecutions([{ ...execution, status: 'failed', failureReason: error.message }]);
+
+        logger.warn('Standing order run failed', {
+            userId: order.userId,
+            standingOrderId: order._id,
+            scheduledFor,
+            requestId,
+            error: error.message
+        });
+        return { outcome: 'failed', reason: error.message };
+    }
+};
+
+/**
+ * Handles a claimed order: applies its catch-up policy to the due occurrences, pays the
+ * one it selects and moves the order on to its next occurrence.
+ * @param {Object} order - Claimed StandingOrder document
+ * @param {Date} now - Current time
+ * @param {string} requestId - Request ID
+ * @returns {Promise<string>} 'completed', 'failed', 'skipped' or 'retry'
+ */
+const processOrder = async (order, now, requestId) => {
+    const occurrences = dueOccurrences(order, now);
+    const latest = occurrences[occurrences.length - 1];
+
+    let toRun = null;
+    let skipped = [];
+    if (occurrences.length) {
+        if (order.catchUpPolicy === 'run_all') {
+            toRun = occurrences[0];
+        } else if (order.catchUpPolicy === 'run_once' || now.getTime() - latest.getTime() <= CATCH_UP_GRACE_MS) {
+            toRun = latest;
+            skipped = occurrences.slice(0, -1);
+        } else {
+            skipped = occurrences;
+        }
+    }
+
+    await recordExecutions(skipped.map((scheduledFor) => ({
+        standingOrderId: order._id,
+        userId: order.userId,
+        scheduledFor,
+        status: 'skipped',
+        amount: order.amount,
+        currency: order.currency,
+        failureReason: 'Missed while the scheduler was unavailable'
+    })));
+    if (skipped.length) {
+        logger.warn('Standing order occurrences skipped', {
+            standingOrderId: order._id,
+            catchUpPolicy: order.catchUpPolicy,
+            skipped: skipped.length,
+            requestId
+        });
+    }
+
+    const result = toRun ? await runOccurrence(order, toRun, requestId) : { outcome: 'skipped' };
+
+    if (result.outcome === 'retry') {
+        await StandingOrder.updateOne(
+            { _id: order._id },
+            { $set: { nextRunAt: toRun, lockedUntil: new Date(now.getTime() + RETRY_DELAY_MS) } }
+        );
+        return 'retry';
+    }
+
+    const runCount = order.runCount + (result.outcome === 'completed' ? 1 : 0);
+    const consecutiveFailures = result.outcome === 'failed'
+        ? order.consecutiveFailures + 1
+        : result.outcome === 'completed' ? 0 : order.consecutiveFailures;
+    const lastHandled = toRun || skipped[skipped.length - 1] || order.nextRunAt;
+    const next = nextOccurrence(order, lastHandled);
+    const finished = (order.maxRuns && runCount >= order.maxRuns) ||
+        !next ||
+        (order.endDate && next > order.endDate);
+
+    const update = {
+        nextRunAt: finished ? null : next,
+        lockedUntil: null,
+        attempts: 0,
+        runCount,
+        consecutiveFailures
+    };
+    if (toRun) {
+        update.lastRunAt = now;
+    }
+    await StandingOrder.updateOne({ _id: order._id }, { $set: update });
+
+    let paused = false;
+    if (finished) {
+        await StandingOrder.updateOne(
+            { _id: order._id, status: { $in: ['active', 'paused'] } },
+            { $set: { status: 'completed', completedAt: now } }
+        );
+        logger.info('Standing order completed', { standingOrderId: order._id, runCount, requestId });
+    } else if (consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+        const { modifiedCount } = await StandingOrder.updateOne(
+            { _id: order._id, status: 'active' },
+            {
+                $set: {
+                    status: 'paused',
+                    pausedAt: now,
+                    pauseReason: `Paused after ${consecutiveFailures} failed payments in a row`
+                }
+            }
+        );
+        paused = modifiedCount > 0;
+        if (paused) {
+            logger.warn('Standing order paused after repeated failures', {
+                standingOrderId: order._id,
+                consecutiveFailures,
+                requestId
+            });
+        }
+    }
+
+    if (result.outcome === 'failed') {
+        await sendStandingOrderFailureEmail(order, { scheduledFor: toRun, reason: result.reason, paused }, requestId);
+    }
+
+    return result.outcome;
+};
+
+/**
+ * Runs every standing order occurrence that is due, one order at a time.
+ * Safe to call from several processes: each order is claimed atomically.
+ * @param {Object} [options] - Options
+ * @param {Date} [options.now] - Current time
+ * @param {number} [options.limit] - Maximum claims in this call
+ * @param {string} [options.requestId] - Request ID for logs
+ * @returns {Promise<Object>} Counts of completed, failed, skipped and deferred runs
+ */
+const runDueStandingOrders = async ({ now = new Date(), limit = RUN_BATCH_SIZE, requestId = 'standing-orders' } = {}) => {
+    const summary = { completed: 0, failed: 0, skipped: 0, retry: 0 };
+
+    for (let processed = 0; processed < limit; processed += 1) {
+        const order = await claimDueOrder(now);
+        if (!order) {
+            break;
+        }
+        try {
+            const outcome = await processOrder(order, now, `${requestId}-${order._id}`);
+            summary[outcome] += 1;
+        } catch (error) {
+            // Leave the lock to expire so the order is retried rather than stuck
+            logger.error('Standing order run errored', {
+                standingOrderId: order._id,
+                requestId,
+                error: error.message,
+                stack: error.stack
+            });
+        }
+    }
+
+    if (summary.completed || summary.failed || summary.skipped || summary.retry) {
+        logger.info('Standing order run finished', { ...summary, requestId });
+    }
+
+    return summary;
+};
+
+export default {
+    createStandingOrder,
+    listStandingOrders,
+    getStandingOrderExecutions,
+    pauseStandingOrder,
+    resumeStandingOrder,
+    cancelStandingOrder,
+    runDueStandingOrders,
+    toStandingOrderResponse
+};
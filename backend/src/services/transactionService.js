@@ -0,0 +1,165 @@
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import { Transaction } from '../models/Transaction.js';
+import { toMajor, toMoneyResponse } from '../utils/money.js';
+
+/**
+ * Transaction service for NEG AI Banking Platform.
+ * Reads wallet ledger entries with filtering, free-text search and cursor pagination.
+ */
+
+const DEFAULT_PAGE_SIZE = 20;
+
+/**
+ * Escapes user input for use inside a MongoDB $regex string.
+ * @param {string} value - Raw search term
+ * @returns {string} Escaped pattern
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Encodes the sort position of a transaction into an opaque cursor.
+ * @param {Object} transaction - Transaction document
+ * @returns {string} Base64url cursor
+ */
+const encodeCursor = (transaction) =>
+    Buffer.from(JSON.stringify({
+        createdAt: transaction.createdAt.toISOString(),
+        id: transaction._id.toString()
+    })).toString('base64url');
+
+/**
+ * Decodes a cursor produced by encodeCursor.
+ * @param {string} cursor - Base64url cursor
+ * @returns {{ createdAt: Date, id: mongoose.Types.ObjectId }} Sort position
+ * @throws {Error} If the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+    try {
+        const { createdAt, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        const date = new Date(createdAt);
+        if (isNaN(date.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+            throw new Error('Invalid cursor contents');
+        }
+        return { createdAt: date, id: new mongoose.Types.ObjectId(id) };
+    } catch {
+        const invalidCursor = new Error('Invalid pagination cursor');
+        invalidCursor.status = 400;
+        throw invalidCursor;
+    }
+};
+
+/**
+ * Shapes a transaction document for API responses.
+ * @param {Object} transaction - Transaction document
+ * @returns {Object} Public transaction fields
+ */
+const toTransactionResponse = (transaction) => ({
+    id: transaction._id,
+    type: transaction.type,
+    ...toMoneyResponse(transaction.amount, transaction.currency),
+    reference: transaction.reference,
+    status: transaction.status,
+    source: transaction.source,
+    target: transaction.target,
+    targetBank: transaction.targetBank,
+    description: transaction.description,
+    transferFee: toMajor(transaction.metadata?.transferFee || 0, transaction.currency),
+    standingOrderId: transaction.metadata?.standingOrderId || null,
+    reversalOf: transaction.metadata?.reversalOf || null,
+    createdAt: transaction.createdAt
+});
+
+/**
+ * Lists a wallet's transactions newest first.
+ * @param {Object} params - Parameters
+ * @param {string} params.walletId - Wallet ID
+ * @param {Object} [params.filters] - type, status, source, currency, startDate, endDate, minAmount, maxAmount (minor units), counterparty, search
+ * @param {number} [params.limit] - Page size
+ * @param {string} [params.cursor] - Cursor returned by the previous page
+ * @param {string} params.requestId - Request ID
+ * @returns {Object} Transactions and page info
+ */
+const listTransactions = async ({ walletId, filters = {}, limit = DEFAULT_PAGE_SIZE, cursor, requestId }) => {
+    const {
+        type,
+        status,
+        source,
+        currency,
+        startDate,
+        endDate,
+        minAmount,
+        maxAmount,
+        counterparty,
+        search
+    } = filters;
+
+    const conditions = [{ walletId }];
+
+    if (type) conditions.push({ type });
+    if (status) conditions.push({ status });
+    if (source) conditions.push({ source });
+    if (currency) conditions.push({ currency });
+    if (counterparty) conditions.push({ target: counterparty });
+
+    if (startDate || endDate) {
+        const createdAt = {};
+        if (startDate) createdAt.$gte = startDate;
+        if (endDate) createdAt.$lte = endDate;
+        conditions.push({ createdAt });
+    }
+
+    if (minAmount !== undefined || maxAmount !== undefined) {
+        const amount = {};
+        if (minAmount !== undefined) amount.$gte = minAmount;
+        if (maxAmount !== undefined) amount.$lte = maxAmount;
+        conditions.push({ amount });
+    }
+
+    if (search) {
+        const pattern = { $regex: escapeRegex(search), $options: 'i' };
+        conditions.push({ $or: [{ description: pattern }, { reference: pattern }] });
+    }
+
+    if (cursor) {
+        const position = decodeCursor(cursor);
+        conditions.push({
+            $or: [
+                { createdAt: { $lt: position.createdAt } },
+                { createdAt: position.createdAt, _id: { $lt: position.id } }
+            ]
+        });
+    }
+
+    // Fetch one extra row to know whether another page exists
+    const rows = await Transaction.find({ $and: conditions })
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit + 1)
+        .lean();
+
+    const hasMore = rows.length > limit;
+    const page = hasMore ? rows.slice(0, limit) : rows;
+
+    logger.debug('Transactions listed', {
+        walletId,
+        filters,
+        limit,
+        returned: page.length,
+        hasMore,
+        requestId
+    });
+
+    return {
+        transactions: page.map(toTransactionResponse),
+        pageInfo: {
+            limit,
+            hasMore,
+            nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+        }
+    };
+};
+
+export default {
+    listTransactions,
+    toTransactionResponse
+};
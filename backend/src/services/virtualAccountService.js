@@ -0,0 +1,233 @@
+import logger from '../utils/logger.js';
+import { env } from '../config/env.js';
+import { User } from '../models/User.js';
+import { Wallet } from '../models/Wallet.js';
+import { sendErrorAlert } from '../utils/email.js';
+import { httpError } from '../utils/response.js';
+import { OPERATIONS, isUnsent, routeOperation } from '../providers/index.js';
+
+/**
+ * Virtual account service for NEG AI Banking Platform.
+ * Provisions a static NUBAN at a payment provider for each wallet whose owner has reached
+ * the required KYC tier. Bank transfers into the account arrive as provider webhooks and are
+ * credited by webhookService. Accounts are requested on demand and by the virtual accounts
+ * job, and a wallet lock makes sure only one request is made at a time.
+ */
+
+const MIN_KYC_TIER = 2;
+
+const DUPLICATE_KEY_CODE = 11000;
+const LOCK_MS = 2 * 60 * 1000;
+const BATCH_SIZE = 50;
+
+/**
+ * Shapes a wallet's virtual account for API responses.
+ * @param {Object|null} virtualAccount - Wallet.virtualAccount
+ * @returns {Object|null} Public fields
+ */
+const toVirtualAccountResponse = (virtualAccount) => (virtualAccount
+    ? {
+        accountNumber: virtualAccount.accountNumber,
+        accountName: virtualAccount.accountName,
+        bankName: virtualAccount.bankName,
+        provider: virtualAccount.provider,
+        createdAt: virtualAccount.createdAt
+    }
+    : null);
+
+/**
+ * Requests a virtual account for a wallet and stores it. The wallet is locked for the
+ * duration of the provider call; another request while it is locked gets a 409.
+ * Only a request that never reached a provider moves on to the next one, so a customer
+ * never ends up with two accounts.
+ * @param {Object} params - Parameters
+ * @param {Object} params.user - User document
+ * @param {Object} params.wallet - Wallet document
+ * @param {string} [params.requestId] - Request ID
+ * @returns {Promise<Object>} Wallet.virtualAccount
+ * @throws {Error} 409 if another request holds the lock
+ */
+const createForWallet = async ({ user, wallet, requestId }) => {
+    const now = new Date();
+    const locked = await Wallet.findOneAndUpdate(
+        {
+            _id: wallet._id,
+            virtualAccount: null,
+            $or: [{ virtualAccountLockedUntil: null }, { virtualAccountLockedUntil: { $lte: now } }]
+        },
+        { $set: { virtualAccountLockedUntil: new Date(now.getTime() + LOCK_MS) } },
+        { new: true }
+    );
+    if (!locked) {
+        const current = await Wallet.findById(wallet._id).select('virtualAccount').lean();
+        if (current?.virtualAccount) {
+            return current.virtualAccount;
+        }
+        throw httpError('A virtual account is already being created for this wallet', 409);
+    }
+
+    const reference = `VA-${wallet._id}`;
+    try {
+        const { provider, result: account } = await routeOperation(
+            OPERATIONS.VIRTUAL_ACCOUNT,
+            (adapter) => adapter.createVirtualAccount({
+                reference,
+                email: user.email,
+                firstName: user.firstName,
+                lastName: user.lastName,
+                phoneNumber: user.phoneNumber,
+                narration: `${user.firstName} ${user.lastName}`
+            }),
+            { canFailOver: isUnsent, requestId }
+        );
+
+        const virtualAccount = {
+            provider,
+            accountNumber: account.accountNumber,
+            accountName: account.accountName || `${user.firstName} ${user.lastName}`,
+            bankName: account.bankName,
+            reference,
+            providerId: account.providerId,
+            createdAt: new Date()
+        };
+        const updated = await Wallet.findByIdAndUpdate(
+            wallet._id,
+            { $set: { virtualAccount, virtualAccountLockedUntil: null } },
+            { new: true }
+        );
+
+        logger.info('Virtual account created', {
+            userId: user._id,
+            walletId: wallet._id,
+            provider,
+            virtualAccountNumber: virtualAccount.accountNumber,
+            requestId
+        });
+        return updated.virtualAccount;
+    } catch (error) {
+        await Wallet.updateOne({ _id: wallet._id }, { $set: { virtualAccountLockedUntil: null } });
+        logger.error('Error creating virtual account', {
+            userId: user._id,
+            walletId: wallet._id,
+            requestId,
+            error: error.response?.data || error.message,
+            stack: error.stack
+        });
+        if (error.status) {
+            throw error;
+        }
+        if (env.EMAIL_USER) {
+            await sendErrorAlert(
+                { message: 'Error creating virtual account', type: 'error' },
+                {
+                    to: env.EMAIL_USER,
+                    subject: 'Virtual Account Creation Failed - NEG AI Banking Platform',
+                    text: `Failed to create a virtual account for wallet ${wallet._id} (user ${user._id}). Error: ${error.code === DUPLICATE_KEY_CODE ? 'account number already assigned to another wallet' : error.response?.data?.message || error.message}. Request ID: ${requestId}`,
+                    requestId
+                }
+            );
+        }
+        throw httpError('Virtual account could not be created, please try again later', 502);
+    }
+};
+
+/**
+ * Returns the user's virtual account, creating it if they are eligible and have none.
+ * @param {Object} params - { userId, requestId }
+ * @returns {Promise<Object>} Virtual account response
+ * @throws {Error} 404 if the user or wallet is missing, 403 below the required KYC tier,
+ * 409 while another request is creating it, 502 if the provider fails
+ */
+const provisionVirtualAccount = async ({ userId, requestId }) => {
+    const user = await User.findById(userId);
+    if (!user) {
+        throw httpError('User not found', 404);
+    }
+    const wallet = await Wallet.findOne({ userId });
+    if (!wallet) {
+        throw httpError('Wallet not found', 404);
+    }
+    if (wallet.virtualAccount) {
+        return toVirtualAccountResponse(wallet.virtualAccount);
+    }
+    if (user.kycTier < MIN_KYC_TIER) {
+        throw httpError(`A virtual account requires KYC tier ${MIN_KYC_TIER}; your tier is ${user.kycTier}`, 403);
+    }
+
+    const virtualAccount = await createForWallet({ user, wallet, requestId });
+    return toVirtualAccountResponse(virtualAccount);
+};
+
+/**
+ * Returns the user's virtual account, or null if they have none yet.
+ * @param {Object} params - { userId }
+ * @returns {Promise<{ virtualAccount: Object|null, eligible: boolean }>}
+ * @throws {Error} 404 if the wallet is missing
+ */
+const getVirtualAccount = async ({ userId }) => {
+    const [wallet, user] = await Promise.all([
+        Wallet.findOne({ userId }).select('virtualAccount').lean(),
+        User.findById(userId).select('kycTier').lean()
+    ]);
+    if (!wallet) {
+        throw httpError('Wallet not found', 404);
+    }
+    return {
+        virtualAccount: toVirtualAccountResponse(wallet.virtualAccount),
+        eligible: (user?.kycTier || 1) >= MIN_KYC_TIER
+    };
+};
+
+/**
+ * Creates virtual accounts for eligible wallets that have none, such as customers whose KYC
+ * tier was raised since the last run. Called by the virtual accounts job.
+ * @param {Object} [params] - Parameters
+ * @param {string} [params.requestId] - Request ID
+ * @returns {Promise<{ created: number, failed: number }>}
+ */
+const provisionPendingVirtualAccounts = async ({ requestId } = {}) => {
+    const now = new Date();
+    const pending = await Wallet.aggregate([
+        {
+            $match: {
+                virtualAccount: null,
+                $or: [{ virtualAccountLockedUntil: null }, { virtualAccountLockedUntil: { $lte: now } }]
+            }
+        },
+        { $lookup: { from: User.collection.name, localField: 'userId', foreignField: '_id', as: 'user' } },
+        { $unwind: '$user' },
+        { $match: { 'user.kycTier': { $gte: MIN_KYC_TIER } } },
+        { $limit: BATCH_SIZE },
+        { $project: { _id: 1, userId: 1 } }
+    ]);
+
+    let created = 0;
+    let failed = 0;
+    for (const { _id: walletId, userId } of pending) {
+        try {
+            const [user, wallet] = await Promise.all([User.findById(userId), Wallet.findById(walletId)]);
+            if (!user || !wallet || wallet.virtualAccount) continue;
+            await createForWallet({ user, wallet, requestId });
+            created += 1;
+        } catch (error) {
+            failed += 1;
+            logger.warn('Virtual account not created, will retry', {
+                walletId,
+                userId,
+                requestId,
+                error: error.message
+            });
+        }
+    }
+
+    if (created || failed) {
+        logger.info('Pending virtual accounts processed', { created, failed, requestId });
+    }
+    return { created, failed };
+};
+
+export default {
+    provisionVirtualAccount,
+    getVirtualAccount,
+    provisionPendingVirtualAccounts
+};
@@ -1,24 +1,40 @@
-import mongoose from 'mongoose';
-import axios from 'axios';
 import { v4 as uuidv4 } from 'uuid';
 import { env } from '../config/env.js';
 import logger from '../utils/logger.js';
 import { Wallet } from '../models/Wallet.js';
 import { User } from '../models/User.js';
+import { Transaction } from '../models/Transaction.js';
 import { sendErrorAlert } from '../utils/email.js';
+import ledgerService from './ledgerService.js';
+import limitService from './limitService.js';
+import holdService from './holdService.js';
+import { OPERATIONS, PROVIDERS, getProvider, isDeclined, isUnsent, routeOperation } from '../providers/index.js';
+import { referenceIdFromKey } from '../utils/idempotency.js';
+import { DEFAULT_CURRENCY, formatMoney, isMinorAmount } from '../utils/money.js';
+import { withTransaction } from '../utils/withTransaction.js';
+import { httpError } from '../utils/response.js';
 
 /**
  * Wallet service for NEG AI Banking Platform.
- * Handles credit/debit operations, internal/external transfers, and bank account verification with MongoDB transactions and Flutterwave integration.
+ * Handles credit/debit operations, internal/external transfers, and bank account verification with MongoDB transactions and payment provider integration.
+ * Every balance change is a balanced journal entry posted through ledgerService; the matching
+ * Transaction rows are written inside the same MongoDB session.
+ * Amounts passed to and returned from this service are integer kobo; conversion to naira
+ * happens only in the provider adapters and when formatting messages.
+ * Transfers are checked against the sender's KYC tier limits (see limitService) first, so a
+ * rejection reaches the customer as a 403 without alerting admins. The daily limit is then
+ * enforced again inside the transaction that moves the money.
  */
 
+const EXTERNAL_TRANSFER_FEE = 5000; // Fixed NGN 50 fee for external transfers, in kobo
+
 /**
  * Sends transaction notification email to the user's email.
  * @param {Object} user - User object
  * @param {Object} transaction - Transaction details
  * @param {string} requestId - Request ID
- * @param {number} balance - Current wallet balance
- * @param {number} [transferFee] - Transfer fee (for external debit transactions only)
+ * @param {number} balance - Current wallet balance in kobo
+ * @param {number} [transferFee] - Transfer fee in kobo (for external debit transactions only)
  */
 const sendTransactionEmail = async (user, transaction, requestId, balance, transferFee = 0) => {
     try {
@@ -39,6 +55,7 @@ const sendTransactionEmail = async (user, transaction, requestId, balance, trans
         }
 
         const isDebit = transaction.type === 'debit';
+        const currency = transaction.currency || DEFAULT_CURRENCY;
         const mailOptions = {
             to: user.email,
             subject: `Transaction ${isDebit ? 'Debit' : 'Credit'} Alert - NEG AI Banking Platform`,
@@ -47,9 +64,9 @@ const sendTransactionEmail = async (user, transaction, requestId, balance, trans
         Dear ${user.firstName} ${user.lastName},
 
         A debit transaction has been processed in your wallet (Account Number: ${user.accountNumber}, Bank: ${user.bankName || 'NEG AI Bank'}):
-        - Amount: NGN ${transaction.amount.toFixed(2)}
-        ${transferFee > 0 ? `- Transfer Fee: NGN ${transferFee.toFixed(2)}\n        - Total Deducted: NGN ${(transaction.amount + transferFee).toFixed(2)}` : ''}
-        - Current Balance: NGN ${balance.toFixed(2)}
+        - Amount: ${formatMoney(transaction.amount, currency)}
+        ${transferFee > 0 ? `- Transfer Fee: ${formatMoney(transferFee, currency)}\n        - Total Deducted: ${formatMoney(transaction.amount + transferFee, currency)}` : ''}
+        - Current Balance: ${formatMoney(balance, currency)}
         - Reference: ${transaction.reference}
         - Status: ${transaction.status}
         - Description: ${transaction.description || 'No description'}
@@ -64,8 +81,8 @@ const sendTransactionEmail = async (user, transaction, requestId, balance, trans
         Dear ${user.firstName} ${user.lastName},
 
         A credit transaction has been processed in your wallet (Account Number: ${user.accountNumber}, Bank: ${user.bankName || 'NEG AI Bank'}):
-        - Amount Credited: NGN ${transaction.amount.toFixed(2)}
-        - Current Balance: NGN ${balance.toFixed(2)}
+        - Amount Credited: ${formatMoney(transaction.amount, currency)}
+        - Current Balance: ${formatMoney(balance, currency)}
         - Reference: ${transaction.reference}
         - Status: ${transaction.status}
         - Description: ${transaction.description || 'No description'}
@@ -113,50 +130,29 @@ const sendTransactionEmail = async (user, transaction, requestId, balance, trans
 };
 
 /**
- * Verifies a bank account using Flutterwave's account resolution endpoint.
+ * Resolves a bank account to its account name through the providers routed for account
+ * resolution.
  * @param {Object} params - Parameters
- * @returns {Object} Bank account details
+ * @returns {Object} Bank account details: { accountNumber, accountName, bankName, provider }
  */
 const verifyBankAccount = async ({ accountNumber, bankCode, requestId }) => {
     try {
-        if (!env.FLUTTERWAVE_SECRET_KEY) {
-            throw new Error('Flutterwave secret key is not defined');
-        }
-
-        const response = await axios.post(
-            'https://api.flutterwave.com/v3/accounts/resolve',
-            {
-                account_number: accountNumber,
-                account_bank: bankCode,
-                destination: 'NG' // Nigeria
-            },
-            {
-                headers: {
-                    Authorization: `Bearer ${env.FLUTTERWAVE_SECRET_KEY}`,
-                    'Content-Type': 'application/json'
-                }
-            }
+        const { provider, result: account } = await routeOperation(
+            OPERATIONS.ACCOUNT_RESOLUTION,
+            (adapter) => adapter.resolveAccount({ accountNumber, bankCode }),
+            { requestId }
         );
 
-        if (response.data.status !== 'success') {
-            logger.warn('Bank account verification failed', {
-                accountNumber,
-                bankCode,
-                requestId,
-                response: response.data
-            });
-            throw new Error('Bank account verification failed');
-        }
-
         logger.info('Bank account verified successfully', {
             accountNumber,
             bankCode,
+            provider,
             requestId,
-            accountName: response.data.data.account_name,
-            bankName: response.data.data.bank_name
+            accountName: account.accountName,
+            bankName: account.bankName
         });
 
-        return response.data.data;
+        return { ...account, provider };
     } catch (error) {
         logger.error('Error verifying bank account', {
             accountNumber,
@@ -187,22 +183,21 @@ const verifyBankAccount = async ({ accountNumber, bankCode, requestId }) => {
 };
 
 /**
- * Initiates a payment with Flutterwave.
- * @param {Object} user - User object
- * @param {number} amount - Amount to fund
- * @param {string} reference - Unique transaction reference
- * @param {string} requestId - Request ID
- * @param {string} accountNumber - User's account number
- * @returns {Object} Payment initiation response
+ * Starts a hosted card payment with the first available provider routed for funding. The
+ * customer returns to that provider's callback URL, and the payment is verified with the
+ * same provider.
+ * @param {Object} params - Parameters
+ * @param {Object} params.user - User object
+ * @param {number} params.amount - Amount to fund in kobo
+ * @param {string} params.reference - Unique transaction reference
+ * @param {string} params.accountNumber - User's account number
+ * @param {string} params.requestId - Request ID
+ * @returns {Object} { provider, link, reference }
  */
-const initiateFlutterwavePayment = async (user, amount, reference, requestId, accountNumber) => {
+const initiatePayment = async ({ user, amount, reference, accountNumber, requestId }) => {
     try {
-        if (!env.FLUTTERWAVE_SECRET_KEY) {
-            throw new Error('Flutterwave secret key is not defined');
-        }
-
         // Verify accountNumber matches user's accountNumber
-        if (accountNumber !== user.accountNumber) {
+        if (!user.hasAccountNumber(accountNumber)) {
             logger.warn('Account number mismatch for funding', {
                 userId: user._id,
                 email: user.email,
@@ -213,7 +208,7 @@ const initiateFlutterwavePayment = async (user, amount, reference, requestId, ac
             throw new Error('Invalid account number');
         }
 
-        logger.debug('Raw amount received in initiateFlutterwavePayment', {
+        logger.debug('Raw amount received in initiatePayment', {
             userId: user._id,
             email: user.email,
             accountNumber: user.accountNumber,
@@ -224,8 +219,8 @@ const initiateFlutterwavePayment = async (user, amount, reference, requestId, ac
         });
 
         const validatedAmount = Number(amount);
-        if (isNaN(validatedAmount) || validatedAmount <= 0) {
-            logger.warn('Invalid amount for Flutterwave payment', {
+        if (!isMinorAmount(validatedAmount) || validatedAmount <= 0) {
+            logger.warn('Invalid amount for payment', {
                 userId: user._id,
                 email: user.email,
                 accountNumber: user.accountNumber,
@@ -234,53 +229,40 @@ const initiateFlutterwavePayment = async (user, amount, reference, requestId, ac
                 validatedAmount,
                 requestId
             });
-            throw new Error('Amount must be a positive number');
+            throw new Error('Amount must be a positive whole number of kobo');
         }
 
-        const response = await axios.post(
-            'https://api.flutterwave.com/v3/payments',
-            {
-                tx_ref: reference,
+        const { provider, result: payment } = await routeOperation(
+            OPERATIONS.FUNDING,
+            (adapter) => adapter.initiatePayment({
+                reference,
                 amount: validatedAmount,
-                currency: 'NGN',
-                redirect_url: 'https://068d-197-210-29-66.ngrok-free.app/api/wallet/callback',
+                currency: DEFAULT_CURRENCY,
+                redirectUrl: `${env.BASE_URL}/api/wallet/callback/${adapter.name}`,
                 customer: {
                     email: user.email,
                     name: `${user.firstName} ${user.lastName}`
                 },
-                customizations: {
-                    title: 'NEG AI Banking Wallet Funding',
-                    description: `Fund wallet with NGN ${validatedAmount.toFixed(2)} for account ${user.accountNumber}`
-                }
-            },
-            {
-                headers: {
-                    Authorization: `Bearer ${env.FLUTTERWAVE_SECRET_KEY}`,
-                    'Content-Type': 'application/json'
-                }
-            }
+                description: `Fund wallet with ${formatMoney(validatedAmount)} for account ${user.accountNumber}`,
+                metadata: { accountNumber: user.accountNumber }
+            }),
+            { requestId }
         );
 
-        logger.info('Flutterwave payment initiated', {
+        logger.info('Payment initiated', {
             userId: user._id,
             email: user.email,
             accountNumber: user.accountNumber,
+            provider,
             reference,
             requestId,
             amount: validatedAmount,
-            flutterwaveResponse: {
-                status: response.data.status,
-                message: response.data.message,
-                data: {
-                    link: response.data.data.link,
-                    tx_ref: response.data.data.tx_ref
-                }
-            }
+            link: payment.link
         });
 
-        return response.data;
+        return { ...payment, provider };
     } catch (error) {
-        logger.error('Failed to initiate Flutterwave payment', {
+        logger.error('Failed to initiate payment', {
             userId: user._id,
             email: user.email,
             accountNumber: user.accountNumber,
@@ -299,7 +281,7 @@ const initiateFlutterwavePayment = async (user, amount, reference, requestId, ac
                 recipient: env.EMAIL_USER
             });
             await sendErrorAlert(
-                { message: 'Failed to initiate Flutterwave payment', type: 'error' },
+                { message: 'Failed to initiate payment', type: 'error' },
                 {
                     to: env.EMAIL_USER,
                     subject: 'Payment Initiation Failed - NEG AI Banking Platform',
@@ -308,43 +290,38 @@ const initiateFlutterwavePayment = async (user, amount, reference, requestId, ac
                 }
             );
         }
-        throw new Error(`Failed to initiate payment with Flutterwave: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Failed to initiate payment: ${error.response?.data?.message || error.message}`);
     }
 };
 
 /**
- * Verifies a Flutterwave payment.
- * @param {string} transactionId - Flutterwave transaction ID
- * @param {string} requestId - Request ID
- * @returns {Object} Verification response
+ * Verifies a payment with the provider that took it.
+ * @param {Object} params - Parameters
+ * @param {string} params.provider - Provider name
+ * @param {string} [params.transactionId] - Provider transaction ID
+ * @param {string} [params.reference] - Our payment reference
+ * @param {string} params.requestId - Request ID
+ * @returns {Object} Payment: { id, reference, amount (kobo), currency, status }
  */
-const verifyFlutterwavePayment = async (transactionId, requestId) => {
+const verifyPayment = async ({ provider, transactionId, reference, requestId }) => {
     try {
-        if (!env.FLUTTERWAVE_SECRET_KEY) {
-            throw new Error('Flutterwave secret key is not defined');
-        }
-
-        const response = await axios.get(
-            `https://api.flutterwave.com/v3/transactions/${transactionId}/verify`,
-            {
-                headers: {
-                    Authorization: `Bearer ${env.FLUTTERWAVE_SECRET_KEY}`
-                }
-            }
-        );
+        const payment = await getProvider(provider).verifyPayment({ transactionId, reference });
 
-        logger.info('Flutterwave payment verified', {
-            transactionId,
+        logger.info('Payment verified', {
+            provider,
+            transactionId: payment.id,
             requestId,
-            status: response.data.status,
-            amount: response.data.data?.amount,
-            tx_ref: response.data.data?.tx_ref
+            status: payment.status,
+            amount: payment.amount,
+            reference: payment.reference
         });
 
-        return response.data;
+        return payment;
     } catch (error) {
-        logger.error('Failed to verify Flutterwave payment', {
+        logger.error('Failed to verify payment', {
+            provider,
             transactionId,
+            reference,
             requestId,
             error: error.response?.data || error.message,
             stack: error.stack
@@ -356,71 +333,69 @@ const verifyFlutterwavePayment = async (transactionId, requestId) => {
                 recipient: env.EMAIL_USER
             });
             await sendErrorAlert(
-                { message: 'Failed to verify Flutterwave payment', type: 'error' },
+                { message: 'Failed to verify payment', type: 'error' },
                 {
                     to: env.EMAIL_USER,
                     subject: 'Payment Verification Failed - NEG AI Banking Platform',
-                    text: `Failed to verify payment for transaction ${transactionId}. Error: ${error.message}. Request ID: ${requestId}`,
+                    text: `Failed to verify ${provider} payment ${transactionId || reference}. Error: ${error.message}. Request ID: ${requestId}`,
                     requestId
                 }
             );
         }
-        throw new Error(`Failed to verify payment with Flutterwave: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Failed to verify payment: ${error.response?.data?.message || error.message}`);
     }
 };
 
 /**
- * Checks Flutterwave account balance (if supported by API).
- * @param {string} requestId - Request ID
- * @returns {number} Available balance
+ * Fetches an outgoing transfer from the provider that sent it, to learn its current status.
+ * @param {Object} params - Parameters
+ * @param {string} params.provider - Provider name
+ * @param {string} params.transferId - Provider transfer ID
+ * @param {string} params.requestId - Request ID
+ * @returns {Object} Transfer: { id, reference, amount (kobo), status, message }
  */
-const checkFlutterwaveBalance = async (requestId) => {
+const getProviderTransfer = async ({ provider, transferId, requestId }) => {
     try {
-        if (!env.FLUTTERWAVE_SECRET_KEY) {
-            throw new Error('Flutterwave secret key is not defined');
-        }
-
-        // Note: Flutterwave's API may not expose a direct balance endpoint for payout accounts.
-        // This is a placeholder; replace with actual endpoint if available.
-        const response = await axios.get(
-            'https://api.flutterwave.com/v3/balances/NGN',
-            {
-                headers: {
-                    Authorization: `Bearer ${env.FLUTTERWAVE_SECRET_KEY}`,
-                    'Content-Type': 'application/json'
-                }
-            }
-        );
-
-        if (response.data.status !== 'success') {
-            logger.warn('Failed to check Flutterwave balance', {
-                requestId,
-                response: response.data
-            });
-            throw new Error('Failed to check Flutterwave balance');
-        }
+        const transfer = await getProvider(provider).getTransfer(transferId);
 
-        const balance = Number(response.data.data.available_balance);
-        logger.info('Flutterwave balance checked', {
+        logger.info('Provider transfer fetched', {
+            provider,
+            transferId,
             requestId,
-            balance
+            status: transfer.status,
+            reference: transfer.reference
         });
 
-        return balance;
+        return transfer;
     } catch (error) {
-        logger.error('Error checking Flutterwave balance', {
+        logger.error('Failed to fetch provider transfer', {
+            provider,
+            transferId,
             requestId,
             error: error.response?.data || error.message,
             stack: error.stack
         });
-        throw new Error(`Failed to check Flutterwave balance: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Failed to fetch transfer from ${provider}: ${error.response?.data?.message || error.message}`);
     }
 };
 
 /**
- * Initiates an external transfer via Flutterwave with a 50 NGN fee.
+ * Initiates an external transfer with a NGN 50 fee through the providers routed for payouts.
+ * The next provider is tried only when the transfer cannot have reached the current one:
+ * it is unreachable, or its balance is too low to cover the amount.
+ * Before anything is sent, one MongoDB transaction writes the pending ledger row and holds
+ * amount plus fee on the wallet (a pending_transfer hold), so a concurrent spend cannot take
+ * the money and every transfer that may have left has a row to settle. If the providers
+ * declined the transfer the hold is released and the row marked failed; if the outcome is
+ * unknown (a timeout, say) both stay until the status poll settles or escalates it. Once the
+ * provider that sent it reports the outcome (externalTransferService), the hold is captured
+ * by a journal entry debiting the wallet for amount plus fee, crediting the provider's
+ * settlement account with the amount and fee income with the fee, or released if it failed.
+ * When an idempotency key is supplied the reference is derived from it, so a retry is
+ * rejected as a duplicate here and by the provider.
  * @param {Object} params - Parameters
- * @returns {Object} Transfer response
+ * @param {Object} [params.metadata] - Extra metadata for the journal entry and ledger row, e.g. { standingOrderId }
+ * @returns {Object} Transfer response; balance is the available balance after the hold
  */
 const initiateExternalTransfer = async ({
     userId,
@@ -430,195 +405,230 @@ const initiateExternalTransfer = async ({
     recipientAccountName,
     recipientBankName,
     description,
-    requestId
+    requestId,
+    idempotencyKey,
+    metadata = {}
 }) => {
+    await limitService.checkTransfer({ userId, amount: Number(amount), requestId });
+
     try {
-        if (!env.FLUTTERWAVE_SECRET_KEY) {
-            throw new Error('Flutterwave secret key is not defined');
+        const senderWallet = await Wallet.findOne({ userId });
+        if (!senderWallet) {
+            throw new Error('Sender wallet not found');
         }
 
-        const session = await mongoose.startSession();
-        try {
-            session.startTransaction();
+        // Ensure balance and amount are whole kobo; held funds cannot be sent. The hold below
+        // is what guarantees the funds; this only turns a short wallet away early.
+        const validatedBalance = await senderWallet.getAvailableBalance();
+        const validatedAmount = Number(amount);
+        const transferFee = EXTERNAL_TRANSFER_FEE;
+        const totalAmount = validatedAmount + transferFee;
 
-            const senderWallet = await Wallet.findOne({ userId })
-                .session(session)
-                .select('+balance');
-            if (!senderWallet) {
-                throw new Error('Sender wallet not found');
-            }
+        logger.debug('Fetched sender wallet for external transfer', {
+            userId,
+            walletId: senderWallet._id,
+            accountNumber: senderWallet.accountNumber,
+            validatedBalance,
+            amount,
+            validatedAmount,
+            transferFee,
+            totalAmount,
+            requestId
+        });
 
-            // Ensure balance and amount are numbers
-            const validatedBalance = Number(senderWallet.balance);
-            const validatedAmount = Number(amount);
-            const transferFee = 50; // Fixed 50 NGN fee for external transfers
-            const totalAmount = validatedAmount + transferFee;
+        if (!isMinorAmount(validatedBalance) || !isMinorAmount(validatedAmount) || validatedAmount <= 0) {
+            logger.error('Invalid balance or amount type', {
+                userId,
+                walletId: senderWallet._id,
+                validatedBalance,
+                validatedAmount,
+                requestId
+            });
+            throw new Error('Invalid balance or amount');
+        }
 
-            logger.debug('Fetched sender wallet for external transfer', {
+        if (validatedBalance < totalAmount) {
+            logger.warn('Insufficient balance in wallet for external transfer', {
                 userId,
                 walletId: senderWallet._id,
                 accountNumber: senderWallet.accountNumber,
-                rawBalance: senderWallet.balance,
                 validatedBalance,
-                balanceType: typeof senderWallet.balance,
-                amount,
-                validatedAmount,
+                amount: validatedAmount,
                 transferFee,
                 totalAmount,
                 requestId
             });
+            throw httpError('Insufficient balance in wallet', 400);
+        }
 
-            if (isNaN(validatedBalance) || isNaN(validatedAmount)) {
-                logger.error('Invalid balance or amount type', {
-                    userId,
-                    walletId: senderWallet._id,
-                    validatedBalance,
-                    validatedAmount,
-                    requestId
-                });
-                throw new Error('Invalid balance or amount');
-            }
+        // Verify recipient bank account
+        const recipientAccount = await verifyBankAccount({
+            accountNumber: recipientAccountNumber,
+            bankCode: recipientBankCode,
+            requestId
+        });
+
+        const reference = `EXT-TRANSFER-${idempotencyKey ? referenceIdFromKey(userId, idempotencyKey) : uuidv4()}`;
+
+        const existingTransaction = await Transaction.exists({ reference });
+        if (existingTransaction) {
+            logger.warn('Duplicate external transfer detected', {
+                userId,
+                reference,
+                requestId
+            });
+            throw httpError('Transaction already processed', 409);
+        }
 
-            if (validatedBalance < totalAmount) {
-                logger.warn('Insufficient balance in wallet for external transfer', {
+        const { transaction, hold, balance } = await withTransaction(async (session) => {
+            try {
+                const [transaction] = await Transaction.create([{
+                    walletId: senderWallet._id,
+                    userId,
+                    type: 'debit',
+                    amount: validatedAmount,
+                    currency: DEFAULT_CURRENCY,
+                    reference,
+                    status: 'pending',
+                    source: 'external_transfer',
+                    target: recipientAccountNumber,
+                    targetBank: recipientBankName,
+                    description,
+                    createdBy: userId,
+                    metadata: { ...metadata, transferFee }
+                }], { session });
+                await limitService.reserveDailyTransfer({
                     userId,
                     walletId: senderWallet._id,
-                    accountNumber: senderWallet.accountNumber,
-                    validatedBalance,
                     amount: validatedAmount,
-                    transferFee,
-                    totalAmount,
+                    session,
                     requestId
                 });
-                throw new Error('Insufficient balance in wallet');
+                const { hold, account } = await holdService.holdForTransfer({
+                    wallet: senderWallet,
+                    amount: totalAmount,
+                    transaction,
+                    session
+                });
+                return { transaction, hold, balance: account.balance - account.heldBalance };
+            } catch (error) {
+                if (error.code === 11000) {
+                    throw httpError('Transaction already processed', 409);
+                }
+                if (error.status === 400) {
+                    throw httpError('Insufficient balance in wallet', 400);
+                }
+                throw error;
             }
+        }, { operation: 'initiateExternalTransfer', requestId });
 
-            // Verify recipient bank account
-            await verifyBankAccount({ accountNumber: recipientAccountNumber, bankCode: recipientBankCode, requestId });
-
-            // Check Flutterwave account balance (if supported)
-            try {
-                const flutterwaveBalance = await checkFlutterwaveBalance(requestId);
-                if (flutterwaveBalance < validatedAmount) {
-                    logger.warn('Insufficient balance in Flutterwave account', {
+        let routed;
+        try {
+            routed = await routeOperation(OPERATIONS.PAYOUT, async (adapter) => {
+                // Best effort: not every account can read its payout balance
+                const providerBalance = await adapter.getBalance(DEFAULT_CURRENCY).catch((error) => {
+                    logger.warn('Skipping provider balance check due to API limitation or error', {
+                        userId,
+                        provider: adapter.name,
+                        requestId,
+                        error: error.message
+                    });
+                    return null;
+                });
+                if (providerBalance !== null && providerBalance < validatedAmount) {
+                    logger.warn('Insufficient balance in payment provider account', {
                         userId,
-                        walletId: senderWallet._id,
-                        accountNumber: senderWallet.accountNumber,
-                        flutterwaveBalance,
+                        provider: adapter.name,
+                        providerBalance,
                         amount: validatedAmount,
-                        transferFee,
-                        totalAmount,
                         requestId
                     });
-                    throw new Error('Insufficient balance in payment provider account');
+                    const error = new Error('Insufficient balance in payment provider account');
+                    error.unsent = true;
+                    throw error;
                 }
-            } catch (error) {
-                logger.warn('Skipping Flutterwave balance check due to API limitation or error', {
-                    userId,
-                    requestId,
-                    error: error.message
-                });
-                // Continue if balance check is not supported
-            }
-
-            const reference = `EXT-TRANSFER-${uuidv4()}`;
 
-            const existingTransaction = senderWallet.ledger.find(
-                (tx) => tx.reference === reference
-            );
-            if (existingTransaction) {
-                logger.warn('Duplicate external transfer detected', {
-                    userId,
-                    reference,
-                    requestId
-                });
-                throw new Error('Transaction already processed');
-            }
-
-            const response = await axios.post(
-                'https://api.flutterwave.com/v3/transfers',
-                {
-                    account_bank: recipientBankCode,
-                    account_number: recipientAccountNumber,
-                    amount: validatedAmount,
-                    currency: 'NGN',
+                return adapter.createTransfer({
                     reference,
-                    narration: description || 'External transfer from NEG AI Bank',
-                    debit_currency: 'NGN'
-                },
-                {
-                    headers: {
-                        Authorization: `Bearer ${env.FLUTTERWAVE_SECRET_KEY}`,
-                        'Content-Type': 'application/json'
-                    }
-                }
-            );
-
-            if (response.data.status !== 'success') {
-                logger.warn('External transfer initiation failed', {
-                    userId,
-                    recipientAccountNumber,
-                    recipientBankCode,
                     amount: validatedAmount,
+                    currency: DEFAULT_CURRENCY,
+                    accountNumber: recipientAccountNumber,
+                    accountName: recipientAccountName || recipientAccount.accountName,
+                    bankCode: recipientBankCode,
+                    narration: description || 'External transfer from NEG AI Bank'
+                });
+            }, { canFailOver: isUnsent, requestId });
+        } catch (error) {
+            if (isDeclined(error)) {
+                await releaseExternalTransfer({
                     reference,
-                    requestId,
-                    response: response.data
+                    failureReason: error.response?.data?.message || error.message,
+                    requestId
                 });
-                throw new Error(`External transfer initiation failed: ${response.data.message || 'Unknown error'}`);
-            }
-
-            senderWallet.balance = validatedBalance - totalAmount;
-            const transaction = {
-                type: 'debit',
-                amount: validatedAmount,
-                reference,
-                status: 'completed',
-                source: 'external_transfer',
-                target: recipientAccountNumber,
-                targetBank: recipientBankName,
-                description,
-                createdBy: userId,
-                metadata: { transferFee }
-            };
-            senderWallet.ledger.push(transaction);
-
-            await senderWallet.save({ session });
-
-            await session.commitTransaction();
-
-            const user = await User.findById(userId);
-            if (user) {
-                await sendTransactionEmail(user, transaction, requestId, senderWallet.balance, transferFee);
             } else {
-                logger.warn('User not found for email notification', {
+                // The transfer may have gone out: the row and hold stay for the poll to settle or escalate
+                logger.error('External transfer outcome unknown, leaving it pending', {
                     userId,
                     reference,
-                    requestId
+                    holdId: hold._id,
+                    requestId,
+                    error: error.response?.data || error.message
                 });
             }
+            throw error;
+        }
 
-            logger.info('External transfer initiated successfully', {
+        const { provider, result: providerTransfer } = routed;
+        // The transfer is out: a failure to record its provider must not report it as failed
+        await Transaction.updateOne(
+            { _id: transaction._id },
+            { $set: { provider, 'metadata.providerTransferId': providerTransfer.id } }
+        ).catch((error) => {
+            logger.error('Failed to record provider transfer ID, the status poll will escalate it', {
                 userId,
-                accountNumber: senderWallet.accountNumber,
-                recipientAccountNumber,
-                recipientBankCode,
-                recipientBankName,
-                amount: validatedAmount,
-                transferFee,
-                totalAmount,
                 reference,
+                provider,
+                providerTransferId: providerTransfer.id,
                 requestId,
-                flutterwaveTransferId: response.data.data.id
+                error: error.message
             });
+        });
+        transaction.provider = provider;
+        transaction.metadata = { ...transaction.metadata, providerTransferId: providerTransfer.id };
 
-            return { transaction, flutterwaveResponse: response.data };
-        } catch (error) {
-            await session.abortTransaction();
-            throw error;
-        } finally {
-            session.endSession();
+        const user = await User.findById(userId);
+        if (user) {
+            await sendTransactionEmail(user, transaction, requestId, balance, transferFee);
+        } else {
+            logger.warn('User not found for email notification', {
+                userId,
+                reference,
+                requestId
+            });
         }
+
+        logger.info('External transfer initiated successfully', {
+            userId,
+            accountNumber: senderWallet.accountNumber,
+            recipientAccountNumber,
+            recipientBankCode,
+            recipientBankName,
+            amount: validatedAmount,
+            transferFee,
+            totalAmount,
+            reference,
+            requestId,
+            holdId: hold._id,
+            provider,
+            providerTransferId: providerTransfer.id
+        });
+
+        return { transaction, providerTransfer: { ...providerTransfer, provider }, balance };
     } catch (error) {
+        // Keeps its 403, like a rejection from checkTransfer
+        if (error.code === 'LIMIT_EXCEEDED') {
+            throw error;
+        }
         logger.error('Error initiating external transfer', {
             userId,
             recipientAccountNumber,
@@ -627,7 +637,7 @@ const initiateExternalTransfer = async ({
             requestId,
             error: error.response?.data || error.message,
             stack: error.stack,
-            flutterwaveError: error.response?.data
+            providerError: error.response?.data
         });
         if (env.EMAIL_USER) {
             logger.debug('Preparing to send error email for external transfer failure', {
@@ -647,94 +657,172 @@ const initiateExternalTransfer = async ({
                 }
             );
         }
+        // A short wallet, a duplicate or contention keeps its status for the controller and for
+        // callers that retry; a provider's own HTTP status (error.response) is not the client's
+        if (error.status && !error.response) {
+            throw error;
+        }
         throw new Error(`Failed to initiate external transfer: ${error.response?.data?.message || error.message}`);
     }
 };
 
+/**
+ * Marks a pending external transfer failed and releases the hold on its amount and fee, in
+ * one MongoDB transaction, taking the amount back off the sender's daily transfer total. The
+ * wallet was never debited, so nothing needs refunding.
+ * @param {Object} params - Parameters
+ * @param {string} params.reference - Transfer reference (EXT-TRANSFER-...)
+ * @param {string} params.failureReason - Why it failed
+ * @param {string} [params.requestId] - Request ID
+ * @returns {Promise<{ transaction: Object, balance: number }|null>} Failed transaction and the
+ * available balance after the release, or null if the transfer was not pending
+ */
+const releaseExternalTransfer = async ({ reference, failureReason, requestId }) => {
+    const result = await withTransaction(async (session) => {
+        const transaction = await Transaction.findOneAndUpdate(
+            { reference, source: 'external_transfer', type: 'debit', status: 'pending' },
+            { $set: { status: 'failed', settledAt: new Date(), 'metadata.failureReason': failureReason } },
+            { new: true, session }
+        );
+        if (!transaction) {
+            return null;
+        }
+
+        await limitService.releaseDailyTransfer({
+            walletId: transaction.walletId,
+            amount: transaction.amount,
+            createdAt: transaction.createdAt,
+            session
+        });
+        const hold = await holdService.endTransferHold({
+            transactionId: transaction._id,
+            status: 'released',
+            reason: `Transfer failed: ${failureReason}`,
+            session
+        });
+        const wallet = await Wallet.findById(transaction.walletId).session(session);
+        const balance = await wallet.getAvailableBalance(session, transaction.currency);
+        return { transaction, hold, balance };
+    }, { operation: 'releaseExternalTransfer', requestId });
+
+    if (result) {
+        logger.warn('External transfer failed and its hold released', {
+            userId: result.transaction.userId,
+            reference,
+            holdId: result.hold?._id,
+            failureReason,
+            requestId
+        });
+    }
+    return result;
+};
+
 /**
  * Credits a wallet using a MongoDB transaction.
+ * Posts a journal entry debiting the funding account (the provider's settlement account for
+ * provider money, suspense otherwise) and crediting the wallet's ledger account.
+ * Sender details go on the Transaction: account and bank as target and targetBank, anything
+ * else (such as the sender's name) in params.metadata.
  * @param {Object} params - Parameters
- * @returns {Object} Updated wallet and transaction
+ * @returns {Object} Wallet, transaction, and balance after the credit
  */
 const creditWallet = async ({
     userId,
     amount,
     reference,
     source = 'flutterwave',
+    provider = null,
     description,
     requestId,
-    flutterwaveTxId,
+    providerTxId,
     senderAccountNumber,
-    senderBankName
+    senderBankName,
+    metadata: extraMetadata = {}
 }) => {
-    const session = await mongoose.startSession();
     try {
-        session.startTransaction();
-
-        const wallet = await Wallet.findOne({ userId })
-            .session(session)
-            .select('+balance');
-        if (!wallet) {
-            throw new Error('Wallet not found');
-        }
-
-        logger.debug('Fetched wallet for credit', {
-            userId,
-            walletId: wallet._id,
-            accountNumber: wallet.accountNumber,
-            rawBalance: wallet.balance,
-            balanceType: typeof wallet.balance,
-            requestId
-        });
-
-        const validatedBalance = Number(wallet.balance);
-        const validatedAmount = Number(amount);
+        const { wallet, transaction, balance, entry } = await withTransaction(async (session) => {
+            const wallet = await Wallet.findOne({ userId }).session(session);
+            if (!wallet) {
+                throw new Error('Wallet not found');
+            }
 
-        if (isNaN(validatedBalance) || isNaN(validatedAmount)) {
-            logger.error('Invalid balance or amount type for credit', {
+            logger.debug('Fetched wallet for credit', {
                 userId,
                 walletId: wallet._id,
-                validatedBalance,
-                validatedAmount,
+                accountNumber: wallet.accountNumber,
+                amount,
                 requestId
             });
-            throw new Error('Invalid balance or amount');
-        }
 
-        const existingTransaction = wallet.ledger.find(
-            (tx) => tx.reference === reference
-        );
-        if (existingTransaction) {
-            logger.warn('Duplicate transaction detected', {
-                userId,
+            const validatedAmount = Number(amount);
+
+            if (!isMinorAmount(validatedAmount) || validatedAmount <= 0) {
+                logger.error('Invalid amount for credit', {
+                    userId,
+                    walletId: wallet._id,
+                    amount,
+                    requestId
+                });
+                throw new Error('Invalid balance or amount');
+            }
+
+            const existingTransaction = await Transaction.findOne({ reference }).session(session);
+            if (existingTransaction) {
+                logger.warn('Duplicate transaction detected', {
+                    userId,
+                    reference,
+                    requestId
+                });
+                throw new Error('Transaction already processed');
+            }
+
+            const walletAccount = await ledgerService.getWalletAccount(wallet, session);
+            const fundingProvider = source === 'transfer'
+                ? null
+                : provider || (PROVIDERS.includes(source) ? source : 'flutterwave');
+            const fundingAccount = fundingProvider
+                ? await ledgerService.getSettlementAccount(fundingProvider, session)
+                : await ledgerService.getSystemAccount(ledgerService.SYSTEM_ACCOUNTS.SUSPENSE, session);
+            const metadata = providerTxId ? { provider: fundingProvider, providerTxId } : {};
+
+            const { entry, balances } = await ledgerService.postJournalEntry({
                 reference,
+                description,
+                legs: [
+                    { account: fundingAccount, direction: 'debit', amount: validatedAmount },
+                    { account: walletAccount, direction: 'credit', amount: validatedAmount }
+                ],
+                metadata,
+                createdBy: userId,
+                session,
                 requestId
             });
-            throw new Error('Transaction already processed');
-        }
-
-        wallet.balance = validatedBalance + validatedAmount;
-        const transaction = {
-            type: 'credit',
-            amount: validatedAmount,
-            reference,
-            status: 'completed',
-            source,
-            description,
-            createdBy: userId,
-            metadata: flutterwaveTxId ? { flutterwaveTxId } : {},
-            target: senderAccountNumber || null,
-            targetBank: senderBankName || null
-        };
-        wallet.ledger.push(transaction);
+            const balance = balances.get(walletAccount._id.toString());
 
-        await wallet.save({ session });
+            const [transaction] = await Transaction.create([{
+                walletId: wallet._id,
+                userId,
+                journalEntryId: entry._id,
+                type: 'credit',
+                amount: validatedAmount,
+                currency: DEFAULT_CURRENCY,
+                reference,
+                status: 'completed',
+                source,
+                provider: fundingProvider,
+                description,
+                createdBy: userId,
+                metadata: { ...(providerTxId ? { providerTxId } : {}), ...extraMetadata },
+                target: senderAccountNumber || null,
+                targetBank: senderBankName || null
+            }], { session });
 
-        await session.commitTransaction();
+            return { wallet, transaction, balance, entry };
+        }, { operation: 'creditWallet', requestId });
 
         const user = await User.findById(userId);
         if (user) {
-            await sendTransactionEmail(user, transaction, requestId, wallet.balance);
+            await sendTransactionEmail(user, transaction, requestId, balance);
         } else {
             logger.warn('User not found for email notification', {
                 userId,
@@ -746,14 +834,14 @@ const creditWallet = async ({
         logger.info('Wallet credited successfully', {
             userId,
             accountNumber: wallet.accountNumber,
-            amount: validatedAmount,
+            amount: transaction.amount,
             reference,
+            journalEntryId: entry._id,
             requestId
         });
 
-        return { wallet, transaction };
+        return { wallet, transaction, balance };
     } catch (error) {
-        await session.abortTransaction();
         logger.error('Error crediting wallet', {
             userId,
             reference,
@@ -779,15 +867,15 @@ const creditWallet = async ({
             );
         }
         throw error;
-    } finally {
-        session.endSession();
     }
 };
 
 /**
  * Debits a wallet using a MongoDB transaction.
+ * Posts a journal entry debiting the wallet's ledger account and crediting suspense
+ * until the funds are applied elsewhere.
  * @param {Object} params - Parameters
- * @returns {Object} Updated wallet and transaction
+ * @returns {Object} Wallet, transaction, and balance after the debit
  */
 const debitWallet = async ({
     userId,
@@ -797,84 +885,82 @@ const debitWallet = async ({
     description,
     requestId
 }) => {
-    const session = await mongoose.startSession();
     try {
-        session.startTransaction();
-
-        const wallet = await Wallet.findOne({ userId })
-            .session(session)
-            .select('+balance');
-        if (!wallet) {
-            throw new Error('Wallet not found');
-        }
-
-        logger.debug('Fetched wallet for debit', {
-            userId,
-            walletId: wallet._id,
-            accountNumber: wallet.accountNumber,
-            rawBalance: wallet.balance,
-            balanceType: typeof wallet.balance,
-            requestId
-        });
-
-        const validatedBalance = Number(wallet.balance);
-        const validatedAmount = Number(amount);
-
-        if (isNaN(validatedBalance) || isNaN(validatedAmount)) {
-            logger.error('Invalid balance or amount type for debit', {
-                userId,
-                walletId: wallet._id,
-                validatedBalance,
-                validatedAmount,
-                requestId
-            });
-            throw new Error('Invalid balance or amount');
-        }
+        const { wallet, transaction, balance, entry } = await withTransaction(async (session) => {
+            const wallet = await Wallet.findOne({ userId }).session(session);
+            if (!wallet) {
+                throw new Error('Wallet not found');
+            }
 
-        if (validatedBalance < validatedAmount) {
-            logger.warn('Insufficient balance for debit', {
+            logger.debug('Fetched wallet for debit', {
                 userId,
                 walletId: wallet._id,
                 accountNumber: wallet.accountNumber,
-                validatedBalance,
-                amount: validatedAmount,
+                amount,
                 requestId
             });
-            throw new Error('Insufficient balance');
-        }
 
-        const existingTransaction = wallet.ledger.find(
-            (tx) => tx.reference === reference
-        );
-        if (existingTransaction) {
-            logger.warn('Duplicate transaction detected', {
-                userId,
+            const validatedAmount = Number(amount);
+
+            if (!isMinorAmount(validatedAmount) || validatedAmount <= 0) {
+                logger.error('Invalid amount for debit', {
+                    userId,
+                    walletId: wallet._id,
+                    amount,
+                    requestId
+                });
+                throw new Error('Invalid balance or amount');
+            }
+
+            const existingTransaction = await Transaction.findOne({ reference }).session(session);
+            if (existingTransaction) {
+                logger.warn('Duplicate transaction detected', {
+                    userId,
+                    reference,
+                    requestId
+                });
+                throw new Error('Transaction already processed');
+            }
+
+            const walletAccount = await ledgerService.getWalletAccount(wallet, session);
+            const suspenseAccount = await ledgerService.getSystemAccount(ledgerService.SYSTEM_ACCOUNTS.SUSPENSE, session);
+
+            // The wallet leg is applied conditionally, so an insufficient balance aborts the posting
+            const { entry, balances } = await ledgerService.postJournalEntry({
                 reference,
+                description,
+                legs: [
+                    { account: walletAccount, direction: 'debit', amount: validatedAmount },
+                    { account: suspenseAccount, direction: 'credit', amount: validatedAmount }
+                ],
+                metadata: { target },
+                createdBy: userId,
+                session,
                 requestId
             });
-            throw new Error('Transaction already processed');
-        }
-
-        wallet.balance = validatedBalance - validatedAmount;
-        const transaction = {
-            type: 'debit',
-            amount: validatedAmount,
-            reference,
-            status: 'completed',
-            source: 'transfer',
-            target,
-            description,
-            createdBy: userId
-        };
-        wallet.ledger.push(transaction);
+            const balance = balances.get(walletAccount._id.toString());
 
-        await wallet.save({ session });
+            const [transaction] = await Transaction.create([{
+                walletId: wallet._id,
+                userId,
+                journalEntryId: entry._id,
+                type: 'debit',
+                amount: validatedAmount,
+                currency: DEFAULT_CURRENCY,
+                reference,
+                status: 'completed',
+                source: 'transfer',
+                target,
+                description,
+                createdBy: userId
+            }], { session });
 
-        await session.commitTransaction();
+            return { wallet, transaction, balance, entry };
+        }, { operation: 'debitWallet', requestId });
 
         const user = await User.findById(userId);
         if (user) {
-            await sendTransactionEmail(user, transaction, requestId, wallet.balance);
+            await sendTransactionEmail(user, transaction, requestId, balance);
         } else {
             logger.warn('User not found for email notification', {
                 userId,
@@ -886,14 +972,14 @@ const debitWallet = async ({
         logger.info('Wallet debited successfully', {
             userId,
             accountNumber: wallet.accountNumber,
-            amount: validatedAmount,
+            amount: transaction.amount,
             target,
+            journalEntryId: entry._id,
             requestId
         });
 
-        return { wallet, transaction };
+        return { wallet, transaction, balance };
     } catch (error) {
-        await session.abortTransaction();
         logger.error('Error debiting wallet', {
             userId,
             reference,
@@ -919,154 +1005,182 @@ const debitWallet = async ({
             );
         }
         throw error;
-    } finally {
-        session.endSession();
     }
 };
 
 /**
  * Transfers funds between wallets with MongoDB transaction.
+ * Posts one journal entry debiting the sender's ledger account and crediting the
+ * recipient's; both Transaction rows share the transfer ID and link to that entry.
+ * When an idempotency key is supplied the transfer ID is derived from it, so a retry is
+ * caught by the duplicate check instead of moving money twice.
  * @param {Object} params - Parameters
- * @returns {Object} Sender and receiver transactions
+ * @param {Object} [params.metadata] - Extra metadata for the journal entry and sender's ledger row
+ * @returns {Object} Sender and receiver transactions and the sender's balance
  */
 const transferFunds = async ({
     senderId,
     recipientAccountNumber,
     amount,
     description,
-    requestId
+    requestId,
+    idempotencyKey,
+    metadata = {}
 }) => {
-    const session = await mongoose.startSession();
-    try {
-        session.startTransaction();
-
-        const senderWallet = await Wallet.findOne({ userId: senderId })
-            .session(session)
-            .select('+balance');
-        if (!senderWallet) {
-            throw new Error('Sender wallet not found');
-        }
-
-        logger.debug('Fetched sender wallet for transfer', {
-            senderId,
-            walletId: senderWallet._id,
-            accountNumber: senderWallet.accountNumber,
-            rawBalance: senderWallet.balance,
-            balanceType: typeof senderWallet.balance,
-            amount,
-            requestId
-        });
-
-        const validatedSenderBalance = Number(senderWallet.balance);
-        const validatedAmount = Number(amount);
+    await limitService.checkTransfer({ userId: senderId, amount: Number(amount), recipientAccountNumber, requestId });
 
-        if (isNaN(validatedSenderBalance) || isNaN(validatedAmount)) {
-            logger.error('Invalid balance or amount type for transfer', {
-                senderId,
-                walletId: senderWallet._id,
-                validatedSenderBalance,
-                validatedAmount,
-                requestId
-            });
-            throw new Error('Invalid balance or amount');
-        }
+    try {
+        const {
+            senderWallet,
+            recipient,
+            entry,
+            senderTransaction,
+            recipientTransaction,
+            senderBalance,
+            recipientBalance
+        } = await withTransaction(async (session) => {
+            const senderWallet = await Wallet.findOne({ userId: senderId }).session(session);
+            if (!senderWallet) {
+                throw new Error('Sender wallet not found');
+            }
 
-        if (validatedSenderBalance < validatedAmount) {
-            logger.warn('Insufficient balance for transfer', {
+            logger.debug('Fetched sender wallet for transfer', {
                 senderId,
                 walletId: senderWallet._id,
                 accountNumber: senderWallet.accountNumber,
-                validatedSenderBalance,
-                amount: validatedAmount,
+                amount,
                 requestId
             });
-            throw new Error('Insufficient balance');
-        }
 
-        const recipient = await User.findOne({ accountNumber: recipientAccountNumber });
-        if (!recipient) {
-            throw new Error('Recipient not found');
-        }
+            const validatedAmount = Number(amount);
 
-        const recipientWallet = await Wallet.findOne({ userId: recipient._id })
-            .session(session)
-            .select('+balance');
-        if (!recipientWallet) {
-            throw new Error('Recipient wallet not found');
-        }
+            if (!isMinorAmount(validatedAmount) || validatedAmount <= 0) {
+                logger.error('Invalid amount for transfer', {
+                    senderId,
+                    walletId: senderWallet._id,
+                    amount,
+                    requestId
+                });
+                throw new Error('Invalid balance or amount');
+            }
 
-        logger.debug('Fetched recipient wallet for transfer', {
-            recipientId: recipient._id,
-            walletId: recipientWallet._id,
-            accountNumber: recipientWallet.accountNumber,
-            rawBalance: recipientWallet.balance,
-            balanceType: typeof recipientWallet.balance,
-            amount,
-            requestId
-        });
+            const recipient = await User.findByAccountNumber(recipientAccountNumber);
+            if (!recipient) {
+                throw new Error('Recipient not found');
+            }
 
-        // Generate unique references for sender and recipient transactions
-        const senderReference = `TRANSFER-SENDER-${uuidv4()}`;
-        const recipientReference = `TRANSFER-RECIPIENT-${uuidv4()}`;
+            const recipientWallet = await Wallet.findOne({ userId: recipient._id }).session(session);
+            if (!recipientWallet) {
+                throw new Error('Recipient wallet not found');
+            }
 
-        const senderExistingTransaction = senderWallet.ledger.find(
-            (tx) => tx.reference === senderReference
-        );
-        const recipientExistingTransaction = recipientWallet.ledger.find(
-            (tx) => tx.reference === recipientReference
-        );
-        if (senderExistingTransaction || recipientExistingTransaction) {
-            logger.warn('Duplicate transfer detected', {
-                senderId,
-                recipientAccountNumber,
-                senderReference,
-                recipientReference,
+            logger.debug('Fetched recipient wallet for transfer', {
+                recipientId: recipient._id,
+                walletId: recipientWallet._id,
+                accountNumber: recipientWallet.accountNumber,
+                amount,
                 requestId
             });
-            throw new Error('Transaction already processed');
-        }
-
-        senderWallet.balance = validatedSenderBalance - validatedAmount;
-        const senderTransaction = {
-            type: 'debit',
-            amount: validatedAmount,
-            reference: senderReference,
-            status: 'completed',
-            source: 'transfer',
-            target: recipient.accountNumber,
-            targetBank: recipient.bankName || 'NEG AI Bank',
-            description,
-            createdBy: senderId
-        };
-        senderWallet.ledger.push(senderTransaction);
 
-        recipientWallet.balance = Number(recipientWallet.balance) + validatedAmount;
-        const recipientTransaction = {
-            type: 'credit',
-            amount: validatedAmount,
-            reference: recipientReference,
-            status: 'completed',
-            source: 'transfer',
-            target: null,
-            targetBank: senderWallet.bankName || 'NEG AI Bank',
-            description: `Received from ${senderWallet.accountNumber}`,
-            createdBy: senderId
-        };
-        recipientWallet.ledger.push(recipientTransaction);
+            // One transfer ID ties the journal entry and both ledger rows together
+            const transferId = idempotencyKey ? referenceIdFromKey(senderId, idempotencyKey) : uuidv4();
+            const journalReference = `TRANSFER-${transferId}`;
+            const senderReference = `TRANSFER-SENDER-${transferId}`;
+            const recipientReference = `TRANSFER-RECIPIENT-${transferId}`;
+
+            const existingTransfer = await Transaction.exists({
+                reference: { $in: [senderReference, recipientReference] }
+            }).session(session);
+            if (existingTransfer) {
+                logger.warn('Duplicate transfer detected', {
+                    senderId,
+                    recipientAccountNumber,
+                    senderReference,
+                    recipientReference,
+                    requestId
+                });
+                throw new Error('Transaction already processed');
+            }
 
-        await senderWallet.save({ session });
-        await recipientWallet.save({ session });
+            await limitService.reserveDailyTransfer({
+                userId: senderId,
+                walletId: senderWallet._id,
+                amount: validatedAmount,
+                session,
+                requestId
+            });
+            const senderAccount = await ledgerService.getWalletAccount(senderWallet, session);
+            const recipientAccount = await ledgerService.getWalletAccount(recipientWallet, session);
+
+            const { entry, balances } = await ledgerService.postJournalEntry({
+                reference: journalReference,
+                description: description || `Transfer from ${senderWallet.accountNumber} to ${recipientWallet.accountNumber}`,
+                legs: [
+                    { account: senderAccount, direction: 'debit', amount: validatedAmount },
+                    { account: recipientAccount, direction: 'credit', amount: validatedAmount }
+                ],
+                metadata: { ...metadata, transferId },
+                createdBy: senderId,
+                session,
+                requestId
+            });
+            const senderBalance = balances.get(senderAccount._id.toString());
+            const recipientBalance = balances.get(recipientAccount._id.toString());
 
-        await session.commitTransaction();
+            const [senderTransaction, recipientTransaction] = await Transaction.create([
+                {
+                    walletId: senderWallet._id,
+                    userId: senderId,
+                    journalEntryId: entry._id,
+                    type: 'debit',
+                    amount: validatedAmount,
+                    currency: DEFAULT_CURRENCY,
+                    reference: senderReference,
+                    status: 'completed',
+                    source: 'transfer',
+                    target: recipient.accountNumber,
+                    targetBank: recipient.bankName || 'NEG AI Bank',
+                    description,
+                    createdBy: senderId,
+                    metadata: { ...metadata, transferId }
+                },
+                {
+                    walletId: recipientWallet._id,
+                    userId: recipient._id,
+                    journalEntryId: entry._id,
+                    type: 'credit',
+                    amount: validatedAmount,
+                    currency: DEFAULT_CURRENCY,
+                    reference: recipientReference,
+                    status: 'completed',
+                    source: 'transfer',
+                    target: senderWallet.accountNumber,
+                    targetBank: 'NEG AI Bank',
+                    description: `Received from ${senderWallet.accountNumber}`,
+                    createdBy: senderId,
+                    metadata: { transferId }
+                }
+            ], { session, ordered: true });
+
+            return {
+                senderWallet,
+                recipient,
+                entry,
+                senderTransaction,
+                recipientTransaction,
+                senderBalance,
+                recipientBalance
+            };
+        }, { operation: 'transferFunds', requestId });
 
         const sender = await User.findById(senderId);
         if (sender) {
-            sendTransactionEmail(sender, senderTransaction, requestId, senderWallet.balance).catch(() => {
+            sendTransactionEmail(sender, senderTransaction, requestId, senderBalance).catch(() => {
                 logger.error('Async sender transaction email failed', { senderId, requestId });
             });
         }
         if (recipient) {
-            sendTransactionEmail(recipient, recipientTransaction, requestId, recipientWallet.balance).catch(() => {
+            sendTransactionEmail(recipient, recipientTransaction, requestId, recipientBalance).catch(() => {
                 logger.error('Async recipient transaction email failed', { recipientId: recipient._id, requestId });
             });
         }
@@ -1076,15 +1190,19 @@ const transferFunds = async ({
             recipientId: recipient._id,
             senderAccountNumber: senderWallet.accountNumber,
             recipientAccountNumber,
-            amount: validatedAmount,
-            senderReference,
-            recipientReference,
+            amount: senderTransaction.amount,
+            senderReference: senderTransaction.reference,
+            recipientReference: recipientTransaction.reference,
+            journalEntryId: entry._id,
             requestId
         });
 
-        return { senderTransaction, recipientTransaction };
+        return { senderTransaction, recipientTransaction, balance: senderBalance };
     } catch (error) {
-        await session.abortTransaction();
+        // Like a rejection from checkTransfer, not something for the admins
+        if (error.code === 'LIMIT_EXCEEDED') {
+            throw error;
+        }
         logger.error('Error transferring funds', {
             senderId,
             recipientAccountNumber,
@@ -1110,18 +1228,34 @@ const transferFunds = async ({
             );
         }
         throw error;
-    } finally {
-        session.endSession();
     }
 };
 
+/**
+ * Finds the sender-side transaction written by an earlier transfer made with this
+ * idempotency key, so callers that retry on their own can tell the money already moved.
+ * @param {string} userId - Sender's user ID
+ * @param {string} idempotencyKey - Key passed to transferFunds or initiateExternalTransfer
+ * @returns {Promise<Object|null>} Transaction or null
+ */
+const findTransferByIdempotencyKey = async (userId, idempotencyKey) => {
+    const transferId = referenceIdFromKey(userId, idempotencyKey);
+    return Transaction.findOne({
+        reference: { $in: [`TRANSFER-SENDER-${transferId}`, `EXT-TRANSFER-${transferId}`] }
+    });
+};
+
 export default {
+    EXTERNAL_TRANSFER_FEE,
     creditWallet,
     debitWallet,
     transferFunds,
-    initiateFlutterwavePayment,
-    verifyFlutterwavePayment,
+    initiatePayment,
+    verifyPayment,
     verifyBankAccount,
     initiateExternalTransfer,
-    checkFlutterwaveBalance
+    releaseExternalTransfer,
+    getProviderTransfer,
+    findTransferByIdempotencyKey,
+    sendTransactionEmail
 };
\ No newline at end of file
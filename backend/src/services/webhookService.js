@@ -0,0 +1,441 @@
+import logger from '../utils/logger.js';
+import { httpError } from '../utils/response.js';
+import { User } from '../models/User.js';
+import { Wallet } from '../models/Wallet.js';
+import { Transaction } from '../models/Transaction.js';
+import { WebhookEvent } from '../models/WebhookEvent.js';
+import walletService from './walletService.js';
+import externalTransferService from './externalTransferService.js';
+import { getProvider } from '../providers/index.js';
+
+/**
+ * Webhook service for NEG AI Banking Platform.
+ * Runs the webhook inbox. Signed events are stored raw and acknowledged at once; processing
+ * happens afterwards, from the webhook request itself and from the inbox job. Each event is
+ * processed by whoever claims it first, failures are retried with backoff, and events that
+ * keep failing wait in the inbox for an admin to replay them.
+ */
+
+const DUPLICATE_KEY_CODE = 11000;
+const LOCK_MS = 5 * 60 * 1000;
+const RETRY_DELAYS_MS = [60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000];
+const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+const MISSED_AFTER_MS = 60 * 1000; // Received events not picked up by the request itself
+const BATCH_SIZE = 50;
+const MAX_LIST_SIZE = 100;
+
+/**
+ * Shapes an inbox event for API responses.
+ * @param {Object} event - WebhookEvent document
+ * @param {boolean} [withPayload] - Include the raw payload
+ * @returns {Object} Public fields
+ */
+const toEventResponse = (event, withPayload = false) => ({
+    id: event._id,
+    provider: event.provider,
+    eventId: event.eventId,
+    eventType: event.eventType,
+    status: event.status,
+    attempts: event.attempts,
+    lastError: event.lastError,
+    result: event.result,
+    nextAttemptAt: event.nextAttemptAt,
+    processedAt: event.processedAt,
+    createdAt: event.createdAt,
+    ...(withPayload ? { payload: event.payload } : {})
+});
+
+/**
+ * Finds the outgoing transfer a provider event is about. Paystack lowercases our
+ * references, so the provider's transfer ID is matched as well.
+ * @param {Object} event - Normalised webhook event
+ * @returns {Promise<Object|null>} Debit transaction reference, or null
+ */
+const findOutgoingTransfer = (event) => Transaction.findOne({
+    source: 'external_transfer',
+    type: 'debit',
+    $or: [
+        { reference: event.reference },
+        { 'metadata.providerTransferId': event.id },
+        { 'metadata.flutterwaveTransferId': event.id }
+    ]
+}).select('reference').lean();
+
+/**
+ * Finds the wallet whose virtual account a payment was made into. Flutterwave reports the
+ * reference the account was created with, Paystack the account number.
+ * @param {string} provider - Provider name
+ * @param {Object} event - Normalised payment event
+ * @returns {Promise<Object|null>} Wallet, or null if the payment is not into a virtual account
+ */
+const findVirtualAccountWallet = (provider, event) => {
+    const matches = [{ 'virtualAccount.reference': event.reference }];
+    if (event.virtualAccountNumber) {
+        matches.push({ 'virtualAccount.accountNumber': event.virtualAccountNumber });
+    }
+    return Wallet.findOne({ 'virtualAccount.provider': provider, $or: matches });
+};
+
+/**
+ * Credits a bank transfer into a wallet's virtual account. Every transfer into the account
+ * carries the account's reference, so the credit is keyed on the provider's transaction ID
+ * and the payment is verified by that ID.
+ * @param {string} provider - Provider name
+ * @param {Object} event - Normalised payment event
+ * @param {Object} wallet - Wallet owning the virtual account
+ * @param {string} requestId - Request ID
+ * @returns {Promise<{ status: string, result: Object }>}
+ */
+const creditVirtualAccountPayment = async (provider, event, wallet, requestId) => {
+    const creditReference = `VA-${provider.toUpperCase()}-${event.id}`;
+    if (await Transaction.exists({ reference: creditReference })) {
+        logger.info('Virtual account payment already credited', { provider, reference: creditReference, requestId });
+        return { status: 'processed', result: { reference: creditReference, duplicate: true } };
+    }
+
+    const verified = await walletService.verifyPayment({ provider, transactionId: event.id, requestId });
+    if (verified.status !== 'successful') {
+        throw new Error(`Provider verification returned ${verified.status}`);
+    }
+    if (verified.reference !== event.reference) {
+        throw new Error(`Reference mismatch: webhook ${event.reference}, verified ${verified.reference}`);
+    }
+    if (event.amount === undefined || verified.amount !== event.amount) {
+        throw new Error(`Amount mismatch: webhook ${event.amount}, verified ${verified.amount}`);
+    }
+
+    const { label } = getProvider(provider);
+    const { balance } = await walletService.creditWallet({
+        userId: wallet.userId,
+        amount: verified.amount,
+        reference: creditReference,
+        source: 'external_transfer',
+        provider,
+        description: event.senderName
+            ? `Transfer from ${event.senderName} via ${label}`
+            : `Received transfer via ${label}`,
+        requestId,
+        providerTxId: verified.id,
+        senderAccountNumber: event.senderAccountNumber || null,
+        senderBankName: event.senderBankName || null,
+        metadata: {
+            senderName: event.senderName || null,
+            virtualAccountNumber: wallet.virtualAccount.accountNumber
+        }
+    });
+
+    logger.info('Virtual account payment credited', {
+        provider,
+        userId: wallet.userId,
+        virtualAccountNumber: wallet.virtualAccount.accountNumber,
+        amount: verified.amount,
+        reference: creditReference,
+        requestId
+    });
+
+    return { status: 'processed', result: { reference: creditReference, amount: verified.amount, balance } };
+};
+
+/**
+ * Applies a provider event. Outgoing transfers are settled from the provider's own record;
+ * successful payments and incoming transfers, including transfers into virtual accounts,
+ * are verified with the provider and credited once.
+ * @param {string} provider - Provider name
+ * @param {Object|null} event - Normalised event from the adapter's parseWebhook
+ * @param {string} requestId - Request ID
+ * @returns {Promise<{ status: string, result: Object }>} 'processed' or 'ignored' with details
+ * @throws {Error} If the event cannot be applied yet; the inbox retries it
+ */
+const handleEvent = async (provider, event, requestId) => {
+    if (!event) {
+        return { status: 'ignored', result: { reason: 'Unrecognised payload' } };
+    }
+
+    const { id: transactionId, reference, status, accountNumber, amount } = event;
+
+    if (event.type === 'transfer') {
+        const outgoing = await findOutgoingTransfer(event);
+        if (outgoing) {
+            const transactionStatus = await externalTransferService.syncTransferStatus({
+                reference: outgoing.reference,
+                reported: { provider, transferId: event.id },
+                requestId
+            });
+            return { status: 'processed', result: { reference: outgoing.reference, status: transactionStatus } };
+        }
+    }
+
+    if (status !== 'successful') {
+        logger.info('Webhook indicates non-successful payment', {
+            requestId,
+            provider,
+            transactionId,
+            reference,
+            status
+        });
+        return { status: 'ignored', result: { reason: `Unsupported ${status} ${event.type}` } };
+    }
+
+    if (event.type === 'payment') {
+        const virtualAccountWallet = await findVirtualAccountWallet(provider, event);
+        if (virtualAccountWallet) {
+            return creditVirtualAccountPayment(provider, event, virtualAccountWallet, requestId);
+        }
+    }
+
+    if (!accountNumber) {
+        return { status: 'ignored', result: { reason: 'No wallet account number' } };
+    }
+
+    if (await Transaction.exists({ reference })) {
+        logger.info('Payment already credited', { provider, reference, requestId });
+        return { status: 'processed', result: { reference, duplicate: true } };
+    }
+
+    const recipient = await User.findByAccountNumber(accountNumber);
+    if (!recipient) {
+        throw new Error(`Recipient ${accountNumber} not found`);
+    }
+
+    let wallet = await Wallet.findOne({ userId: recipient._id });
+    if (!wallet) {
+        logger.warn('Wallet not found for webhook, creating new wallet', {
+            userId: recipient._id,
+            requestId
+        });
+        wallet = new Wallet({ userId: recipient._id, accountNumber: recipient.accountNumber });
+        await wallet.save();
+    }
+
+    const verified = await walletService.verifyPayment({ provider, transactionId, reference, requestId });
+    if (verified.status !== 'successful') {
+        throw new Error(`Provider verification returned ${verified.status}`);
+    }
+    if (verified.reference !== reference) {
+        throw new Error(`Reference mismatch: webhook ${reference}, verified ${verified.reference}`);
+    }
+    if (amount === undefined || verified.amount !== amount) {
+        throw new Error(`Amount mismatch: webhook ${amount}, verified ${verified.amount}`);
+    }
+
+    const { label } = getProvider(provider);
+    const isTransfer = event.type === 'transfer';
+    const { balance } = await walletService.creditWallet({
+        userId: recipient._id,
+        amount: verified.amount,
+        reference,
+        source: isTransfer ? 'external_transfer' : provider,
+        provider,
+        description: isTransfer ? `Received transfer via ${label}` : `Wallet funding via ${label}`,
+        requestId,
+        providerTxId: verified.id,
+        senderAccountNumber: event.senderAccountNumber || null,
+        senderBankName: event.senderBankName || null
+    });
+
+    logger.info('Webhook processed and wallet credited', {
+        provider,
+        userId: recipient._id,
+        accountNumber: wallet.accountNumber,
+        amount: verified.amount,
+        reference,
+        requestId
+    });
+
+    return { status: 'processed', result: { reference, amount: verified.amount, balance } };
+};
+
+/**
+ * Stores a verified webhook in the inbox. A provider retry of a stored event is reported
+ * as a duplicate instead of being stored again.
+ * @param {Object} params - Parameters
+ * @param {string} params.provider - Provider name
+ * @param {string} params.rawBody - Request body exactly as received
+ * @param {Object} params.body - Parsed request body
+ * @param {string} [params.requestId] - Request ID
+ * @returns {Promise<{ event: Object, duplicate: boolean }>}
+ */
+const recordEvent = async ({ provider, rawBody, body, requestId }) => {
+    const { eventId, eventType } = getProvider(provider).parseWebhook(body, rawBody);
+
+    try {
+        const event = await WebhookEvent.create({ provider, eventId, eventType, payload: rawBody, requestId });
+        logger.info('Webhook event stored', { provider, eventId, eventType, webhookEventId: event._id, requestId });
+        return { event, duplicate: false };
+    } catch (error) {
+        if (error.code !== DUPLICATE_KEY_CODE) {
+            throw error;
+        }
+        const event = await WebhookEvent.findOne({ provider, eventId });
+        logger.info('Duplicate webhook event ignored', { provider, eventId, status: event?.status, requestId });
+        return { event, duplicate: true };
+    }
+};
+
+/**
+ * Claims and processes one inbox event. Returns null if another worker holds it or it is
+ * already finished.
+ * @param {string} id - WebhookEvent ID
+ * @param {Object} [options] - Options
+ * @param {string} [options.requestId] - Request ID
+ * @returns {Promise<Object|null>} Updated event
+ */
+const processEvent = async (id, { requestId } = {}) => {
+    const now = new Date();
+    const event = await WebhookEvent.findOneAndUpdate(
+        {
+            _id: id,
+            status: { $in: ['received', 'failed', 'processing'] },
+            $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+        },
+        { $set: { status: 'processing', lockedUntil: new Date(now.getTime() + LOCK_MS) }, $inc: { attempts: 1 } },
+        { new: true }
+    );
+    if (!event) {
+        return null;
+    }
+
+    try {
+        const parsed = getProvider(event.provider).parseWebhook(JSON.parse(event.payload), event.payload);
+        const { status, result } = await handleEvent(event.provider, parsed.event, requestId);
+        return await WebhookEvent.findByIdAndUpdate(
+            event._id,
+            {
+                $set: {
+                    status,
+                    result,
+                    processedAt: new Date(),
+                    lockedUntil: null,
+                    nextAttemptAt: null,
+                    lastError: null
+                }
+            },
+            { new: true }
+        );
+    } catch (error) {
+        const retryDelay = event.attempts < MAX_ATTEMPTS ? RETRY_DELAYS_MS[event.attempts - 1] : null;
+        logger.error('Webhook event processing failed', {
+            webhookEventId: event._id,
+            provider: event.provider,
+            eventId: event.eventId,
+            attempts: event.attempts,
+            willRetry: Boolean(retryDelay),
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        return WebhookEvent.findByIdAndUpdate(
+            event._id,
+            {
+                $set: {
+                    status: 'failed',
+                    lastError: error.message,
+                    lockedUntil: null,
+                    nextAttemptAt: retryDelay ? new Date(Date.now() + retryDelay) : null
+                }
+            },
+            { new: true }
+        );
+    }
+};
+
+/**
+ * Processes inbox events that are due: received events the webhook request did not get to,
+ * failed events whose retry time has come, and events left locked by a crashed worker.
+ * Called by the webhook inbox job.
+ * @param {Object} [params] - Parameters
+ * @param {string} [params.requestId] - Request ID
+ * @returns {Promise<number>} Number of events processed
+ */
+const processDueEvents = async ({ requestId } = {}) => {
+    const now = Date.now();
+    const due = await WebhookEvent.find({
+        $or: [
+            { status: 'received', createdAt: { $lte: new Date(now - MISSED_AFTER_MS) } },
+            { status: 'failed', nextAttemptAt: { $ne: null, $lte: new Date(now) } },
+            { status: 'processing', lockedUntil: { $lte: new Date(now) } }
+        ]
+    })
+        .sort({ createdAt: 1 })
+        .limit(BATCH_SIZE)
+        .select('_id')
+        .lean();
+
+    let processed = 0;
+    for (const { _id } of due) {
+        const event = await processEvent(_id, { requestId });
+        if (event) processed += 1;
+    }
+
+    if (processed) {
+        logger.info('Webhook inbox processed', { processed, requestId });
+    }
+    return processed;
+};
+
+/**
+ * Re-runs a failed or ignored event now, for example after fixing the data it needed.
+ * @param {Object} params - { id, adminId, requestId }
+ * @returns {Promise<Object>} Event response after processing
+ * @throws {Error} 404 if not found, 409 if it is processed or being processed
+ */
+const replayEvent = async ({ id, adminId, requestId }) => {
+    const reset = await WebhookEvent.findOneAndUpdate(
+        { _id: id, status: { $in: ['failed', 'ignored'] } },
+        { $set: { status: 'received', nextAttemptAt: null, lockedUntil: null } },
+        { new: true }
+    );
+    if (!reset) {
+        const existing = await WebhookEvent.findById(id).select('status').lean();
+        if (!existing) {
+            throw httpError('Webhook event not found', 404);
+        }
+        throw httpError(`Webhook event is ${existing.status} and cannot be replayed`, 409);
+    }
+
+    logger.info('Webhook event replayed', { webhookEventId: reset._id, eventId: reset.eventId, adminId, requestId });
+
+    const event = await processEvent(reset._id, { requestId });
+    return toEventResponse(event || reset);
+};
+
+/**
+ * Lists inbox events newest first.
+ * @param {Object} params - { status, provider }
+ * @returns {Promise<Object[]>} Event responses without payloads
+ */
+const listEvents = async ({ status, provider } = {}) => {
+    const filter = {};
+    if (status) filter.status = status;
+    if (provider) filter.provider = provider;
+
+    const events = await WebhookEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(MAX_LIST_SIZE)
+        .select('-payload')
+        .lean();
+    return events.map((event) => toEventResponse(event));
+};
+
+/**
+ * Returns one inbox event with its raw payload.
+ * @param {string} id - WebhookEvent ID
+ * @returns {Promise<Object>} Event response
+ * @throws {Error} 404 if not found
+ */
+const getEvent = async (id) => {
+    const event = await WebhookEvent.findById(id).lean();
+    if (!event) {
+        throw httpError('Webhook event not found', 404);
+    }
+    return toEventResponse(event, true);
+};
+
+export default {
+    recordEvent,
+    processEvent,
+    processDueEvents,
+    replayEvent,
+    listEvents,
+    getEvent
+};
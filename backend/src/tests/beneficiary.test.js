@@ -0,0 +1,172 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import mongoose from 'mongoose';
+
+// Stands in for a mongoose query: chainable, and resolves to value when awaited
+const query = (value) => {
+    const chain = {
+        select: () => chain,
+        lean: () => Promise.resolve(value),
+        then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+    };
+    return chain;
+};
+
+const userDocument = (id, accountNumber, firstName, lastName) => ({
+    _id: id,
+    accountNumber,
+    firstName,
+    lastName,
+    hasAccountNumber: (candidate) => candidate === accountNumber
+});
+const users = [
+    userDocument('user-1', '0000000001', 'Ada', 'Obi'),
+    userDocument('user-2', '0000000002', 'Bayo', 'Ade'),
+    userDocument('user-3', '0000000003', 'Chika', 'Eze')
+];
+
+// In-memory stand-in for the beneficiary collection, unique on user, account and bank code
+const beneficiaries = new Map();
+
+jest.unstable_mockModule('../models/User.js', () => ({
+    User: {
+        findById: jest.fn((id) => query(users.find((user) => user._id === id) || null)),
+        findByAccountNumber: jest.fn((accountNumber) =>
+            query(users.find((user) => user.accountNumber === accountNumber) || null))
+    }
+}));
+jest.unstable_mockModule('../models/Beneficiary.js', () => ({
+    Beneficiary: {
+        countDocuments: jest.fn(async ({ userId }) => [...beneficiaries.values()].filter((item) => item.userId === userId).length),
+        create: jest.fn(async (fields) => {
+            const duplicate = [...beneficiaries.values()].some((item) => item.userId === fields.userId
+                && item.accountNumber === fields.accountNumber && item.bankCode === fields.bankCode);
+            if (duplicate) {
+                throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+            }
+            const beneficiary = { _id: new mongoose.Types.ObjectId(), useCount: 0, lastUsedAt: null, ...fields };
+            beneficiaries.set(beneficiary._id.toString(), beneficiary);
+            return beneficiary;
+        }),
+        findOne: jest.fn(async ({ _id, userId }) => {
+            const beneficiary = beneficiaries.get(String(_id));
+            return beneficiary && beneficiary.userId === userId ? beneficiary : null;
+        }),
+        updateMany: jest.fn(async ({ userId, accountNumber }, update) => {
+            for (const beneficiary of beneficiaries.values()) {
+                if (beneficiary.userId === userId && beneficiary.accountNumber === accountNumber) {
+                    beneficiary.useCount += update.$inc.useCount;
+                    beneficiary.lastUsedAt = update.$set.lastUsedAt;
+                }
+            }
+        })
+    }
+}));
+jest.unstable_mockModule('../models/Wallet.js', () => ({
+    Wallet: { findOne: jest.fn(async ({ userId }) => ({ _id: `wallet-${userId}`, userId })) }
+}));
+jest.unstable_mockModule('../services/walletService.js', () => ({
+    default: {
+        verifyBankAccount: jest.fn(async ({ accountNumber }) => ({ accountNumber, accountName: 'ADA OBI', bankName: 'Access Bank' })),
+        initiateExternalTransfer: jest.fn(async ({ amount, recipientAccountNumber, recipientBankName }) => ({
+            transaction: {
+                amount,
+                currency: 'NGN',
+                reference: 'EXT-TRANSFER-1',
+                status: 'pending',
+                target: recipientAccountNumber,
+                targetBank: recipientBankName,
+                metadata: { transferFee: 5000 }
+            },
+            providerTransfer: { provider: 'flutterwave', id: 9001 },
+            balance: 495000
+        })),
+        transferFunds: jest.fn()
+    }
+}));
+
+const { default: request } = await import('supertest');
+const { default: express } = await import('express');
+const { default: walletService } = await import('../services/walletService.js');
+const { default: beneficiaryService } = await import('../services/beneficiaryService.js');
+const { default: walletController } = await import('../controllers/walletController.js');
+
+// Signs each request in as the user named in the X-User header
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+    req.user = { id: req.get('X-User') };
+    req.requestId = 'request-1';
+    next();
+});
+app.post('/api/wallet/transfer', walletController.transferFunds);
+
+const transfer = (userId, body) => request(app).post('/api/wallet/transfer').set('X-User', userId).send(body);
+const save = (fields) => beneficiaryService.createBeneficiary({ userId: 'user-1', requestId: 'request-1', ...fields });
+
+describe('Beneficiaries', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        beneficiaries.clear();
+    });
+
+    it('saves an account once per user and bank, under the name the bank returns', async () => {
+        const saved = await save({ accountNumber: '0690000040', bankCode: '044', nickname: 'Landlord' });
+        expect(saved).toMatchObject({ type: 'external', accountName: 'ADA OBI', bankName: 'Access Bank', nickname: 'Landlord' });
+
+        await expect(save({ accountNumber: '0690000040', bankCode: '044' })).rejects.toMatchObject({
+            status: 409,
+            message: 'Beneficiary is already saved'
+        });
+        await expect(save({ accountNumber: '0000000003' })).resolves.toMatchObject({ type: 'internal', accountName: 'Chika Eze' });
+        await expect(save({ accountNumber: '0000000003' })).rejects.toMatchObject({ status: 409 });
+
+        // The same account at another bank, or saved by another user, is a different beneficiary
+        await expect(save({ accountNumber: '0690000040', bankCode: '058' })).resolves.toMatchObject({ bankCode: '058' });
+        await expect(save({ userId: 'user-2', accountNumber: '0690000040', bankCode: '044' })).resolves.toMatchObject({ type: 'external' });
+        expect(beneficiaries.size).toBe(4);
+
+        await expect(save({ accountNumber: '0000000001' })).rejects.toMatchObject({
+            status: 400,
+            message: 'Cannot save your own account as a beneficiary'
+        });
+    });
+
+    it('does not let one user read, change or pay another user\'s beneficiary', async () => {
+        const { id } = await save({ accountNumber: '0690000040', bankCode: '044' });
+
+        await expect(beneficiaryService.getBeneficiary({ userId: 'user-2', id })).rejects.toMatchObject({ status: 404 });
+        await expect(beneficiaryService.updateBeneficiary({ userId: 'user-2', id, nickname: 'Mine now' })).rejects.toMatchObject({ status: 404 });
+        await expect(beneficiaryService.resolveRecipient({ userId: 'user-2', beneficiaryId: id })).rejects.toMatchObject({
+            status: 404,
+            message: 'Beneficiary not found'
+        });
+
+        const response = await transfer('user-2', { beneficiaryId: id.toString(), amount: 5000 });
+        expect(response.status).toBe(404);
+        expect(response.body.message).toBe('Beneficiary not found');
+        expect(walletService.initiateExternalTransfer).not.toHaveBeenCalled();
+        expect(beneficiaries.get(id.toString()).nickname).toBeUndefined();
+    });
+
+    it('pays the stored account when a transfer names a beneficiary', async () => {
+        const { id } = await save({ accountNumber: '0690000040', bankCode: '044' });
+
+        const response = await transfer('user-1', { beneficiaryId: id.toString(), amount: 5000, description: 'Rent' });
+
+        expect(response.status).toBe(200);
+        expect(walletService.initiateExternalTransfer).toHaveBeenCalledWith(expect.objectContaining({
+            userId: 'user-1',
+            amount: 500000,
+            recipientAccountNumber: '0690000040',
+            recipientBankCode: '044',
+            recipientAccountName: 'ADA OBI',
+            recipientBankName: 'Access Bank'
+        }));
+        expect(beneficiaries.get(id.toString()).useCount).toBe(1);
+
+        // Details sent alongside the beneficiary could redirect the payment, so they are refused
+        const mixed = await transfer('user-1', { beneficiaryId: id.toString(), recipientAccountNumber: '0123456789', amount: 5000 });
+        expect(mixed.status).toBe(400);
+        expect(walletService.initiateExternalTransfer).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,212 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+// Stands in for a mongoose query: chainable, and resolves to document when awaited
+const query = (document) => {
+    const chain = {
+        select: () => chain,
+        lean: () => Promise.resolve(document),
+        then: (resolve, reject) => Promise.resolve(document).then(resolve, reject)
+    };
+    return chain;
+};
+
+const sender = { _id: 'user-1', accountNumber: '0000000001', kycTier: 1, email: 'ada@example.com', firstName: 'Ada', lastName: 'Obi' };
+const customers = new Map([['0000000002', { firstName: 'Chi', lastName: 'Eze', bankName: 'NEG AI Bank' }]]);
+const batch = {};
+const items = new Map();
+
+// A BulkTransferItem document: set() and save() like mongoose's
+const itemDocument = (fields) => ({
+    ...fields,
+    set(values) {
+        Object.assign(this, values);
+    },
+    save: jest.fn(async function () {
+        return this;
+    })
+});
+
+jest.unstable_mockModule('../models/User.js', () => ({
+    User: {
+        findById: jest.fn(() => query(sender)),
+        findByAccountNumber: jest.fn((accountNumber) => query(customers.get(accountNumber) || null))
+    }
+}));
+jest.unstable_mockModule('../models/Wallet.js', () => ({ Wallet: { exists: jest.fn(async () => true) } }));
+jest.unstable_mockModule('../models/BulkTransfer.js', () => ({
+    BulkTransfer: {
+        create: jest.fn(async (fields) => Object.assign(batch, { _id: 'batch-1', currency: 'NGN', status: 'preview', ...fields })),
+        updateOne: jest.fn(async (filter, update) => {
+            if (filter.status && batch.status !== filter.status) return;
+            Object.assign(batch, update.$set);
+            for (const [field, amount] of Object.entries(update.$inc || {})) batch[field] += amount;
+        }),
+        findOneAndUpdate: jest.fn(async (filter) => {
+            if (!filter.status.$in.includes(batch.status)) return null;
+            batch.status = batch.failedCount > 0 ? 'completed_with_errors' : 'completed';
+            return { ...batch };
+        })
+    }
+}));
+jest.unstable_mockModule('../models/BulkTransferItem.js', () => ({
+    BulkTransferItem: {
+        insertMany: jest.fn(async (rows) => rows.map((row, index) => ({ _id: `item-${index + 1}`, currency: 'NGN', ...row }))),
+        findOneAndUpdate: jest.fn(async ({ _id, status }) => {
+            const item = items.get(_id);
+            if (!item || item.status !== status) return null;
+            item.status = 'processing';
+            item.attempts += 1;
+            return item;
+        }),
+        exists: jest.fn(async ({ status }) => [...items.values()].some((item) => status.$in.includes(item.status)))
+    }
+}));
+jest.unstable_mockModule('../queues/bulkTransferQueue.js', () => ({ enqueueBulkTransferItems: jest.fn() }));
+jest.unstable_mockModule('../utils/email.js', () => ({ sendErrorAlert: jest.fn(async () => undefined) }));
+jest.unstable_mockModule('../services/walletService.js', () => ({
+    default: {
+        EXTERNAL_TRANSFER_FEE: 5000,
+        verifyBankAccount: jest.fn(async ({ accountNumber }) => {
+            if (accountNumber === '0690000041') {
+                throw new Error('Account not found');
+            }
+            return { accountNumber, accountName: 'ADA OBI', bankName: 'Access Bank' };
+        }),
+        findTransferByIdempotencyKey: jest.fn(async () => null)
+    }
+}));
+jest.unstable_mockModule('../services/beneficiaryService.js', () => ({
+    default: {
+        resolveRecipient: async ({ recipientAccountNumber, bankCode, recipientAccountName, recipientBankName }) =>
+            ({ recipientAccountNumber, bankCode, recipientAccountName, recipientBankName })
+    }
+}));
+jest.unstable_mockModule('../services/scheduledTransferService.js', () => ({
+    default: { executeTransfer: jest.fn() }
+}));
+
+const { parseCsv } = await import('../utils/csv.js');
+const { sendErrorAlert } = await import('../utils/email.js');
+const { default: walletService } = await import('../services/walletService.js');
+const { default: scheduledTransferService } = await import('../services/scheduledTransferService.js');
+const { default: bulkTransferService } = await import('../services/bulkTransferService.js');
+
+describe('Bulk transfer previews', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('marks each bad row invalid with its reason and keeps the good ones', async () => {
+        const rows = parseCsv([
+            'recipientAccountNumber,amount,description,bankCode,recipientAccountName,recipientBankName',
+            '0000000002,1500,"Rent, March",,,',
+            '12345,100,,,,',
+            '0000000003,60000,,,,',
+            '0000000001,100,,,,',
+            '0690000040,2000,,,,',
+            '0690000041,2000,,044,Ada Obi,Access Bank',
+            '0690000040,2500,Salary,044,Ada Obi,Access Bank',
+            '0000000002,abc,,,,'
+        ].join('\n'));
+
+        const { bulkTransfer, items: preview } = await bulkTransferService.createBulkTransfer({ userId: 'user-1', rows, format: 'csv' });
+
+        expect(preview.map(({ rowNumber, status, errors }) => ({ rowNumber, status, errors }))).toEqual([
+            { rowNumber: 1, status: 'valid', errors: undefined },
+            { rowNumber: 2, status: 'invalid', errors: ['recipientAccountNumber: Recipient account number must be 10 digits'] },
+            { rowNumber: 3, status: 'invalid', errors: [expect.stringContaining('exceeds the Tier 1 single transaction limit')] },
+            { rowNumber: 4, status: 'invalid', errors: ['Cannot transfer to your own account'] },
+            { rowNumber: 5, status: 'invalid', errors: ['Bank code, account name, and bank name are required for external transfers'] },
+            { rowNumber: 6, status: 'invalid', errors: ['Account not found'] },
+            { rowNumber: 7, status: 'valid', errors: undefined },
+            { rowNumber: 8, status: 'invalid', errors: ['amount: Amount must be a number'] }
+        ]);
+        expect(preview[0]).toMatchObject({ transferType: 'internal', recipientAccountName: 'Chi Eze', amountMinor: 150000, description: 'Rent, March' });
+        expect(preview[6]).toMatchObject({ transferType: 'external', recipientAccountName: 'ADA OBI', fee: 50 });
+        expect(bulkTransfer).toMatchObject({
+            validCount: 2,
+            invalidCount: 6,
+            total: { amountMinor: 400000 },
+            fees: { amountMinor: 5000 }
+        });
+    });
+
+    it('rejects an empty batch', async () => {
+        await expect(bulkTransferService.createBulkTransfer({ userId: 'user-1', rows: [] })).rejects.toMatchObject({ status: 400 });
+    });
+});
+
+describe('Bulk transfer rows', () => {
+    const queue = (...ids) => {
+        items.clear();
+        for (const [index, id] of ids.entries()) {
+            items.set(id, itemDocument({
+                _id: id,
+                bulkTransferId: 'batch-1',
+                userId: 'user-1',
+                rowNumber: index + 1,
+                transferType: 'internal',
+                recipientAccountNumber: '0000000002',
+                amount: 100000,
+                status: 'queued',
+                attempts: 0
+            }));
+        }
+        Object.assign(batch, { _id: 'batch-1', status: 'queued', validCount: ids.length, completedCount: 0, failedCount: 0, invalidCount: 0 });
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('fails one row without stopping the others and finishes the batch with errors', async () => {
+        queue('item-1', 'item-2');
+        scheduledTransferService.executeTransfer
+            .mockRejectedValueOnce(new Error('Insufficient balance in wallet'))
+            .mockResolvedValueOnce({ reference: 'TRANSFER-SENDER-2' });
+
+        await expect(bulkTransferService.processBulkTransferItem('item-1')).resolves.toBe('failed');
+        expect(batch.status).toBe('processing');
+        await expect(bulkTransferService.processBulkTransferItem('item-2')).resolves.toBe('completed');
+
+        expect(items.get('item-1')).toMatchObject({ status: 'failed', failureReason: 'Insufficient balance in wallet' });
+        expect(items.get('item-2')).toMatchObject({ status: 'completed', transactionReference: 'TRANSFER-SENDER-2' });
+        expect(batch).toMatchObject({ status: 'completed_with_errors', completedCount: 1, failedCount: 1 });
+        expect(sendErrorAlert).toHaveBeenCalledTimes(1);
+        expect(sendErrorAlert.mock.calls[0][1].text).toContain('Paid: 1 of 2 rows');
+    });
+
+    it('puts a row back in the queue on contention until its last attempt', async () => {
+        queue('item-1');
+        const busy = Object.assign(new Error('Too many concurrent updates, please retry shortly'), { status: 503 });
+        scheduledTransferService.executeTransfer.mockRejectedValue(busy);
+
+        await expect(bulkTransferService.processBulkTransferItem('item-1', { finalAttempt: false })).rejects.toBe(busy);
+        expect(items.get('item-1')).toMatchObject({ status: 'queued', attempts: 1 });
+        expect(batch.failedCount).toBe(0);
+
+        await expect(bulkTransferService.processBulkTransferItem('item-1', { finalAttempt: true })).resolves.toBe('failed');
+        expect(items.get('item-1')).toMatchObject({ status: 'failed', attempts: 2 });
+        expect(batch).toMatchObject({ status: 'completed_with_errors', failedCount: 1 });
+    });
+
+    it('completes a row whose transfer already went through without sending it again', async () => {
+        queue('item-1');
+        walletService.findTransferByIdempotencyKey.mockResolvedValueOnce({ reference: 'TRANSFER-SENDER-1' });
+
+        await expect(bulkTransferService.processBulkTransferItem('item-1')).resolves.toBe('completed');
+
+        expect(walletService.findTransferByIdempotencyKey).toHaveBeenCalledWith('user-1', 'bulk-transfer-item-1');
+        expect(scheduledTransferService.executeTransfer).not.toHaveBeenCalled();
+        expect(items.get('item-1')).toMatchObject({ status: 'completed', transactionReference: 'TRANSFER-SENDER-1' });
+        expect(batch.status).toBe('completed');
+    });
+
+    it('skips a row that is no longer queued', async () => {
+        queue('item-1');
+        items.get('item-1').status = 'cancelled';
+
+        await expect(bulkTransferService.processBulkTransferItem('item-1')).resolves.toBe('skipped');
+        expect(scheduledTransferService.executeTransfer).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect } from '@jest/globals';
+import { parseCsv, toCsv } from '../utils/csv.js';
+
+describe('CSV parsing', () => {
+    it('reads one record per row, keyed by the trimmed header', () => {
+        expect(parseCsv(' accountNumber , amount\n0123456789,1500\n9876543210,200.50\n')).toEqual([
+            { accountNumber: '0123456789', amount: '1500' },
+            { accountNumber: '9876543210', amount: '200.50' }
+        ]);
+    });
+
+    it('keeps commas, quotes and line breaks inside quoted fields', () => {
+        const text = 'name,description\n"Obi, Ada","Rent for ""March""\nand April"\n';
+
+        expect(parseCsv(text)).toEqual([{ name: 'Obi, Ada', description: 'Rent for "March"\nand April' }]);
+    });
+
+    it('accepts CRLF line endings, a byte order mark and a missing final newline', () => {
+        expect(parseCsv('\uFEFFname,amount\r\nAda,100\r\nObi,200')).toEqual([
+            { name: 'Ada', amount: '100' },
+            { name: 'Obi', amount: '200' }
+        ]);
+    });
+
+    it('skips blank lines and fills short rows with empty cells', () => {
+        expect(parseCsv('name,amount,note\n\nAda,100\n , , \nObi,200,x\n')).toEqual([
+            { name: 'Ada', amount: '100', note: '' },
+            { name: 'Obi', amount: '200', note: 'x' }
+        ]);
+    });
+
+    it('returns nothing for an empty file or a header alone', () => {
+        expect(parseCsv('')).toEqual([]);
+        expect(parseCsv('\n\n')).toEqual([]);
+        expect(parseCsv('name,amount\n')).toEqual([]);
+    });
+
+    it('treats a quote inside an unquoted field as text', () => {
+        expect(parseCsv('name,amount\nAda "Chi" Obi,100\n')).toEqual([{ name: 'Ada "Chi" Obi', amount: '100' }]);
+    });
+
+    it('rejects an unterminated quote and rows wider than the header', () => {
+        expect(() => parseCsv('name,amount\n"Ada,100\n')).toThrow('CSV has an unterminated quoted field');
+        expect(() => parseCsv('name,amount\nAda,100\nObi,200,extra\n')).toThrow('CSV row 3 has more columns than the header');
+    });
+});
+
+describe('CSV output', () => {
+    it('quotes cells that need it and ends each row with CRLF', () => {
+        const csv = toCsv(['name', 'note', 'amount'], [
+            { name: 'Obi, Ada', note: 'Said "hi"\nthen left', amount: 100 },
+            { name: 'Chi', note: null, amount: 0 }
+        ]);
+
+        expect(csv).toBe('name,note,amount\r\n"Obi, Ada","Said ""hi""\nthen left",100\r\nChi,,0\r\n');
+    });
+
+    it('defuses cells a spreadsheet would run as formulas, but not negative numbers', () => {
+        const csv = toCsv(['value'], [{ value: '=HYPERLINK("x")' }, { value: '+234' }, { value: -50 }, { value: new Date('2026-03-01T00:00:00Z') }]);
+
+        expect(csv).toBe('value\r\n"\'=HYPERLINK(""x"")"\r\n\'+234\r\n-50\r\n2026-03-01T00:00:00.000Z\r\n');
+    });
+
+    it('reads back what it writes', () => {
+        const records = [{ name: 'Obi, Ada', note: 'Line one\r\nLine "two"' }];
+
+        expect(parseCsv(toCsv(['name', 'note'], records))).toEqual(records);
+    });
+});
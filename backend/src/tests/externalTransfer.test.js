@@ -0,0 +1,253 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+
+// Records the order things happen in, across the stand-ins below
+const events = [];
+
+// Stands in for a mongoose query: chainable, and resolves to document when awaited
+const query = (document) => {
+    const chain = {
+        select: () => chain,
+        session: () => chain,
+        lean: () => Promise.resolve(document),
+        then: (resolve, reject) => Promise.resolve(document).then(resolve, reject)
+    };
+    return chain;
+};
+
+const wallet = {
+    _id: 'wallet-1',
+    userId: 'user-1',
+    accountNumber: '0123456789',
+    getAvailableBalance: jest.fn()
+};
+const rows = new Map();
+
+// Applies a $set, including dotted paths into metadata
+const applySet = (row, fields) => {
+    for (const [path, value] of Object.entries(fields)) {
+        const [field, key] = path.split('.');
+        if (key) {
+            row[field] = { ...row[field], [key]: value };
+        } else {
+            row[field] = value;
+        }
+    }
+};
+
+const Transaction = {
+    exists: jest.fn(),
+    create: jest.fn(async ([row]) => {
+        events.push('row');
+        const created = { _id: `txn-${rows.size + 1}`, ...row };
+        rows.set(created.reference, created);
+        return [created];
+    }),
+    updateOne: jest.fn(async (filter, update) => {
+        const row = [...rows.values()].find((candidate) => candidate._id === filter._id);
+        if (row) applySet(row, update.$set);
+        return { modifiedCount: row ? 1 : 0 };
+    }),
+    findOneAndUpdate: jest.fn(async (filter, update) => {
+        const row = rows.get(filter.reference);
+        if (!row || row.status !== filter.status) return null;
+        applySet(row, update.$set);
+        return row;
+    })
+};
+const holdService = {
+    holdForTransfer: jest.fn(async () => {
+        events.push('hold');
+        return { hold: { _id: 'hold-1' }, account: { balance: 1000000, heldBalance: 505000 } };
+    }),
+    endTransferHold: jest.fn(async ({ status }) => ({ _id: 'hold-1', status }))
+};
+const ledgerService = {
+    SYSTEM_ACCOUNTS: { FEE_INCOME: 'fee-income' },
+    getWalletAccount: jest.fn(async () => ({ _id: 'wallet-account', walletId: wallet._id })),
+    getSettlementAccount: jest.fn(async (provider) => ({ _id: `settlement-${provider}` })),
+    getSystemAccount: jest.fn(async () => ({ _id: 'fee-income' })),
+    postJournalEntry: jest.fn(async () => ({ entry: { _id: 'entry-1' }, balances: new Map() }))
+};
+const limitService = {
+    checkTransfer: jest.fn(async () => undefined),
+    reserveDailyTransfer: jest.fn(async () => undefined),
+    releaseDailyTransfer: jest.fn(async () => undefined)
+};
+
+jest.unstable_mockModule('../models/Wallet.js', () => ({
+    Wallet: {
+        findOne: jest.fn(async () => wallet),
+        findById: jest.fn(() => query({ ...wallet, getAvailableBalance: async () => 1000000 }))
+    }
+}));
+jest.unstable_mockModule('../models/User.js', () => ({ User: { findById: jest.fn(async () => null) } }));
+jest.unstable_mockModule('../models/Transaction.js', () => ({ Transaction }));
+jest.unstable_mockModule('../services/holdService.js', () => ({ default: holdService }));
+jest.unstable_mockModule('../services/ledgerService.js', () => ({ default: ledgerService }));
+jest.unstable_mockModule('../services/limitService.js', () => ({ default: limitService }));
+jest.unstable_mockModule('../utils/email.js', () => ({ sendErrorAlert: jest.fn(async () => undefined) }));
+jest.unstable_mockModule('../utils/withTransaction.js', () => ({
+    withTransaction: (operation) => operation('session')
+}));
+
+const { setProvider } = await import('../providers/index.js');
+const { default: walletService } = await import('../services/walletService.js');
+const { default: externalTransferService } = await import('../services/externalTransferService.js');
+
+const providerError = (status, message) => Object.assign(new Error(message), {
+    response: { status, data: { message } }
+});
+
+const transfer = () => walletService.initiateExternalTransfer({
+    userId: 'user-1',
+    amount: 500000,
+    recipientAccountNumber: '0690000040',
+    recipientBankCode: '044',
+    recipientAccountName: 'Ada Obi',
+    recipientBankName: 'Access Bank',
+    idempotencyKey: `key-${Math.random()}`
+});
+
+describe('External transfers', () => {
+    let adapter;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        events.length = 0;
+        rows.clear();
+        wallet.getAvailableBalance.mockResolvedValue(1000000);
+        Transaction.exists.mockResolvedValue(null);
+        adapter = {
+            name: 'flutterwave',
+            label: 'Flutterwave',
+            resolveAccount: async ({ accountNumber }) => ({ accountNumber, accountName: 'ADA OBI', bankName: 'Access Bank' }),
+            getBalance: async () => null,
+            createTransfer: jest.fn(async ({ reference }) => {
+                events.push('provider');
+                return { id: 9001, reference, status: 'pending' };
+            }),
+            getTransfer: jest.fn()
+        };
+        setProvider('flutterwave', adapter);
+    });
+
+    afterEach(() => setProvider('flutterwave', null));
+
+    it('writes the pending row and holds amount plus fee before calling the provider', async () => {
+        const { transaction, balance } = await transfer();
+
+        expect(events).toEqual(['row', 'hold', 'provider']);
+        expect(holdService.holdForTransfer).toHaveBeenCalledWith(expect.objectContaining({ amount: 505000, session: 'session' }));
+        expect(transaction).toMatchObject({ status: 'pending', provider: 'flutterwave', metadata: { transferFee: 5000, providerTransferId: 9001 } });
+        expect(rows.get(transaction.reference)).toMatchObject({ provider: 'flutterwave', metadata: { providerTransferId: 9001 } });
+        expect(balance).toBe(495000);
+        expect(ledgerService.postJournalEntry).not.toHaveBeenCalled();
+    });
+
+    it('sends nothing when the hold cannot be placed', async () => {
+        holdService.holdForTransfer.mockRejectedValueOnce(Object.assign(new Error('Insufficient available balance to place hold'), { status: 400 }));
+
+        await expect(transfer()).rejects.toMatchObject({ status: 400, message: 'Insufficient balance in wallet' });
+        expect(adapter.createTransfer).not.toHaveBeenCalled();
+    });
+
+    it('releases the hold and fails the row when the provider declines the transfer', async () => {
+        adapter.createTransfer.mockRejectedValueOnce(providerError(400, 'Invalid account'));
+
+        await expect(transfer()).rejects.toThrow('Invalid account');
+
+        const [row] = rows.values();
+        expect(row).toMatchObject({ status: 'failed', metadata: { failureReason: 'Invalid account' } });
+        expect(holdService.endTransferHold).toHaveBeenCalledWith(expect.objectContaining({ transactionId: row._id, status: 'released' }));
+        expect(limitService.releaseDailyTransfer).toHaveBeenCalledWith(expect.objectContaining({ walletId: wallet._id, amount: 500000 }));
+    });
+
+    it('sends nothing over the daily limit, keeping the 403', async () => {
+        const limitError = Object.assign(new Error('Over the daily transfer limit'), { status: 403, code: 'LIMIT_EXCEEDED' });
+        limitService.reserveDailyTransfer.mockRejectedValueOnce(limitError);
+
+        await expect(transfer()).rejects.toBe(limitError);
+        expect(limitService.reserveDailyTransfer).toHaveBeenCalledWith(expect.objectContaining({ amount: 500000, session: 'session' }));
+        expect(adapter.createTransfer).not.toHaveBeenCalled();
+    });
+
+    it('keeps the row and hold when the transfer may have gone out', async () => {
+        adapter.createTransfer.mockRejectedValueOnce(Object.assign(new Error('timeout of 30000ms exceeded'), { code: 'ECONNABORTED' }));
+
+        await expect(transfer()).rejects.toThrow('timeout');
+
+        const [row] = rows.values();
+        expect(row.status).toBe('pending');
+        expect(holdService.endTransferHold).not.toHaveBeenCalled();
+    });
+});
+
+describe('External transfer settlement', () => {
+    let adapter;
+    let reference;
+
+    beforeEach(async () => {
+        jest.clearAllMocks();
+        rows.clear();
+        wallet.getAvailableBalance.mockResolvedValue(1000000);
+        Transaction.exists.mockResolvedValue(null);
+        adapter = {
+            name: 'flutterwave',
+            label: 'Flutterwave',
+            resolveAccount: async ({ accountNumber }) => ({ accountNumber, accountName: 'ADA OBI', bankName: 'Access Bank' }),
+            getBalance: async () => null,
+            createTransfer: async ({ reference: sent }) => ({ id: 9001, reference: sent, status: 'pending' }),
+            getTransfer: jest.fn()
+        };
+        setProvider('flutterwave', adapter);
+        ({ transaction: { reference } } = await transfer());
+        Transaction.findOne = jest.fn(() => query({ ...rows.get(reference), createdAt: new Date() }));
+    });
+
+    afterEach(() => setProvider('flutterwave', null));
+
+    it('captures the hold with the debit when the provider reports success', async () => {
+        adapter.getTransfer.mockResolvedValue({ id: 9001, reference, amount: 500000, status: 'successful' });
+
+        await expect(externalTransferService.syncTransferStatus({ reference })).resolves.toBe('completed');
+
+        expect(holdService.endTransferHold).toHaveBeenCalledWith(expect.objectContaining({ status: 'captured' }));
+        const { legs } = ledgerService.postJournalEntry.mock.calls[0][0];
+        expect(legs).toEqual([
+            expect.objectContaining({ direction: 'debit', amount: 505000, fromHold: true }),
+            expect.objectContaining({ account: { _id: 'settlement-flutterwave' }, direction: 'credit', amount: 500000 }),
+            expect.objectContaining({ account: { _id: 'fee-income' }, direction: 'credit', amount: 5000 })
+        ]);
+        expect(rows.get(reference)).toMatchObject({ status: 'completed', journalEntryId: 'entry-1' });
+    });
+
+    it('releases the hold without posting anything when the provider reports failure', async () => {
+        adapter.getTransfer.mockResolvedValue({ id: 9001, reference, amount: 500000, status: 'failed', message: 'Account closed' });
+
+        await expect(externalTransferService.syncTransferStatus({ reference })).resolves.toBe('failed');
+
+        expect(holdService.endTransferHold).toHaveBeenCalledWith(expect.objectContaining({ status: 'released' }));
+        expect(ledgerService.postJournalEntry).not.toHaveBeenCalled();
+        expect(rows.get(reference)).toMatchObject({ status: 'failed', metadata: { failureReason: 'Account closed' } });
+    });
+
+    it('settles a transfer whose send timed out once a webhook names it', async () => {
+        const row = rows.get(reference);
+        row.provider = null;
+        row.metadata = { transferFee: 5000 };
+        adapter.getTransfer.mockResolvedValue({ id: 9002, reference, amount: 500000, status: 'successful' });
+
+        await expect(externalTransferService.syncTransferStatus({ reference })).resolves.toBe('pending');
+        await expect(externalTransferService.syncTransferStatus({
+            reference,
+            reported: { provider: 'flutterwave', transferId: 9002 }
+        })).resolves.toBe('completed');
+
+        expect(adapter.getTransfer).toHaveBeenCalledWith(9002);
+        expect(rows.get(reference)).toMatchObject({
+            status: 'completed',
+            provider: 'flutterwave',
+            metadata: { providerTransferId: 9002 }
+        });
+    });
+});
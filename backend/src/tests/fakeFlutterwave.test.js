@@ -0,0 +1,244 @@
+import { jest, describe, beforeAll, afterAll, beforeEach, afterEach, it, expect } from '@jest/globals';
+
+// Failed provider calls alert by email; keep the suite off the network
+jest.unstable_mockModule('../utils/email.js', () => ({
+    sendErrorAlert: jest.fn().mockResolvedValue(undefined)
+}));
+
+const { createServer } = await import('http');
+const { default: express } = await import('express');
+const { env } = await import('../config/env.js');
+const { createFakeFlutterwave } = await import('../providers/fakeFlutterwave.js');
+const { createFlutterwaveProvider } = await import('../providers/flutterwaveProvider.js');
+const { setProvider } = await import('../providers/index.js');
+const { default: verifyWebhookSignature } = await import('../middlewares/webhookSignature.js');
+const { default: walletService } = await import('../services/walletService.js');
+
+const SECRET_KEY = env.FLUTTERWAVE_SECRET_KEY;
+const BANK_CODE = '044';
+const ACCOUNT_NUMBER = '0690000040';
+
+/**
+ * Starts a webhook receiver that checks signatures like the real route and records
+ * what it accepts.
+ */
+const startReceiver = () => new Promise((resolve) => {
+    const received = [];
+    const app = express();
+    app.post('/webhook', express.json(), verifyWebhookSignature, (req, res) => {
+        received.push(req.body);
+        res.status(200).json({ status: 'success' });
+    });
+    const server = createServer(app);
+    server.listen(0, '127.0.0.1', () => {
+        resolve({ server, received, url: `http://127.0.0.1:${server.address().port}/webhook` });
+    });
+});
+
+describe('Flutterwave simulator', () => {
+    let receiver;
+    let fake;
+    let provider;
+
+    beforeAll(async () => {
+        receiver = await startReceiver();
+        fake = createFakeFlutterwave({
+            secretKey: SECRET_KEY,
+            secretHash: env.FLUTTERWAVE_SECRET_HASH,
+            webhookUrl: receiver.url
+        });
+        await fake.start();
+        provider = createFlutterwaveProvider({
+            baseUrl: fake.url,
+            secretKey: SECRET_KEY,
+            secretHash: env.FLUTTERWAVE_SECRET_HASH
+        });
+        setProvider('flutterwave', provider);
+    });
+
+    afterAll(async () => {
+        setProvider('flutterwave', null);
+        await fake.stop();
+        await new Promise((resolve) => receiver.server.close(resolve));
+    });
+
+    beforeEach(() => {
+        fake.reset();
+        receiver.received.length = 0;
+        fake.addAccount({ accountNumber: ACCOUNT_NUMBER, bankCode: BANK_CODE, accountName: 'ADA OKAFOR', bankName: 'ACCESS BANK' });
+    });
+
+    afterEach(async () => {
+        await fake.flush();
+    });
+
+    it('rejects calls without the secret key', async () => {
+        const stranger = createFlutterwaveProvider({ baseUrl: fake.url, secretKey: 'wrong-key' });
+
+        await expect(stranger.getBalance()).rejects.toMatchObject({ response: { status: 401 } });
+    });
+
+    it('resolves known accounts through walletService', async () => {
+        const account = await walletService.verifyBankAccount({
+            accountNumber: ACCOUNT_NUMBER,
+            bankCode: BANK_CODE,
+            requestId: 'test'
+        });
+
+        expect(account).toEqual({
+            accountNumber: ACCOUNT_NUMBER,
+            accountName: 'ADA OKAFOR',
+            bankName: 'ACCESS BANK',
+            provider: 'flutterwave'
+        });
+        await expect(walletService.verifyBankAccount({ accountNumber: '0000000000', bankCode: BANK_CODE, requestId: 'test' }))
+            .rejects.toThrow('recipient account could not be validated');
+    });
+
+    it('reports the payout balance in kobo', async () => {
+        fake.setBalance(2500.5);
+
+        await expect(provider.getBalance()).resolves.toBe(250050);
+    });
+
+    it('creates a checkout link and verifies the completed payment', async () => {
+        const initiated = await provider.initiatePayment({
+            reference: 'FUND-1',
+            amount: 150000,
+            redirectUrl: 'http://localhost/api/wallet/callback',
+            customer: { email: 'ada@example.com', name: 'Ada Okafor' }
+        });
+        expect(initiated.link).toContain('/checkout/FUND-1');
+        expect(fake.getPayment('FUND-1').amount).toBe(1500);
+
+        const { id } = fake.completePayment('FUND-1');
+        const verified = await walletService.verifyPayment({ provider: 'flutterwave', transactionId: id, requestId: 'test' });
+
+        expect(verified).toEqual({ id: String(id), reference: 'FUND-1', amount: 150000, currency: 'NGN', status: 'successful' });
+        await expect(provider.verifyPayment({ reference: 'FUND-1' })).resolves.toEqual(verified);
+    });
+
+    it('settles transfers as SUCCESSFUL and sends a signed webhook', async () => {
+        const created = await provider.createTransfer({
+            reference: 'EXT-TRANSFER-1',
+            amount: 100000,
+            accountNumber: ACCOUNT_NUMBER,
+            bankCode: BANK_CODE,
+            narration: 'Rent'
+        });
+        await fake.flush();
+
+        const transfer = await walletService.getProviderTransfer({ provider: 'flutterwave', transferId: created.id, requestId: 'test' });
+        expect(transfer).toMatchObject({ reference: 'EXT-TRANSFER-1', amount: 100000, status: 'successful' });
+        expect(receiver.received).toEqual([
+            expect.objectContaining({
+                'event.type': 'transfer.completed',
+                transfer: expect.objectContaining({ id: Number(created.id), status: 'SUCCESSFUL' })
+            })
+        ]);
+    });
+
+    it('fails a scripted transfer after a delay, refunds it and delivers the webhook twice', async () => {
+        fake.setBalance(5000);
+        fake.scriptTransfer({ status: 'FAILED', delayMs: 30, duplicates: 1 });
+
+        const created = await provider.createTransfer({
+            reference: 'EXT-TRANSFER-2',
+            amount: 100000,
+            accountNumber: ACCOUNT_NUMBER,
+            bankCode: BANK_CODE
+        });
+        expect(created.status).toBe('pending');
+        expect(fake.balance).toBeCloseTo(5000 - 1000 - 10.75);
+
+        await fake.flush();
+
+        expect(fake.getTransfer(created.id).status).toBe('FAILED');
+        expect(fake.balance).toBe(5000);
+        expect(receiver.received).toHaveLength(2);
+        expect(receiver.received[0]).toEqual(receiver.received[1]);
+        expect(fake.webhooks.every((delivery) => delivery.status === 200)).toBe(true);
+    });
+
+    it('keeps scripted PENDING transfers pending until resolved', async () => {
+        fake.scriptTransfer({ status: 'PENDING' });
+        const created = await provider.createTransfer({
+            reference: 'EXT-TRANSFER-3',
+            amount: 5000,
+            accountNumber: ACCOUNT_NUMBER,
+            bankCode: BANK_CODE
+        });
+        await fake.flush();
+
+        expect(fake.getTransfer(created.id).status).toBe('PENDING');
+        expect(receiver.received).toHaveLength(0);
+
+        await fake.resolveTransfer(created.id, 'SUCCESSFUL');
+        expect(receiver.received).toHaveLength(1);
+    });
+
+    it('rejects a second transfer with the same reference', async () => {
+        const transfer = { reference: 'EXT-TRANSFER-4', amount: 5000, accountNumber: ACCOUNT_NUMBER, bankCode: BANK_CODE };
+        await provider.createTransfer(transfer);
+
+        await expect(provider.createTransfer(transfer)).rejects.toMatchObject({ response: { status: 400 } });
+    });
+
+    it('returns scripted API errors', async () => {
+        fake.failNext('GET /transactions/:id/verify', { status: 503, message: 'Service unavailable', times: 2 });
+
+        const verify = () => walletService.verifyPayment({ provider: 'flutterwave', transactionId: '1', requestId: 'test' });
+
+        await expect(verify()).rejects.toThrow('Service unavailable');
+        await expect(verify()).rejects.toThrow('Service unavailable');
+        await expect(verify()).rejects.toThrow('No transaction was found');
+    });
+
+    it('sends incoming transfer webhooks the receiving route accepts, and unsigned ones it rejects', async () => {
+        const transaction = await fake.sendIncomingTransfer({ accountNumber: '0123456789', amount: 2000, reference: 'INWARD-1' });
+        await fake.sendWebhook({ 'event.type': 'transfer.completed' }, { signature: 'forged' });
+
+        expect(receiver.received).toEqual([
+            expect.objectContaining({
+                transfer: expect.objectContaining({ id: transaction.id, account_number: '0123456789', amount: 2000 })
+            })
+        ]);
+        expect(fake.webhooks.map((delivery) => delivery.status)).toEqual([200, 401]);
+        await expect(provider.verifyPayment({ transactionId: transaction.id })).resolves.toMatchObject({ amount: 200000 });
+    });
+
+    it('creates a virtual account and reports transfers into it with the sender details', async () => {
+        const account = await provider.createVirtualAccount({
+            reference: 'VA-WALLET-1',
+            email: 'ada@example.com',
+            firstName: 'Ada',
+            lastName: 'Okafor',
+            phoneNumber: '+2348012345678',
+            narration: 'Ada Okafor'
+        });
+        expect(account).toEqual({
+            accountNumber: expect.stringMatching(/^\d{10}$/),
+            accountName: 'Ada Okafor',
+            bankName: 'WEMA BANK',
+            providerId: expect.any(String)
+        });
+
+        const transaction = await fake.sendVirtualAccountPayment({ accountNumber: account.accountNumber, amount: 3500, senderName: 'CHIOMA EZE' });
+        const [body] = receiver.received;
+        const { eventId, event } = provider.parseWebhook(body, JSON.stringify(body));
+
+        expect(eventId).toBe(`charge.completed:${transaction.id}:successful`);
+        expect(event).toEqual({
+            type: 'payment',
+            id: String(transaction.id),
+            reference: 'VA-WALLET-1',
+            status: 'successful',
+            amount: 350000,
+            accountNumber: null,
+            senderAccountNumber: '0690000031',
+            senderName: 'CHIOMA EZE',
+            senderBankName: 'ACCESS BANK NIGERIA'
+        });
+        await expect(provider.verifyPayment({ transactionId: event.id })).resolves.toMatchObject({ reference: 'VA-WALLET-1', amount: 350000 });
+    });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect } from '@jest/globals';
+import mongoose from 'mongoose';
+
+const { createFixedFxRateProvider } = await import('../providers/fxRates.js');
+const { JournalEntry } = await import('../models/JournalEntry.js');
+const { default: fxService } = await import('../services/fxService.js');
+
+const leg = (direction, amount, currency) => ({
+    accountId: new mongoose.Types.ObjectId(),
+    accountCode: `TEST-${currency}`,
+    direction,
+    amount,
+    currency
+});
+
+describe('Conversion pricing', () => {
+    it('applies the spread to the mid rate and keeps the difference', () => {
+        expect(fxService.priceConversion({ amount: 100000, midRate: 1500, spreadBps: 150, from: 'USD', to: 'NGN' }))
+            .toEqual({ midRate: '1500', rate: '1477.5', midAmount: 150000000, targetAmount: 147750000, spreadAmount: 2250000 });
+    });
+
+    it('rounds the customer amount down on small cross rates', () => {
+        const price = fxService.priceConversion({ amount: 100001, midRate: 1 / 1500, spreadBps: 150, from: 'NGN', to: 'USD' });
+
+        expect(price.midRate).toBe('0.0006666667');
+        expect(price.midAmount).toBe(66);
+        expect(price.targetAmount).toBe(65);
+        expect(price.spreadAmount).toBe(1);
+    });
+
+    it('takes nothing without a spread', () => {
+        const price = fxService.priceConversion({ amount: 12345, midRate: 0.8, spreadBps: 0, from: 'USD', to: 'GBP' });
+
+        expect(price).toMatchObject({ rate: '0.8', targetAmount: 9876, spreadAmount: 0 });
+    });
+});
+
+describe('Fixed FX rates', () => {
+    it('derives cross rates from USD rates and can be changed', async () => {
+        const rates = createFixedFxRateProvider({ rates: { USD: 1, NGN: 1600, GBP: 0.8 } });
+
+        await expect(rates.getRate('GBP', 'NGN')).resolves.toMatchObject({ rate: 2000, source: 'fixed' });
+        rates.setRates({ NGN: 1200 });
+        await expect(rates.getRate('GBP', 'NGN')).resolves.toMatchObject({ rate: 1500 });
+        await expect(rates.getRate('GBP', 'EUR')).rejects.toMatchObject({ status: 503 });
+    });
+});
+
+describe('Multi-currency journal entries', () => {
+    it('accepts a conversion that balances in each currency', async () => {
+        const entry = new JournalEntry({
+            reference: 'FX-TEST-1',
+            currency: 'USD',
+            legs: [
+                leg('debit', 100000, 'USD'),
+                leg('credit', 100000, 'USD'),
+                leg('debit', 150000000, 'NGN'),
+                leg('credit', 147750000, 'NGN'),
+                leg('credit', 2250000, 'NGN')
+            ]
+        });
+
+        await expect(entry.validate()).resolves.toBeUndefined();
+    });
+
+    it('rejects legs that only balance across currencies', async () => {
+        const entry = new JournalEntry({
+            reference: 'FX-TEST-2',
+            currency: 'USD',
+            legs: [leg('debit', 100000, 'USD'), leg('credit', 100000, 'NGN')]
+        });
+
+        await expect(entry.validate()).rejects.toThrow('Unbalanced journal entry: debits USD 1,000.00 != credits USD 0.00');
+    });
+
+    it('treats legs without a currency as the entry currency', async () => {
+        const entry = new JournalEntry({
+            reference: 'FX-TEST-3',
+            currency: 'NGN',
+            legs: [leg('debit', 5000), leg('credit', 5000)]
+        });
+
+        await entry.validate();
+        expect(entry.legs.map((item) => item.currency)).toEqual(['NGN', 'NGN']);
+    });
+});
@@ -0,0 +1,193 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+// Stands in for a mongoose query: chainable, and resolves to value when awaited
+const query = (value) => {
+    const chain = {
+        select: () => chain,
+        session: () => chain,
+        sort: () => chain,
+        limit: () => chain,
+        lean: () => Promise.resolve(value),
+        then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+    };
+    return chain;
+};
+
+const wallet = { _id: 'wallet-1', userId: 'user-1', accountNumber: '0123456789' };
+const accounts = new Map();
+const holds = new Map();
+
+// Evaluates the aggregation operators availableAtLeast builds its $expr from
+const evaluate = (account, operand) => {
+    if (typeof operand === 'string' && operand.startsWith('$')) return account[operand.slice(1)];
+    if (operand?.$subtract) {
+        const [left, right] = operand.$subtract.map((item) => evaluate(account, item));
+        return left - right;
+    }
+    if (operand?.$ifNull) {
+        const [value, fallback] = operand.$ifNull.map((item) => evaluate(account, item));
+        return value ?? fallback;
+    }
+    if (operand?.$gte) {
+        const [left, right] = operand.$gte.map((item) => evaluate(account, item));
+        return left >= right;
+    }
+    return operand;
+};
+
+jest.unstable_mockModule('../models/LedgerAccount.js', () => ({
+    LedgerAccount: {
+        findOneAndUpdate: jest.fn(async (filter, update) => {
+            if (update.$setOnInsert) {
+                return [...accounts.values()].find((account) => account.walletId === filter.walletId
+                    && account.currency === filter.currency) || null;
+            }
+            const account = accounts.get(filter._id);
+            if (!account) return null;
+            if (filter.heldBalance && account.heldBalance < filter.heldBalance.$gte) return null;
+            if (filter.$expr && !evaluate(account, filter.$expr)) return null;
+            for (const [field, amount] of Object.entries(update.$inc)) account[field] += amount;
+            return { ...account };
+        })
+    }
+}));
+jest.unstable_mockModule('../models/JournalEntry.js', () => ({
+    JournalEntry: { create: jest.fn(async ([entry]) => [{ _id: 'entry-1', ...entry }]) }
+}));
+jest.unstable_mockModule('../models/Wallet.js', () => ({
+    Wallet: {
+        findOne: jest.fn(() => query(wallet)),
+        findById: jest.fn(() => query(wallet))
+    }
+}));
+jest.unstable_mockModule('../models/Hold.js', () => ({
+    Hold: {
+        create: jest.fn(async ([fields]) => {
+            const hold = { _id: `hold-${holds.size + 1}`, status: 'active', transactionId: null, expiresAt: null, ...fields };
+            holds.set(hold._id, hold);
+            return [{ ...hold }];
+        }),
+        // Matches on the fields endHold and endTransferHold filter by
+        findOneAndUpdate: jest.fn(async (filter, update) => {
+            const hold = [...holds.values()].find((candidate) =>
+                (filter._id === undefined || candidate._id === filter._id)
+                && (filter.transactionId === undefined || candidate.transactionId === filter.transactionId)
+                && (!filter.expiresAt || (candidate.expiresAt && candidate.expiresAt <= filter.expiresAt.$lte))
+                && candidate.status === filter.status);
+            if (!hold) return null;
+            Object.assign(hold, update.$set);
+            return { ...hold };
+        }),
+        find: jest.fn((filter) => query([...holds.values()].filter((hold) => hold.status === filter.status
+            && hold.expiresAt && hold.expiresAt <= filter.expiresAt.$lte))),
+        findById: jest.fn((id) => query(holds.get(id) || null))
+    }
+}));
+jest.unstable_mockModule('../utils/withTransaction.js', () => ({
+    withTransaction: (operation) => operation('session')
+}));
+
+const { default: ledgerService } = await import('../services/ledgerService.js');
+const { default: holdService } = await import('../services/holdService.js');
+
+const walletAccount = () => accounts.get('wallet-account');
+const available = () => walletAccount().balance - walletAccount().heldBalance;
+const place = (fields) => holdService.placeHold({
+    accountNumber: wallet.accountNumber,
+    type: 'dispute',
+    reason: 'Disputed card payment',
+    createdBy: 'admin-1',
+    ...fields
+});
+// Pays out of the wallet to the provider, as a transfer's journal entry would
+const debit = (amount) => ledgerService.postJournalEntry({
+    reference: `DEBIT-${amount}`,
+    legs: [
+        { account: walletAccount(), direction: 'debit', amount },
+        { account: accounts.get('settlement'), direction: 'credit', amount }
+    ],
+    session: 'session'
+});
+
+describe('Holds and available balance', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        holds.clear();
+        accounts.clear();
+        // NGN 10,000 in the wallet
+        accounts.set('wallet-account', {
+            _id: 'wallet-account',
+            code: `WALLET-${wallet.accountNumber}`,
+            type: 'liability',
+            walletId: wallet._id,
+            currency: 'NGN',
+            balance: 1000000,
+            heldBalance: 0
+        });
+        accounts.set('settlement', { _id: 'settlement', code: 'SETTLEMENT-FLUTTERWAVE', type: 'asset', balance: 5000000, heldBalance: 0 });
+    });
+
+    it('takes a hold out of the available balance and refuses one it cannot cover', async () => {
+        await place({ amount: 300000 });
+        expect(walletAccount()).toMatchObject({ balance: 1000000, heldBalance: 300000 });
+        expect(available()).toBe(700000);
+
+        await expect(place({ amount: 700001 })).rejects.toMatchObject({
+            status: 400,
+            message: 'Insufficient available balance to place hold'
+        });
+        expect(holds.size).toBe(1);
+        expect(walletAccount().heldBalance).toBe(300000);
+
+        // A lien may take the available balance below zero
+        await place({ amount: 800000, type: 'lien', reason: 'Court order' });
+        expect(available()).toBe(-100000);
+    });
+
+    it('refuses a debit above the available balance, even when the ledger balance covers it', async () => {
+        await place({ amount: 300000 });
+
+        await expect(debit(700001)).rejects.toMatchObject({ status: 400, message: 'Insufficient balance' });
+        expect(walletAccount()).toMatchObject({ balance: 1000000, heldBalance: 300000 });
+
+        await debit(700000);
+        expect(walletAccount()).toMatchObject({ balance: 300000, heldBalance: 300000 });
+        expect(available()).toBe(0);
+    });
+
+    it('returns the funds of expired holds and leaves the rest held', async () => {
+        const inAnHour = new Date(Date.now() + 60 * 60 * 1000);
+        const lapsing = await place({ amount: 300000, expiresAt: inAnHour });
+        await place({ amount: 200000, expiresAt: inAnHour });
+        expect(available()).toBe(500000);
+
+        // The first hold's expiry passes
+        holds.get(lapsing.id).expiresAt = new Date(Date.now() - 1000);
+        await expect(holdService.expireHolds()).resolves.toBe(1);
+
+        expect(holds.get(lapsing.id)).toMatchObject({ status: 'expired', releaseReason: 'Hold expired' });
+        expect(holds.get('hold-2').status).toBe('active');
+        expect(walletAccount().heldBalance).toBe(200000);
+        expect(available()).toBe(800000);
+    });
+
+    it('does not let an admin release an external transfer\'s hold', async () => {
+        const transaction = { _id: 'txn-1', reference: 'EXT-TRANSFER-1', currency: 'NGN', createdBy: 'user-1' };
+        const { hold } = await holdService.holdForTransfer({ wallet, amount: 505000, transaction, session: 'session' });
+
+        await expect(holdService.releaseHold({ id: hold._id, releasedBy: 'admin-1', reason: 'Customer asked' })).rejects.toMatchObject({
+            status: 409,
+            message: 'Transfer holds are released when the transfer settles'
+        });
+        expect(holds.get(hold._id).status).toBe('active');
+        expect(walletAccount().heldBalance).toBe(505000);
+
+        // The transfer's settlement can
+        await holdService.endTransferHold({ transactionId: 'txn-1', status: 'released', reason: 'Transfer failed', session: 'session' });
+        expect(walletAccount().heldBalance).toBe(0);
+        await expect(holdService.releaseHold({ id: hold._id, releasedBy: 'admin-1' })).rejects.toMatchObject({
+            status: 409,
+            message: 'Hold is already released'
+        });
+    });
+});
@@ -0,0 +1,218 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+// In-memory stand-in for the idempotency key collection, unique on user and key
+const records = new Map();
+let nextId = 1;
+
+const find = (id) => [...records.values()].find((record) => record._id === id);
+
+jest.unstable_mockModule('../models/IdempotencyKey.js', () => ({
+    IdempotencyKey: {
+        create: jest.fn(async (fields) => {
+            const id = `${fields.userId}:${fields.key}`;
+            if (records.has(id)) {
+                throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+            }
+            const record = { _id: `record-${nextId++}`, status: 'processing', ...fields };
+            records.set(id, record);
+            return { ...record };
+        }),
+        findOne: ({ userId, key }) => ({ lean: async () => records.get(`${userId}:${key}`) || null }),
+        findOneAndUpdate: jest.fn(async (filter, update) => {
+            const record = find(filter._id);
+            if (!record || record.status !== filter.status || record.lockedUntil >= filter.lockedUntil.$lt) {
+                return null;
+            }
+            Object.assign(record, update.$set);
+            return { ...record };
+        }),
+        updateOne: jest.fn(async ({ _id }, update) => {
+            const record = find(_id);
+            Object.assign(record, update.$set);
+            for (const field of Object.keys(update.$unset || {})) delete record[field];
+        }),
+        deleteOne: jest.fn(async ({ _id }) => {
+            records.delete([...records.keys()].find((id) => records.get(id)._id === _id));
+        })
+    }
+}));
+
+const sender = {
+    _id: 'user-1',
+    accountNumber: '0000000001',
+    hasAccountNumber: (accountNumber) => accountNumber === '0000000001'
+};
+const wallet = { _id: 'wallet-1', userId: 'user-1', getAvailableBalance: jest.fn(async () => 100000) };
+
+jest.unstable_mockModule('../models/User.js', () => ({
+    User: { findById: jest.fn(async () => sender), findByAccountNumber: jest.fn(async () => null) }
+}));
+jest.unstable_mockModule('../models/Wallet.js', () => ({ Wallet: { findOne: jest.fn(async () => wallet) } }));
+jest.unstable_mockModule('../services/limitService.js', () => ({
+    default: { checkTransfer: jest.fn(async () => undefined) }
+}));
+jest.unstable_mockModule('../utils/email.js', () => ({ sendErrorAlert: jest.fn(async () => undefined) }));
+
+const { default: request } = await import('supertest');
+const { default: express } = await import('express');
+const { default: idempotency } = await import('../middlewares/idempotency.js');
+const { hashRequest } = await import('../utils/idempotency.js');
+const { default: walletController } = await import('../controllers/walletController.js');
+
+const PATH = '/api/wallet/transfer';
+const KEY = 'transfer-key-0001';
+
+let runs = 0;
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+    req.user = { id: 'user-1' };
+    req.requestId = 'request-1';
+    next();
+});
+app.post(PATH, idempotency, (req, res) => {
+    runs += 1;
+    res.status(req.body.fail ? 503 : 201).json({ run: runs, idempotencyKey: req.idempotencyKey || null });
+});
+
+const send = (body, key = KEY) => {
+    const pending = request(app).post(PATH).send(body);
+    return key ? pending.set('Idempotency-Key', key) : pending;
+};
+
+// The response is stored once it has finished; give that a turn to land
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+// Seeds the record an earlier request with this key left behind
+const seed = (fields) => records.set(`user-1:${KEY}`, {
+    _id: 'record-seeded',
+    key: KEY,
+    userId: 'user-1',
+    method: 'POST',
+    path: PATH,
+    requestHash: hashRequest({ method: 'POST', path: PATH, body: { amount: 100 } }),
+    status: 'processing',
+    ...fields
+});
+
+describe('Idempotency middleware', () => {
+    beforeEach(() => {
+        records.clear();
+        runs = 0;
+    });
+
+    it('runs the request and replays its stored response for a retry', async () => {
+        const first = await send({ amount: 100 });
+        await settle();
+        const retry = await send({ amount: 100 });
+
+        expect(first.status).toBe(201);
+        expect(first.body).toEqual({ run: 1, idempotencyKey: KEY });
+        expect(retry.status).toBe(201);
+        expect(retry.body).toEqual(first.body);
+        expect(retry.headers['idempotent-replayed']).toBe('true');
+        expect(runs).toBe(1);
+        expect(records.get(`user-1:${KEY}`)).toMatchObject({ status: 'completed', responseStatus: 201 });
+        expect(records.get(`user-1:${KEY}`)).not.toHaveProperty('lockedUntil');
+    });
+
+    it('treats bodies with the same fields in another order as the same request', async () => {
+        await send({ amount: 100, note: 'rent' });
+        await settle();
+        const retry = await send({ note: 'rent', amount: 100 });
+
+        expect(retry.headers['idempotent-replayed']).toBe('true');
+        expect(runs).toBe(1);
+    });
+
+    it('refuses the key with a different body', async () => {
+        await send({ amount: 100 });
+        await settle();
+        const other = await send({ amount: 200 });
+
+        expect(other.status).toBe(409);
+        expect(other.body.message).toBe('Idempotency-Key has already been used with a different request');
+        expect(runs).toBe(1);
+    });
+
+    it('refuses the key while the first request is still running', async () => {
+        seed({ lockedUntil: new Date(Date.now() + 60 * 1000) });
+
+        const retry = await send({ amount: 100 });
+
+        expect(retry.status).toBe(409);
+        expect(retry.body.message).toBe('A request with this Idempotency-Key is still being processed');
+        expect(runs).toBe(0);
+    });
+
+    it('takes over a key whose lock has expired', async () => {
+        seed({ lockedUntil: new Date(Date.now() - 1000) });
+
+        const retry = await send({ amount: 100 });
+        await settle();
+
+        expect(retry.status).toBe(201);
+        expect(runs).toBe(1);
+        expect(records.get(`user-1:${KEY}`)).toMatchObject({ _id: 'record-seeded', status: 'completed', responseStatus: 201 });
+    });
+
+    it('forgets a server error so the client can retry', async () => {
+        const failed = await send({ amount: 100, fail: true });
+        await settle();
+
+        expect(failed.status).toBe(503);
+        expect(records.size).toBe(0);
+
+        const retry = await send({ amount: 100, fail: true });
+        expect(retry.headers['idempotent-replayed']).toBeUndefined();
+        expect(runs).toBe(2);
+    });
+
+    it('passes requests without a key straight through and rejects malformed keys', async () => {
+        await send({ amount: 100 }, null);
+        await send({ amount: 100 }, null);
+        const malformed = await send({ amount: 100 }, 'short');
+
+        expect(runs).toBe(2);
+        expect(records.size).toBe(0);
+        expect(malformed.status).toBe(400);
+    });
+});
+
+describe('Idempotency with an external transfer', () => {
+    const transferApp = express();
+    transferApp.use(express.json());
+    transferApp.use((req, res, next) => {
+        req.user = { id: 'user-1' };
+        req.requestId = 'request-1';
+        next();
+    });
+    transferApp.post(PATH, idempotency, walletController.transferFunds);
+
+    const transfer = () => request(transferApp).post(PATH).set('Idempotency-Key', KEY).send({
+        recipientAccountNumber: '0690000040',
+        amount: 5000,
+        bankCode: '044',
+        recipientAccountName: 'Ada Obi',
+        recipientBankName: 'Access Bank'
+    });
+
+    beforeEach(() => {
+        records.clear();
+        wallet.getAvailableBalance.mockClear();
+    });
+
+    it('stores a 400 for insufficient balance and replays it without trying again', async () => {
+        const first = await transfer();
+        await settle();
+        const retry = await transfer();
+
+        expect(first.status).toBe(400);
+        expect(first.body.message).toBe('Insufficient balance in wallet');
+        expect(records.get(`user-1:${KEY}`)).toMatchObject({ status: 'completed', responseStatus: 400 });
+        expect(retry.status).toBe(400);
+        expect(retry.body).toEqual(first.body);
+        expect(retry.headers['idempotent-replayed']).toBe('true');
+        expect(wallet.getAvailableBalance).toHaveBeenCalledTimes(1);
+    });
+});
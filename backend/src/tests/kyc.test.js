@@ -0,0 +1,245 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+
+// Stands in for a mongoose query: chainable, and resolves to value from lean() or to
+// document when awaited without it
+const query = (value, document = value) => {
+    const chain = {
+        select: () => chain,
+        session: () => chain,
+        lean: () => Promise.resolve(value),
+        then: (resolve, reject) => Promise.resolve(document).then(resolve, reject)
+    };
+    return chain;
+};
+
+// A KycSubmission document: keeps what is set on it and records each save
+const created = [];
+class KycSubmission {
+    constructor(fields) {
+        Object.assign(this, { _id: 'submission', history: [] }, fields);
+        this.save = jest.fn();
+        created.push(this);
+    }
+
+    set(fields) {
+        Object.assign(this, fields);
+    }
+}
+KycSubmission.findOne = jest.fn();
+KycSubmission.exists = jest.fn();
+const User = { findById: jest.fn() };
+
+jest.unstable_mockModule('../models/KycSubmission.js', () => ({ KycSubmission }));
+jest.unstable_mockModule('../models/User.js', () => ({ User }));
+jest.unstable_mockModule('../utils/withTransaction.js', () => ({
+    withTransaction: (operation) => operation('session')
+}));
+
+const { createFakeIdentityProvider, setBvnProvider } = await import('../providers/identity.js');
+const { default: kycService } = await import('../services/kycService.js');
+const { scoreNameMatch } = await import('../utils/nameMatch.js');
+const { decryptValue } = await import('../utils/encryption.js');
+
+const user = { firstName: 'Chukwuemeka', lastName: 'Okafor' };
+const record = (fields) => ({ found: true, middleName: '', dateOfBirth: '1990-04-12', ...fields });
+
+describe('NIN record matching', () => {
+    it('approves a record with the names swapped and a middle name', () => {
+        const match = kycService.matchNinRecord({
+            user,
+            record: record({ firstName: 'OKAFOR', middleName: 'Ifeanyi', lastName: 'Chukwuemeka' }),
+            dateOfBirth: '1990-04-12'
+        });
+
+        expect(match).toEqual({ outcome: 'approved', nameMatched: true, dateOfBirthMatched: true, reviewReason: null });
+    });
+
+    it('ignores accents in the record', () => {
+        const match = kycService.matchNinRecord({
+            user: { firstName: 'Adebayo', lastName: 'Ogunlesi' },
+            record: record({ firstName: 'Adébáyọ̀', lastName: 'Ògúnlesì' }),
+            dateOfBirth: '1990-04-12'
+        });
+
+        expect(match.outcome).toBe('approved');
+    });
+
+    it('leaves a different name or date of birth for review', () => {
+        expect(kycService.matchNinRecord({
+            user,
+            record: record({ firstName: 'Chukwuemeka', lastName: 'Okeke' }),
+            dateOfBirth: '1990-04-12'
+        })).toMatchObject({ outcome: 'review', reviewReason: 'name_mismatch' });
+
+        expect(kycService.matchNinRecord({
+            user,
+            record: record({ firstName: 'Chukwuemeka', lastName: 'Okafor' }),
+            dateOfBirth: '1991-04-12'
+        })).toMatchObject({ outcome: 'review', reviewReason: 'date_of_birth_mismatch' });
+    });
+
+    it('rejects a NIN with no record', () => {
+        expect(kycService.matchNinRecord({ user, record: { found: false }, dateOfBirth: '1990-04-12' }))
+            .toMatchObject({ outcome: 'rejected', reviewReason: null });
+    });
+});
+
+describe('Name match scoring', () => {
+    const score = (claimed, onRecord) => scoreNameMatch(claimed, onRecord).score;
+
+    it('scores the same names in any order, with a middle name, as a full match', () => {
+        expect(score(
+            { firstName: 'Adebayo', lastName: 'Ogunleye' },
+            { firstName: 'OGUNLEYE', middleName: 'Olufemi', lastName: 'Adebayo' }
+        )).toBe(1);
+        expect(score(
+            { firstName: 'Aminu', lastName: 'Abubakar' },
+            { firstName: 'Abubakar', middleName: 'Aminu', lastName: 'Sani' }
+        )).toBe(1);
+    });
+
+    it('matches compounds written split or joined', () => {
+        expect(score({ firstName: 'Adeola', lastName: 'Bakare' }, { firstName: 'Ade', middleName: 'Ola', lastName: 'Bakare' })).toBe(1);
+        expect(score({ firstName: 'Ade Ola', lastName: 'Bakare' }, { firstName: 'Adeola', lastName: 'Bakare' })).toBe(1);
+    });
+
+    it('scores spelling variants close and shortened names lower', () => {
+        expect(score({ firstName: 'Fatima', lastName: 'Yusuf' }, { firstName: 'Fatimah', lastName: 'Yusuf' })).toBeGreaterThanOrEqual(0.9);
+        const shortened = score({ firstName: 'Seun', lastName: 'Adeyemi' }, { firstName: 'Oluwaseun', lastName: 'Adeyemi' });
+        expect(shortened).toBeGreaterThanOrEqual(0.5);
+        expect(shortened).toBeLessThan(0.9);
+    });
+
+    it('scores by the weaker name, so a different surname is not hidden', () => {
+        const result = scoreNameMatch({ firstName: 'Ada', lastName: 'Obi' }, { firstName: 'Ada', lastName: 'Nwachukwu' });
+        expect(result.firstNameScore).toBe(1);
+        expect(result.score).toBe(result.lastNameScore);
+        expect(result.score).toBeLessThan(0.5);
+    });
+});
+
+describe('BVN record matching', () => {
+    const bvnUser = { ...user, phoneNumber: '+2348031234567' };
+
+    it('approves a close match and compares phone numbers in either format', () => {
+        const match = kycService.matchBvnRecord({
+            user: bvnUser,
+            record: record({ firstName: 'Okafor', middleName: 'Ifeanyi', lastName: 'Chukwuemeka', phoneNumber: '08031234567' }),
+            dateOfBirth: '1990-04-12'
+        });
+
+        expect(match).toMatchObject({ outcome: 'approved', nameScore: 1, phoneMatched: true, reasonCode: null });
+    });
+
+    it('sends a partial match or a different date of birth to review', () => {
+        expect(kycService.matchBvnRecord({
+            user: { ...bvnUser, firstName: 'Emeka' },
+            record: record({ firstName: 'Chukwuemeka', lastName: 'Okafor' }),
+            dateOfBirth: '1990-04-12'
+        })).toMatchObject({ outcome: 'review', nameMatched: false, reviewReason: 'name_mismatch' });
+
+        expect(kycService.matchBvnRecord({
+            user: bvnUser,
+            record: record({ firstName: 'Chukwuemeka', lastName: 'Okafor' }),
+            dateOfBirth: '1991-04-12'
+        })).toMatchObject({ outcome: 'review', reviewReason: 'date_of_birth_mismatch' });
+    });
+
+    it('rejects a BVN in another name or with no record', () => {
+        expect(kycService.matchBvnRecord({
+            user: bvnUser,
+            record: record({ firstName: 'Ibrahim', middleName: 'Musa', lastName: 'Danjuma' }),
+            dateOfBirth: '1990-04-12'
+        })).toMatchObject({ outcome: 'rejected', reasonCode: 'name_mismatch' });
+
+        expect(kycService.matchBvnRecord({ user: bvnUser, record: { found: false }, dateOfBirth: '1990-04-12' }))
+            .toMatchObject({ outcome: 'rejected', reasonCode: 'bvn_not_found' });
+    });
+});
+
+describe('Fake identity source', () => {
+    it('returns the records added to it and nothing else', async () => {
+        const identity = createFakeIdentityProvider();
+        identity.addRecord('12345678901', { firstName: 'Amina', lastName: 'Bello', dateOfBirth: '1988-01-30' });
+
+        await expect(identity.verifyNin({ nin: '12345678901' })).resolves.toMatchObject({
+            found: true,
+            firstName: 'Amina',
+            lastName: 'Bello',
+            dateOfBirth: '1988-01-30',
+            reference: 'FAKE-12345678901'
+        });
+        await expect(identity.verifyNin({ nin: '10987654321' })).resolves.toEqual({ found: false });
+    });
+
+    it('keeps BVN records apart from NIN records', async () => {
+        const identity = createFakeIdentityProvider();
+        identity.addBvnRecord('22212345678', { firstName: 'Amina', lastName: 'Bello', phoneNumber: '08031234567' });
+
+        await expect(identity.verifyBvn({ bvn: '22212345678' }))
+            .resolves.toMatchObject({ found: true, firstName: 'Amina', phoneNumber: '08031234567' });
+        await expect(identity.verifyNin({ nin: '22212345678' })).resolves.toEqual({ found: false });
+    });
+
+    it('echoes the claimed details for unknown NINs when asked to, and can be taken down', async () => {
+        const identity = createFakeIdentityProvider({ echoUnknown: true });
+
+        await expect(identity.verifyNin({ nin: '10987654321', firstName: 'Amina', lastName: 'Bello', dateOfBirth: '1988-01-30' }))
+            .resolves.toMatchObject({ found: true, firstName: 'Amina', lastName: 'Bello', dateOfBirth: '1988-01-30' });
+
+        identity.setUnavailable(true);
+        await expect(identity.verifyNin({ nin: '10987654321' })).rejects.toMatchObject({ status: 503 });
+    });
+});
+
+describe('BVN submissions', () => {
+    const BVN = '22212345678';
+    let identity;
+    let holder;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        created.length = 0;
+        identity = createFakeIdentityProvider();
+        setBvnProvider(identity);
+        holder = { save: jest.fn() };
+        User.findById.mockImplementation(() =>
+            query({ _id: 'user', firstName: 'Chukwuemeka', lastName: 'Okafor', phoneNumber: '+2348031234567' }, holder));
+        KycSubmission.findOne.mockResolvedValue(null);
+        KycSubmission.exists.mockResolvedValue(null);
+    });
+
+    afterEach(() => setBvnProvider(null));
+
+    it('stores a verified BVN on the user in the approving transaction', async () => {
+        identity.addBvnRecord(BVN, { firstName: 'Chukwuemeka', lastName: 'Okafor', dateOfBirth: '1990-04-12' });
+
+        const result = await kycService.submitBvn({ userId: 'user', bvn: BVN, dateOfBirth: '1990-04-12' });
+
+        expect(result.bvnVerified).toBe(true);
+        expect(holder).toMatchObject({ bvn: BVN, bvnVerifiedAt: expect.any(Date) });
+        expect(holder.save).toHaveBeenCalledWith({ session: 'session' });
+    });
+
+    it('never stores a rejected BVN on the user', async () => {
+        identity.addBvnRecord(BVN, { firstName: 'Ibrahim', middleName: 'Musa', lastName: 'Danjuma', dateOfBirth: '1990-04-12' });
+
+        const result = await kycService.submitBvn({ userId: 'user', bvn: BVN, dateOfBirth: '1990-04-12' });
+
+        expect(result).toMatchObject({ bvnVerified: false, submission: { status: 'rejected', reasonCode: 'name_mismatch' } });
+        expect(holder.save).not.toHaveBeenCalled();
+        expect(holder.bvn).toBeUndefined();
+        expect(created[0].encryptedBvn).toBeNull();
+    });
+
+    it('keeps a BVN left for review encrypted on the submission, not on the user', async () => {
+        identity.setUnavailable(true);
+
+        const result = await kycService.submitBvn({ userId: 'user', bvn: BVN, dateOfBirth: '1990-04-12' });
+
+        expect(result.submission.status).toBe('pending');
+        expect(holder.save).not.toHaveBeenCalled();
+        expect(created[0].encryptedBvn).not.toContain(BVN);
+        expect(decryptValue(created[0].encryptedBvn)).toBe(BVN);
+    });
+});
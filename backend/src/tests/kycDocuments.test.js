@@ -0,0 +1,161 @@
+import { describe, it, expect, afterAll } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const { detectImageType, readImageDimensions, stripImageMetadata } = await import('../utils/image.js');
+const { parseMultipart } = await import('../utils/multipart.js');
+const { createLocalStorage } = await import('../providers/documentStorage.js');
+
+// JPEG and PNG files with real structure but placeholder image data; nothing here decodes pixels
+const segment = (marker, body) => {
+    const header = Buffer.alloc(4);
+    header.writeUInt16BE(0xff00 | marker, 0);
+    header.writeUInt16BE(body.length + 2, 2);
+    return Buffer.concat([header, body]);
+};
+
+const jpeg = ({ width, height }) => {
+    const frame = Buffer.alloc(15);
+    frame.writeUInt8(8, 0);
+    frame.writeUInt16BE(height, 1);
+    frame.writeUInt16BE(width, 3);
+    return Buffer.concat([
+        Buffer.from([0xff, 0xd8]),
+        segment(0xe0, Buffer.from('JFIF\0\x01\x01\0\0\x01\0\x01\0\0', 'latin1')),
+        segment(0xe1, Buffer.from('Exif\0\0GPS 6.5244N 3.3792E', 'latin1')),
+        segment(0xfe, Buffer.from('taken on a phone', 'latin1')),
+        segment(0xc0, frame),
+        segment(0xda, Buffer.alloc(10)),
+        Buffer.from([0x12, 0x34, 0x56, 0xff, 0xd9])
+    ]);
+};
+
+const chunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length, 0);
+    return Buffer.concat([length, Buffer.from(type, 'latin1'), data, Buffer.alloc(4)]);
+};
+
+const png = ({ width, height }) => {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', header),
+        chunk('tEXt', Buffer.from('Author\0Someone', 'latin1')),
+        chunk('eXIf', Buffer.from('MM\0*', 'latin1')),
+        chunk('IDAT', Buffer.alloc(8)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+};
+
+describe('ID document images', () => {
+    it('identifies images by their magic bytes, not their name', () => {
+        expect(detectImageType(jpeg({ width: 1200, height: 800 }))).toBe('image/jpeg');
+        expect(detectImageType(png({ width: 1200, height: 800 }))).toBe('image/png');
+        expect(detectImageType(Buffer.from('%PDF-1.7\n'))).toBeNull();
+    });
+
+    it('reads the dimensions from the headers', () => {
+        expect(readImageDimensions(jpeg({ width: 1600, height: 1000 }), 'image/jpeg')).toEqual({ width: 1600, height: 1000 });
+        expect(readImageDimensions(png({ width: 640, height: 900 }), 'image/png')).toEqual({ width: 640, height: 900 });
+    });
+
+    it('strips EXIF and comments from a JPEG and keeps the frame and image data', () => {
+        const original = jpeg({ width: 1200, height: 800 });
+        const stripped = stripImageMetadata(original, 'image/jpeg');
+
+        expect(stripped.includes(Buffer.from('Exif'))).toBe(false);
+        expect(stripped.includes(Buffer.from('taken on a phone'))).toBe(false);
+        expect(stripped.includes(Buffer.from('JFIF'))).toBe(true);
+        expect(readImageDimensions(stripped, 'image/jpeg')).toEqual({ width: 1200, height: 800 });
+        expect(stripped.subarray(-5)).toEqual(original.subarray(-5));
+    });
+
+    it('strips text and EXIF chunks from a PNG', () => {
+        const stripped = stripImageMetadata(png({ width: 1200, height: 800 }), 'image/png');
+
+        expect(stripped.includes(Buffer.from('Author'))).toBe(false);
+        expect(stripped.includes(Buffer.from('eXIf'))).toBe(false);
+        expect(readImageDimensions(stripped, 'image/png')).toEqual({ width: 1200, height: 800 });
+    });
+
+    it('rejects truncated files', () => {
+        const truncated = jpeg({ width: 1200, height: 800 }).subarray(0, 30);
+
+        expect(() => readImageDimensions(truncated, 'image/jpeg')).toThrow();
+        expect(() => stripImageMetadata(png({ width: 10, height: 10 }).subarray(0, 40), 'image/png')).toThrow();
+    });
+});
+
+describe('Multipart uploads', () => {
+    const boundary = '----kyc-test';
+    const body = (parts) => Buffer.concat([
+        ...parts.map(({ name, filename, type, content }) => Buffer.concat([
+            Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"`
+                + (filename ? `; filename="${filename}"\r\nContent-Type: ${type}` : '') + '\r\n\r\n'),
+            Buffer.from(content),
+            Buffer.from('\r\n')
+        ])),
+        Buffer.from(`--${boundary}--\r\n`)
+    ]);
+
+    it('separates fields from files and keeps file bytes intact', () => {
+        const image = jpeg({ width: 1200, height: 800 });
+        const { fields, files } = parseMultipart(
+            body([
+                { name: 'documentType', content: 'passport' },
+                { name: 'front', filename: 'front.jpg', type: 'image/jpeg', content: image }
+            ]),
+            `multipart/form-data; boundary=${boundary}`
+        );
+
+        expect(fields).toEqual({ documentType: 'passport' });
+        expect(files.front).toMatchObject({ filename: 'front.jpg', mimeType: 'image/jpeg', size: image.length });
+        expect(files.front.buffer.equals(image)).toBe(true);
+    });
+
+    it('rejects repeated names and bodies without a boundary', () => {
+        const repeated = body([{ name: 'front', content: 'a' }, { name: 'front', content: 'b' }]);
+
+        expect(() => parseMultipart(repeated, `multipart/form-data; boundary=${boundary}`)).toThrow('front was sent more than once');
+        expect(() => parseMultipart(repeated, 'multipart/form-data')).toThrow('Missing multipart boundary');
+    });
+});
+
+describe('Local document storage', () => {
+    const directory = path.join(os.tmpdir(), `kyc-documents-${process.pid}`);
+    const storage = createLocalStorage({ directory, baseUrl: 'http://localhost:3000', secret: 'test-secret' });
+    const key = '1b4e28ba-2fa1-41d2-883f-0016d3cca427.png';
+
+    afterAll(() => fs.rm(directory, { recursive: true, force: true }));
+
+    it('serves a file only through an unexpired, untampered signed link', async () => {
+        const image = png({ width: 1200, height: 800 });
+        await storage.save({ key, buffer: image, mimeType: 'image/png' });
+
+        const { url } = await storage.getSignedUrl(key, { expiresInSeconds: 60 });
+        const link = new URL(url);
+        const expires = link.searchParams.get('expires');
+        const signature = link.searchParams.get('signature');
+        expect(link.pathname).toBe(`/api/kyc/files/${key}`);
+
+        await expect(storage.open({ key, expires, signature })).resolves.toMatchObject({ mimeType: 'image/png' });
+        await expect(storage.open({ key, expires: String(Number(expires) + 3600), signature }))
+            .rejects.toMatchObject({ status: 403 });
+
+        const { url: expired } = await storage.getSignedUrl(key, { expiresInSeconds: -1 });
+        const expiredLink = new URL(expired);
+        await expect(storage.open({
+            key,
+            expires: expiredLink.searchParams.get('expires'),
+            signature: expiredLink.searchParams.get('signature')
+        })).rejects.toMatchObject({ status: 410 });
+    });
+
+    it('refuses keys that could name another path', async () => {
+        await expect(storage.save({ key: '../../etc/passwd', buffer: Buffer.alloc(1) })).rejects.toMatchObject({ status: 400 });
+    });
+});
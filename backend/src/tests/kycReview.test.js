@@ -0,0 +1,168 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+// Stands in for a mongoose query: chainable, and resolves to value from lean() or to
+// document when awaited without it
+const query = (value, document = value) => {
+    const chain = {
+        select: () => chain,
+        session: () => chain,
+        lean: () => Promise.resolve(value),
+        then: (resolve, reject) => Promise.resolve(document).then(resolve, reject)
+    };
+    return chain;
+};
+
+const KycSubmission = {
+    findOneAndUpdate: jest.fn(),
+    findById: jest.fn(),
+    exists: jest.fn()
+};
+const User = {
+    updateOne: jest.fn(),
+    findById: jest.fn()
+};
+const notify = jest.fn();
+
+jest.unstable_mockModule('../models/KycSubmission.js', () => ({ KycSubmission }));
+jest.unstable_mockModule('../models/User.js', () => ({ User }));
+jest.unstable_mockModule('../services/notificationService.js', () => ({ default: { notify } }));
+jest.unstable_mockModule('../utils/withTransaction.js', () => ({
+    withTransaction: (operation) => operation('session')
+}));
+
+const { default: kycReviewService } = await import('../services/kycReviewService.js');
+const { encryptValue } = await import('../utils/encryption.js');
+
+const ADMIN = 'a'.repeat(24);
+const OTHER_ADMIN = 'b'.repeat(24);
+const USER = 'c'.repeat(24);
+const ID = 'd'.repeat(24);
+
+const submission = (overrides) => ({
+    _id: ID,
+    userId: USER,
+    type: 'nin',
+    status: 'pending',
+    requestedTier: 2,
+    identifierHash: 'hash',
+    identifierLast4: '1234',
+    claimedBy: null,
+    claimExpiresAt: null,
+    history: [],
+    ...overrides
+});
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    KycSubmission.exists.mockResolvedValue(null);
+    User.findById.mockImplementation(() => query({ _id: USER, email: 'ada@example.com', firstName: 'Ada', kycTier: 2 }));
+});
+
+describe('KYC review claims', () => {
+    it('claims only a pending submission nobody else holds and sets an expiry', async () => {
+        KycSubmission.findOneAndUpdate.mockImplementation((filter, update) =>
+            query(submission({ claimedBy: ADMIN, claimExpiresAt: update.$set.claimExpiresAt })));
+
+        const claimed = await kycReviewService.claimSubmission({ id: ID, adminId: ADMIN });
+
+        const [filter, update] = KycSubmission.findOneAndUpdate.mock.calls[0];
+        expect(filter).toMatchObject({ _id: ID, status: 'pending' });
+        expect(filter.$or).toEqual(expect.arrayContaining([{ claimedBy: null }, { claimedBy: ADMIN }]));
+        expect(update.$set.claimExpiresAt.getTime() - update.$set.claimedAt.getTime()).toBe(30 * 60 * 1000);
+        expect(claimed.claimedBy).toBe(ADMIN);
+    });
+
+    it('reports who holds a claim when another reviewer tries to take it', async () => {
+        const claimExpiresAt = new Date(Date.now() + 10 * 60 * 1000);
+        KycSubmission.findOneAndUpdate.mockImplementation(() => query(null));
+        KycSubmission.findById.mockImplementation(() => query(submission({ claimedBy: OTHER_ADMIN, claimExpiresAt })));
+
+        await expect(kycReviewService.claimSubmission({ id: ID, adminId: ADMIN }))
+            .rejects.toMatchObject({ status: 409, message: expect.stringContaining('claimed by another reviewer') });
+    });
+});
+
+describe('KYC review decisions', () => {
+    it('refuses a decision from a reviewer without the claim', async () => {
+        KycSubmission.findOneAndUpdate.mockImplementation(() => query(null));
+        KycSubmission.findById.mockImplementation(() => query(submission()));
+
+        await expect(kycReviewService.rejectSubmission({ id: ID, adminId: ADMIN, reasonCode: 'name_mismatch' }))
+            .rejects.toMatchObject({ status: 409, message: expect.stringContaining('Claim this KYC submission') });
+        expect(notify).not.toHaveBeenCalled();
+    });
+
+    it('approves, raises the tier, records the reviewer and notifies the customer', async () => {
+        KycSubmission.findById.mockImplementation(() => query(submission({ claimedBy: ADMIN })));
+        KycSubmission.findOneAndUpdate.mockImplementation((filter, update) =>
+            query(submission({ ...update.$set, history: [update.$push.history] })));
+
+        const result = await kycReviewService.approveSubmission({ id: ID, adminId: ADMIN, note: 'Name order swapped' });
+
+        const [filter, update, options] = KycSubmission.findOneAndUpdate.mock.calls[0];
+        expect(filter).toMatchObject({ _id: ID, status: 'pending', claimedBy: ADMIN });
+        expect(update.$set).toMatchObject({ status: 'approved', decidedBy: ADMIN, claimedBy: null });
+        expect(update.$push.history).toMatchObject({ status: 'approved', actor: ADMIN, note: 'Name order swapped' });
+        expect(options.session).toBe('session');
+        expect(User.updateOne).toHaveBeenCalledWith(
+            { _id: USER, kycTier: { $lt: 2 } },
+            { $set: { kycTier: 2 } },
+            { session: 'session' }
+        );
+        expect(result.kycTier).toBe(2);
+        expect(notify).toHaveBeenCalledWith(expect.objectContaining({
+            type: 'kyc',
+            title: 'KYC approved',
+            data: expect.objectContaining({ status: 'approved' })
+        }));
+    });
+
+    it('stores the BVN on the user and marks it verified on approval, without raising the tier', async () => {
+        const holder = { _id: USER, kycTier: 1, save: jest.fn() };
+        User.findById.mockImplementation(() => query({ _id: USER, email: 'ada@example.com', kycTier: 1 }, holder));
+        KycSubmission.findById.mockImplementation(() => query(submission({
+            type: 'bvn',
+            requestedTier: 1,
+            claimedBy: ADMIN,
+            encryptedBvn: encryptValue('22212345678')
+        })));
+        KycSubmission.findOneAndUpdate.mockImplementation((filter, update) =>
+            query(submission({ type: 'bvn', requestedTier: 1, ...update.$set })));
+
+        await kycReviewService.approveSubmission({ id: ID, adminId: ADMIN });
+
+        expect(KycSubmission.findOneAndUpdate.mock.calls[0][1].$set.encryptedBvn).toBeNull();
+        expect(holder).toMatchObject({ bvn: '22212345678', bvnVerifiedAt: expect.any(Date) });
+        expect(holder.save).toHaveBeenCalledWith({ session: 'session' });
+        expect(notify.mock.calls[0][0].message).toBe('Your BVN has been verified.');
+    });
+
+    it('drops a rejected BVN without storing it on the user', async () => {
+        KycSubmission.findOneAndUpdate.mockImplementation((filter, update) =>
+            query(submission({ type: 'bvn', requestedTier: 1, ...update.$set })));
+
+        await kycReviewService.rejectSubmission({ id: ID, adminId: ADMIN, reasonCode: 'name_mismatch' });
+
+        expect(KycSubmission.findOneAndUpdate.mock.calls[0][1].$set).toMatchObject({ status: 'rejected', encryptedBvn: null });
+        expect(User.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('will not approve an identity already verified for another account', async () => {
+        KycSubmission.findById.mockImplementation(() => query(submission({ claimedBy: ADMIN })));
+        KycSubmission.exists.mockResolvedValue({ _id: 'other' });
+
+        await expect(kycReviewService.approveSubmission({ id: ID, adminId: ADMIN }))
+            .rejects.toMatchObject({ status: 409 });
+        expect(KycSubmission.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('asks for more information with the reason message unless the reviewer writes one', async () => {
+        KycSubmission.findOneAndUpdate.mockImplementation((filter, update) => query(submission({ ...update.$set })));
+
+        const result = await kycReviewService.requestMoreInfo({ id: ID, adminId: ADMIN, reasonCode: 'document_unreadable' });
+
+        expect(result).toMatchObject({ status: 'needs_more_info', reasonCode: 'document_unreadable' });
+        expect(result.remarks).toMatch(/could not read your document/);
+        expect(notify.mock.calls[0][0].message).toMatch(/resubmit/);
+    });
+});
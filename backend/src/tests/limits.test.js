@@ -0,0 +1,133 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+// In-memory stand-ins for the three collections the limits read; today's totals by wallet
+const users = new Map();
+const wallets = new Map();
+const totals = new Map();
+
+const query = (value) => {
+    const chain = { select: () => chain, session: () => chain, lean: async () => value };
+    return chain;
+};
+
+jest.unstable_mockModule('../models/User.js', () => ({
+    User: {
+        findById: (id) => query(users.get(id) || null),
+        findByAccountNumber: (accountNumber) =>
+            query([...users.values()].find((user) => user.accountNumber === accountNumber) || null)
+    }
+}));
+jest.unstable_mockModule('../models/Wallet.js', () => ({
+    Wallet: { findOne: async ({ userId }) => wallets.get(userId) || null }
+}));
+jest.unstable_mockModule('../models/DailyTransferTotal.js', () => ({
+    DailyTransferTotal: {
+        findOne: ({ walletId }) => query(totals.get(walletId) || null),
+        findOneAndUpdate: async (filter, update) => {
+            const walletId = filter.walletId || filter._id;
+            if (!totals.has(walletId) && update.$setOnInsert) {
+                totals.set(walletId, { _id: walletId, amount: 0 });
+            }
+            const total = totals.get(walletId);
+            if (!total || total.amount > (filter.amount?.$lte ?? Infinity)) return null;
+            total.amount += update.$inc?.amount || 0;
+            return { ...total };
+        },
+        updateOne: async ({ walletId, amount }, update) => {
+            const total = totals.get(walletId);
+            if (total && total.amount >= amount.$gte) total.amount += update.$inc.amount;
+        }
+    }
+}));
+
+const { default: limitService } = await import('../services/limitService.js');
+
+const addUser = (id, kycTier, balance) => {
+    users.set(id, { _id: id, kycTier, accountNumber: `000000000${id}` });
+    wallets.set(id, { _id: `wallet-${id}`, getBalance: async () => balance });
+};
+
+describe('KYC tier limits', () => {
+    beforeEach(() => {
+        users.clear();
+        wallets.clear();
+        totals.clear();
+    });
+
+    it('rejects a transfer over the single transaction limit and names it', async () => {
+        addUser('1', 1, 0);
+
+        await expect(limitService.checkTransfer({ userId: '1', amount: 5000001 })).rejects.toMatchObject({
+            status: 403,
+            message: 'NGN 50,000.01 exceeds the Tier 1 single transaction limit of NGN 50,000.00. Upgrade your KYC tier to raise it.',
+            details: { limit: 'singleTransaction', tier: 1, limitAmount: { amountMinor: 5000000 } }
+        });
+    });
+
+    it('counts what was already sent today towards the daily limit', async () => {
+        addUser('2', 2, 0);
+        totals.set('wallet-2', { _id: 'wallet-2', amount: 15000000 });
+
+        await expect(limitService.checkTransfer({ userId: '2', amount: 5000000 })).resolves.toBeUndefined();
+        await expect(limitService.checkTransfer({ userId: '2', amount: 5000001 })).rejects.toMatchObject({
+            details: { limit: 'dailyTransfers', tier: 2, remaining: { amountMinor: 5000000 } }
+        });
+    });
+
+    it('keeps the recipient under their maximum balance without revealing it', async () => {
+        addUser('3', 3, 0);
+        addUser('4', 1, 29000000);
+
+        const rejection = limitService.checkTransfer({ userId: '3', amount: 1000001, recipientAccountNumber: '0000000004' });
+
+        await expect(rejection).rejects.toMatchObject({ status: 403, details: { limit: 'recipientMaxBalance' } });
+        await expect(rejection).rejects.not.toHaveProperty('details.tier');
+        await expect(limitService.checkTransfer({ userId: '3', amount: 1000000, recipientAccountNumber: '0000000004' }))
+            .resolves.toBeUndefined();
+    });
+
+    it('stops funding that would take the balance over the maximum, except on Tier 3', async () => {
+        addUser('5', 2, 45000000);
+        addUser('6', 3, 900000000);
+
+        await expect(limitService.checkFunding({ userId: '5', amount: 5000001 })).rejects.toMatchObject({
+            details: { limit: 'maxBalance', tier: 2, remaining: { amountMinor: 5000000 } }
+        });
+        await expect(limitService.checkFunding({ userId: '6', amount: 500000000 })).resolves.toBeUndefined();
+    });
+
+    it('reports the tier limits and what is left of them', async () => {
+        addUser('7', 1, 10000000);
+        totals.set('wallet-7', { _id: 'wallet-7', amount: 2000000 });
+
+        await expect(limitService.getLimits({ userId: '7' })).resolves.toMatchObject({
+            tier: 1,
+            dailyTransfersRemaining: { amountMinor: 3000000 },
+            balanceHeadroom: { amountMinor: 20000000 }
+        });
+    });
+
+    it('enforces the daily limit as the transfer is posted and takes back a failed one', async () => {
+        addUser('8', 1, 0);
+        totals.set('wallet-8', { _id: 'wallet-8', amount: 4000000 });
+        const reserve = (amount) => limitService.reserveDailyTransfer({ userId: '8', walletId: 'wallet-8', amount, session: 'session' });
+
+        await expect(reserve(1000000)).resolves.toBeUndefined();
+        await expect(reserve(1)).rejects.toMatchObject({
+            status: 403,
+            details: { limit: 'dailyTransfers', tier: 1, remaining: { amountMinor: 0 } }
+        });
+        expect(totals.get('wallet-8').amount).toBe(5000000);
+
+        await limitService.releaseDailyTransfer({ walletId: 'wallet-8', amount: 1000000, createdAt: new Date(), session: 'session' });
+        await expect(reserve(1000000)).resolves.toBeUndefined();
+    });
+
+    it('starts a total for the first transfer of the day', async () => {
+        addUser('9', 2, 0);
+
+        await limitService.reserveDailyTransfer({ userId: '9', walletId: 'wallet-9', amount: 2500000, session: 'session' });
+
+        expect(totals.get('wallet-9').amount).toBe(2500000);
+    });
+});
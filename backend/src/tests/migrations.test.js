@@ -0,0 +1,135 @@
+import { describe, beforeAll, afterAll, it, expect } from '@jest/globals';
+
+const { default: mongoose } = await import('mongoose');
+const { MongoMemoryReplSet } = await import('mongodb-memory-server');
+const { default: migrations } = await import('../migrations/index.js');
+const { default: ledgerService } = await import('../services/ledgerService.js');
+
+// Everything the migrations write, less the updatedAt stamps a no-op update may refresh
+const snapshot = async () => {
+    const read = (name) => mongoose.connection.collection(name)
+        .find({}, { projection: { updatedAt: 0 } })
+        .sort({ _id: 1 })
+        .toArray();
+    const [users, wallets, transactions, journalEntries, ledgerAccounts] = await Promise.all(
+        ['users', 'wallets', 'transactions', 'journalentries', 'ledgeraccounts'].map(read)
+    );
+    return { users, wallets, transactions, journalEntries, ledgerAccounts };
+};
+
+const runAll = async () => {
+    const results = {};
+    for (const migration of migrations) {
+        results[migration.name] = await migration.up();
+    }
+    return results;
+};
+
+describe('Data migrations', () => {
+    let replSet;
+    const userIds = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+    const walletIds = [];
+
+    beforeAll(async () => {
+        // Migrations 002 and 003 use multi-document transactions, which need a replica set
+        replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+        await mongoose.connect(replSet.getUri());
+
+        // Users as the baseline stored them: account numbers taken from their phone numbers,
+        // except the third, whose number was already assigned
+        await mongoose.connection.collection('users').insertMany([
+            ['Ada', 'Obi', '+2348010000001', '8010000001'],
+            ['Bayo', 'Ade', '+2348010000002', '8010000002'],
+            ['Chika', 'Eze', '+2348010000003', '1234567890']
+        ].map(([firstName, lastName, phoneNumber, accountNumber], index) => ({
+            _id: userIds[index],
+            firstName,
+            lastName,
+            email: `${firstName.toLowerCase()}@example.com`,
+            phoneNumber,
+            accountNumber,
+            role: 'user',
+            createdAt: new Date('2025-01-01T00:00:00Z')
+        })));
+
+        // Wallets as the baseline stored them: an encrypted naira balance and an embedded
+        // ledger of naira amounts, unique on reference
+        await mongoose.connection.collection('wallets').createIndex({ 'ledger.reference': 1 }, { unique: true });
+        const LegacyWallet = mongoose.model('LegacyWallet');
+        const entry = (fields) => ({ status: 'completed', createdAt: new Date('2025-02-01T10:00:00Z'), ...fields });
+        const wallets = await LegacyWallet.create([
+            {
+                userId: userIds[0],
+                accountNumber: '8010000001',
+                balance: 150.5,
+                ledger: [
+                    entry({ type: 'credit', amount: 200, reference: 'FUND-1', source: 'flutterwave', description: 'Wallet funding' }),
+                    entry({ type: 'debit', amount: 49.5, reference: 'TRANSFER-1', source: 'transfer', target: '8010000002' })
+                ]
+            },
+            {
+                userId: userIds[1],
+                accountNumber: '8010000002',
+                balance: 49.5,
+                ledger: [entry({ type: 'credit', amount: 49.5, reference: 'TRANSFER-1-CREDIT', source: 'transfer' })]
+            },
+            { userId: userIds[2], accountNumber: '1234567890', balance: 0, ledger: [] }
+        ]);
+        walletIds.push(...wallets.map((wallet) => wallet._id));
+    }, 120000);
+
+    afterAll(async () => {
+        await mongoose.disconnect();
+        await replSet?.stop();
+    });
+
+    it('moves a baseline wallet into the ledger once, and changes nothing when run again', async () => {
+        await runAll();
+        const migrated = await snapshot();
+
+        // Embedded ledgers became kobo transactions, and encrypted balances became opening entries
+        expect(migrated.wallets.every((wallet) => !('ledger' in wallet) && !('balance' in wallet) && !('_ct' in wallet))).toBe(true);
+        const transaction = (reference) => migrated.transactions.find((row) => row.reference === reference);
+        expect(migrated.transactions).toHaveLength(3);
+        expect(transaction('FUND-1')).toMatchObject({ walletId: walletIds[0], type: 'credit', amount: 20000, currency: 'NGN' });
+        expect(transaction('TRANSFER-1')).toMatchObject({ walletId: walletIds[0], type: 'debit', amount: 4950, currency: 'NGN' });
+        expect(transaction('TRANSFER-1-CREDIT')).toMatchObject({ walletId: walletIds[1], amount: 4950 });
+        expect(migrated.journalEntries.map((journalEntry) => journalEntry.reference).sort()).toEqual(
+            [`OPENING-${walletIds[0]}`, `OPENING-${walletIds[1]}`].sort()
+        );
+
+        // Phone-derived account numbers were replaced, kept as aliases, and copied to wallets
+        const [ada, bayo, chika] = migrated.users;
+        expect(ada.accountNumber).not.toBe('8010000001');
+        expect(ada.accountNumberAliases).toEqual(['8010000001']);
+        expect(bayo.accountNumberAliases).toEqual(['8010000002']);
+        expect(chika).toMatchObject({ accountNumber: '1234567890' });
+        expect(chika).not.toHaveProperty('accountNumberAliases');
+        expect(migrated.wallets.map((wallet) => wallet.accountNumber)).toEqual([ada.accountNumber, bayo.accountNumber, '1234567890']);
+
+        // A second run finds nothing left to do
+        await expect(runAll()).resolves.toMatchObject({
+            '001-wallet-ledger-to-transactions': { walletCount: 0, entryCount: 0, emptyLedgersRemoved: 0 },
+            '002-wallet-balances-to-journal': { walletCount: 0, openingTotal: 0 },
+            '003-amounts-to-kobo': { transactionCount: 0, journalEntryCount: 0 },
+            '004-account-numbers-to-nuban': { userCount: 0, walletCount: 0 },
+            '005-ledger-account-currencies': { accountCount: 0, droppedIndex: false }
+        });
+        expect(await snapshot()).toEqual(migrated);
+    }, 60000);
+
+    it('leaves each wallet\'s ledger balance equal to its old balance and the trial balance balanced', async () => {
+        const trialBalance = await ledgerService.getTrialBalance('migration-test');
+
+        expect(trialBalance.balanced).toBe(true);
+        expect(trialBalance.mismatches).toEqual([]);
+        const wallets = await mongoose.connection.collection('ledgeraccounts')
+            .find({ walletId: { $in: walletIds } })
+            .toArray();
+        expect(Object.fromEntries(wallets.map((account) => [account.walletId.toString(), account.balance]))).toEqual({
+            [walletIds[0].toString()]: 15050,
+            [walletIds[1].toString()]: 4950
+        });
+        expect(trialBalance.currencies).toEqual([{ currency: 'NGN', totalDebits: 20000, totalCredits: 20000, balanced: true }]);
+    });
+});
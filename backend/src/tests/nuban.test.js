@@ -0,0 +1,36 @@
+import { describe, it, expect } from '@jest/globals';
+import { computeCheckDigit, isValidNuban, toNuban, MAX_SERIAL } from '../utils/nuban.js';
+
+describe('NUBAN account numbers', () => {
+    it('computes the check digit from the CBN example', () => {
+        // Bank code 011, serial 000001457: check digit 9
+        expect(computeCheckDigit('011', '000001457')).toBe(9);
+        expect(isValidNuban('011', '0000014579')).toBe(true);
+    });
+
+    it('gives three-digit codes the same digit as their six-digit form', () => {
+        expect(computeCheckDigit('058', '123456789')).toBe(computeCheckDigit('000058', '123456789'));
+    });
+
+    it('builds ten-digit numbers from a sequence that pass validation', () => {
+        const numbers = [1, 2, 3, 42, MAX_SERIAL].map((sequence) => toNuban('999', sequence));
+
+        expect(numbers[0].slice(0, 9)).toBe('000000001');
+        expect(new Set(numbers).size).toBe(numbers.length);
+        for (const accountNumber of numbers) {
+            expect(accountNumber).toMatch(/^\d{10}$/);
+            expect(isValidNuban('999', accountNumber)).toBe(true);
+        }
+    });
+
+    it('rejects a changed digit, bad sequences and bad institution codes', () => {
+        const accountNumber = toNuban('999', 42);
+        const changed = `${accountNumber.slice(0, 4)}${(Number(accountNumber[4]) + 1) % 10}${accountNumber.slice(5)}`;
+
+        expect(isValidNuban('999', changed)).toBe(false);
+        expect(isValidNuban('999', '12345')).toBe(false);
+        expect(() => toNuban('999', 0)).toThrow('NUBAN sequence out of range');
+        expect(() => toNuban('999', MAX_SERIAL + 1)).toThrow('NUBAN sequence out of range');
+        expect(() => toNuban('12', 1)).toThrow('Invalid NUBAN institution code');
+    });
+});
@@ -0,0 +1,121 @@
+import { jest, describe, it, expect } from '@jest/globals';
+
+// Exceptions alert by email; keep the suite off the network
+jest.unstable_mockModule('../utils/email.js', () => ({
+    sendErrorAlert: jest.fn().mockResolvedValue(undefined)
+}));
+
+const { env } = await import('../config/env.js');
+const { createFakeFlutterwave } = await import('../providers/fakeFlutterwave.js');
+const { createFlutterwaveProvider } = await import('../providers/flutterwaveProvider.js');
+const { default: reconciliationService } = await import('../services/reconciliationService.js');
+
+// 2026-03-10 in West Africa Time
+const FROM = new Date('2026-03-09T23:00:00Z');
+const TO = new Date('2026-03-10T23:00:00Z');
+const DURING = new Date('2026-03-10T12:00:00Z');
+const DAY_BEFORE = new Date('2026-03-09T12:00:00Z');
+
+const payment = (overrides) => ({
+    kind: 'payment',
+    id: '1001',
+    reference: 'FUND-1',
+    amount: 150000,
+    currency: 'NGN',
+    status: 'successful',
+    createdAt: DURING,
+    ...overrides
+});
+
+const credit = (overrides) => ({
+    _id: 'credit-1',
+    type: 'credit',
+    source: 'flutterwave',
+    status: 'completed',
+    amount: 150000,
+    currency: 'NGN',
+    reference: 'FUND-1',
+    metadata: { providerTxId: '1001' },
+    createdAt: DURING,
+    ...overrides
+});
+
+const classify = (records, ledgerRows) =>
+    reconciliationService.classifyRecords({ records, ledgerRows, from: FROM, to: TO })
+        .map(({ kind, result, record, row }) => ({ kind, result, record: record?.id ?? null, row: row?._id ?? null }));
+
+describe('Reconciliation classification', () => {
+    it('matches payments to credits by provider ID, including legacy numeric IDs', () => {
+        expect(classify(
+            [payment(), payment({ id: '1002', reference: 'FLW-INWARD-7' })],
+            [
+                credit({ reference: 'FUND-OTHER' }),
+                credit({ _id: 'credit-2', source: 'external_transfer', reference: 'X', metadata: { flutterwaveTxId: 1002 } })
+            ]
+        )).toEqual([
+            { kind: 'payment', result: 'matched', record: '1001', row: 'credit-1' },
+            { kind: 'payment', result: 'matched', record: '1002', row: 'credit-2' }
+        ]);
+    });
+
+    it('matches transfers by reference ignoring case and flags amount mismatches', () => {
+        const records = [{ ...payment({ kind: 'transfer', id: '77', reference: 'ext-transfer-a', amount: 99900 }) }];
+        const rows = [credit({ _id: 'debit-1', type: 'debit', source: 'external_transfer', reference: 'EXT-TRANSFER-A', metadata: {} })];
+
+        expect(classify(records, rows)).toEqual([
+            { kind: 'transfer', result: 'amount_mismatch', record: '77', row: 'debit-1' }
+        ]);
+    });
+
+    it('reports records missing from the ledger and rows missing at the provider', () => {
+        expect(classify(
+            [payment({ id: '2001', reference: 'FUND-2' }), payment({ id: '2002', reference: 'FUND-3', status: 'failed' })],
+            [credit()]
+        )).toEqual([
+            { kind: 'payment', result: 'missing_in_ledger', record: '2001', row: null },
+            { kind: 'payment', result: 'missing_at_provider', record: null, row: 'credit-1' }
+        ]);
+    });
+
+    it('pairs entries recorded across midnight but reports nothing wholly outside the day', () => {
+        expect(classify(
+            [payment({ createdAt: DAY_BEFORE }), payment({ id: '3001', reference: 'FUND-OLD', createdAt: DAY_BEFORE })],
+            [credit(), credit({ _id: 'credit-old', reference: 'FUND-OLDER', metadata: {}, createdAt: DAY_BEFORE })]
+        )).toEqual([
+            { kind: 'payment', result: 'matched', record: '1001', row: 'credit-1' }
+        ]);
+    });
+
+    it('leaves unpaired pending transfers to the transfer poller', () => {
+        expect(classify([], [
+            credit({ _id: 'debit-1', type: 'debit', source: 'external_transfer', status: 'pending', metadata: {} })
+        ])).toEqual([]);
+    });
+});
+
+describe('Flutterwave reports', () => {
+    it('pages through transactions and transfers and keeps those in the range', async () => {
+        const fake = createFakeFlutterwave({ secretKey: env.FLUTTERWAVE_SECRET_KEY, secretHash: env.FLUTTERWAVE_SECRET_HASH });
+        await fake.start();
+        try {
+            const provider = createFlutterwaveProvider({ baseUrl: fake.url, secretKey: env.FLUTTERWAVE_SECRET_KEY });
+            fake.addAccount({ accountNumber: '0690000040', bankCode: '044', accountName: 'ADA OKAFOR' });
+            for (let index = 0; index < 12; index += 1) {
+                await fake.sendIncomingTransfer({ accountNumber: '0123456789', amount: 100 + index, reference: `INWARD-${index}` });
+            }
+            await provider.createTransfer({ reference: 'EXT-TRANSFER-1', amount: 5000, accountNumber: '0690000040', bankCode: '044' });
+            await fake.flush();
+
+            const range = { from: new Date(Date.now() - 60 * 60 * 1000), to: new Date(Date.now() + 60 * 1000) };
+            const payments = await provider.listPayments(range);
+            const transfers = await provider.listTransfers(range);
+
+            expect(payments).toHaveLength(12);
+            expect(payments.map((record) => record.amount).sort((a, b) => a - b)[0]).toBe(10000);
+            expect(transfers).toEqual([expect.objectContaining({ reference: 'EXT-TRANSFER-1', amount: 5000, status: 'successful' })]);
+            await expect(provider.listPayments({ from: range.to, to: new Date(range.to.getTime() + 1000) })).resolves.toEqual([]);
+        } finally {
+            await fake.stop();
+        }
+    });
+});
@@ -0,0 +1,116 @@
+import { describe, it, expect } from '@jest/globals';
+import { addMonths, nextCronOccurrence, nextOccurrence, parseCronExpression } from '../utils/recurrence.js';
+
+// A wall-clock time in West Africa Time (UTC+1), as a UTC Date
+const wat = (year, month, day, hour = 0, minute = 0) => new Date(Date.UTC(year, month - 1, day, hour - 1, minute));
+
+describe('Cron expressions', () => {
+    it('expands steps, ranges, lists and names', () => {
+        const schedule = parseCronExpression('*/15 9-17 1,15 jan,JUL mon-fri');
+
+        expect([...schedule.minutes]).toEqual([0, 15, 30, 45]);
+        expect([...schedule.hours]).toEqual([9, 10, 11, 12, 13, 14, 15, 16, 17]);
+        expect([...schedule.daysOfMonth]).toEqual([1, 15]);
+        expect([...schedule.months]).toEqual([1, 7]);
+        expect([...schedule.daysOfWeek]).toEqual([1, 2, 3, 4, 5]);
+        expect([...parseCronExpression('5/20 * * * *').minutes]).toEqual([5, 25, 45]);
+        expect([...parseCronExpression('0 0 * * 1-5/2').daysOfWeek]).toEqual([1, 3, 5]);
+    });
+
+    it('reads 7 as Sunday', () => {
+        expect(parseCronExpression('0 12 * * 7').daysOfWeek.has(0)).toBe(true);
+        // Sunday 8 March 2026, noon in Lagos
+        expect(nextCronOccurrence('0 12 * * 7', wat(2026, 3, 2))).toEqual(wat(2026, 3, 8, 12));
+    });
+
+    it('rejects malformed expressions', () => {
+        expect(() => parseCronExpression('0 9 * *')).toThrow('Cron expression must have 5 fields');
+        expect(() => parseCronExpression('60 * * * *')).toThrow('Invalid minute value \'60\'');
+        expect(() => parseCronExpression('0 9 * * funday')).toThrow('Invalid day of week value \'funday\'');
+        expect(() => parseCronExpression('*/0 * * * *')).toThrow('Invalid step');
+        expect(() => parseCronExpression('0 17-9 * * *')).toThrow('Invalid range');
+    });
+
+    it('runs on a day matching either day field when both are restricted', () => {
+        // Tuesday 10 March 2026, then Friday 13 March
+        expect(nextCronOccurrence('0 9 10 * fri', wat(2026, 3, 7))).toEqual(wat(2026, 3, 10, 9));
+        expect(nextCronOccurrence('0 9 10 * fri', wat(2026, 3, 10, 9))).toEqual(wat(2026, 3, 13, 9));
+        // With one day field open, only the restricted one counts
+        expect(nextCronOccurrence('0 9 10 * *', wat(2026, 3, 7))).toEqual(wat(2026, 3, 10, 9));
+        expect(nextCronOccurrence('0 9 * * fri', wat(2026, 3, 7))).toEqual(wat(2026, 3, 13, 9));
+    });
+
+    it('matches in West Africa Time across UTC midnight', () => {
+        // Midnight in Lagos is 23:00 UTC the day before
+        expect(nextCronOccurrence('0 0 * * *', new Date('2026-03-10T22:30:00Z'))).toEqual(new Date('2026-03-10T23:00:00Z'));
+        expect(nextCronOccurrence('0 0 * * *', new Date('2026-03-10T23:30:00Z'))).toEqual(new Date('2026-03-11T23:00:00Z'));
+        // Monday 00:30 in Lagos is still Sunday in UTC
+        expect(nextCronOccurrence('30 0 * * mon', new Date('2026-03-12T00:00:00Z'))).toEqual(new Date('2026-03-15T23:30:00Z'));
+        // The 1st of the month in Lagos starts on the last day of the previous month in UTC
+        expect(nextCronOccurrence('0 0 1 * *', new Date('2026-03-31T12:00:00Z'))).toEqual(new Date('2026-03-31T23:00:00Z'));
+    });
+
+    it('returns the next minute strictly after the date', () => {
+        expect(nextCronOccurrence('* * * * *', wat(2026, 3, 10, 9, 0))).toEqual(wat(2026, 3, 10, 9, 1));
+        expect(nextCronOccurrence('0 9 * * *', new Date(wat(2026, 3, 10, 9).getTime() + 1))).toEqual(wat(2026, 3, 11, 9));
+    });
+
+    it('returns null for an expression that never matches', () => {
+        expect(nextCronOccurrence('0 0 30 feb *', wat(2026, 1, 1))).toBeNull();
+        expect(nextCronOccurrence('0 0 31 4,6,9,11 *', wat(2026, 1, 1))).toBeNull();
+    });
+});
+
+describe('Monthly arithmetic', () => {
+    it('falls back to the last day of shorter months', () => {
+        const start = wat(2026, 1, 31, 9);
+
+        expect(addMonths(start, 1)).toEqual(wat(2026, 2, 28, 9));
+        expect(addMonths(start, 3)).toEqual(wat(2026, 4, 30, 9));
+        expect(addMonths(start, 12)).toEqual(wat(2027, 1, 31, 9));
+        expect(addMonths(wat(2028, 1, 31, 9), 1)).toEqual(wat(2028, 2, 29, 9));
+    });
+
+    it('keeps the day of month in West Africa Time', () => {
+        // 00:30 on the 31st in Lagos is 23:30 on the 30th in UTC
+        expect(addMonths(wat(2026, 1, 31, 0, 30), 1)).toEqual(new Date('2026-02-27T23:30:00Z'));
+        expect(addMonths(wat(2026, 3, 1, 0, 30), 1)).toEqual(new Date('2026-03-31T23:30:00Z'));
+    });
+});
+
+describe('Next occurrence', () => {
+    it('starts on the start date', () => {
+        const startDate = wat(2026, 3, 1, 8);
+
+        expect(nextOccurrence({ frequency: 'daily', startDate }, wat(2026, 2, 1))).toEqual(startDate);
+        expect(nextOccurrence({ frequency: 'custom', startDate, cronExpression: '0 8 * * *' }, wat(2026, 2, 1))).toEqual(startDate);
+    });
+
+    it('repeats daily and weekly at the start time', () => {
+        const startDate = wat(2026, 3, 1, 8);
+
+        expect(nextOccurrence({ frequency: 'daily', startDate }, startDate)).toEqual(wat(2026, 3, 2, 8));
+        expect(nextOccurrence({ frequency: 'daily', startDate }, wat(2026, 3, 5, 12))).toEqual(wat(2026, 3, 6, 8));
+        expect(nextOccurrence({ frequency: 'weekly', startDate }, wat(2026, 3, 1, 9))).toEqual(wat(2026, 3, 8, 8));
+    });
+
+    it('keeps a monthly schedule on the 31st after a short month', () => {
+        const recurrence = { frequency: 'monthly', startDate: wat(2026, 1, 31, 9) };
+
+        expect(nextOccurrence(recurrence, wat(2026, 2, 1))).toEqual(wat(2026, 2, 28, 9));
+        expect(nextOccurrence(recurrence, wat(2026, 2, 28, 9))).toEqual(wat(2026, 3, 31, 9));
+        expect(nextOccurrence(recurrence, wat(2026, 3, 31, 9))).toEqual(wat(2026, 4, 30, 9));
+    });
+
+    it('follows the cron expression for custom schedules', () => {
+        const recurrence = { frequency: 'custom', startDate: wat(2026, 3, 1), cronExpression: '0 9 25 * *' };
+
+        expect(nextOccurrence(recurrence, wat(2026, 3, 25, 9))).toEqual(wat(2026, 4, 25, 9));
+        expect(nextOccurrence({ ...recurrence, cronExpression: '0 0 30 feb *' }, wat(2026, 3, 2))).toBeNull();
+    });
+
+    it('rejects unknown frequencies', () => {
+        expect(() => nextOccurrence({ frequency: 'yearly', startDate: wat(2026, 1, 1) }, wat(2026, 2, 1)))
+            .toThrow('Unsupported frequency: yearly');
+    });
+});
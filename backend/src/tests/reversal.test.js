@@ -0,0 +1,262 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import mongoose from 'mongoose';
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Stands in for a mongoose query: chainable, and resolves to value when awaited
+const query = (value) => {
+    const chain = {
+        select: () => chain,
+        session: () => chain,
+        lean: () => Promise.resolve(value),
+        then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+    };
+    return chain;
+};
+
+const ADMIN_MAKER = id();
+const ADMIN_CHECKER = id();
+
+const accounts = {
+    sender: { _id: id(), code: 'WALLET-SENDER', walletId: id() },
+    recipient: { _id: id(), code: 'WALLET-RECIPIENT', walletId: id() },
+    settlement: { _id: id(), code: 'SETTLEMENT-FLUTTERWAVE' },
+    feeIncome: { _id: id(), code: 'FEE_INCOME' }
+};
+const wallets = [
+    { _id: accounts.sender.walletId, userId: id(), accountNumber: '0000000001' },
+    { _id: accounts.recipient.walletId, userId: id(), accountNumber: '0000000002' }
+];
+
+const transactions = new Map();
+const entries = new Map();
+const reversals = new Map();
+
+const leg = (account, direction, amount) => ({ accountId: account._id, accountCode: account.code, direction, amount });
+
+// Records a completed transaction with its journal entry, as the wallet service would have
+const seed = ({ reference, source, legs, type = 'debit', status = 'completed', walletId = accounts.sender.walletId }) => {
+    const entry = { _id: id(), reference: `JOURNAL-${reference}`, legs };
+    entries.set(entry._id.toString(), entry);
+    const transaction = {
+        _id: id(),
+        walletId,
+        type,
+        amount: legs[0].amount,
+        currency: 'NGN',
+        reference,
+        status,
+        source,
+        journalEntryId: entry._id,
+        reversedAmount: 0,
+        reversedFee: 0
+    };
+    transactions.set(reference, transaction);
+    return transaction;
+};
+
+jest.unstable_mockModule('../models/Transaction.js', () => ({
+    Transaction: {
+        findOne: jest.fn(async (filter) => (filter.reference
+            ? transactions.get(filter.reference)
+            : [...transactions.values()].find((row) => row.journalEntryId.equals(filter.journalEntryId)
+                && row.type === filter.type && row.source !== filter.source.$ne)) || null),
+        findOneAndUpdate: jest.fn(async (filter, update) => {
+            const row = [...transactions.values()].find((candidate) => candidate._id.equals(filter._id));
+            if (!row || row.status !== filter.status) return null;
+            row.reversedAmount += update.$inc.reversedAmount;
+            row.reversedFee += update.$inc.reversedFee;
+            return { ...row };
+        }),
+        create: jest.fn(async (rows) => rows.map((row) => {
+            const created = { _id: id(), ...row };
+            transactions.set(created.reference, created);
+            return created;
+        }))
+    }
+}));
+jest.unstable_mockModule('../models/JournalEntry.js', () => ({
+    JournalEntry: { findById: jest.fn((entryId) => query(entries.get(entryId.toString()) || null)) }
+}));
+jest.unstable_mockModule('../models/LedgerAccount.js', () => ({
+    LedgerAccount: { find: jest.fn(() => query(Object.values(accounts))) }
+}));
+jest.unstable_mockModule('../models/Wallet.js', () => ({ Wallet: { find: jest.fn(() => query(wallets)) } }));
+jest.unstable_mockModule('../models/User.js', () => ({ User: { findById: jest.fn(async () => null) } }));
+jest.unstable_mockModule('../models/Reversal.js', () => ({
+    Reversal: {
+        create: jest.fn(async (fields) => {
+            const reversal = { _id: id(), status: 'pending_approval', ...fields };
+            reversals.set(reversal._id.toString(), reversal);
+            return { ...reversal };
+        }),
+        find: jest.fn(({ transactionId, status }) => query([...reversals.values()].filter((reversal) =>
+            reversal.transactionId.equals(transactionId) && status.$in.includes(reversal.status)))),
+        findById: jest.fn((reversalId) => query(reversals.get(reversalId.toString()) || null)),
+        findOneAndUpdate: jest.fn(async (filter, update) => {
+            const reversal = reversals.get(filter._id.toString());
+            if (!reversal) return null;
+            if (filter.status && reversal.status !== filter.status) return null;
+            if (filter.requestedBy && reversal.requestedBy.equals(filter.requestedBy.$ne)) return null;
+            Object.assign(reversal, update.$set);
+            return { ...reversal };
+        }),
+        updateOne: jest.fn(async (filter, update) => {
+            const reversal = reversals.get(filter._id.toString());
+            if (filter.status && reversal.status !== filter.status) return;
+            Object.assign(reversal, update.$set);
+            for (const field of Object.keys(update.$unset || {})) delete reversal[field];
+        })
+    }
+}));
+jest.unstable_mockModule('../services/ledgerService.js', () => ({
+    default: {
+        SYSTEM_ACCOUNTS: { FEE_INCOME: { code: 'FEE_INCOME' } },
+        postJournalEntry: jest.fn(async ({ reference, legs }) => ({
+            entry: { _id: id(), reference, legs },
+            balances: new Map(legs.map(({ account }) => [account._id.toString(), 0]))
+        }))
+    }
+}));
+jest.unstable_mockModule('../services/walletService.js', () => ({ default: { sendTransactionEmail: jest.fn() } }));
+// Rolls the original transactions back when the operation throws, as aborting would
+jest.unstable_mockModule('../utils/withTransaction.js', () => ({
+    withTransaction: async (operation) => {
+        const snapshot = [...transactions.values()].map((row) => [row, { ...row }]);
+        try {
+            return await operation('session');
+        } catch (error) {
+            for (const [row, saved] of snapshot) Object.assign(row, saved);
+            throw error;
+        }
+    }
+}));
+
+const { default: ledgerService } = await import('../services/ledgerService.js');
+const { default: reversalService } = await import('../services/reversalService.js');
+
+const request = (fields) => reversalService.requestReversal({ reason: 'Sent in error', adminId: ADMIN_MAKER, requestId: 'request-1', ...fields });
+const approve = (reversal, adminId = ADMIN_CHECKER) => reversalService.approveReversal({ id: reversal.id, adminId, requestId: 'request-1' });
+const postedLegs = () => ledgerService.postJournalEntry.mock.calls.at(-1)[0].legs;
+const total = (legs, direction) => legs.filter((item) => item.direction === direction).reduce((sum, item) => sum + item.amount, 0);
+
+describe('Reversals', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        transactions.clear();
+        entries.clear();
+        reversals.clear();
+        // An internal transfer of NGN 10,000 and an external one of NGN 5,000 with a NGN 50 fee
+        seed({
+            reference: 'TRANSFER-SENDER-1',
+            source: 'transfer',
+            legs: [leg(accounts.sender, 'debit', 1000000), leg(accounts.recipient, 'credit', 1000000)]
+        });
+        seed({
+            reference: 'EXT-TRANSFER-1',
+            source: 'external_transfer',
+            legs: [leg(accounts.sender, 'debit', 505000), leg(accounts.settlement, 'credit', 500000), leg(accounts.feeIncome, 'credit', 5000)]
+        });
+    });
+
+    it('refuses approval from the admin who requested the reversal', async () => {
+        const reversal = await request({ reference: 'TRANSFER-SENDER-1' });
+
+        await expect(approve(reversal, ADMIN_MAKER)).rejects.toMatchObject({ status: 403 });
+        expect(reversals.get(reversal.id.toString()).status).toBe('pending_approval');
+        expect(ledgerService.postJournalEntry).not.toHaveBeenCalled();
+
+        await expect(approve(reversal)).resolves.toMatchObject({ status: 'executed' });
+    });
+
+    it('posts a compensating entry that mirrors the original and balances', async () => {
+        const reversal = await request({ reference: 'EXT-TRANSFER-1', refundFee: true });
+
+        await approve(reversal);
+
+        const legs = postedLegs();
+        expect(legs.map(({ account, direction, amount }) => [account.code, direction, amount])).toEqual([
+            ['SETTLEMENT-FLUTTERWAVE', 'debit', 500000],
+            ['WALLET-SENDER', 'credit', 505000],
+            ['FEE_INCOME', 'debit', 5000]
+        ]);
+        expect(total(legs, 'debit')).toBe(total(legs, 'credit'));
+        expect(transactions.get(`REVERSAL-${reversal.id}-CREDIT`)).toMatchObject({
+            walletId: accounts.sender.walletId,
+            type: 'credit',
+            amount: 505000,
+            source: 'reversal',
+            metadata: { reversalOf: 'EXT-TRANSFER-1', refundedFee: 5000 }
+        });
+        expect(transactions.get('EXT-TRANSFER-1')).toMatchObject({ reversedAmount: 500000, reversedFee: 5000 });
+    });
+
+    it('never reverses more than the principal or the fee across partial reversals', async () => {
+        const first = await request({ reference: 'EXT-TRANSFER-1', amount: 300000, refundFee: true });
+
+        // Open requests count too, before the first is even approved
+        await expect(request({ reference: 'EXT-TRANSFER-1', amount: 250000 })).rejects.toMatchObject({ status: 400 });
+        await approve(first);
+        expect(total(postedLegs(), 'debit')).toBe(total(postedLegs(), 'credit'));
+
+        await expect(request({ reference: 'EXT-TRANSFER-1', amount: 200001 })).rejects.toMatchObject({
+            status: 400,
+            message: expect.stringContaining('reversible balance')
+        });
+        await expect(request({ reference: 'EXT-TRANSFER-1', refundFee: true })).rejects.toMatchObject({
+            status: 400,
+            message: 'Transaction has no fee left to refund'
+        });
+
+        const rest = await request({ reference: 'EXT-TRANSFER-1' });
+        expect(rest).toMatchObject({ amountMinor: 200000, fee: 0 });
+        await approve(rest);
+        expect(transactions.get('EXT-TRANSFER-1')).toMatchObject({ reversedAmount: 500000, reversedFee: 5000 });
+        await expect(request({ reference: 'EXT-TRANSFER-1', amount: 1 })).rejects.toMatchObject({ status: 400 });
+    });
+
+    it('fails a reversal at posting when the original was reversed in the meantime', async () => {
+        const reversal = await request({ reference: 'TRANSFER-SENDER-1', amount: 600000 });
+        // Another reversal executed between this request and its approval
+        transactions.get('TRANSFER-SENDER-1').reversedAmount = 500000;
+
+        await expect(approve(reversal)).rejects.toMatchObject({ status: 409 });
+
+        expect(reversals.get(reversal.id.toString())).toMatchObject({
+            status: 'failed',
+            failureReason: 'Reversal exceeds the amount left to reverse'
+        });
+        expect(ledgerService.postJournalEntry).not.toHaveBeenCalled();
+    });
+
+    it('refuses to reverse a reversal or a currency conversion', async () => {
+        const reversal = await request({ reference: 'TRANSFER-SENDER-1' });
+        await approve(reversal);
+        seed({
+            reference: 'FX-1',
+            source: 'fx_conversion',
+            legs: [leg(accounts.sender, 'debit', 150000), leg(accounts.settlement, 'credit', 150000)]
+        });
+
+        await expect(request({ reference: `REVERSAL-${reversal.id}-CREDIT` })).rejects.toMatchObject({
+            status: 400,
+            message: 'A reversal cannot itself be reversed'
+        });
+        await expect(request({ reference: 'FX-1' })).rejects.toMatchObject({ status: 400 });
+    });
+
+    it('puts the reversal back for approval when posting fails unexpectedly', async () => {
+        const reversal = await request({ reference: 'TRANSFER-SENDER-1' });
+        ledgerService.postJournalEntry.mockRejectedValueOnce(
+            Object.assign(new Error('Too many concurrent updates, please retry shortly'), { status: 503 })
+        );
+
+        await expect(approve(reversal)).rejects.toMatchObject({ status: 503 });
+
+        expect(transactions.get('TRANSFER-SENDER-1').reversedAmount).toBe(0);
+        const stored = reversals.get(reversal.id.toString());
+        expect(stored).toMatchObject({ status: 'pending_approval', reviewedBy: null, reviewedAt: null });
+        expect(stored).not.toHaveProperty('reviewNote');
+        await expect(approve(reversal)).resolves.toMatchObject({ status: 'executed' });
+    });
+});
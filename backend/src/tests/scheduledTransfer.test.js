@@ -0,0 +1,133 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const wallet = { _id: 'wallet-1', getAvailableBalance: jest.fn(async () => 1000000) };
+const user = { _id: 'user-1', email: 'ada@example.com', firstName: 'Ada', lastName: 'Obi' };
+const transfers = new Map();
+
+// A ScheduledTransfer document: set() and save() like mongoose's
+const transferDocument = (fields) => ({
+    _id: 'scheduled-1',
+    userId: 'user-1',
+    transferType: 'external',
+    recipientAccountNumber: '0690000040',
+    bankCode: '044',
+    recipientAccountName: 'Ada Obi',
+    recipientBankName: 'Access Bank',
+    amount: 500000,
+    currency: 'NGN',
+    runAt: new Date('2026-03-10T09:00:00Z'),
+    status: 'processing',
+    attempts: 1,
+    ...fields,
+    set(values) {
+        Object.assign(this, values);
+    },
+    save: jest.fn(async function () {
+        return this;
+    })
+});
+
+jest.unstable_mockModule('../models/User.js', () => ({ User: { findById: jest.fn(async () => user) } }));
+jest.unstable_mockModule('../models/Wallet.js', () => ({
+    Wallet: { findOne: jest.fn(() => Promise.resolve(wallet)) }
+}));
+jest.unstable_mockModule('../models/ScheduledTransfer.js', () => ({
+    ScheduledTransfer: {
+        // Claims the first due transfer, as claimDueTransfer's filter would
+        findOneAndUpdate: jest.fn(async (filter, update) => {
+            const transfer = filter._id
+                ? transfers.get(filter._id)
+                : [...transfers.values()].find((candidate) => candidate.status === 'scheduled');
+            if (!transfer || (filter.status && transfer.status !== filter.status)) return null;
+            Object.assign(transfer, update.$set);
+            transfer.attempts += update.$inc?.attempts || 0;
+            return transfer;
+        }),
+        find: jest.fn(({ status }) => {
+            const found = [...transfers.values()].filter((transfer) => transfer.status === status);
+            const chain = { sort: () => chain, limit: async () => found };
+            return chain;
+        })
+    }
+}));
+jest.unstable_mockModule('../utils/email.js', () => ({ sendErrorAlert: jest.fn(async () => undefined) }));
+jest.unstable_mockModule('../services/walletService.js', () => ({
+    default: {
+        EXTERNAL_TRANSFER_FEE: 5000,
+        initiateExternalTransfer: jest.fn(),
+        transferFunds: jest.fn(),
+        findTransferByIdempotencyKey: jest.fn(async () => null)
+    }
+}));
+
+const { sendErrorAlert } = await import('../utils/email.js');
+const { default: walletService } = await import('../services/walletService.js');
+const { default: scheduledTransferService } = await import('../services/scheduledTransferService.js');
+
+const run = () => scheduledTransferService.runDueTransfers({ now: new Date('2026-03-10T09:00:00Z') });
+const sentRow = (fields) => ({ reference: 'EXT-TRANSFER-ABC', status: 'pending', createdAt: new Date('2026-03-10T09:00:01Z'), ...fields });
+
+describe('Scheduled external transfers', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        transfers.clear();
+        transfers.set('scheduled-1', transferDocument({ status: 'scheduled', attempts: 0 }));
+    });
+
+    it('leaves a sent transfer pending until the provider confirms it, then completes it', async () => {
+        walletService.initiateExternalTransfer.mockResolvedValueOnce({ transaction: sentRow(), balance: 495000 });
+
+        await expect(run()).resolves.toMatchObject({ pending: 1, completed: 0 });
+        expect(transfers.get('scheduled-1')).toMatchObject({ status: 'pending', transactionReference: 'EXT-TRANSFER-ABC' });
+        expect(sendErrorAlert).not.toHaveBeenCalled();
+
+        // Still pending at the provider: nothing changes
+        walletService.findTransferByIdempotencyKey.mockResolvedValueOnce(sentRow());
+        await expect(run()).resolves.toMatchObject({ settled: 0 });
+
+        walletService.findTransferByIdempotencyKey.mockResolvedValueOnce(sentRow({ status: 'completed' }));
+        await expect(run()).resolves.toMatchObject({ settled: 1 });
+        expect(transfers.get('scheduled-1').status).toBe('completed');
+        expect(sendErrorAlert).toHaveBeenCalledTimes(1);
+        expect(sendErrorAlert.mock.calls[0][1].subject).toContain('Scheduled Transfer Completed');
+    });
+
+    it('does not fail a run whose transfer may have gone out', async () => {
+        walletService.initiateExternalTransfer.mockRejectedValueOnce(
+            new Error('Failed to initiate external transfer: timeout of 30000ms exceeded')
+        );
+        // The row written before the provider call is what the run finds afterwards
+        walletService.findTransferByIdempotencyKey
+            .mockResolvedValueOnce(null)
+            .mockResolvedValueOnce(sentRow());
+
+        await expect(run()).resolves.toMatchObject({ pending: 1, failed: 0 });
+
+        expect(transfers.get('scheduled-1')).toMatchObject({ status: 'pending', transactionReference: 'EXT-TRANSFER-ABC', lockedUntil: null });
+        expect(sendErrorAlert).not.toHaveBeenCalled();
+    });
+
+    it('fails a pending run once its transfer fails, with the provider reason', async () => {
+        transfers.set('scheduled-1', transferDocument({ status: 'pending', transactionReference: 'EXT-TRANSFER-ABC' }));
+        walletService.findTransferByIdempotencyKey.mockResolvedValueOnce(
+            sentRow({ status: 'failed', metadata: { failureReason: 'Account closed' } })
+        );
+
+        await expect(run()).resolves.toMatchObject({ settled: 1 });
+
+        expect(transfers.get('scheduled-1')).toMatchObject({ status: 'failed', failureReason: 'Account closed' });
+        expect(sendErrorAlert.mock.calls[0][1].text).toContain('Reason: Account closed');
+    });
+
+    it('runs a transfer again after contention and fails a short wallet outright', async () => {
+        walletService.initiateExternalTransfer
+            .mockRejectedValueOnce(Object.assign(new Error('Too many concurrent updates, please retry shortly'), { status: 503 }))
+            .mockRejectedValueOnce(Object.assign(new Error('Insufficient balance in wallet'), { status: 400 }));
+
+        await expect(run()).resolves.toMatchObject({ retry: 1, failed: 1 });
+
+        expect(transfers.get('scheduled-1')).toMatchObject({ status: 'failed', attempts: 2, failureReason: 'Insufficient balance in wallet' });
+        expect(sendErrorAlert).toHaveBeenCalledTimes(1);
+        expect(sendErrorAlert.mock.calls[0][1].text).toContain('No money has left your wallet');
+    });
+});
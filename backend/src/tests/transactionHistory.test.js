@@ -0,0 +1,152 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import mongoose from 'mongoose';
+
+const rows = [];
+
+// Dates compare by time and ObjectIds by their hex strings, which sort like the IDs
+const comparable = (value) => {
+    if (value instanceof Date) return value.getTime();
+    if (value instanceof mongoose.Types.ObjectId) return value.toString();
+    return value;
+};
+
+// Enough of MongoDB's query language for the history filters
+const matches = (row, filter) => Object.entries(filter).every(([field, condition]) => {
+    if (field === '$and') return condition.every((clause) => matches(row, clause));
+    if (field === '$or') return condition.some((clause) => matches(row, clause));
+    const value = comparable(row[field]);
+    if (condition && typeof condition === 'object' && !(condition instanceof Date) && !(condition instanceof mongoose.Types.ObjectId)) {
+        return Object.entries(condition).every(([operator, operand]) => {
+            if (operator === '$gte') return value >= comparable(operand);
+            if (operator === '$lte') return value <= comparable(operand);
+            if (operator === '$lt') return value < comparable(operand);
+            if (operator === '$regex') return new RegExp(operand, condition.$options).test(value || '');
+            if (operator === '$options') return true;
+            throw new Error(`Unsupported operator ${operator}`);
+        });
+    }
+    return value === comparable(condition);
+});
+
+const find = jest.fn((filter) => {
+    let found = rows.filter((row) => matches(row, filter));
+    const chain = {
+        sort: (order) => {
+            expect(order).toEqual({ createdAt: -1, _id: -1 });
+            found = [...found].sort((a, b) =>
+                b.createdAt - a.createdAt || b._id.toString().localeCompare(a._id.toString()));
+            return chain;
+        },
+        limit: (count) => {
+            found = found.slice(0, count);
+            return chain;
+        },
+        lean: async () => found
+    };
+    return chain;
+});
+
+jest.unstable_mockModule('../models/Transaction.js', () => ({ Transaction: { find } }));
+
+const { default: transactionService } = await import('../services/transactionService.js');
+
+const WALLET_ID = 'wallet-1';
+const at = (minute) => new Date(Date.UTC(2026, 2, 10, 9, minute));
+let sequence = 0;
+
+const addRow = (fields) => {
+    sequence += 1;
+    const row = {
+        _id: new mongoose.Types.ObjectId(sequence.toString(16).padStart(24, '0')),
+        walletId: WALLET_ID,
+        type: 'debit',
+        amount: 100000,
+        currency: 'NGN',
+        reference: `TRANSFER-${sequence}`,
+        status: 'completed',
+        source: 'transfer',
+        description: `Payment ${sequence}`,
+        createdAt: at(0),
+        ...fields
+    };
+    rows.push(row);
+    return row;
+};
+
+const list = (filters, options = {}) =>
+    transactionService.listTransactions({ walletId: WALLET_ID, filters, requestId: 'request-1', ...options });
+const references = ({ transactions }) => transactions.map((transaction) => transaction.reference);
+
+describe('Transaction history', () => {
+    beforeEach(() => {
+        rows.length = 0;
+        sequence = 0;
+    });
+
+    it('pages through rows with the same timestamp without repeating or skipping any', async () => {
+        // Seven rows share one createdAt, between an older and a newer one
+        addRow({ createdAt: at(1), reference: 'OLDEST' });
+        for (let index = 0; index < 7; index += 1) addRow({ createdAt: at(5) });
+        addRow({ createdAt: at(9), reference: 'NEWEST' });
+        addRow({ walletId: 'wallet-2', createdAt: at(5), reference: 'OTHER-WALLET' });
+
+        const seen = [];
+        let cursor;
+        let pages = 0;
+        do {
+            const page = await list({}, { limit: 3, cursor });
+            seen.push(...references(page));
+            cursor = page.pageInfo.nextCursor;
+            pages += 1;
+            expect(page.pageInfo.hasMore).toBe(Boolean(cursor));
+        } while (cursor);
+
+        expect(pages).toBe(3);
+        expect(seen).toEqual([
+            'NEWEST', 'TRANSFER-8', 'TRANSFER-7', 'TRANSFER-6', 'TRANSFER-5', 'TRANSFER-4', 'TRANSFER-3', 'TRANSFER-2', 'OLDEST'
+        ]);
+    });
+
+    it('rejects a cursor that has been tampered with', async () => {
+        addRow({});
+        addRow({});
+        const { pageInfo } = await list({}, { limit: 1 });
+        const position = JSON.parse(Buffer.from(pageInfo.nextCursor, 'base64url').toString('utf8'));
+
+        const tampered = [
+            `${pageInfo.nextCursor.slice(0, -2)}!!`,
+            'not-a-cursor',
+            Buffer.from(JSON.stringify({ ...position, id: 'not-an-object-id' })).toString('base64url'),
+            Buffer.from(JSON.stringify({ ...position, createdAt: 'yesterday' })).toString('base64url'),
+            Buffer.from('[1, 2]').toString('base64url')
+        ];
+        for (const cursor of tampered) {
+            await expect(list({}, { cursor })).rejects.toMatchObject({ status: 400, message: 'Invalid pagination cursor' });
+        }
+    });
+
+    it('treats a search term with regex metacharacters as plain text', async () => {
+        addRow({ description: 'Rent (March) + service charge' });
+        addRow({ description: 'Rent March service charge' });
+        addRow({ description: 'School fees', reference: 'EXT-TRANSFER-A.B' });
+        addRow({ description: 'School fees', reference: 'EXT-TRANSFER-AXB' });
+
+        expect(references(await list({ search: '(march) +' }))).toEqual(['TRANSFER-1']);
+        expect(references(await list({ search: 'a.b' }))).toEqual(['EXT-TRANSFER-A.B']);
+        expect(references(await list({ search: '.*' }))).toEqual([]);
+    });
+
+    it('filters by type, status, source, date range and amount range', async () => {
+        addRow({ reference: 'SMALL-CREDIT', type: 'credit', source: 'flutterwave', amount: 50000, createdAt: at(1) });
+        addRow({ reference: 'PENDING-EXT', source: 'external_transfer', status: 'pending', amount: 250000, createdAt: at(2) });
+        addRow({ reference: 'LARGE-DEBIT', amount: 900000, createdAt: at(3) });
+        addRow({ reference: 'MID-DEBIT', amount: 250000, createdAt: at(4) });
+
+        expect(references(await list({ type: 'credit' }))).toEqual(['SMALL-CREDIT']);
+        expect(references(await list({ status: 'pending' }))).toEqual(['PENDING-EXT']);
+        expect(references(await list({ source: 'transfer' }))).toEqual(['MID-DEBIT', 'LARGE-DEBIT']);
+        expect(references(await list({ startDate: at(2), endDate: at(3) }))).toEqual(['LARGE-DEBIT', 'PENDING-EXT']);
+        expect(references(await list({ minAmount: 250000, maxAmount: 250000 }))).toEqual(['MID-DEBIT', 'PENDING-EXT']);
+        expect(references(await list({ type: 'debit', minAmount: 300000 }))).toEqual(['LARGE-DEBIT']);
+    });
+});
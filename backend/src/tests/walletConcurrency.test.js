@@ -0,0 +1,105 @@
+import { jest, describe, beforeAll, afterAll, it, expect } from '@jest/globals';
+
+// Transfers alert by email on failure; keep the stress run off the network
+jest.unstable_mockModule('../utils/email.js', () => ({
+    sendErrorAlert: jest.fn().mockResolvedValue(undefined)
+}));
+
+const { default: mongoose } = await import('mongoose');
+const { MongoMemoryReplSet } = await import('mongodb-memory-server');
+const { User } = await import('../models/User.js');
+const { Wallet } = await import('../models/Wallet.js');
+const { Transaction } = await import('../models/Transaction.js');
+const { LedgerAccount } = await import('../models/LedgerAccount.js');
+const { default: walletService } = await import('../services/walletService.js');
+const { default: ledgerService } = await import('../services/ledgerService.js');
+
+const OPENING_BALANCE = 1000000; // NGN 10,000 in kobo
+const TRANSFER_AMOUNT = 5000; // NGN 50 in kobo
+const PARALLEL_TRANSFERS = 300; // Enough to drain the wallet 1.5 times over
+
+describe('Concurrent wallet transfers', () => {
+    let replSet;
+    let sender;
+    let recipients;
+
+    beforeAll(async () => {
+        // Multi-document transactions need a replica set
+        replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+        await mongoose.connect(replSet.getUri(), { maxPoolSize: 50 });
+        await Promise.all([User.init(), Wallet.init(), Transaction.init(), LedgerAccount.init()]);
+
+        sender = await User.create({
+            firstName: 'Ada',
+            lastName: 'Obi',
+            email: 'ada.obi@example.com',
+            phoneNumber: '+2348010000001',
+            password: 'SecurePass1234!'
+        });
+        recipients = await Promise.all(['2', '3', '4'].map((suffix) => User.create({
+            firstName: 'Recipient',
+            lastName: `Number${suffix}`,
+            email: `recipient${suffix}@example.com`,
+            phoneNumber: `+234801000000${suffix}`,
+            password: 'SecurePass1234!'
+        })));
+
+        await walletService.creditWallet({
+            userId: sender._id,
+            amount: OPENING_BALANCE,
+            reference: 'FUND-STRESS-OPENING',
+            source: 'flutterwave',
+            description: 'Stress test opening balance',
+            requestId: 'stress-setup'
+        });
+    }, 120000);
+
+    afterAll(async () => {
+        await mongoose.disconnect();
+        await replSet?.stop();
+    });
+
+    it('never overdraws the sender and keeps the ledger balanced', async () => {
+        const results = await Promise.allSettled(
+            Array.from({ length: PARALLEL_TRANSFERS }, (_, index) => walletService.transferFunds({
+                senderId: sender._id,
+                recipientAccountNumber: recipients[index % recipients.length].accountNumber,
+                amount: TRANSFER_AMOUNT,
+                description: `Stress transfer ${index}`,
+                requestId: `stress-${index}`
+            }))
+        );
+
+        const succeeded = results.filter((result) => result.status === 'fulfilled');
+        const failed = results.filter((result) => result.status === 'rejected');
+
+        // Every failure is a clean rejection, never a partial write
+        for (const { reason } of failed) {
+            expect(['Insufficient balance', 'Too many concurrent updates, please retry shortly']).toContain(reason.message);
+        }
+        expect(succeeded.length).toBeGreaterThan(0);
+        expect(succeeded.length).toBeLessThanOrEqual(OPENING_BALANCE / TRANSFER_AMOUNT);
+
+        const senderWallet = await Wallet.findOne({ userId: sender._id });
+        const senderBalance = await senderWallet.getBalance();
+        expect(senderBalance).toBeGreaterThanOrEqual(0);
+        expect(senderBalance).toBe(OPENING_BALANCE - succeeded.length * TRANSFER_AMOUNT);
+
+        // No balance a client saw was ever negative
+        for (const { value } of succeeded) {
+            expect(value.balance).toBeGreaterThanOrEqual(0);
+        }
+
+        const recipientWallets = await Wallet.find({ userId: { $in: recipients.map((recipient) => recipient._id) } });
+        const recipientBalances = await Promise.all(recipientWallets.map((wallet) => wallet.getBalance()));
+        expect(recipientBalances.reduce((total, balance) => total + balance, 0))
+            .toBe(succeeded.length * TRANSFER_AMOUNT);
+
+        const debitRows = await Transaction.countDocuments({ userId: sender._id, type: 'debit' });
+        expect(debitRows).toBe(succeeded.length);
+
+        const trialBalance = await ledgerService.getTrialBalance('stress-check');
+        expect(trialBalance.balanced).toBe(true);
+        expect(trialBalance.mismatches).toEqual([]);
+    }, 300000);
+});
@@ -85,7 +85,9 @@ describe('Wallet API Endpoints', () => {
             expect(res.body.status).toBe('success');
             expect(res.body.data).toHaveProperty('userId');
             expect(res.body.data.email).toBe('john.doe@gmail.com');
-            expect(res.body.data.accountNumber).toBe('7042449382');
+            // Account numbers are NUBANs from a sequence, not derived from the phone number
+            expect(res.body.data.accountNumber).toMatch(/^\d{10}$/);
+            expect(res.body.data.accountNumber).not.toBe('7042449382');
             expect(res.body.data).toHaveProperty('walletId');
         });
 
@@ -101,7 +103,7 @@ describe('Wallet API Endpoints', () => {
                 });
             expect(res.status).toBe(409);
             expect(res.body.status).toBe('error');
-            expect(res.body.message).toBe('Email, phone number, or account number already registered');
+            expect(res.body.message).toBe('Email or phone number already registered');
         });
 
         it('should fail if phoneNumber is invalid', async () => {
@@ -132,7 +134,7 @@ describe('Wallet API Endpoints', () => {
             expect(res.body.status).toBe('success');
             expect(res.body.data).toHaveProperty('accessToken');
             expect(res.body.data).toHaveProperty('refreshToken');
-            expect(res.body.data.user).toHaveProperty('accountNumber', '7042449380');
+            expect(res.body.data.user).toHaveProperty('accountNumber', user1.accountNumber);
             expect(res.body.data).toHaveProperty('walletId');
         });
 
@@ -156,7 +158,7 @@ describe('Wallet API Endpoints', () => {
                 .set('Authorization', `Bearer ${accessToken1}`)
                 .send({
                     amount: 25000,
-                    accountNumber: '7042449380',
+                    accountNumber: user1.accountNumber,
                 });
             expect(res.status).toBe(200);
             expect(res.body.status).toBe('success');
@@ -183,7 +185,7 @@ describe('Wallet API Endpoints', () => {
                 .post('/api/wallet/fund')
                 .send({
                     amount: 25000,
-                    accountNumber: '7042449380',
+                    accountNumber: user1.accountNumber,
                 });
             expect(res.status).toBe(401);
             expect(res.body.status).toBe('error');
@@ -252,7 +254,7 @@ describe('Wallet API Endpoints', () => {
                 .post('/api/wallet/transfer')
                 .set('Authorization', `Bearer ${accessToken1}`)
                 .send({
-                    recipientAccountNumber: '7042449381',
+                    recipientAccountNumber: user2.accountNumber,
                     amount: 5000,
                     description: 'Test transfer',
                 });
@@ -260,7 +262,7 @@ describe('Wallet API Endpoints', () => {
             expect(res.body.status).toBe('success');
             expect(res.body.data.senderTransaction).toHaveProperty('amount', 5000);
             expect(res.body.data.recipientTransaction).toHaveProperty('amount', 5000);
-            expect(res.body.data.senderTransaction.target).toBe('7042449381');
+            expect(res.body.data.senderTransaction.target).toBe(user2.accountNumber);
         });
 
         it('should fail if transferring to self', async () => {
@@ -268,7 +270,7 @@ describe('Wallet API Endpoints', () => {
                 .post('/api/wallet/transfer')
                 .set('Authorization', `Bearer ${accessToken1}`)
                 .send({
-                    recipientAccountNumber: '7042449380',
+                    recipientAccountNumber: user1.accountNumber,
                     amount: 5000,
                     description: 'Test transfer',
                 });
@@ -282,7 +284,7 @@ describe('Wallet API Endpoints', () => {
                 .post('/api/wallet/transfer')
                 .set('Authorization', `Bearer ${accessToken1}`)
                 .send({
-                    recipientAccountNumber: '7042449381',
+                    recipientAccountNumber: user2.accountNumber,
                     amount: 50000,
                     description: 'Test transfer',
                 });
@@ -300,7 +302,7 @@ describe('Wallet API Endpoints', () => {
             expect(res.status).toBe(200);
             expect(res.body.status).toBe('success');
             expect(res.body.data).toHaveProperty('balance');
-            expect(res.body.data).toHaveProperty('accountNumber', '7042449380');
+            expect(res.body.data).toHaveProperty('accountNumber', user1.accountNumber);
         });
 
         it('should fail if unauthenticated', async () => {
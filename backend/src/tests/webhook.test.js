@@ -0,0 +1,273 @@
+import { jest, describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from '@jest/globals';
+import crypto from 'crypto';
+
+// In-memory stand-in for the webhook inbox, unique on provider and event ID
+const events = new Map();
+let nextId = 1;
+
+// Enough of MongoDB's query language for the inbox's filters
+const matches = (document, filter) => Object.entries(filter).every(([field, condition]) => {
+    if (field === '$or') {
+        return condition.some((clause) => matches(document, clause));
+    }
+    const value = document[field] ?? null;
+    if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+        return Object.entries(condition).every(([operator, operand]) => {
+            if (operator === '$in') return operand.includes(value);
+            if (operator === '$ne') return value !== operand;
+            if (operator === '$lte') return value !== null && value <= operand;
+            throw new Error(`Unsupported operator ${operator}`);
+        });
+    }
+    return value === condition;
+});
+
+const apply = (document, update) => {
+    Object.assign(document, update.$set);
+    for (const [field, amount] of Object.entries(update.$inc || {})) document[field] += amount;
+    return { ...document };
+};
+
+const lean = (value) => {
+    const chain = { sort: () => chain, limit: () => chain, select: () => chain, lean: async () => value };
+    return chain;
+};
+
+jest.unstable_mockModule('../models/WebhookEvent.js', () => ({
+    WebhookEvent: {
+        create: jest.fn(async (fields) => {
+            if ([...events.values()].some((event) => event.provider === fields.provider && event.eventId === fields.eventId)) {
+                throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+            }
+            const event = {
+                _id: `event-${nextId++}`,
+                status: 'received',
+                attempts: 0,
+                lockedUntil: null,
+                nextAttemptAt: null,
+                createdAt: new Date(),
+                ...fields
+            };
+            events.set(event._id, event);
+            return { ...event };
+        }),
+        findOne: jest.fn(async (filter) => [...events.values()].find((event) => matches(event, filter)) || null),
+        findOneAndUpdate: jest.fn(async (filter, update) => {
+            const event = [...events.values()].find((candidate) => matches(candidate, filter));
+            return event ? apply(event, update) : null;
+        }),
+        findByIdAndUpdate: jest.fn(async (id, update) => apply(events.get(id), update)),
+        findById: (id) => lean(events.get(id) || null),
+        find: (filter) => lean([...events.values()].filter((event) => matches(event, filter)))
+    }
+}));
+jest.unstable_mockModule('../models/Transaction.js', () => ({
+    Transaction: { findOne: jest.fn(() => lean({ reference: 'EXT-TRANSFER-ABC' })), exists: jest.fn() }
+}));
+jest.unstable_mockModule('../models/User.js', () => ({ User: {} }));
+jest.unstable_mockModule('../models/Wallet.js', () => ({ Wallet: {} }));
+jest.unstable_mockModule('../services/walletService.js', () => ({ default: {} }));
+jest.unstable_mockModule('../services/externalTransferService.js', () => ({
+    default: { syncTransferStatus: jest.fn() }
+}));
+
+const { default: request } = await import('supertest');
+const { default: express } = await import('express');
+const { safeEqual } = await import('../utils/signature.js');
+const { setProvider } = await import('../providers/index.js');
+const { createPaystackProvider } = await import('../providers/paystackProvider.js');
+const { createFlutterwaveProvider } = await import('../providers/flutterwaveProvider.js');
+const { default: verifyWebhookSignature } = await import('../middlewares/webhookSignature.js');
+const { default: externalTransferService } = await import('../services/externalTransferService.js');
+const { default: webhookService } = await import('../services/webhookService.js');
+
+const PAYSTACK_KEY = 'sk_test_webhooks';
+const FLUTTERWAVE_HASH = 'flutterwave-secret-hash';
+const MINUTE_MS = 60 * 1000;
+
+const transferEvent = (status = 'success') => ({
+    event: `transfer.${status}`,
+    data: { id: 4101, reference: 'ext-transfer-abc', status, amount: 500000 }
+});
+
+const paystackSignature = (rawBody) => crypto.createHmac('sha512', PAYSTACK_KEY).update(rawBody).digest('hex');
+
+// Stores a Paystack event as the webhook route would
+const record = (body) => {
+    const rawBody = JSON.stringify(body);
+    return webhookService.recordEvent({ provider: 'paystack', rawBody, body, requestId: 'request-1' });
+};
+
+beforeAll(() => {
+    setProvider('paystack', createPaystackProvider({ secretKey: PAYSTACK_KEY }));
+    setProvider('flutterwave', createFlutterwaveProvider({
+        baseUrl: 'http://127.0.0.1:9',
+        secretKey: 'FLWSECK_TEST-webhooks',
+        secretHash: FLUTTERWAVE_HASH
+    }));
+});
+
+afterAll(() => {
+    setProvider('paystack', null);
+    setProvider('flutterwave', null);
+});
+
+describe('Webhook signatures', () => {
+    const app = express();
+    app.use(express.json({
+        verify: (req, res, buffer) => {
+            req.rawBody = buffer.toString('utf8');
+        }
+    }));
+    app.post('/webhook/:provider', (req, res, next) => {
+        req.validatedParams = { provider: req.params.provider };
+        next();
+    }, verifyWebhookSignature, (req, res) => res.status(200).json({ status: 'success' }));
+
+    it('compares secrets of any length without throwing', () => {
+        expect(safeEqual('secret', 'secret')).toBe(true);
+        expect(safeEqual('secret', 'Secret')).toBe(false);
+        expect(safeEqual('short', 'a much longer secret')).toBe(false);
+        expect(safeEqual(undefined, 'secret')).toBe(false);
+        expect(safeEqual('', '')).toBe(false);
+    });
+
+    it('accepts the Paystack HMAC of the raw body and refuses anything else with 401', async () => {
+        const rawBody = JSON.stringify(transferEvent());
+        const post = (signature, body = rawBody) => {
+            const pending = request(app).post('/webhook/paystack').set('Content-Type', 'application/json');
+            return (signature ? pending.set('x-paystack-signature', signature) : pending).send(body);
+        };
+
+        expect((await post(paystackSignature(rawBody))).status).toBe(200);
+        expect((await post(paystackSignature(rawBody), rawBody.replace('500000', '900000'))).status).toBe(401);
+        expect((await post('0'.repeat(128))).status).toBe(401);
+
+        const unsigned = await post(null);
+        expect(unsigned.status).toBe(401);
+        expect(unsigned.body.message).toBe('Invalid webhook signature');
+    });
+
+    it('checks the Flutterwave verif-hash header', async () => {
+        const post = (hash) => request(app).post('/webhook/flutterwave').set('verif-hash', hash).send({ event: 'transfer.completed' });
+
+        expect((await post(FLUTTERWAVE_HASH)).status).toBe(200);
+        expect((await post('wrong-hash')).status).toBe(401);
+    });
+
+    it('refuses webhooks for a provider that is not available', async () => {
+        const response = await request(app).post('/webhook/monnify').send({});
+
+        expect(response.status).toBe(404);
+    });
+});
+
+describe('Webhook inbox', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        events.clear();
+        jest.useFakeTimers({ now: new Date('2026-03-10T09:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('stores a redelivered event once and processes it once', async () => {
+        externalTransferService.syncTransferStatus.mockResolvedValue('completed');
+
+        const first = await record(transferEvent());
+        const redelivered = await record(transferEvent());
+
+        expect(first.duplicate).toBe(false);
+        expect(redelivered).toMatchObject({ duplicate: true, event: { _id: first.event._id } });
+        expect(events.size).toBe(1);
+
+        await expect(webhookService.processEvent(first.event._id)).resolves.toMatchObject({
+            status: 'processed',
+            result: { reference: 'EXT-TRANSFER-ABC', status: 'completed' }
+        });
+        await expect(webhookService.processEvent(first.event._id)).resolves.toBeNull();
+        expect(externalTransferService.syncTransferStatus).toHaveBeenCalledTimes(1);
+        expect(externalTransferService.syncTransferStatus).toHaveBeenCalledWith(expect.objectContaining({
+            reference: 'EXT-TRANSFER-ABC',
+            reported: { provider: 'paystack', transferId: '4101' }
+        }));
+    });
+
+    it('treats a later status of the same transfer as a new event', async () => {
+        await record(transferEvent('success'));
+        const { duplicate } = await record(transferEvent('reversed'));
+
+        expect(duplicate).toBe(false);
+        expect(events.size).toBe(2);
+    });
+
+    it('retries a failing event with backoff, then leaves it for replay', async () => {
+        externalTransferService.syncTransferStatus.mockRejectedValue(new Error('Paystack is down'));
+        const { event } = await record(transferEvent());
+
+        const delays = [];
+        for (let attempt = 1; attempt <= 5; attempt += 1) {
+            const failed = await webhookService.processEvent(event._id);
+            expect(failed).toMatchObject({ status: 'failed', attempts: attempt, lastError: 'Paystack is down', lockedUntil: null });
+            delays.push(failed.nextAttemptAt && (failed.nextAttemptAt.getTime() - Date.now()) / MINUTE_MS);
+        }
+
+        expect(delays).toEqual([1, 5, 30, 120, null]);
+    });
+
+    it('picks up events that are due: missed, retrying, or left locked by a crashed worker', async () => {
+        externalTransferService.syncTransferStatus.mockResolvedValue('completed');
+        const now = Date.now();
+        const seed = (eventId, fields) => events.set(eventId, {
+            _id: eventId,
+            provider: 'paystack',
+            eventId,
+            payload: JSON.stringify(transferEvent()),
+            attempts: 0,
+            lockedUntil: null,
+            nextAttemptAt: null,
+            createdAt: new Date(now - 10 * MINUTE_MS),
+            ...fields
+        });
+        seed('missed', { status: 'received' });
+        seed('just-received', { status: 'received', createdAt: new Date(now - 1000) });
+        seed('retry-due', { status: 'failed', attempts: 1, nextAttemptAt: new Date(now - 1000) });
+        seed('retry-later', { status: 'failed', attempts: 1, nextAttemptAt: new Date(now + MINUTE_MS) });
+        seed('given-up', { status: 'failed', attempts: 5 });
+        seed('stuck', { status: 'processing', attempts: 1, lockedUntil: new Date(now - 1000) });
+        seed('running', { status: 'processing', attempts: 1, lockedUntil: new Date(now + MINUTE_MS) });
+
+        await expect(webhookService.processDueEvents()).resolves.toBe(3);
+
+        expect(Object.fromEntries([...events.values()].map((event) => [event._id, event.status]))).toEqual({
+            missed: 'processed',
+            'just-received': 'received',
+            'retry-due': 'processed',
+            'retry-later': 'failed',
+            'given-up': 'failed',
+            stuck: 'processed',
+            running: 'processing'
+        });
+    });
+
+    it('replays an event that ran out of retries, and only a finished one', async () => {
+        externalTransferService.syncTransferStatus.mockRejectedValueOnce(new Error('Paystack is down'));
+        const { event } = await record(transferEvent());
+        await webhookService.processEvent(event._id);
+
+        externalTransferService.syncTransferStatus.mockResolvedValueOnce('completed');
+        await expect(webhookService.replayEvent({ id: event._id, adminId: 'admin-1' })).resolves.toMatchObject({
+            status: 'processed',
+            attempts: 2,
+            result: { status: 'completed' }
+        });
+
+        await expect(webhookService.replayEvent({ id: event._id, adminId: 'admin-1' })).rejects.toMatchObject({
+            status: 409,
+            message: 'Webhook event is processed and cannot be replayed'
+        });
+        await expect(webhookService.replayEvent({ id: 'event-unknown', adminId: 'admin-1' })).rejects.toMatchObject({ status: 404 });
+    });
+});
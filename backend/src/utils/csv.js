@@ -0,0 +1,101 @@
+// src/utils/csv.js
+
+/**
+ * Minimal RFC 4180 CSV helpers for bulk uploads and downloadable reports.
+ * Quoted fields may contain commas, quotes ("") and line breaks.
+ */
+
+/**
+ * Parses CSV text with a header row into one object per data row.
+ * Header names are trimmed; blank lines are ignored.
+ * @param {string} text - CSV text
+ * @returns {Object[]} Records keyed by header
+ * @throws {Error} If a quote is left open or a row has more cells than the header
+ */
+export const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = String(text).replace(/^\uFEFF/, '');
+
+    for (let index = 0; index < input.length; index += 1) {
+        const char = input[index];
+
+        if (inQuotes) {
+            if (char === '"' && input[index + 1] === '"') {
+                field += '"';
+                index += 1;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[index + 1] === '\n') {
+                index += 1;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error('CSV has an unterminated quoted field');
+    }
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const nonBlank = rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+    if (!nonBlank.length) {
+        return [];
+    }
+
+    const [header, ...data] = nonBlank;
+    const keys = header.map((name) => name.trim());
+    return data.map((cells, index) => {
+        if (cells.length > keys.length) {
+            throw new Error(`CSV row ${index + 2} has more columns than the header`);
+        }
+        return Object.fromEntries(keys.map((key, column) => [key, cells[column] ?? '']));
+    });
+};
+
+/**
+ * Quotes a value for CSV output. Cells that a spreadsheet would read as a formula are
+ * prefixed with an apostrophe so a downloaded report cannot run anything.
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+const toCsvCell = (value) => {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (/^[=+\-@\t\r]/.test(text) && typeof value !== 'number') {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds CSV text with a header row.
+ * @param {string[]} columns - Keys to output, in order; also used as the header
+ * @param {Object[]} records - Rows to output
+ * @returns {string} CSV text with CRLF line endings
+ */
+export const toCsv = (columns, records) =>
+    [columns, ...records.map((record) => columns.map((column) => record[column]))]
+        .map((cells) => cells.map(toCsvCell).join(','))
+        .join('\r\n') + '\r\n';
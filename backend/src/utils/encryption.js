@@ -0,0 +1,35 @@
+// src/utils/encryption.js
+import crypto from 'crypto';
+import { env } from '../config/env.js';
+
+/**
+ * Encryption for single values kept outside the encrypted User fields, such as a BVN
+ * waiting for a reviewer. AES-256-GCM with ENCRYPTION_KEY and a random IV per value.
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+
+/**
+ * Encrypts a value.
+ * @param {string} value - Value in clear
+ * @returns {string} IV, auth tag and ciphertext, base64, joined by dots
+ */
+export const encryptValue = (value) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, Buffer.from(env.ENCRYPTION_KEY), iv);
+    const ciphertext = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64')).join('.');
+};
+
+/**
+ * Decrypts a value from encryptValue.
+ * @param {string} payload - Output of encryptValue
+ * @returns {string} Value in clear
+ * @throws {Error} If the payload is malformed or was not encrypted with this key
+ */
+export const decryptValue = (payload) => {
+    const [iv, tag, ciphertext] = payload.split('.').map((part) => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv(ALGORITHM, Buffer.from(env.ENCRYPTION_KEY), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
@@ -0,0 +1,38 @@
+// src/utils/idempotency.js
+import crypto from 'crypto';
+
+/**
+ * Serialises a value with object keys sorted so equal payloads always hash the same.
+ * @param {*} value - Value to serialise
+ * @returns {string} Canonical JSON
+ */
+const canonicalJson = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value)
+            .sort()
+            .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+};
+
+/**
+ * Hashes the parts of a request that must match for an idempotent replay.
+ * @param {Object} request - { method, path, body }
+ * @returns {string} SHA-256 hex digest
+ */
+export const hashRequest = ({ method, path, body }) =>
+    crypto.createHash('sha256').update(canonicalJson({ method, path, body })).digest('hex');
+
+/**
+ * Derives a stable reference suffix from a user's idempotency key, so retries of the same
+ * operation produce the same ledger references and hit the unique reference indexes.
+ * @param {string} userId - User ID
+ * @param {string} key - Client-supplied idempotency key
+ * @returns {string} 32-character hex identifier
+ */
+export const referenceIdFromKey = (userId, key) =>
+    crypto.createHash('sha256').update(`${userId}:${key}`).digest('hex').slice(0, 32);
@@ -0,0 +1,134 @@
+// src/utils/image.js
+
+/**
+ * JPEG and PNG helpers for uploaded identity documents: the type from the file's magic
+ * bytes, the pixel dimensions, and a copy without metadata. They read the file structure
+ * only and never decode pixels. Each throws on a truncated or malformed file.
+ */
+
+const JPEG_MAGIC = Buffer.from([0xff, 0xd8, 0xff]);
+const PNG_MAGIC = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// JPEG start-of-frame markers, which carry the dimensions (C4, C8 and CC are not frames)
+const JPEG_FRAME_MARKERS = new Set([0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf]);
+const JPEG_START_OF_SCAN = 0xda;
+
+// JFIF (APP0) and Adobe (APP14, colour transform) are needed to display the image right;
+// other application segments hold EXIF, XMP, ICC and maker data, and COM is free text
+const JPEG_KEPT_APP_MARKERS = new Set([0xe0, 0xee]);
+const JPEG_COMMENT = 0xfe;
+
+// PNG chunks carrying text, EXIF or a timestamp
+const PNG_METADATA_CHUNKS = new Set(['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME']);
+
+/**
+ * Identifies an image from its magic bytes.
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} image/jpeg, image/png, or null for anything else
+ */
+export const detectImageType = (buffer) => {
+    if (buffer.length >= PNG_MAGIC.length && buffer.subarray(0, PNG_MAGIC.length).equals(PNG_MAGIC)) {
+        return 'image/png';
+    }
+    if (buffer.length >= JPEG_MAGIC.length && buffer.subarray(0, JPEG_MAGIC.length).equals(JPEG_MAGIC)) {
+        return 'image/jpeg';
+    }
+    return null;
+};
+
+/**
+ * Walks the JPEG segments before the image data.
+ * @param {Buffer} buffer - JPEG file
+ * @returns {{ segments: Object[], scanOffset: number }} Segments with their marker, offset
+ * and total length, and where the image data starts
+ */
+const jpegSegments = (buffer) => {
+    const segments = [];
+    let offset = 2;
+    while (offset + 4 <= buffer.length) {
+        if (buffer[offset] !== 0xff) {
+            throw new Error('Malformed JPEG segment');
+        }
+        const marker = buffer[offset + 1];
+        // Fill bytes before a marker
+        if (marker === 0xff) {
+            offset += 1;
+            continue;
+        }
+        if (marker === JPEG_START_OF_SCAN) {
+            return { segments, scanOffset: offset };
+        }
+        const length = buffer.readUInt16BE(offset + 2);
+        if (length < 2 || offset + 2 + length > buffer.length) {
+            throw new Error('Truncated JPEG segment');
+        }
+        segments.push({ marker, offset, length: 2 + length });
+        offset += 2 + length;
+    }
+    throw new Error('JPEG has no image data');
+};
+
+/**
+ * Walks the PNG chunks up to and including IEND.
+ * @param {Buffer} buffer - PNG file
+ * @returns {Object[]} Chunks with their type, offset and total length
+ */
+const pngChunks = (buffer) => {
+    const chunks = [];
+    let offset = PNG_MAGIC.length;
+    while (offset + 12 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        if (offset + 12 + length > buffer.length) {
+            throw new Error('Truncated PNG chunk');
+        }
+        chunks.push({ type, offset, length: 12 + length });
+        offset += 12 + length;
+        if (type === 'IEND') {
+            return chunks;
+        }
+    }
+    throw new Error('PNG has no end chunk');
+};
+
+/**
+ * Reads an image's pixel dimensions from its header.
+ * @param {Buffer} buffer - File contents
+ * @param {string} type - image/jpeg or image/png
+ * @returns {{ width: number, height: number }}
+ */
+export const readImageDimensions = (buffer, type) => {
+    if (type === 'image/png') {
+        const [header] = pngChunks(buffer);
+        if (header?.type !== 'IHDR') {
+            throw new Error('PNG does not start with a header chunk');
+        }
+        return { width: buffer.readUInt32BE(header.offset + 8), height: buffer.readUInt32BE(header.offset + 12) };
+    }
+    const frame = jpegSegments(buffer).segments.find((segment) => JPEG_FRAME_MARKERS.has(segment.marker));
+    if (!frame || frame.length < 9) {
+        throw new Error('JPEG has no frame header');
+    }
+    return { width: buffer.readUInt16BE(frame.offset + 7), height: buffer.readUInt16BE(frame.offset + 5) };
+};
+
+/**
+ * Copies an image without its metadata: EXIF (camera, location, orientation), XMP, ICC
+ * profiles and comments. Anything after the PNG end chunk is dropped too.
+ * @param {Buffer} buffer - File contents
+ * @param {string} type - image/jpeg or image/png
+ * @returns {Buffer}
+ */
+export const stripImageMetadata = (buffer, type) => {
+    if (type === 'image/png') {
+        const kept = pngChunks(buffer)
+            .filter((chunk) => !PNG_METADATA_CHUNKS.has(chunk.type))
+            .map((chunk) => buffer.subarray(chunk.offset, chunk.offset + chunk.length));
+        return Buffer.concat([PNG_MAGIC, ...kept]);
+    }
+    const { segments, scanOffset } = jpegSegments(buffer);
+    const kept = segments
+        .filter(({ marker }) => marker !== JPEG_COMMENT && !(marker >= 0xe0 && marker <= 0xef && !JPEG_KEPT_APP_MARKERS.has(marker)))
+        .map((segment) => buffer.subarray(segment.offset, segment.offset + segment.length));
+    return Buffer.concat([buffer.subarray(0, 2), ...kept, buffer.subarray(scanOffset)]);
+};
@@ -0,0 +1,144 @@
+// src/utils/money.js
+import { z } from 'zod';
+
+/**
+ * Money helpers for the NEG AI Banking Platform.
+ * Amounts are stored and computed as integers in the currency's minor unit (kobo for NGN,
+ * cents for USD, pence for GBP) so balances never accumulate floating-point rounding drift.
+ * Major-unit numbers only exist at the API and provider boundaries and are converted with
+ * toMinor/toMajor.
+ */
+
+export const DEFAULT_CURRENCY = 'NGN';
+
+/**
+ * Minor units per major unit for each supported currency.
+ */
+export const MINOR_UNITS = {
+    NGN: 100,
+    USD: 100,
+    GBP: 100
+};
+
+/**
+ * Currencies a wallet can hold; each has its own sub-wallet balance.
+ */
+export const CURRENCIES = Object.keys(MINOR_UNITS);
+
+/**
+ * Returns the minor-unit factor for a currency.
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {number} Minor units per major unit
+ * @throws {Error} If the currency is not supported
+ */
+const unitsFor = (currency) => {
+    const units = MINOR_UNITS[currency];
+    if (!units) {
+        throw new Error(`Unsupported currency: ${currency}`);
+    }
+    return units;
+};
+
+/**
+ * Whether a value is a whole number of minor units that JavaScript can represent exactly.
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+export const isMinorAmount = (value) => Number.isSafeInteger(value);
+
+/**
+ * Converts a major-unit amount (e.g. 1500.5 NGN) into integer minor units (150050 kobo).
+ * @param {number|string} amount - Major-unit amount with at most the currency's decimal places
+ * @param {string} [currency] - Currency code
+ * @returns {number} Integer minor units
+ * @throws {Error} If the amount is not a finite number or has too many decimal places
+ */
+export const toMinor = (amount, currency = DEFAULT_CURRENCY) => {
+    const units = unitsFor(currency);
+    const value = Number(amount);
+    if (!Number.isFinite(value)) {
+        throw new Error(`Invalid ${currency} amount: ${amount}`);
+    }
+    const minor = Math.round(value * units);
+    // Anything left after rounding means sub-kobo precision was supplied
+    if (Math.abs(value * units - minor) > 1e-6 || !isMinorAmount(minor)) {
+        throw new Error(`Invalid ${currency} amount: ${amount}`);
+    }
+    return minor;
+};
+
+/**
+ * Converts integer minor units into a major-unit number for display and provider APIs.
+ * @param {number} minor - Integer minor units
+ * @param {string} [currency] - Currency code
+ * @returns {number} Major-unit amount
+ */
+export const toMajor = (minor, currency = DEFAULT_CURRENCY) => minor / unitsFor(currency);
+
+/**
+ * Formats minor units as a human-readable string, e.g. "NGN 1,500.50".
+ * Uses integer arithmetic so the printed kobo are always exact.
+ * @param {number} minor - Integer minor units
+ * @param {string} [currency] - Currency code
+ * @returns {string} Formatted amount
+ */
+export const formatMoney = (minor, currency = DEFAULT_CURRENCY) => {
+    const units = unitsFor(currency);
+    const digits = String(units).length - 1;
+    const sign = minor < 0 ? '-' : '';
+    const absolute = Math.abs(minor);
+    const whole = Math.floor(absolute / units).toLocaleString('en-US');
+    const fraction = String(absolute % units).padStart(digits, '0');
+    return `${currency} ${sign}${whole}${digits ? `.${fraction}` : ''}`;
+};
+
+/**
+ * Shapes an amount for API responses: the major-unit value for display, the exact
+ * minor-unit integer, and the currency.
+ * @param {number} minor - Integer minor units
+ * @param {string} [currency] - Currency code
+ * @returns {{ amount: number, amountMinor: number, currency: string }}
+ */
+export const toMoneyResponse = (minor, currency = DEFAULT_CURRENCY) => ({
+    amount: toMajor(minor, currency),
+    amountMinor: minor,
+    currency
+});
+
+/**
+ * Shapes a wallet balance for API responses.
+ * @param {number} minor - Balance in integer minor units
+ * @param {string} [currency] - Currency code
+ * @returns {{ balance: number, balanceMinor: number, currency: string }}
+ */
+export const toBalanceResponse = (minor, currency = DEFAULT_CURRENCY) => ({
+    balance: toMajor(minor, currency),
+    balanceMinor: minor,
+    currency
+});
+
+/**
+ * Mongoose validator for minor-unit fields.
+ */
+export const minorAmountValidator = {
+    validator: isMinorAmount,
+    message: (props) => `${props.path} must be a whole number of minor units, got ${props.value}`
+};
+
+/**
+ * Zod schema for a positive major-unit amount from a request, with at most two decimal places.
+ * Returns the amount unchanged; callers convert it with toMinor.
+ * @param {Object} [options] - Options
+ * @param {number} [options.max] - Maximum major-unit amount
+ * @param {string} [options.currency] - Currency of the maximum, for the default message
+ * @param {string} [options.maxMessage] - Message when the maximum is exceeded
+ * @returns {z.ZodNumber} Schema
+ */
+export const majorAmountSchema = ({ max, currency = DEFAULT_CURRENCY, maxMessage } = {}) => {
+    const schema = z.number({ invalid_type_error: 'Amount must be a number' })
+        .positive('Amount must be positive')
+        .multipleOf(0.01, 'Amount cannot have more than 2 decimal places');
+    return max === undefined
+        ? schema
+        : schema.max(max, maxMessage || `Amount cannot exceed ${formatMoney(toMinor(max, currency), currency)}`);
+};
@@ -0,0 +1,104 @@
+// src/utils/multipart.js
+
+/**
+ * Minimal multipart/form-data parser for small uploads already held in memory.
+ * Text parts become fields and parts with a filename become files; a name may appear once.
+ */
+
+const CRLF = Buffer.from('\r\n');
+const HEADER_END = Buffer.from('\r\n\r\n');
+
+/**
+ * Reads the boundary from a multipart Content-Type header.
+ * @param {string} contentType - Content-Type header
+ * @returns {string|null}
+ */
+const readBoundary = (contentType) => {
+    const match = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '');
+    return match ? match[1] || match[2] : null;
+};
+
+/**
+ * Parses a part's headers into lowercase names, with the Content-Disposition name and
+ * filename picked out.
+ * @param {string} text - Header block
+ * @returns {{ name: string|undefined, filename: string|undefined, contentType: string|undefined }}
+ */
+const readPartHeaders = (text) => {
+    const headers = {};
+    for (const line of text.split('\r\n')) {
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+            headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+        }
+    }
+    const disposition = headers['content-disposition'] || '';
+    const name = /(?:^|;)\s*name="([^"]*)"/i.exec(disposition)?.[1];
+    const filename = /(?:^|;)\s*filename="([^"]*)"/i.exec(disposition)?.[1];
+    return { name, filename, contentType: headers['content-type'] };
+};
+
+/**
+ * Parses a multipart/form-data body.
+ * @param {Buffer} buffer - Raw body
+ * @param {string} contentType - Content-Type header, with the boundary
+ * @param {Object} [options] - Options
+ * @param {number} [options.maxParts] - Most parts accepted
+ * @returns {{ fields: Object<string, string>, files: Object<string, { filename: string, mimeType: string, buffer: Buffer, size: number }> }}
+ * @throws {Error} If the body is malformed, a name repeats or there are too many parts
+ */
+export const parseMultipart = (buffer, contentType, { maxParts = 10 } = {}) => {
+    const boundaryValue = readBoundary(contentType);
+    if (!boundaryValue) {
+        throw new Error('Missing multipart boundary');
+    }
+    const boundary = Buffer.from(`--${boundaryValue}`);
+    const delimiter = Buffer.concat([CRLF, boundary]);
+    const fields = {};
+    const files = {};
+    let parts = 0;
+
+    let position = buffer.indexOf(boundary);
+    if (position === -1) {
+        throw new Error('Malformed multipart body');
+    }
+    position += boundary.length;
+
+    while (buffer.toString('latin1', position, position + 2) !== '--') {
+        if (!buffer.subarray(position, position + 2).equals(CRLF)) {
+            throw new Error('Malformed multipart body');
+        }
+        parts += 1;
+        if (parts > maxParts) {
+            throw new Error(`Too many parts; at most ${maxParts} are accepted`);
+        }
+
+        const headerEnd = buffer.indexOf(HEADER_END, position);
+        const end = headerEnd === -1 ? -1 : buffer.indexOf(delimiter, headerEnd + HEADER_END.length);
+        if (end === -1) {
+            throw new Error('Malformed multipart body');
+        }
+        const { name, filename, contentType: partType } = readPartHeaders(buffer.toString('utf8', position + 2, headerEnd));
+        if (!name) {
+            throw new Error('A part has no name');
+        }
+        if (name in fields || name in files) {
+            throw new Error(`${name} was sent more than once`);
+        }
+
+        const content = buffer.subarray(headerEnd + HEADER_END.length, end);
+        if (filename === undefined) {
+            fields[name] = content.toString('utf8');
+        } else {
+            files[name] = {
+                filename,
+                mimeType: (partType || 'application/octet-stream').toLowerCase(),
+                buffer: content,
+                size: content.length
+            };
+        }
+        position = end + delimiter.length;
+    }
+
+    return { fields, files };
+};
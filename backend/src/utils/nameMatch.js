@@ -0,0 +1,164 @@
+// src/utils/nameMatch.js
+
+/**
+ * Fuzzy comparison of a customer's names with the names on an identity record. Nigerian
+ * records often differ from what a customer types: Yoruba, Igbo and Hausa names are
+ * written surname first or last, records carry middle names the customer leaves out (or
+ * the customer goes by their middle name), names are shortened (Oluwaseun and Seun,
+ * Chukwuemeka and Emeka), compounds are split or joined (Adeola and Ade Ola), and
+ * transliterations vary (Muhammad and Mohammed). So names are compared as sets of words,
+ * in any order, with Jaro-Winkler similarity between words.
+ */
+
+// Score for a word that is the end of another (Seun for Oluwaseun): likely, but a guess
+const SHORT_FORM_SCORE = 0.85;
+const SHORT_FORM_MIN_LENGTH = 3;
+
+/**
+ * Splits names into lowercase words without accents or punctuation.
+ * @param {...string} names - Names
+ * @returns {string[]}
+ */
+export const nameWords = (...names) => names
+    .join(' ')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z]+/)
+    .filter(Boolean);
+
+/**
+ * Jaro-Winkler similarity of two words.
+ * @param {string} a - Word
+ * @param {string} b - Word
+ * @returns {number} 0 to 1
+ */
+const jaroWinkler = (a, b) => {
+    if (a === b) {
+        return 1;
+    }
+    const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+    const aMatched = new Array(a.length).fill(false);
+    const bMatched = new Array(b.length).fill(false);
+    let matches = 0;
+    for (let i = 0; i < a.length; i += 1) {
+        for (let j = Math.max(0, i - window); j < Math.min(b.length, i + window + 1); j += 1) {
+            if (!bMatched[j] && a[i] === b[j]) {
+                aMatched[i] = true;
+                bMatched[j] = true;
+                matches += 1;
+                break;
+            }
+        }
+    }
+    if (!matches) {
+        return 0;
+    }
+
+    let transpositions = 0;
+    let j = 0;
+    for (let i = 0; i < a.length; i += 1) {
+        if (aMatched[i]) {
+            while (!bMatched[j]) j += 1;
+            if (a[i] !== b[j]) transpositions += 1;
+            j += 1;
+        }
+    }
+    const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+    let prefix = 0;
+    while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix += 1;
+    return jaro + prefix * 0.1 * (1 - jaro);
+};
+
+/**
+ * Similarity of two name words, allowing for shortened forms.
+ * @param {string} a - Word
+ * @param {string} b - Word
+ * @returns {number} 0 to 1
+ */
+export const wordSimilarity = (a, b) => {
+    const score = jaroWinkler(a, b);
+    const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+    if (shorter.length >= SHORT_FORM_MIN_LENGTH && shorter !== longer && longer.endsWith(shorter)) {
+        return Math.max(score, SHORT_FORM_SCORE);
+    }
+    return score;
+};
+
+/**
+ * Pairs claimed words with record words, best pairs first, each record word used once.
+ * Adjacent record words may pair as one (Ade Ola on the record for a customer's Adeola).
+ * @param {string[][]} claimed - Words of each claimed name
+ * @param {string[]} recordWords - Words on the record
+ * @returns {number[]} Score of each claimed name: the mean of its words' scores
+ */
+const assign = (claimed, recordWords) => {
+    const candidates = recordWords.map((word, index) => ({ word, indices: [index] }));
+    for (let index = 0; index + 1 < recordWords.length; index += 1) {
+        candidates.push({ word: recordWords[index] + recordWords[index + 1], indices: [index, index + 1] });
+    }
+    const words = claimed.flatMap((part, partIndex) => part.map((word) => ({ word, partIndex })));
+    const pairs = words
+        .flatMap((claimedWord, wordIndex) => candidates.map((candidate) => ({
+            wordIndex,
+            candidate,
+            score: wordSimilarity(claimedWord.word, candidate.word)
+        })))
+        .sort((a, b) => b.score - a.score);
+
+    const scores = new Array(words.length).fill(0);
+    const assigned = new Set();
+    const used = new Set();
+    for (const { wordIndex, candidate, score } of pairs) {
+        if (assigned.has(wordIndex) || candidate.indices.some((index) => used.has(index))) {
+            continue;
+        }
+        assigned.add(wordIndex);
+        candidate.indices.forEach((index) => used.add(index));
+        scores[wordIndex] = score;
+    }
+    return claimed.map((part, partIndex) => {
+        const partScores = scores.filter((score, wordIndex) => words[wordIndex].partIndex === partIndex);
+        return partScores.reduce((sum, score) => sum + score, 0) / partScores.length;
+    });
+};
+
+/**
+ * Scores how well a customer's first and last names match an identity record, in any
+ * order and ignoring record names the customer did not give. Each of the customer's names
+ * scores the mean similarity of its words to the record words they pair with, taking a
+ * multi-word name joined up when that scores better; the overall score is the lower of
+ * the two, so a wrong surname is not hidden by a right first name.
+ * @param {Object} claimed - { firstName, lastName } the customer gave
+ * @param {Object} record - { firstName, middleName, lastName } on the record
+ * @returns {{ score: number, firstNameScore: number, lastNameScore: number }} Scores from 0
+ * (nothing alike) to 1 (every word on the record)
+ */
+export const scoreNameMatch = (claimed, record) => {
+    const recordWords = nameWords(record.firstName || '', record.middleName || '', record.lastName || '');
+    const first = nameWords(claimed.firstName || '');
+    const last = nameWords(claimed.lastName || '');
+    if (!recordWords.length || !first.length || !last.length) {
+        return { score: 0, firstNameScore: 0, lastNameScore: 0 };
+    }
+
+    // Each claimed name as written and, when it has several words, joined into one
+    const forms = (words) => (words.length > 1 ? [words, [words.join('')]] : [words]);
+    let best = null;
+    for (const firstForm of forms(first)) {
+        for (const lastForm of forms(last)) {
+            const scores = assign([firstForm, lastForm], recordWords);
+            if (!best || Math.min(...scores) > Math.min(...best)) {
+                best = scores;
+            }
+        }
+    }
+
+    const round = (value) => Math.round(value * 1000) / 1000;
+    return {
+        score: round(Math.min(...best)),
+        firstNameScore: round(best[0]),
+        lastNameScore: round(best[1])
+    };
+};
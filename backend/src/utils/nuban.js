@@ -0,0 +1,63 @@
+// src/utils/nuban.js
+
+/**
+ * NUBAN (Nigeria Uniform Bank Account Number) helpers. A NUBAN is a nine-digit serial
+ * number followed by a check digit computed over the institution code and the serial, as
+ * set out in the CBN NUBAN standard. Three-digit bank codes are checked as six digits with
+ * leading zeros, which gives the same digit as the original three-digit scheme.
+ */
+
+const WEIGHTS = [3, 7, 3, 3, 7, 3, 3, 7, 3, 3, 7, 3, 3, 7, 3];
+export const MAX_SERIAL = 999999999;
+
+/**
+ * Pads an institution code to the six digits the check digit is computed over.
+ * @param {string} institutionCode - Three- or six-digit CBN institution code
+ * @returns {string} Six-digit code
+ * @throws {Error} If the code is not three or six digits
+ */
+const normaliseInstitutionCode = (institutionCode) => {
+    if (!/^(\d{3}|\d{6})$/.test(institutionCode || '')) {
+        throw new Error(`Invalid NUBAN institution code: ${institutionCode}`);
+    }
+    return institutionCode.padStart(6, '0');
+};
+
+/**
+ * Computes the NUBAN check digit for a serial number at an institution.
+ * @param {string} institutionCode - Three- or six-digit CBN institution code
+ * @param {string} serial - Nine-digit serial number
+ * @returns {number} Check digit, 0 to 9
+ */
+export const computeCheckDigit = (institutionCode, serial) => {
+    if (!/^\d{9}$/.test(serial)) {
+        throw new Error(`Invalid NUBAN serial number: ${serial}`);
+    }
+    const digits = `${normaliseInstitutionCode(institutionCode)}${serial}`;
+    const sum = [...digits].reduce((total, digit, index) => total + Number(digit) * WEIGHTS[index], 0);
+    return (10 - (sum % 10)) % 10;
+};
+
+/**
+ * Builds the ten-digit NUBAN for a sequence number.
+ * @param {string} institutionCode - Three- or six-digit CBN institution code
+ * @param {number} sequence - Serial number, 1 to MAX_SERIAL
+ * @returns {string} Account number
+ */
+export const toNuban = (institutionCode, sequence) => {
+    if (!Number.isInteger(sequence) || sequence < 1 || sequence > MAX_SERIAL) {
+        throw new Error(`NUBAN sequence out of range: ${sequence}`);
+    }
+    const serial = String(sequence).padStart(9, '0');
+    return `${serial}${computeCheckDigit(institutionCode, serial)}`;
+};
+
+/**
+ * Whether an account number is a valid NUBAN at an institution.
+ * @param {string} institutionCode - Three- or six-digit CBN institution code
+ * @param {string} accountNumber - Account number to check
+ * @returns {boolean}
+ */
+export const isValidNuban = (institutionCode, accountNumber) =>
+    /^\d{10}$/.test(accountNumber || '')
+    && computeCheckDigit(institutionCode, accountNumber.slice(0, 9)) === Number(accountNumber[9]);
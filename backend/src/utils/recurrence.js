@@ -0,0 +1,233 @@
+// src/utils/recurrence.js
+
+/**
+ * Recurrence helpers for standing orders.
+ * Schedules are evaluated in West Africa Time (UTC+1, no daylight saving), so "monthly on
+ * the 25th at 09:00" means 09:00 in Lagos whatever the server's timezone. Dates passed in
+ * and returned are ordinary UTC Date objects.
+ */
+
+export const FREQUENCIES = ['daily', 'weekly', 'monthly', 'custom'];
+
+const SCHEDULE_UTC_OFFSET_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const CRON_SEARCH_LIMIT_MS = 5 * 366 * DAY_MS; // Expressions that never match give up after 5 years
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES, firstNameValue: 1 },
+    { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, firstNameValue: 0 }
+];
+
+/**
+ * Parses one value of a cron field, accepting numbers and, where allowed, names.
+ * @param {string} text - Value such as '5' or 'mon'
+ * @param {Object} field - Field definition
+ * @returns {number}
+ */
+const parseCronValue = (text, field) => {
+    const nameIndex = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+    const value = nameIndex >= 0 ? nameIndex + field.firstNameValue : Number(text);
+    if (!/^\w+$/.test(text) || !Number.isInteger(value) || value < field.min || value > field.max) {
+        throw new Error(`Invalid ${field.name} value '${text}' in cron expression`);
+    }
+    return value;
+};
+
+/**
+ * Expands a cron field ('*', '1,15', '9-17', '*\/15', 'mon-fri') into the values it allows.
+ * @param {string} text - Field text
+ * @param {Object} field - Field definition
+ * @returns {Set<number>}
+ */
+const parseCronField = (text, field) => {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        const [range, stepText, extra] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (extra !== undefined || !Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid step in ${field.name} field '${part}'`);
+        }
+
+        let start;
+        let end;
+        if (range === '*') {
+            start = field.min;
+            end = field.max;
+        } else {
+            const [from, to, rest] = range.split('-');
+            if (rest !== undefined) {
+                throw new Error(`Invalid range in ${field.name} field '${part}'`);
+            }
+            start = parseCronValue(from, field);
+            end = to === undefined ? (stepText === undefined ? start : field.max) : parseCronValue(to, field);
+            if (end < start) {
+                throw new Error(`Invalid range in ${field.name} field '${part}'`);
+            }
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+};
+
+/**
+ * Parses a five-field cron expression (minute hour day-of-month month day-of-week).
+ * As in standard cron, when both day fields are restricted a day matching either runs.
+ * @param {string} expression - Cron expression
+ * @returns {Object} Allowed values per field
+ * @throws {Error} If the expression is malformed
+ */
+export const parseCronExpression = (expression) => {
+    const parts = String(expression).trim().split(/\s+/);
+    if (parts.length !== CRON_FIELDS.length) {
+        throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) =>
+        parseCronField(part, CRON_FIELDS[index])
+    );
+    if (daysOfWeek.has(7)) {
+        daysOfWeek.add(0);
+    }
+
+    return {
+        minutes,
+        hours,
+        daysOfMonth,
+        months,
+        daysOfWeek,
+        daysOfMonthRestricted: !parts[2].startsWith('*'),
+        daysOfWeekRestricted: !parts[4].startsWith('*')
+    };
+};
+
+/**
+ * Finds the first minute strictly after a date that matches a cron expression.
+ * @param {string} expression - Five-field cron expression
+ * @param {Date} after - Exclusive lower bound
+ * @returns {Date|null} Next match, or null if none within five years
+ */
+export const nextCronOccurrence = (expression, after) => {
+    const schedule = parseCronExpression(expression);
+    const limit = after.getTime() + CRON_SEARCH_LIMIT_MS;
+
+    // Walk wall-clock WAT time using the UTC accessors of a shifted date
+    let local = new Date(Math.floor((after.getTime() + SCHEDULE_UTC_OFFSET_MS) / MINUTE_MS) * MINUTE_MS + MINUTE_MS);
+
+    while (local.getTime() - SCHEDULE_UTC_OFFSET_MS <= limit) {
+        const year = local.getUTCFullYear();
+        const month = local.getUTCMonth();
+        const day = local.getUTCDate();
+        const hour = local.getUTCHours();
+
+        if (!schedule.months.has(month + 1)) {
+            local = new Date(Date.UTC(year, month + 1, 1));
+            continue;
+        }
+
+        const domMatches = schedule.daysOfMonth.has(day);
+        const dowMatches = schedule.daysOfWeek.has(local.getUTCDay());
+        const dayMatches = schedule.daysOfMonthRestricted && schedule.daysOfWeekRestricted
+            ? domMatches || dowMatches
+            : domMatches && dowMatches;
+        if (!dayMatches) {
+            local = new Date(Date.UTC(year, month, day + 1));
+            continue;
+        }
+
+        if (!schedule.hours.has(hour)) {
+            local = new Date(Date.UTC(year, month, day, hour + 1));
+            continue;
+        }
+
+        if (!schedule.minutes.has(local.getUTCMinutes())) {
+            local = new Date(local.getTime() + MINUTE_MS);
+            continue;
+        }
+
+        return new Date(local.getTime() - SCHEDULE_UTC_OFFSET_MS);
+    }
+
+    return null;
+};
+
+/**
+ * Date of the nth monthly occurrence after startDate, keeping the WAT day of month and
+ * time and falling back to the month's last day (the 31st runs on the 30th in April).
+ * @param {Date} startDate - First occurrence
+ * @param {number} months - Months after the first occurrence
+ * @returns {Date}
+ */
+export const addMonths = (startDate, months) => {
+    const local = new Date(startDate.getTime() + SCHEDULE_UTC_OFFSET_MS);
+    const year = local.getUTCFullYear();
+    const month = local.getUTCMonth() + months;
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    const shifted = Date.UTC(
+        year,
+        month,
+        Math.min(local.getUTCDate(), lastDay),
+        local.getUTCHours(),
+        local.getUTCMinutes(),
+        local.getUTCSeconds(),
+        local.getUTCMilliseconds()
+    );
+    return new Date(shifted - SCHEDULE_UTC_OFFSET_MS);
+};
+
+/**
+ * Finds the first occurrence of a recurrence strictly after a date.
+ * Daily, weekly and monthly schedules repeat the time of startDate; custom schedules
+ * follow their cron expression from startDate onwards.
+ * @param {Object} recurrence - Recurrence definition
+ * @param {string} recurrence.frequency - 'daily', 'weekly', 'monthly' or 'custom'
+ * @param {Date} recurrence.startDate - First possible occurrence
+ * @param {string} [recurrence.cronExpression] - Expression for custom schedules
+ * @param {Date} after - Exclusive lower bound
+ * @returns {Date|null} Next occurrence, or null if a custom expression never matches
+ */
+export const nextOccurrence = ({ frequency, startDate, cronExpression }, after) => {
+    const start = new Date(startDate);
+
+    if (frequency === 'custom') {
+        // The first run may fall on startDate itself
+        const from = after < start ? new Date(start.getTime() - 1) : after;
+        return nextCronOccurrence(cronExpression, from);
+    }
+
+    if (after < start) {
+        return start;
+    }
+
+    if (frequency === 'daily' || frequency === 'weekly') {
+        const period = frequency === 'daily' ? DAY_MS : 7 * DAY_MS;
+        const periods = Math.floor((after.getTime() - start.getTime()) / period) + 1;
+        return new Date(start.getTime() + periods * period);
+    }
+
+    if (frequency === 'monthly') {
+        const startLocal = new Date(start.getTime() + SCHEDULE_UTC_OFFSET_MS);
+        const afterLocal = new Date(after.getTime() + SCHEDULE_UTC_OFFSET_MS);
+        let months = (afterLocal.getUTCFullYear() - startLocal.getUTCFullYear()) * 12 +
+            afterLocal.getUTCMonth() - startLocal.getUTCMonth();
+        let candidate = addMonths(start, months);
+        while (candidate <= after) {
+            months += 1;
+            candidate = addMonths(start, months);
+        }
+        return candidate;
+    }
+
+    throw new Error(`Unsupported frequency: ${frequency}`);
+};
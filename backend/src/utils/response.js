@@ -39,4 +39,29 @@ export const errorResponse = (
     details,
     requestId,
     timestamp: new Date().toISOString()
-});
\ No newline at end of file
+});
+/**
+ * Builds an error carrying an HTTP status, for services to throw and controllers to pass on.
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @returns {Error}
+ */
+export const httpError = (message, status) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+/**
+ * Sends an error response, passing through service errors that carry an HTTP status.
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the service
+ * @param {string} fallbackMessage - Message for unexpected errors
+ * @param {string} [requestId] - Request ID for traceability
+ */
+export const sendError = (res, error, fallbackMessage, requestId = 'N/A') => {
+    const statusCode = error.status || 500;
+    res.status(statusCode).json(
+        errorResponse(statusCode === 500 ? fallbackMessage : error.message, statusCode, null, requestId)
+    );
+};
@@ -0,0 +1,24 @@
+// src/utils/signature.js
+import crypto from 'crypto';
+
+/**
+ * Compares two secrets in constant time. Both sides are hashed first so inputs of different
+ * lengths take the same time to reject as equal-length ones.
+ * @param {string} actual - Value received
+ * @param {string} expected - Configured or computed value
+ * @returns {boolean}
+ */
+export const safeEqual = (actual, expected) => {
+    if (!actual || !expected) {
+        return false;
+    }
+    const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(digest(actual), digest(expected));
+};
+
+/**
+ * Hashes a payload, for identifying webhooks that carry no event ID of their own.
+ * @param {string} payload - Raw payload
+ * @returns {string} Hex SHA-256
+ */
+export const sha256Hex = (payload) => crypto.createHash('sha256').update(payload).digest('hex');
@@ -0,0 +1,131 @@
+// src/utils/withTransaction.js
+import mongoose from 'mongoose';
+import logger from './logger.js';
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_BASE_DELAY_MS = 20;
+const DEFAULT_MAX_DELAY_MS = 1000;
+const WRITE_CONFLICT_CODE = 112;
+
+/**
+ * Whether a MongoDB error means the whole transaction can safely be run again.
+ * Write conflicts between concurrent transactions touching the same ledger account
+ * surface as TransientTransactionError.
+ * @param {Error} error - Error thrown inside the transaction
+ * @returns {boolean}
+ */
+export const isTransientTransactionError = (error) =>
+    Boolean(
+        error?.errorLabels?.includes?.('TransientTransactionError') ||
+        error?.hasErrorLabel?.('TransientTransactionError') ||
+        error?.code === WRITE_CONFLICT_CODE
+    );
+
+/**
+ * Whether a commit failed in a way where retrying just the commit is safe.
+ * @param {Error} error - Error thrown by commitTransaction
+ * @returns {boolean}
+ */
+const isUnknownCommitResult = (error) =>
+    Boolean(
+        error?.errorLabels?.includes?.('UnknownTransactionCommitResult') ||
+        error?.hasErrorLabel?.('UnknownTransactionCommitResult')
+    );
+
+/**
+ * Exponential backoff with full jitter, capped at maxDelayMs.
+ * @param {number} attempt - 1-based attempt that just failed
+ * @param {number} baseDelayMs - Delay before the first retry
+ * @param {number} maxDelayMs - Upper bound for any delay
+ * @returns {number} Milliseconds to wait
+ */
+const backoffDelay = (attempt, baseDelayMs, maxDelayMs) =>
+    Math.floor(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1)));
+
+/**
+ * Runs work inside a MongoDB transaction, retrying transient failures with bounded backoff.
+ * The work function receives the session and may be called more than once, so it must
+ * only touch the database through that session and must not call external services.
+ * Non-transient errors (validation, insufficient balance, duplicates) abort and rethrow
+ * immediately.
+ * @param {Function} work - async (session) => result
+ * @param {Object} [options] - Options
+ * @param {string} [options.operation] - Name used in logs
+ * @param {string} [options.requestId] - Request ID
+ * @param {number} [options.maxAttempts] - Total attempts before giving up
+ * @param {number} [options.baseDelayMs] - Delay before the first retry
+ * @param {number} [options.maxDelayMs] - Upper bound for any delay
+ * @returns {Promise<*>} Whatever work resolves to
+ */
+export const withTransaction = async (work, {
+    operation = 'transaction',
+    requestId,
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    baseDelayMs = DEFAULT_BASE_DELAY_MS,
+    maxDelayMs = DEFAULT_MAX_DELAY_MS
+} = {}) => {
+    for (let attempt = 1; ; attempt += 1) {
+        const session = await mongoose.startSession();
+        try {
+            session.startTransaction();
+            const result = await work(session);
+
+            // A commit whose outcome is unknown can be retried on its own
+            for (let commitAttempt = 1; ; commitAttempt += 1) {
+                try {
+                    await session.commitTransaction();
+                    break;
+                } catch (error) {
+                    if (!isUnknownCommitResult(error) || commitAttempt >= maxAttempts) {
+                        throw error;
+                    }
+                    logger.warn('Retrying transaction commit with unknown result', {
+                        operation,
+                        attempt,
+                        commitAttempt,
+                        requestId
+                    });
+                }
+            }
+
+            if (attempt > 1) {
+                logger.info('Transaction succeeded after retry', { operation, attempts: attempt, requestId });
+            }
+            return result;
+        } catch (error) {
+            if (session.inTransaction()) {
+                await session.abortTransaction().catch((abortError) => {
+                    logger.warn('Failed to abort transaction', { operation, requestId, error: abortError.message });
+                });
+            }
+
+            if (!isTransientTransactionError(error) || attempt >= maxAttempts) {
+                if (isTransientTransactionError(error)) {
+                    logger.error('Transaction retries exhausted', {
+                        operation,
+                        attempts: attempt,
+                        requestId,
+                        error: error.message
+                    });
+                    const busy = new Error('Too many concurrent updates, please retry shortly');
+                    busy.status = 503;
+                    busy.cause = error;
+                    throw busy;
+                }
+                throw error;
+            }
+
+            const delay = backoffDelay(attempt, baseDelayMs, maxDelayMs);
+            logger.warn('Transient transaction error, retrying', {
+                operation,
+                attempt,
+                delay,
+                requestId,
+                error: error.message
+            });
+            await new Promise((resolve) => setTimeout(resolve, delay));
+        } finally {
+            session.endSession();
+        }
+    }
+};